@@ -0,0 +1,349 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Target, Upload, Plus, Trash2, Play, Square, Check } from 'lucide-react';
+import { PARAM_SPECS, OBSERVED_SERIES, parseObservedCSV } from './simulation';
+import { createCalibrationClient } from './simulation/client';
+
+// Only numeric parameters can be fitted
+const NUMERIC_SPECS = PARAM_SPECS.filter(spec => !spec.options);
+const specFor = (key) => NUMERIC_SPECS.find(spec => spec.key === key);
+const labelFor = (key) => OBSERVED_SERIES.find(s => s.key === key).label;
+
+const newFactorRow = (key) => {
+  const spec = specFor(key);
+  return { key, min: spec.min, max: spec.max };
+};
+
+const formatValue = (value) => (Number.isInteger(value) ? value : value.toFixed(4));
+
+const FitTable = ({ fit }) => (
+  <table className="w-full text-xs font-mono text-gray-300">
+    <thead>
+      <tr className="text-gray-400 border-b border-slate-700/50">
+        <th className="text-left py-1 pr-3">Series</th>
+        <th className="text-right py-1 pr-3">n</th>
+        <th className="text-right py-1 pr-3">RMSE</th>
+        <th className="text-right py-1">log L</th>
+      </tr>
+    </thead>
+    <tbody>
+      {Object.entries(fit.series).map(([key, s]) => (
+        <tr key={key} className="border-b border-slate-800/50">
+          <td className="py-1 pr-3">{labelFor(key)}</td>
+          <td className="text-right py-1 pr-3">{s.n}</td>
+          <td className="text-right py-1 pr-3">{s.rmse.toFixed(3)}</td>
+          <td className="text-right py-1">{s.logLikelihood.toFixed(2)}</td>
+        </tr>
+      ))}
+      <tr className="text-white">
+        <td className="py-1 pr-3" colSpan={3}>Total log-likelihood</td>
+        <td className="text-right py-1">{fit.logLikelihood.toFixed(2)}</td>
+      </tr>
+    </tbody>
+  </table>
+);
+
+// Import field survey data, score the current parameters against it and fit
+// selected parameters with Nelder–Mead in a background worker
+const CalibrationPanel = ({ params, observed, onObservedChange, onApply, lowPerformanceMode }) => {
+  const [source, setSource] = useState(null); // { name, text }
+  const [ticksPerDay, setTicksPerDay] = useState(1);
+  const [urchinScale, setUrchinScale] = useState(1);
+  const [parseErrors, setParseErrors] = useState([]);
+  const [factorRows, setFactorRows] = useState(() => [newFactorRow('grazingRate'), newFactorRow('reproductionRate')]);
+  const [replicates, setReplicates] = useState(1);
+  const [maxEvaluations, setMaxEvaluations] = useState(60);
+  const [currentFit, setCurrentFit] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle | running | done | cancelled
+  const [progress, setProgress] = useState(null); // { evaluations, best }
+  const [result, setResult] = useState(null); // { values, fit }
+
+  const fileRef = useRef(null);
+  const clientRef = useRef(null);
+  const scoreClientRef = useRef(null);
+
+  useEffect(() => () => {
+    if (clientRef.current) clientRef.current.terminate();
+    if (scoreClientRef.current) scoreClientRef.current.terminate();
+  }, []);
+
+  // Re-read the survey whenever the tick or urchin scaling changes
+  useEffect(() => {
+    if (!source) return;
+    const parsed = parseObservedCSV(source.text, { ticksPerDay, urchinScale });
+    setParseErrors(parsed.errors);
+    setCurrentFit(null);
+    onObservedChange(parsed.points.length > 0 ? { name: source.name, points: parsed.points, series: parsed.series } : null);
+  }, [source, ticksPerDay, urchinScale, onObservedChange]);
+
+  const importFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setSource({ name: file.name, text: reader.result });
+    reader.readAsText(file);
+  };
+
+  const clearObserved = () => {
+    setSource(null);
+    setParseErrors([]);
+    setCurrentFit(null);
+    setResult(null);
+    onObservedChange(null);
+  };
+
+  const errors = [];
+  factorRows.forEach(row => {
+    const spec = specFor(row.key);
+    if (Number.isNaN(Number(row.min)) || Number.isNaN(Number(row.max))) errors.push(`${spec.label}: bounds must be numbers`);
+    else if (Number(row.max) <= Number(row.min)) errors.push(`${spec.label}: max must be above min`);
+  });
+  const duplicate = factorRows.find((row, i) => factorRows.findIndex(r => r.key === row.key) !== i);
+  if (duplicate) errors.push(`${specFor(duplicate.key).label} is listed twice`);
+  if (factorRows.length === 0) errors.push('Add at least one parameter to fit');
+
+  const updateRow = (index, patch) => {
+    setFactorRows(rows => rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+  };
+
+  const addFactor = () => {
+    const unused = NUMERIC_SPECS.find(spec => !factorRows.some(row => row.key === spec.key));
+    if (unused) setFactorRows(rows => [...rows, newFactorRow(unused.key)]);
+  };
+
+  const scoreCurrent = () => {
+    if (scoreClientRef.current) scoreClientRef.current.terminate();
+    const client = createCalibrationClient();
+    scoreClientRef.current = client;
+    setCurrentFit(null);
+    client.on('calibrationEvaluated', ({ fit }) => {
+      setCurrentFit(fit);
+      client.terminate();
+      scoreClientRef.current = null;
+    });
+    client.send({ type: 'evaluate', id: Date.now(), job: { baseParams: params, observed: observed.points, replicates } });
+  };
+
+  const startFit = () => {
+    if (clientRef.current) clientRef.current.terminate();
+    const client = createCalibrationClient();
+    clientRef.current = client;
+    setResult(null);
+    setProgress({ evaluations: 0, best: null });
+    setStatus('running');
+
+    client.on('calibrationProgress', ({ evaluations, best }) => {
+      setProgress({ evaluations, best });
+    });
+    client.on('calibrationComplete', ({ evaluations, best }) => {
+      setProgress({ evaluations, best });
+      setResult(best);
+      setStatus('done');
+      client.terminate();
+      clientRef.current = null;
+    });
+
+    const factors = factorRows.map(row => ({
+      key: row.key,
+      min: Number(row.min),
+      max: Number(row.max),
+      integer: Number.isInteger(specFor(row.key).step)
+    }));
+    client.send({
+      type: 'start',
+      id: Date.now(),
+      job: { baseParams: params, observed: observed.points, factors, replicates, maxEvaluations }
+    });
+  };
+
+  const cancelFit = () => {
+    if (clientRef.current) clientRef.current.terminate();
+    clientRef.current = null;
+    setStatus('cancelled');
+  };
+
+  const inputClass = 'w-full px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white font-mono text-xs focus:border-emerald-400/50 focus:outline-none transition-colors';
+  const running = status === 'running';
+  const best = result || (progress && progress.best);
+
+  return (
+    <div className={`mt-6 ${lowPerformanceMode ? 'bg-slate-800/30' : 'bg-gradient-to-br from-slate-800/30 to-slate-900/30 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
+      <h3 className="text-xl font-bold mb-2 flex items-center gap-2">
+        <Target className="w-5 h-5 text-emerald-400" />
+        Calibration
+      </h3>
+      <p className="text-xs text-gray-400 mb-4">
+        Import survey data as CSV with a header row: a <code>tick</code> or <code>date</code> column and any of urchins, coral cover % and algae cover %
+        (matched by name). Urchins are compared with the total urchin population, coral cover with live coral as a share of reef cells.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Observed data */}
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            <button
+              onClick={() => fileRef.current.click()}
+              className="flex-1 py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-emerald-600 to-emerald-700 hover:from-emerald-700 hover:to-emerald-800 transition-all flex items-center justify-center gap-1 text-sm"
+            >
+              <Upload className="w-4 h-4" /> Import Survey CSV
+            </button>
+            {observed && (
+              <button
+                onClick={clearObserved}
+                disabled={running}
+                className="p-2 rounded-xl bg-slate-700/50 hover:bg-slate-600/50 transition-colors text-gray-300"
+                title="Remove observed data"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+            <input ref={fileRef} type="file" accept=".csv,text/csv" onChange={importFile} className="hidden" />
+          </div>
+          <div className="grid grid-cols-2 gap-2 text-xs text-gray-400">
+            <label className="space-y-1">
+              <span className="block">Ticks per day</span>
+              <input type="number" min={0.001} step={0.1} value={ticksPerDay} disabled={running} onChange={(e) => setTicksPerDay(Math.max(0.001, parseFloat(e.target.value) || 1))} className={inputClass} />
+            </label>
+            <label className="space-y-1">
+              <span className="block">Urchins per observed unit</span>
+              <input type="number" min={0} step={0.1} value={urchinScale} disabled={running} onChange={(e) => setUrchinScale(Math.max(0, parseFloat(e.target.value) || 0))} className={inputClass} />
+            </label>
+          </div>
+          {observed && (
+            <p className="text-xs text-gray-300">
+              {observed.name}: {observed.points.length} surveys, ticks {observed.points[0].tick}–{observed.points[observed.points.length - 1].tick},
+              {' '}{observed.series.map(labelFor).join(', ')}
+            </p>
+          )}
+          {parseErrors.length > 0 && (
+            <ul className="text-xs text-red-300 space-y-1">
+              {parseErrors.slice(0, 5).map(error => <li key={error}>{error}</li>)}
+              {parseErrors.length > 5 && <li>…and {parseErrors.length - 5} more</li>}
+            </ul>
+          )}
+          {observed && (
+            <button
+              onClick={scoreCurrent}
+              disabled={running}
+              className="w-full py-2 px-3 rounded-xl font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-colors text-sm disabled:opacity-40"
+            >
+              Score current parameters
+            </button>
+          )}
+          {currentFit && <FitTable fit={currentFit} />}
+        </div>
+
+        {/* Parameters to fit */}
+        <div className="space-y-2">
+          {factorRows.map((row, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2 p-2 bg-slate-900/30 rounded-lg">
+              <select
+                value={row.key}
+                onChange={(e) => updateRow(index, newFactorRow(e.target.value))}
+                disabled={running}
+                className="px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white text-xs focus:outline-none"
+              >
+                {NUMERIC_SPECS.map(s => (
+                  <option key={s.key} value={s.key}>{s.label}</option>
+                ))}
+              </select>
+              <input type="number" value={row.min} step={specFor(row.key).step} disabled={running} onChange={(e) => updateRow(index, { min: e.target.value })} className={`${inputClass} w-20`} title="Lower bound" />
+              <input type="number" value={row.max} step={specFor(row.key).step} disabled={running} onChange={(e) => updateRow(index, { max: e.target.value })} className={`${inputClass} w-20`} title="Upper bound" />
+              <button
+                onClick={() => setFactorRows(rows => rows.filter((_, i) => i !== index))}
+                disabled={running}
+                className="p-1 rounded text-gray-400 hover:text-red-400 transition-colors ml-auto"
+                title="Remove parameter"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={addFactor}
+            disabled={running || factorRows.length >= NUMERIC_SPECS.length}
+            className="px-3 py-1 rounded-lg text-xs font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-colors flex items-center gap-1 disabled:opacity-40"
+          >
+            <Plus className="w-3 h-3" /> Add parameter
+          </button>
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-300 space-y-1">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+
+        {/* Fitting */}
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-2 text-xs text-gray-400">
+            <label className="space-y-1">
+              <span className="block">Seeds per evaluation</span>
+              <input type="number" min={1} max={20} value={replicates} disabled={running} onChange={(e) => setReplicates(Math.max(1, Math.min(20, parseInt(e.target.value) || 1)))} className={inputClass} />
+            </label>
+            <label className="space-y-1">
+              <span className="block">Max evaluations</span>
+              <input type="number" min={5} max={2000} value={maxEvaluations} disabled={running} onChange={(e) => setMaxEvaluations(Math.max(5, Math.min(2000, parseInt(e.target.value) || 5)))} className={inputClass} />
+            </label>
+          </div>
+          <p className="text-xs text-gray-500">
+            Nelder–Mead maximises the total log-likelihood, starting from the current values. Each evaluation averages the model over seeds seed, seed+1, …
+          </p>
+          {running ? (
+            <button
+              onClick={cancelFit}
+              className="w-full py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 transition-all flex items-center justify-center gap-1 text-sm"
+            >
+              <Square className="w-4 h-4" /> Cancel
+            </button>
+          ) : (
+            <button
+              onClick={startFit}
+              disabled={!observed || errors.length > 0}
+              className="w-full py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-emerald-500 to-emerald-600 hover:from-emerald-600 hover:to-emerald-700 transition-all flex items-center justify-center gap-1 text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <Play className="w-4 h-4" /> Fit Parameters
+            </button>
+          )}
+          {progress && (
+            <p className="text-xs text-gray-400">
+              {running ? 'Fitting…' : status === 'done' ? 'Finished' : 'Cancelled'} after {progress.evaluations} evaluations
+            </p>
+          )}
+          {best && (
+            <div className="space-y-2">
+              <table className="w-full text-xs font-mono text-gray-300">
+                <thead>
+                  <tr className="text-gray-400 border-b border-slate-700/50">
+                    <th className="text-left py-1 pr-3">Parameter</th>
+                    <th className="text-right py-1 pr-3">Current</th>
+                    <th className="text-right py-1">Best fit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(best.values).map(([key, value]) => (
+                    <tr key={key} className="border-b border-slate-800/50">
+                      <td className="py-1 pr-3">{specFor(key).label}</td>
+                      <td className="text-right py-1 pr-3">{formatValue(params[key])}</td>
+                      <td className="text-right py-1 text-emerald-300">{formatValue(value)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <FitTable fit={best.fit} />
+              {result && (
+                <button
+                  onClick={() => onApply(result.values)}
+                  className="w-full py-2 px-3 rounded-xl font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-colors flex items-center justify-center gap-1 text-sm"
+                >
+                  <Check className="w-4 h-4" /> Apply best fit
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationPanel;
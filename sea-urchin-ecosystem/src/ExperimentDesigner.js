@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FlaskConical, Plus, Trash2, Play, Square, Download } from 'lucide-react';
+import { PARAM_SPECS, RESULT_METRICS, factorValues, resultsToCSV } from './simulation';
+import { createExperimentClient } from './simulation/client';
+import { downloadText } from './download';
+
+const specFor = (key) => PARAM_SPECS.find(spec => spec.key === key);
+
+const newFactorRow = (key) => {
+  const spec = specFor(key);
+  return spec.options
+    ? { key, mode: 'list', from: 0, to: 0, step: 1, list: spec.options.join(', ') }
+    : { key, mode: 'range', from: spec.min, to: spec.max, step: spec.step, list: '' };
+};
+
+// Turn an editor row into a factor for the runner, or explain what is wrong
+const parseFactorRow = (row) => {
+  const spec = specFor(row.key);
+
+  if (row.mode === 'list' || spec.options) {
+    const items = row.list.split(/[\s,]+/).filter(Boolean);
+    if (items.length === 0) return { error: `${spec.label}: enter at least one value` };
+    if (spec.options) {
+      const unknown = items.find(item => !spec.options.includes(item));
+      if (unknown) return { error: `${spec.label}: "${unknown}" is not one of ${spec.options.join(', ')}` };
+      return { factor: { key: row.key, values: items } };
+    }
+    const values = items.map(Number);
+    if (values.some(Number.isNaN)) return { error: `${spec.label}: values must be numbers` };
+    return { factor: { key: row.key, values } };
+  }
+
+  const from = Number(row.from);
+  const to = Number(row.to);
+  const step = Number(row.step);
+  if ([from, to, step].some(Number.isNaN)) return { error: `${spec.label}: range bounds must be numbers` };
+  if (to < from) return { error: `${spec.label}: "to" must not be below "from"` };
+  if (to > from && !(step > 0)) return { error: `${spec.label}: step must be positive` };
+  return { factor: { key: row.key, from, to, step } };
+};
+
+// Maximum rows shown in the on-page preview; the CSV has everything
+const PREVIEW_RUNS = 20;
+
+// BehaviorSpace-style parameter sweep: full-factorial design over any model
+// parameters, run headlessly in a background worker, one combined table out.
+const ExperimentDesigner = ({ params, lowPerformanceMode }) => {
+  const [factorRows, setFactorRows] = useState(() => [
+    { ...newFactorRow('harvesterCount'), to: 10, step: 2 }
+  ]);
+  const [repetitions, setRepetitions] = useState(3);
+  const [tickLimit, setTickLimit] = useState(params.tickLimit);
+  const [recordEvery, setRecordEvery] = useState(params.dataRecordingFrequency);
+  const [status, setStatus] = useState('idle'); // idle | running | done | cancelled
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [finalRows, setFinalRows] = useState([]);
+
+  const clientRef = useRef(null);
+  const rowsRef = useRef([]);
+  const factorKeysRef = useRef([]);
+
+  useEffect(() => () => {
+    if (clientRef.current) clientRef.current.terminate();
+  }, []);
+
+  const parsed = factorRows.map(parseFactorRow);
+  const errors = parsed.filter(p => p.error).map(p => p.error);
+  const factors = parsed.filter(p => p.factor).map(p => p.factor);
+  const duplicate = factorRows.find((row, i) => factorRows.findIndex(r => r.key === row.key) !== i);
+  if (duplicate) errors.push(`${specFor(duplicate.key).label} is varied twice`);
+  const combinations = factors.reduce((count, factor) => count * factorValues(factor).length, 1);
+  const totalRuns = combinations * repetitions;
+
+  const updateRow = (index, patch) => {
+    setFactorRows(rows => rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+  };
+
+  const addFactor = () => {
+    const unused = PARAM_SPECS.find(spec => !factorRows.some(row => row.key === spec.key));
+    if (unused) setFactorRows(rows => [...rows, newFactorRow(unused.key)]);
+  };
+
+  const startExperiment = () => {
+    if (clientRef.current) clientRef.current.terminate();
+    const client = createExperimentClient();
+    clientRef.current = client;
+    rowsRef.current = [];
+    factorKeysRef.current = factors.map(f => f.key);
+    setFinalRows([]);
+    setProgress({ done: 0, total: totalRuns });
+    setStatus('running');
+
+    client.on('experimentRows', ({ rows, done, total }) => {
+      rowsRef.current.push(...rows);
+      setProgress({ done, total });
+      setFinalRows(prev => (prev.length < PREVIEW_RUNS ? [...prev, rows[rows.length - 1]] : prev));
+    });
+    client.on('experimentComplete', () => {
+      setStatus('done');
+      client.terminate();
+      clientRef.current = null;
+    });
+
+    client.send({
+      type: 'start',
+      id: Date.now(),
+      design: { baseParams: params, factors, repetitions, tickLimit, recordEvery }
+    });
+  };
+
+  const cancelExperiment = () => {
+    if (clientRef.current) clientRef.current.terminate();
+    clientRef.current = null;
+    setStatus('cancelled');
+  };
+
+  const downloadResults = () => {
+    downloadText(
+      resultsToCSV(factorKeysRef.current, rowsRef.current),
+      `ecosystem-experiment-${Date.now()}.csv`,
+      'text/csv;charset=utf-8;'
+    );
+  };
+
+  const inputClass = 'w-full px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white font-mono text-xs focus:border-purple-400/50 focus:outline-none transition-colors';
+  const running = status === 'running';
+
+  return (
+    <div className={`mt-6 ${lowPerformanceMode ? 'bg-slate-800/30' : 'bg-gradient-to-br from-slate-800/30 to-slate-900/30 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
+      <h3 className="text-xl font-bold mb-2 flex items-center gap-2">
+        <FlaskConical className="w-5 h-5 text-purple-400" />
+        Experiment Designer
+      </h3>
+      <p className="text-xs text-gray-400 mb-4">
+        Sweeps every combination of the factors below, starting from the current parameters and seed. Runs go headless in the background; results come out as one table with a row per run per recording tick.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Factors */}
+        <div className="lg:col-span-2 space-y-2">
+          {factorRows.map((row, index) => {
+            const spec = specFor(row.key);
+            return (
+              <div key={index} className="flex flex-wrap items-center gap-2 p-2 bg-slate-900/30 rounded-lg">
+                <select
+                  value={row.key}
+                  onChange={(e) => updateRow(index, newFactorRow(e.target.value))}
+                  disabled={running}
+                  className="px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white text-xs focus:outline-none"
+                >
+                  {PARAM_SPECS.map(s => (
+                    <option key={s.key} value={s.key}>{s.label}</option>
+                  ))}
+                </select>
+                {!spec.options && (
+                  <select
+                    value={row.mode}
+                    onChange={(e) => updateRow(index, { mode: e.target.value })}
+                    disabled={running}
+                    className="px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white text-xs focus:outline-none"
+                  >
+                    <option value="range">Range</option>
+                    <option value="list">List</option>
+                  </select>
+                )}
+                {row.mode === 'range' && !spec.options ? (
+                  <div className="flex items-center gap-1 text-xs text-gray-400">
+                    <input type="number" value={row.from} step={spec.step} disabled={running} onChange={(e) => updateRow(index, { from: e.target.value })} className={`${inputClass} w-20`} />
+                    <span>to</span>
+                    <input type="number" value={row.to} step={spec.step} disabled={running} onChange={(e) => updateRow(index, { to: e.target.value })} className={`${inputClass} w-20`} />
+                    <span>step</span>
+                    <input type="number" value={row.step} step={spec.step} min={0} disabled={running} onChange={(e) => updateRow(index, { step: e.target.value })} className={`${inputClass} w-16`} />
+                  </div>
+                ) : (
+                  <input
+                    type="text"
+                    value={row.list}
+                    placeholder="e.g. 0.2, 0.5, 1"
+                    disabled={running}
+                    onChange={(e) => updateRow(index, { list: e.target.value })}
+                    className={`${inputClass} flex-1 min-w-[8rem]`}
+                  />
+                )}
+                <span className="text-xs text-gray-500 ml-auto">
+                  {parsed[index].factor ? `${factorValues(parsed[index].factor).length} values` : ''}
+                </span>
+                <button
+                  onClick={() => setFactorRows(rows => rows.filter((_, i) => i !== index))}
+                  disabled={running}
+                  className="p-1 rounded text-gray-400 hover:text-red-400 transition-colors"
+                  title="Remove factor"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            );
+          })}
+          <button
+            onClick={addFactor}
+            disabled={running || factorRows.length >= PARAM_SPECS.length}
+            className="px-3 py-1 rounded-lg text-xs font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-colors flex items-center gap-1 disabled:opacity-40"
+          >
+            <Plus className="w-3 h-3" /> Add factor
+          </button>
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-300 space-y-1">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+
+        {/* Run settings */}
+        <div className="space-y-3">
+          <div className="grid grid-cols-3 gap-2 text-xs text-gray-400">
+            <label className="space-y-1">
+              <span className="block">Repetitions</span>
+              <input type="number" min={1} max={100} value={repetitions} disabled={running} onChange={(e) => setRepetitions(Math.max(1, Math.min(100, parseInt(e.target.value) || 1)))} className={inputClass} />
+            </label>
+            <label className="space-y-1">
+              <span className="block">Ticks</span>
+              <input type="number" min={1} max={100000} value={tickLimit} disabled={running} onChange={(e) => setTickLimit(Math.max(1, parseInt(e.target.value) || 1))} className={inputClass} />
+            </label>
+            <label className="space-y-1">
+              <span className="block">Record every</span>
+              <input type="number" min={1} value={recordEvery} disabled={running} onChange={(e) => setRecordEvery(Math.max(1, parseInt(e.target.value) || 1))} className={inputClass} />
+            </label>
+          </div>
+          <p className="text-xs text-gray-400">
+            {combinations} combination{combinations === 1 ? '' : 's'} × {repetitions} repetition{repetitions === 1 ? '' : 's'} = <span className="text-white font-semibold">{totalRuns} runs</span>
+          </p>
+          <div className="flex gap-2">
+            {running ? (
+              <button
+                onClick={cancelExperiment}
+                className="flex-1 py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 transition-all flex items-center justify-center gap-1 text-sm"
+              >
+                <Square className="w-4 h-4" /> Cancel
+              </button>
+            ) : (
+              <button
+                onClick={startExperiment}
+                disabled={errors.length > 0}
+                className="flex-1 py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-purple-500 to-purple-600 hover:from-purple-600 hover:to-purple-700 transition-all flex items-center justify-center gap-1 text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                <Play className="w-4 h-4" /> Run Experiment
+              </button>
+            )}
+            <button
+              onClick={downloadResults}
+              disabled={progress.done === 0}
+              className="py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 transition-all flex items-center justify-center gap-1 text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Download results (CSV)"
+            >
+              <Download className="w-4 h-4" /> CSV
+            </button>
+          </div>
+          {status !== 'idle' && (
+            <div>
+              <div className="flex justify-between text-xs text-gray-400 mb-1">
+                <span>{running ? 'Running…' : status === 'done' ? 'Complete' : 'Cancelled'}</span>
+                <span>{progress.done} / {progress.total} runs</span>
+              </div>
+              <div className="w-full bg-slate-700/50 rounded-full h-2 overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-purple-500 to-purple-600 transition-all duration-300 ease-out"
+                  style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Preview: final tick of the first runs */}
+      {finalRows.length > 0 && (
+        <div className="mt-4 overflow-x-auto">
+          <p className="text-xs text-gray-500 mb-2">
+            Final tick of the first {finalRows.length} run{finalRows.length === 1 ? '' : 's'}; download the CSV for every recording tick.
+          </p>
+          <table className="w-full text-xs font-mono text-gray-300">
+            <thead>
+              <tr className="text-gray-400 border-b border-slate-700/50">
+                <th className="text-left py-1 pr-3">Run</th>
+                <th className="text-left py-1 pr-3">Rep</th>
+                {factorKeysRef.current.map(key => (
+                  <th key={key} className="text-left py-1 pr-3">{specFor(key).label}</th>
+                ))}
+                {RESULT_METRICS.slice(0, 5).map(metric => (
+                  <th key={metric.key} className="text-right py-1 pr-3">{metric.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {finalRows.map(row => (
+                <tr key={row.run} className="border-b border-slate-800/50">
+                  <td className="py-1 pr-3">{row.run}</td>
+                  <td className="py-1 pr-3">{row.repetition}</td>
+                  {factorKeysRef.current.map(key => (
+                    <td key={key} className="py-1 pr-3">{row[key]}</td>
+                  ))}
+                  {RESULT_METRICS.slice(0, 5).map(metric => (
+                    <td key={metric.key} className="text-right py-1 pr-3">
+                      {Number.isInteger(row[metric.key]) ? row[metric.key] : row[metric.key].toFixed(1)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExperimentDesigner;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { PARAM_SPECS } from './simulation';
+
+const specFor = (key) => PARAM_SPECS.find(spec => spec.key === key);
+
+const percentOf = (part, whole) => (whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '–');
+
+// Fisheries management rules for the harvesters: total allowable catch per
+// period, closed seasons repeating every year and daily bag limits, with a
+// report of how often each rule has been binding in this run
+const HarvestRules = ({ params, rules, tick, onChange, lowPerformanceMode }) => {
+  const inputClass = 'w-full px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white font-mono text-xs focus:border-orange-400/50 focus:outline-none transition-colors';
+
+  const setNumber = (key, raw) => {
+    const spec = specFor(key);
+    const value = parseInt(raw);
+    if (Number.isNaN(value)) return;
+    onChange({ [key]: Math.max(spec.min, Math.min(spec.max, value)) });
+  };
+
+  const numberField = (key, label, hint) => (
+    <label className="space-y-1">
+      <span className="block">{label}</span>
+      <input
+        type="number"
+        min={specFor(key).min}
+        max={specFor(key).max}
+        value={params[key]}
+        onChange={(e) => setNumber(key, e.target.value)}
+        className={inputClass}
+        title={hint}
+      />
+    </label>
+  );
+
+  const updateSeason = (index, patch) => {
+    onChange({ closedSeasons: params.closedSeasons.map((season, i) => (i === index ? { ...season, ...patch } : season)) });
+  };
+
+  const seasonTick = (raw) => Math.max(0, Math.min(params.ticksPerYear - 1, parseInt(raw) || 0));
+
+  const addSeason = () => {
+    const start = Math.floor(params.ticksPerYear / 4);
+    onChange({ closedSeasons: [...params.closedSeasons, { start, end: start + Math.max(1, Math.floor(params.ticksPerYear / 12)) }] });
+  };
+
+  return (
+    <div className={`${lowPerformanceMode ? 'bg-slate-800/50' : 'bg-gradient-to-br from-slate-800/50 to-slate-900/50 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
+      <h3 className="text-lg font-bold mb-4 text-orange-400 flex items-center gap-2">
+        <span>📋</span> Harvest Rules
+      </h3>
+      <div className="space-y-4 text-xs text-gray-400">
+        <div className="grid grid-cols-2 gap-2">
+          {numberField('tacLimit', 'Total allowable catch', 'Urchins per TAC period, all harvesters together (0 = no limit)')}
+          {numberField('tacPeriod', 'TAC period (ticks)', 'Length of each quota period')}
+          {numberField('bagLimit', 'Daily bag limit', 'Urchins per harvester per day (0 = no limit)')}
+          {numberField('ticksPerDay', 'Ticks per day', 'Day length for the bag limit')}
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="font-medium text-gray-300">Closed seasons</span>
+            <div className="flex items-center gap-1">
+              <span>year</span>
+              <input
+                type="number"
+                min={specFor('ticksPerYear').min}
+                value={params.ticksPerYear}
+                onChange={(e) => setNumber('ticksPerYear', e.target.value)}
+                className={`${inputClass} w-20`}
+                title="Ticks per year; seasons repeat every year"
+              />
+              <span>ticks</span>
+            </div>
+          </div>
+          {params.closedSeasons.map((season, index) => (
+            <div key={index} className="flex items-center gap-1">
+              <span>ticks</span>
+              <input type="number" min={0} max={params.ticksPerYear - 1} value={season.start} onChange={(e) => updateSeason(index, { start: seasonTick(e.target.value) })} className={inputClass} />
+              <span>to</span>
+              <input type="number" min={0} max={params.ticksPerYear - 1} value={season.end} onChange={(e) => updateSeason(index, { end: seasonTick(e.target.value) })} className={inputClass} />
+              <button
+                onClick={() => onChange({ closedSeasons: params.closedSeasons.filter((_, i) => i !== index) })}
+                className="p-1 rounded text-gray-400 hover:text-red-400 transition-colors"
+                title="Remove season"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={addSeason}
+            className="px-3 py-1 rounded-lg text-xs font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-colors flex items-center gap-1"
+          >
+            <Plus className="w-3 h-3" /> Add closed season
+          </button>
+          <p className="text-gray-500">Each season runs from its start tick up to (not including) its end tick of every year; an end before the start wraps into the next year.</p>
+        </div>
+
+        <div className="bg-slate-900/50 rounded-lg p-3 space-y-1">
+          <div className="font-medium text-gray-300 mb-1">How often the rules bound</div>
+          <div className="flex justify-between">
+            <span>Closed season</span>
+            <span className="font-mono text-white">{rules.closedSeasonTicks} ticks ({percentOf(rules.closedSeasonTicks, tick)})</span>
+          </div>
+          <div className="flex justify-between">
+            <span>TAC reached</span>
+            <span className="font-mono text-white">{rules.tacPeriodsClosed} periods, {rules.tacClosedTicks} ticks ({percentOf(rules.tacClosedTicks, tick)})</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Bag limit reached</span>
+            <span className="font-mono text-white">{rules.bagLimitsReached} harvester-days</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Idle at bag limit</span>
+            <span className="font-mono text-white">{rules.bagLimitedHarvesterTicks} harvester-ticks</span>
+          </div>
+          {params.tacLimit > 0 && (
+            <div className="flex justify-between">
+              <span>Catch this TAC period</span>
+              <span className="font-mono text-white">{rules.periodCatch} / {params.tacLimit}</span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HarvestRules;
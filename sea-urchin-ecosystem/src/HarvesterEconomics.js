@@ -0,0 +1,102 @@
+import React from 'react';
+import { PARAM_SPECS, PRICE_BASES } from './simulation';
+
+const specFor = (key) => PARAM_SPECS.find(spec => spec.key === key);
+
+const formatMoney = (value) => value.toFixed(1);
+
+// Prices and costs for the harvesters, the open-access switch and the fleet's
+// running accounts (economics from the engine stats)
+const HarvesterEconomics = ({ params, economics, onChange, lowPerformanceMode }) => {
+  const inputClass = 'w-full px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white font-mono text-xs focus:border-orange-400/50 focus:outline-none transition-colors';
+
+  const setNumber = (key, raw) => {
+    const spec = specFor(key);
+    const value = spec.step < 1 ? parseFloat(raw) : parseInt(raw);
+    if (Number.isNaN(value)) return;
+    onChange({ [key]: Math.max(spec.min, Math.min(spec.max, value)) });
+  };
+
+  const numberField = (key, label, hint) => (
+    <label className="space-y-1">
+      <span className="block">{label}</span>
+      <input
+        type="number"
+        min={specFor(key).min}
+        max={specFor(key).max}
+        step={specFor(key).step}
+        value={params[key]}
+        onChange={(e) => setNumber(key, e.target.value)}
+        className={inputClass}
+        title={hint}
+      />
+    </label>
+  );
+
+  const row = (label, value) => (
+    <div className="flex justify-between">
+      <span>{label}</span>
+      <span className="font-mono text-white">{value}</span>
+    </div>
+  );
+
+  return (
+    <div className={`${lowPerformanceMode ? 'bg-slate-800/50' : 'bg-gradient-to-br from-slate-800/50 to-slate-900/50 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
+      <h3 className="text-lg font-bold mb-4 text-orange-400 flex items-center gap-2">
+        <span>💰</span> Harvester Economics
+      </h3>
+      <div className="space-y-4 text-xs text-gray-400">
+        <div className="grid grid-cols-2 gap-2">
+          {numberField('urchinPrice', params.priceBasis === 'roe' ? 'Price per g roe' : 'Price per urchin', 'Paid for each landing')}
+          <label className="space-y-1">
+            <span className="block">Paid per</span>
+            <select
+              value={params.priceBasis}
+              onChange={(e) => onChange({ priceBasis: e.target.value })}
+              className={inputClass}
+            >
+              {PRICE_BASES.map(basis => (
+                <option key={basis} value={basis}>{basis === 'roe' ? 'gram of roe' : 'urchin'}</option>
+              ))}
+            </select>
+          </label>
+          {numberField('tripCost', 'Trip cost (per day)', 'Charged to every harvester each day')}
+          {numberField('fuelCost', 'Fuel cost (per unit)', 'Charged per world unit moved')}
+        </div>
+
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 cursor-pointer text-gray-300">
+            <input
+              type="checkbox"
+              checked={params.openAccess}
+              onChange={(e) => onChange({ openAccess: e.target.checked })}
+              className="w-4 h-4 text-orange-500 bg-slate-700 border-slate-600 rounded focus:ring-orange-500"
+            />
+            Open access fleet
+          </label>
+          {params.openAccess && (
+            <div className="grid grid-cols-2 gap-2">
+              {numberField('fleetReviewInterval', 'Review every (ticks)', 'How often harvesters decide to stay, leave or join')}
+              {numberField('maxFleetSize', 'Max fleet size', 'Entry stops at this many harvesters')}
+            </div>
+          )}
+          <p className="text-gray-500">
+            At each review harvesters that lost money since the last one leave, and one joins if the fleet made a profit on average.
+          </p>
+        </div>
+
+        <div className="bg-slate-900/50 rounded-lg p-3 space-y-1">
+          {row('Revenue', formatMoney(economics.revenue))}
+          {row('Fuel costs', formatMoney(economics.fuelCosts))}
+          {row('Trip costs', formatMoney(economics.tripCosts))}
+          {row('Profit', formatMoney(economics.profit))}
+          {row('Fleet size', economics.fleetSize)}
+          {params.openAccess && row('Joined / left', `${economics.entries} / ${economics.exits}`)}
+          {economics.lastReviewTick !== null && row(`Mean profit at tick ${economics.lastReviewTick} review`, formatMoney(economics.lastReviewProfit))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HarvesterEconomics;
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { CalendarClock, Plus, Trash2, CheckCircle } from 'lucide-react';
+import {
+  INTERVENTION_METRICS,
+  INTERVENTION_ACTIONS,
+  INTERVENTION_PARAMS,
+  URCHIN_STAGES,
+  validateInterventions,
+  describeIntervention
+} from './simulation';
+
+const newInterventionId = () => `event-${Date.now().toString(36)}${Math.floor(Math.random() * 1e6).toString(36)}`;
+
+const EMPTY_DRAFT = {
+  label: '',
+  triggerType: 'tick',
+  tick: 500,
+  metric: 'totalUrchins',
+  op: '>',
+  threshold: 100,
+  actionType: 'setParam',
+  key: 'harvesterCount',
+  value: 0,
+  factor: 2,
+  stage: 'adult',
+  percent: 50,
+  count: 20
+};
+
+// Turn the form into a schedule entry
+const draftToEvent = (draft) => {
+  const trigger = draft.triggerType === 'tick'
+    ? { type: 'tick', tick: Number(draft.tick) }
+    : { type: 'condition', metric: draft.metric, op: draft.op, value: Number(draft.threshold) };
+  const action = {
+    setParam: { type: 'setParam', key: draft.key, value: Number(draft.value) },
+    multiplyParam: { type: 'multiplyParam', key: draft.key, factor: Number(draft.factor) },
+    removeUrchins: { type: 'removeUrchins', stage: draft.stage, fraction: Number(draft.percent) / 100 },
+    restockCoral: { type: 'restockCoral', count: Number(draft.count) }
+  }[draft.actionType];
+  return { id: newInterventionId(), label: draft.label.trim(), trigger, action };
+};
+
+// Scenario timeline: management events that fire at a tick or the first time
+// a condition holds. Edits apply to the running simulation; each event fires
+// once per run and resetting re-arms them all.
+const InterventionTimeline = ({ interventions, log, onChange, lowPerformanceMode }) => {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+  const { interventions: [candidate], errors } = validateInterventions([draftToEvent(draft)]);
+  const update = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+
+  const addEvent = () => {
+    if (!candidate) return;
+    onChange([...interventions, candidate]);
+    update({ label: '' });
+  };
+
+  const inputClass = 'px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white font-mono text-xs focus:border-cyan-400/50 focus:outline-none transition-colors';
+  const selectClass = 'px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white text-xs focus:outline-none';
+
+  return (
+    <div className={`mt-6 ${lowPerformanceMode ? 'bg-slate-800/30' : 'bg-gradient-to-br from-slate-800/30 to-slate-900/30 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
+      <h3 className="text-xl font-bold mb-2 flex items-center gap-2">
+        <CalendarClock className="w-5 h-5 text-cyan-400" />
+        Scenario Timeline
+      </h3>
+      <p className="text-xs text-gray-400 mb-4">
+        Schedule management interventions at a given tick or when a condition is first met. Each event fires once per run;
+        resetting re-arms them and restores the parameters they changed. Executed events are marked on the history charts and included in the exports.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Schedule */}
+        <div className="space-y-2">
+          {interventions.length === 0 && (
+            <p className="text-xs text-gray-500">No interventions scheduled.</p>
+          )}
+          {interventions.map(event => {
+            const fired = log.find(entry => entry.id === event.id);
+            return (
+              <div key={event.id} className="flex items-start gap-2 p-2 bg-slate-900/30 rounded-lg text-xs">
+                <CheckCircle className={`w-4 h-4 mt-0.5 shrink-0 ${fired ? 'text-amber-400' : 'text-slate-600'}`} />
+                <div className="flex-1">
+                  <div className="text-white">{event.label}</div>
+                  {event.label !== describeIntervention(event) && (
+                    <div className="text-gray-500">{describeIntervention(event)}</div>
+                  )}
+                  <div className={fired ? 'text-amber-300' : 'text-gray-500'}>
+                    {fired ? `Fired at tick ${fired.tick}: ${fired.effect}` : 'Pending'}
+                  </div>
+                </div>
+                <button
+                  onClick={() => onChange(interventions.filter(e => e.id !== event.id))}
+                  className="p-1 rounded text-gray-400 hover:text-red-400 transition-colors"
+                  title="Remove intervention"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* New event */}
+        <div className="space-y-2 text-xs text-gray-400">
+          <div className="flex flex-wrap items-center gap-2">
+            <span>Trigger</span>
+            <select value={draft.triggerType} onChange={(e) => update({ triggerType: e.target.value })} className={selectClass}>
+              <option value="tick">At tick</option>
+              <option value="condition">When</option>
+            </select>
+            {draft.triggerType === 'tick' ? (
+              <input type="number" min={1} value={draft.tick} onChange={(e) => update({ tick: e.target.value })} className={`${inputClass} w-24`} />
+            ) : (
+              <>
+                <select value={draft.metric} onChange={(e) => update({ metric: e.target.value })} className={selectClass}>
+                  {INTERVENTION_METRICS.map(m => (
+                    <option key={m.key} value={m.key}>{m.label}</option>
+                  ))}
+                </select>
+                <select value={draft.op} onChange={(e) => update({ op: e.target.value })} className={selectClass}>
+                  <option value=">">&gt;</option>
+                  <option value="<">&lt;</option>
+                </select>
+                <input type="number" value={draft.threshold} onChange={(e) => update({ threshold: e.target.value })} className={`${inputClass} w-20`} />
+              </>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <span>Action</span>
+            <select value={draft.actionType} onChange={(e) => update({ actionType: e.target.value })} className={selectClass}>
+              {INTERVENTION_ACTIONS.map(a => (
+                <option key={a.type} value={a.type}>{a.label}</option>
+              ))}
+            </select>
+            {(draft.actionType === 'setParam' || draft.actionType === 'multiplyParam') && (
+              <>
+                <select value={draft.key} onChange={(e) => update({ key: e.target.value })} className={selectClass}>
+                  {INTERVENTION_PARAMS.map(s => (
+                    <option key={s.key} value={s.key}>{s.label}</option>
+                  ))}
+                </select>
+                <span>{draft.actionType === 'setParam' ? 'to' : 'by'}</span>
+                {draft.actionType === 'setParam' ? (
+                  <input type="number" value={draft.value} onChange={(e) => update({ value: e.target.value })} className={`${inputClass} w-20`} />
+                ) : (
+                  <input type="number" min={0} step={0.1} value={draft.factor} onChange={(e) => update({ factor: e.target.value })} className={`${inputClass} w-20`} />
+                )}
+              </>
+            )}
+            {draft.actionType === 'removeUrchins' && (
+              <>
+                <input type="number" min={0} max={100} value={draft.percent} onChange={(e) => update({ percent: e.target.value })} className={`${inputClass} w-16`} />
+                <span>% of</span>
+                <select value={draft.stage} onChange={(e) => update({ stage: e.target.value })} className={selectClass}>
+                  {URCHIN_STAGES.map(stage => (
+                    <option key={stage} value={stage}>{stage === 'all' ? 'all urchins' : `${stage}s`}</option>
+                  ))}
+                </select>
+              </>
+            )}
+            {draft.actionType === 'restockCoral' && (
+              <>
+                <input type="number" min={1} value={draft.count} onChange={(e) => update({ count: e.target.value })} className={`${inputClass} w-20`} />
+                <span>dead or degraded corals</span>
+              </>
+            )}
+          </div>
+
+          <div className="flex items-center gap-2">
+            <input
+              value={draft.label}
+              onChange={(e) => update({ label: e.target.value })}
+              onKeyDown={(e) => e.key === 'Enter' && addEvent()}
+              placeholder={candidate ? candidate.label : 'Label (optional)'}
+              className={`${inputClass} flex-1 font-sans`}
+            />
+            <button
+              onClick={addEvent}
+              disabled={!candidate}
+              className="px-3 py-1 rounded-lg text-xs font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-colors flex items-center gap-1 disabled:opacity-40"
+            >
+              <Plus className="w-3 h-3" /> Schedule
+            </button>
+          </div>
+          {errors.length > 0 && (
+            <p className="text-red-300">{errors[0].replace(/^Intervention 1: /, '')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InterventionTimeline;
@@ -0,0 +1,171 @@
+import React, { useState, useRef } from 'react';
+import { Plus, Pencil, Trash2, Download, Upload, Check, X } from 'lucide-react';
+import { newPresetId, presetsToJSON, parsePresetCollection, mergePresets } from './presetLibrary';
+import { downloadText } from './download';
+
+export const userPresetKey = (preset) => `user:${preset.id}`;
+
+// Built-in scenarios plus the user's saved presets. Saving captures the full
+// current parameter set; the library can be shared as a JSON collection.
+const PresetBar = ({ presets, userPresets, activePreset, onApply, onUserPresetsChange, params, lowPerformanceMode, onNotice }) => {
+  const [managing, setManaging] = useState(false);
+  const [form, setForm] = useState(null); // { id | null, name, icon, description }
+  const fileRef = useRef(null);
+
+  const chipClass = (key) => `px-4 py-2 ${lowPerformanceMode ? 'bg-slate-700/50' : 'bg-gradient-to-r from-slate-700/50 to-slate-600/50 backdrop-blur-lg'} rounded-full border ${activePreset === key ? 'border-cyan-400/70' : 'border-slate-500/30'} hover:from-slate-600/50 hover:to-slate-500/50 transition-all flex items-center gap-2 group`;
+  const toolClass = 'px-3 py-2 rounded-full border border-dashed border-slate-500/40 text-xs text-gray-300 hover:bg-slate-700/50 transition-colors flex items-center gap-1';
+  const inputClass = 'px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white text-sm focus:border-cyan-400/50 focus:outline-none';
+
+  const submitForm = () => {
+    const name = form.name.trim();
+    if (!name) return;
+    const details = { name, icon: form.icon.trim() || '⭐', description: form.description.trim() };
+    if (form.id) {
+      onUserPresetsChange(userPresets.map(p => (p.id === form.id ? { ...p, ...details } : p)));
+    } else {
+      const preset = { id: newPresetId(), ...details, params: { ...params } };
+      onUserPresetsChange([...userPresets, preset]);
+      onNotice({ type: 'info', text: `Saved preset "${name}" with the current parameters (seed ${params.seed}).` });
+    }
+    setForm(null);
+  };
+
+  const deletePreset = (preset) => {
+    if (!window.confirm(`Delete preset "${preset.name}"?`)) return;
+    onUserPresetsChange(userPresets.filter(p => p.id !== preset.id));
+  };
+
+  const exportPresets = () => {
+    downloadText(presetsToJSON(userPresets), `ecosystem-presets-${Date.now()}.json`, 'application/json');
+  };
+
+  const importPresets = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const imported = parsePresetCollection(e.target.result);
+        onUserPresetsChange(mergePresets(userPresets, imported));
+        onNotice({ type: 'info', text: `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'} from ${file.name}.` });
+      } catch (error) {
+        onNotice({ type: 'error', text: `Could not import ${file.name}: ${error.message}` });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap gap-3 justify-center">
+        {Object.entries(presets).map(([key, preset]) => (
+          <button
+            key={key}
+            onClick={() => onApply(key)}
+            className={chipClass(key)}
+          >
+            <span className={`text-lg ${!lowPerformanceMode && 'group-hover:scale-125'} transition-transform`}>{preset.icon}</span>
+            <span className="text-sm font-medium">{preset.name}</span>
+          </button>
+        ))}
+        {userPresets.map(preset => (
+          <div key={preset.id} className="flex items-center gap-1">
+            <button
+              onClick={() => onApply(userPresetKey(preset))}
+              className={chipClass(userPresetKey(preset))}
+              title={preset.description || undefined}
+            >
+              <span className={`text-lg ${!lowPerformanceMode && 'group-hover:scale-125'} transition-transform`}>{preset.icon}</span>
+              <span className="text-sm font-medium">{preset.name}</span>
+            </button>
+            {managing && (
+              <>
+                <button
+                  onClick={() => setForm({ id: preset.id, name: preset.name, icon: preset.icon, description: preset.description })}
+                  className="p-1 rounded text-gray-400 hover:text-cyan-300 transition-colors"
+                  title="Rename"
+                >
+                  <Pencil className="w-3 h-3" />
+                </button>
+                <button
+                  onClick={() => deletePreset(preset)}
+                  className="p-1 rounded text-gray-400 hover:text-red-400 transition-colors"
+                  title="Delete"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+        <button onClick={() => setForm({ id: null, name: '', icon: '⭐', description: '' })} className={toolClass} title="Save the current parameters as a preset">
+          <Plus className="w-3 h-3" /> Save current
+        </button>
+        {userPresets.length > 0 && (
+          <button onClick={() => setManaging(!managing)} className={toolClass} title="Rename or delete your presets">
+            <Pencil className="w-3 h-3" /> {managing ? 'Done' : 'Manage'}
+          </button>
+        )}
+        <button onClick={exportPresets} disabled={userPresets.length === 0} className={`${toolClass} disabled:opacity-40`} title="Export your presets as JSON">
+          <Download className="w-3 h-3" /> Export
+        </button>
+        <button onClick={() => fileRef.current && fileRef.current.click()} className={toolClass} title="Import presets from JSON">
+          <Upload className="w-3 h-3" /> Import
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            importPresets(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      {form && (
+        <div className="mt-3 flex flex-wrap items-center justify-center gap-2">
+          <input
+            value={form.icon}
+            onChange={(e) => setForm({ ...form, icon: e.target.value })}
+            className={`${inputClass} w-14 text-center`}
+            maxLength={4}
+            title="Icon (emoji)"
+          />
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && submitForm()}
+            className={`${inputClass} w-48`}
+            placeholder="Preset name"
+            autoFocus
+          />
+          <input
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && submitForm()}
+            className={`${inputClass} w-72`}
+            placeholder="Description (optional)"
+          />
+          <button
+            onClick={submitForm}
+            disabled={!form.name.trim()}
+            className="p-2 rounded-lg bg-cyan-600 hover:bg-cyan-700 transition-colors disabled:opacity-40"
+            title={form.id ? 'Save changes' : 'Save preset'}
+          >
+            <Check className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setForm(null)}
+            className="p-2 rounded-lg bg-slate-700/50 hover:bg-slate-600/50 transition-colors"
+            title="Cancel"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresetBar;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Square, Hexagon, Trash2, X } from 'lucide-react';
+
+const ZONE_COLOR = '#38bdf8';
+
+// Smallest rectangle side, in world units, that counts as a drawn zone
+const MIN_ZONE_SIZE = 5;
+
+const newZoneId = () => `zone-${Date.now().toString(36)}${Math.floor(Math.random() * 1e6).toString(36)}`;
+
+const zoneLabelAt = (zone) => (zone.shape === 'rect' ? [zone.x + 4, zone.y + 14] : [zone.points[0][0] + 4, zone.points[0][1] + 14]);
+
+// Protected zones drawn over the reef view, in world units. While drawMode is
+// 'rect' (drag) or 'polygon' (click points, double-click or click the first
+// point to close) the overlay takes the pointer; otherwise it lets clicks
+// through to the reef below.
+export const ZoneOverlay = ({ zones, width, height, drawMode, onAdd, onCancel }) => {
+  const svgRef = useRef(null);
+  const [draft, setDraft] = useState(null); // { start, end } for rect, { points, cursor } for polygon
+
+  useEffect(() => {
+    setDraft(null);
+  }, [drawMode]);
+
+  useEffect(() => {
+    if (!drawMode) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [drawMode, onCancel]);
+
+  const toWorld = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return [Math.max(0, Math.min(width, x)), Math.max(0, Math.min(height, y))];
+  };
+
+  const finishPolygon = (points) => {
+    if (points.length >= 3) onAdd({ id: newZoneId(), shape: 'polygon', points: points.map(([x, y]) => [Math.round(x), Math.round(y)]) });
+    setDraft(null);
+  };
+
+  const handlePointerDown = (event) => {
+    if (drawMode !== 'rect') return;
+    const start = toWorld(event);
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDraft({ start, end: start });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const point = toWorld(event);
+    setDraft(drawMode === 'rect' ? { ...draft, end: point } : { ...draft, cursor: point });
+  };
+
+  const handlePointerUp = () => {
+    if (drawMode !== 'rect' || !draft) return;
+    const [x0, y0] = draft.start;
+    const [x1, y1] = draft.end;
+    const zone = {
+      id: newZoneId(),
+      shape: 'rect',
+      x: Math.round(Math.min(x0, x1)),
+      y: Math.round(Math.min(y0, y1)),
+      width: Math.round(Math.abs(x1 - x0)),
+      height: Math.round(Math.abs(y1 - y0))
+    };
+    if (zone.width >= MIN_ZONE_SIZE && zone.height >= MIN_ZONE_SIZE) onAdd(zone);
+    setDraft(null);
+  };
+
+  const handleClick = (event) => {
+    if (drawMode !== 'polygon') return;
+    const point = toWorld(event);
+    const points = draft ? draft.points : [];
+    // Clicking near the first point closes the shape
+    if (points.length >= 3 && Math.hypot(point[0] - points[0][0], point[1] - points[0][1]) < 10) {
+      finishPolygon(points);
+      return;
+    }
+    setDraft({ points: [...points, point], cursor: point });
+  };
+
+  const handleDoubleClick = () => {
+    // The double-click's own clicks have already added the same point twice
+    if (drawMode === 'polygon' && draft) finishPolygon(draft.points.slice(0, -1));
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className="absolute top-0 left-0 w-full h-full"
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="xMinYMin meet"
+      style={{ pointerEvents: drawMode ? 'auto' : 'none', cursor: drawMode ? 'crosshair' : 'default' }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onClick={handleClick}
+      onDoubleClick={handleDoubleClick}
+    >
+      {zones.map(zone => {
+        const [labelX, labelY] = zoneLabelAt(zone);
+        const shapeProps = { fill: ZONE_COLOR, fillOpacity: 0.12, stroke: ZONE_COLOR, strokeWidth: 2, strokeDasharray: '6 4' };
+        return (
+          <g key={zone.id}>
+            {zone.shape === 'rect'
+              ? <rect x={zone.x} y={zone.y} width={zone.width} height={zone.height} {...shapeProps} />
+              : <polygon points={zone.points.map(p => p.join(',')).join(' ')} {...shapeProps} />}
+            <text x={labelX} y={labelY} fill={ZONE_COLOR} fontSize={12} fontWeight={600}>{zone.name}</text>
+          </g>
+        );
+      })}
+      {draft && drawMode === 'rect' && (
+        <rect
+          x={Math.min(draft.start[0], draft.end[0])}
+          y={Math.min(draft.start[1], draft.end[1])}
+          width={Math.abs(draft.end[0] - draft.start[0])}
+          height={Math.abs(draft.end[1] - draft.start[1])}
+          fill={ZONE_COLOR}
+          fillOpacity={0.2}
+          stroke={ZONE_COLOR}
+          strokeWidth={2}
+        />
+      )}
+      {draft && drawMode === 'polygon' && (
+        <>
+          <polyline
+            points={[...draft.points, draft.cursor].map(p => p.join(',')).join(' ')}
+            fill={ZONE_COLOR}
+            fillOpacity={0.2}
+            stroke={ZONE_COLOR}
+            strokeWidth={2}
+          />
+          {draft.points.map(([x, y], i) => (
+            <circle key={i} cx={x} cy={y} r={i === 0 ? 5 : 3} fill={ZONE_COLOR} />
+          ))}
+        </>
+      )}
+    </svg>
+  );
+};
+
+const formatDensity = (value) => value.toFixed(3);
+
+// Zone drawing tools, the harvester avoidance switch and the inside vs
+// outside statistics table (protectedAreas from the engine stats)
+const ProtectedZonesBar = ({ zones, avoid, drawMode, protectedAreas, onDrawModeChange, onZonesChange, onAvoidChange }) => {
+  const toolClass = (active) => `px-3 py-1 rounded-lg text-xs font-medium transition-colors flex items-center gap-1 ${active ? 'bg-sky-600 text-white' : 'bg-slate-700/50 hover:bg-slate-600/50'}`;
+
+  const renameZone = (id, name) => {
+    onZonesChange(zones.map(zone => (zone.id === id ? { ...zone, name } : zone)));
+  };
+
+  const statsRow = (label, area, key, nameCell) => (
+    <tr key={key} className="border-t border-slate-700/30">
+      <td className="py-1 pr-2">{nameCell || label}</td>
+      <td className="py-1 pr-2 text-right font-mono">{area ? area.cells : '–'}</td>
+      <td className="py-1 pr-2 text-right font-mono">{area ? `${area.urchins} (${area.adults})` : '–'}</td>
+      <td className="py-1 pr-2 text-right font-mono">{area ? formatDensity(area.urchinDensity) : '–'}</td>
+      <td className="py-1 text-right font-mono">{area && area.corals > 0 ? `${area.coralHealth.toFixed(1)}%` : '–'}</td>
+    </tr>
+  );
+
+  return (
+    <div className="mt-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+        <span className="font-semibold text-gray-300">No-take zones</span>
+        <button onClick={() => onDrawModeChange(drawMode === 'rect' ? null : 'rect')} className={toolClass(drawMode === 'rect')} title="Drag on the reef to draw a rectangle">
+          <Square className="w-3 h-3" /> Rectangle
+        </button>
+        <button onClick={() => onDrawModeChange(drawMode === 'polygon' ? null : 'polygon')} className={toolClass(drawMode === 'polygon')} title="Click points on the reef to draw a polygon">
+          <Hexagon className="w-3 h-3" /> Polygon
+        </button>
+        {drawMode && (
+          <button onClick={() => onDrawModeChange(null)} className={toolClass(false)} title="Stop drawing (Esc)">
+            <X className="w-3 h-3" /> Cancel
+          </button>
+        )}
+        {zones.length > 0 && (
+          <button onClick={() => onZonesChange([])} className={toolClass(false)} title="Remove every zone">
+            <Trash2 className="w-3 h-3" /> Clear all
+          </button>
+        )}
+        <label className="flex items-center gap-2 ml-auto cursor-pointer">
+          <input
+            type="checkbox"
+            checked={avoid}
+            onChange={(e) => onAvoidChange(e.target.checked)}
+            className="w-4 h-4 text-sky-500 bg-slate-700 border-slate-600 rounded focus:ring-sky-500"
+          />
+          Harvesters avoid zones
+        </label>
+      </div>
+      {drawMode && (
+        <p className="text-xs text-sky-300">
+          {drawMode === 'rect'
+            ? 'Drag across the reef to draw a rectangle. Esc cancels.'
+            : 'Click to add corners; double-click or click the first corner to close. Esc cancels.'}
+        </p>
+      )}
+
+      {zones.length > 0 && (
+        <table className="w-full text-xs text-gray-300">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="text-left font-normal pb-1">Zone</th>
+              <th className="text-right font-normal pb-1">Cells</th>
+              <th className="text-right font-normal pb-1">Urchins (adults)</th>
+              <th className="text-right font-normal pb-1">Urchins / cell</th>
+              <th className="text-right font-normal pb-1">Coral health</th>
+            </tr>
+          </thead>
+          <tbody>
+            {zones.map((zone, i) => statsRow(zone.name, protectedAreas && protectedAreas.zones[i], zone.id, (
+              <div className="flex items-center gap-1">
+                <input
+                  value={zone.name}
+                  onChange={(e) => renameZone(zone.id, e.target.value)}
+                  className="w-32 px-1 bg-transparent border-b border-transparent hover:border-slate-600 focus:border-sky-400 focus:outline-none text-sky-300"
+                />
+                <button
+                  onClick={() => onZonesChange(zones.filter(z => z.id !== zone.id))}
+                  className="p-0.5 rounded text-gray-500 hover:text-red-400 transition-colors"
+                  title="Remove zone"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            )))}
+            {statsRow('All zones', protectedAreas && protectedAreas.inside, 'inside')}
+            {statsRow('Outside zones', protectedAreas && protectedAreas.outside, 'outside')}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ProtectedZonesBar;
@@ -1,122 +1,872 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import * as d3 from 'd3';
-import { Play, Pause, RotateCcw, Download, Settings, Info, Zap, Fish, Heart, Waves } from 'lucide-react';
+import { Play, Pause, RotateCcw, Download, Settings, Info, Zap, Fish, Heart, Waves, Dices, Save, FolderOpen, StepBack, StepForward, History, FileUp, Link } from 'lucide-react';
+import {
+  createEmptyStats,
+  createEmptyHistory,
+  createEmptyDetailedHistory,
+  randomSeed,
+  summarizeReplicates,
+  resultsToCSV,
+  DEFAULT_PARAMS,
+  WORLD_LIMITS,
+  BOUNDARY_MODES,
+  HARVESTER_STRATEGIES,
+  PREDATOR_SPECIES,
+  PREDATOR_MIXES,
+  getWorld,
+  parseRunConfiguration,
+  encodeScenario,
+  decodeScenario,
+  describeIntervention
+} from './simulation';
+import { createSimulationClient, createExperimentClient } from './simulation/client';
+import { spriteStyles, drawSprite, appendUrchinGradient, OCEAN_GRADIENT_STOPS, PREDATOR_COLORS } from './rendering/sprites';
+import { createCanvasRenderer } from './rendering/canvasRenderer';
+import ExperimentDesigner from './ExperimentDesigner';
+import SensitivityAnalysis from './SensitivityAnalysis';
+import CalibrationPanel from './CalibrationPanel';
+import InterventionTimeline from './InterventionTimeline';
+import ProtectedZonesBar, { ZoneOverlay } from './ProtectedZones';
+import HarvestRules from './HarvestRules';
+import HarvesterEconomics from './HarvesterEconomics';
+import PresetBar, { userPresetKey } from './PresetBar';
+import { loadUserPresets, saveUserPresets } from './presetLibrary';
+import { downloadBlob, downloadText } from './download';
 
-const SeaUrchinEcosystemModel = () => {
-  // Simulation dimensions
-  const width = 800;
-  const height = 600;
-  const cellSize = 20;
-  const gridWidth = Math.floor(width / cellSize);
-  const gridHeight = Math.floor(height / cellSize);
+const boundaryModeLabels = {
+  reflect: { name: 'Reflect', description: 'Agents bounce off the edges' },
+  torus: { name: 'Torus', description: 'Agents wrap around to the opposite edge' },
+  open: { name: 'Open', description: 'Urchins leave for good and immigrants arrive; harvesters are replaced' }
+};
+
+const harvesterStrategyLabels = {
+  random: { name: 'Random', description: 'Wander at random, like the urchins' },
+  density: { name: 'Density', description: 'Head for the densest patch of legal urchins within the perception radius' },
+  memory: { name: 'Memory', description: 'Return to the last catch site until it turns up empty' },
+  shared: { name: 'Shared', description: 'Head for the nearest of the fleet\'s recent catch sites' },
+  lanes: { name: 'Lanes', description: 'Patrol parallel east-west lanes two harvest radii apart' }
+};
+
+const predatorSpeciesLabels = {
+  mixed: { name: 'Mixed', description: 'Triggerfish, wrasses and spiny lobsters in equal numbers' },
+  triggerfish: { name: 'Triggerfish', description: 'Fast; prefer adult urchins and can crack the largest tests' },
+  wrasse: { name: 'Wrasse', description: 'Take juveniles readily, adults only while still small' },
+  lobster: { name: 'Spiny lobster', description: 'Slow; take juveniles and adults up to mid size' }
+};
+
+// Population chart series that get a replicate mean and 95% band
+const REPLICATE_SERIES = [
+  { key: 'totalUrchins', color: '#00ffcc', axis: 'count' },
+  { key: 'coralHealth', color: '#ff6b8a', axis: 'percent' },
+  { key: 'algaeCoverage', color: '#00d474', axis: 'percent' }
+];
+
+// Markers for imported survey data on the charts
+const OBSERVED_MARKERS = [
+  { key: 'urchins', color: '#00ffcc', symbol: d3.symbolCircle },
+  { key: 'coralCover', color: '#ff6b8a', symbol: d3.symbolSquare },
+  { key: 'algaeCover', color: '#00d474', symbol: d3.symbolTriangle }
+];
+
+const drawObservedMarkers = (group, points, key, color, symbol, x, y) => {
+  group.selectAll(null)
+    .data(points.filter(p => p[key] !== undefined))
+    .enter()
+    .append('path')
+    .attr('d', d3.symbol(symbol, 40))
+    .attr('transform', p => `translate(${x(p)},${y(p)})`)
+    .attr('fill', '#0f172a')
+    .attr('stroke', color)
+    .attr('stroke-width', 1.5);
+};
+
+// Free-text CSV cell (labels and names may contain commas)
+const csvQuote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+
+// Executed interventions as dashed vertical lines with a hover label
+const drawInterventionMarkers = (group, log, x, chartHeight) => {
+  const [start, end] = x.domain();
+  const markers = group.selectAll(null)
+    .data(log.filter(entry => entry.tick >= start && entry.tick <= end))
+    .enter()
+    .append('g')
+    .attr('transform', entry => `translate(${x(entry.tick)},0)`);
+  markers.append('line')
+    .attr('y1', 0)
+    .attr('y2', chartHeight)
+    .attr('stroke', '#fbbf24')
+    .attr('stroke-width', 1.5)
+    .attr('stroke-dasharray', '3 3');
+  markers.append('path')
+    .attr('d', 'M0,0 L8,3 L0,6 Z')
+    .attr('fill', '#fbbf24');
+  markers.append('title')
+    .text(entry => `Tick ${entry.tick}: ${entry.label} (${entry.effect})`);
+};
+
+// Urchin density and coral health inside the no-take zones vs outside them
+const ProtectedAreaChart = ({ history, detailedHistory, interventionLog }) => {
+  const chartRef = useRef(null);
+  
+  useEffect(() => {
+    if (!chartRef.current) return;
+    
+    const margin = { top: 20, right: 60, bottom: 50, left: 60 };
+    const chartWidth = 700 - margin.left - margin.right;
+    const chartHeight = 220 - margin.top - margin.bottom;
+    
+    const svg = d3.select(chartRef.current);
+    svg.selectAll('*').remove();
+    
+    svg.attr('width', chartWidth + margin.left + margin.right)
+       .attr('height', chartHeight + margin.top + margin.bottom);
+    
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+    
+    // Only samples taken while zones were set
+    const data = history.ticks
+      .map((tick, i) => ({
+        tick,
+        insideDensity: detailedHistory.protectedUrchinDensity[i],
+        outsideDensity: detailedHistory.openUrchinDensity[i],
+        insideHealth: detailedHistory.protectedCoralHealth[i],
+        outsideHealth: detailedHistory.openCoralHealth[i]
+      }))
+      .filter(d => d.insideHealth !== null && d.insideHealth !== undefined);
+    if (data.length === 0) return;
+    
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(data, d => d.tick))
+      .range([0, chartWidth]);
+    
+    const densityScale = d3.scaleLinear()
+      .domain([0, Math.max(d3.max(data, d => Math.max(d.insideDensity, d.outsideDensity)), 0.01)])
+      .range([chartHeight, 0]);
+    
+    const healthScale = d3.scaleLinear()
+      .domain([0, 100])
+      .range([chartHeight, 0]);
+    
+    g.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).ticks(6))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.append('g')
+      .call(d3.axisLeft(densityScale).ticks(5))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.append('g')
+      .attr('transform', `translate(${chartWidth},0)`)
+      .call(d3.axisRight(healthScale).ticks(5))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.selectAll('.domain').style('stroke', '#475569');
+    g.selectAll('.tick line').style('stroke', '#475569');
+    
+    g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('y', 0 - margin.left)
+      .attr('x', 0 - (chartHeight / 2))
+      .attr('dy', '1em')
+      .style('text-anchor', 'middle')
+      .style('fill', '#00ffcc')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Urchins per cell');
+    
+    g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('y', chartWidth + 45)
+      .attr('x', 0 - (chartHeight / 2))
+      .attr('dy', '1em')
+      .style('text-anchor', 'middle')
+      .style('fill', '#ff6b8a')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Coral health (%)');
+    
+    g.append('text')
+      .attr('y', chartHeight + 40)
+      .attr('x', chartWidth / 2)
+      .style('text-anchor', 'middle')
+      .style('fill', '#94a3b8')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Time (ticks)');
+    
+    [
+      { key: 'insideDensity', scale: densityScale, color: '#00ffcc', dashed: false },
+      { key: 'outsideDensity', scale: densityScale, color: '#00ffcc', dashed: true },
+      { key: 'insideHealth', scale: healthScale, color: '#ff6b8a', dashed: false },
+      { key: 'outsideHealth', scale: healthScale, color: '#ff6b8a', dashed: true }
+    ].forEach(({ key, scale, color, dashed }) => {
+      g.append('path')
+        .datum(data)
+        .attr('fill', 'none')
+        .attr('stroke', color)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', dashed ? '5 4' : null)
+        .attr('d', d3.line().x(d => xScale(d.tick)).y(d => scale(d[key])).curve(d3.curveMonotoneX));
+    });
+    
+    drawInterventionMarkers(g.append('g'), interventionLog, xScale, chartHeight);
+    
+  }, [history.ticks, detailedHistory, interventionLog]);
+  
+  return <svg ref={chartRef} className="protected-area-chart"></svg>;
+};
+
+// Size-frequency histogram of the current population (urchinSizes from the
+// engine stats), split at the minimum legal size
+const SizeFrequencyChart = ({ sizes, minLegalSize }) => {
+  const chartRef = useRef(null);
+  
+  useEffect(() => {
+    if (!chartRef.current) return;
+    
+    const margin = { top: 20, right: 20, bottom: 50, left: 50 };
+    const chartWidth = 400 - margin.left - margin.right;
+    const chartHeight = 200 - margin.top - margin.bottom;
+    
+    const svg = d3.select(chartRef.current);
+    svg.selectAll('*').remove();
+    
+    svg.attr('width', chartWidth + margin.left + margin.right)
+       .attr('height', chartHeight + margin.top + margin.bottom);
+    
+    if (sizes.counts.length === 0) return;
+    
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+    
+    const bins = sizes.counts.map((count, i) => ({ from: i * sizes.binWidth, to: (i + 1) * sizes.binWidth, count }));
+    
+    const xScale = d3.scaleLinear()
+      .domain([0, bins[bins.length - 1].to])
+      .range([0, chartWidth]);
+    
+    const yScale = d3.scaleLinear()
+      .domain([0, Math.max(d3.max(bins, d => d.count), 1)])
+      .nice()
+      .range([chartHeight, 0]);
+    
+    g.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).ticks(8))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.append('g')
+      .call(d3.axisLeft(yScale).ticks(5))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.selectAll('.domain').style('stroke', '#475569');
+    g.selectAll('.tick line').style('stroke', '#475569');
+    
+    g.append('text')
+      .attr('y', chartHeight + 40)
+      .attr('x', chartWidth / 2)
+      .style('text-anchor', 'middle')
+      .style('fill', '#94a3b8')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Test diameter (mm)');
+    
+    // Bins at or above the legal size are the ones harvesters may take
+    g.selectAll('.bin')
+      .data(bins)
+      .enter().append('rect')
+      .attr('x', d => xScale(d.from) + 1)
+      .attr('y', d => yScale(d.count))
+      .attr('width', d => Math.max(0, xScale(d.to) - xScale(d.from) - 2))
+      .attr('height', d => chartHeight - yScale(d.count))
+      .attr('fill', d => (d.from >= minLegalSize ? '#00ffcc' : '#67e8f9'))
+      .attr('opacity', d => (d.from >= minLegalSize ? 0.8 : 0.5))
+      .append('title')
+      .text(d => `${d.from}-${d.to} mm: ${d.count}`);
+    
+    if (minLegalSize > 0) {
+      g.append('line')
+        .attr('x1', xScale(minLegalSize))
+        .attr('x2', xScale(minLegalSize))
+        .attr('y1', 0)
+        .attr('y2', chartHeight)
+        .attr('stroke', '#ff7f50')
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '5 4');
+    }
+    
+  }, [sizes, minLegalSize]);
+  
+  return <svg ref={chartRef} className="size-frequency-chart"></svg>;
+};
+
+// Cumulative urchin deaths by cause: starvation, natural mortality, harvest
+// and predation
+const DEATH_CAUSES = [
+  { key: 'starved', label: 'Starved', color: '#facc15' },
+  { key: 'natural', label: 'Natural', color: '#a78bfa' },
+  { key: 'harvested', label: 'Harvested', color: '#ff7f50' },
+  { key: 'predated', label: 'Predated', color: '#38bdf8' }
+];
+
+const DeathsChart = ({ history, detailedHistory, interventionLog }) => {
+  const chartRef = useRef(null);
+  
+  useEffect(() => {
+    if (!chartRef.current) return;
+    
+    const margin = { top: 20, right: 20, bottom: 50, left: 50 };
+    const chartWidth = 400 - margin.left - margin.right;
+    const chartHeight = 200 - margin.top - margin.bottom;
+    
+    const svg = d3.select(chartRef.current);
+    svg.selectAll('*').remove();
+    
+    svg.attr('width', chartWidth + margin.left + margin.right)
+       .attr('height', chartHeight + margin.top + margin.bottom);
+    
+    const data = history.ticks
+      .map((tick, i) => ({
+        tick,
+        starved: detailedHistory.starvedTotal[i],
+        natural: detailedHistory.naturalDeathsTotal[i],
+        harvested: detailedHistory.harvestedTotal[i] || 0,
+        predated: detailedHistory.predatedTotal[i] || 0
+      }))
+      .filter(d => d.starved !== null && d.starved !== undefined);
+    if (data.length === 0) return;
+    
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+    
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(data, d => d.tick))
+      .range([0, chartWidth]);
+    
+    const yScale = d3.scaleLinear()
+      .domain([0, Math.max(1, d3.max(data, d => Math.max(d.starved, d.natural, d.harvested, d.predated)))])
+      .nice()
+      .range([chartHeight, 0]);
+    
+    g.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).ticks(5))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.append('g')
+      .call(d3.axisLeft(yScale).ticks(5))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.selectAll('.domain').style('stroke', '#475569');
+    g.selectAll('.tick line').style('stroke', '#475569');
+    
+    g.append('text')
+      .attr('y', chartHeight + 40)
+      .attr('x', chartWidth / 2)
+      .style('text-anchor', 'middle')
+      .style('fill', '#94a3b8')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Time (ticks)');
+    
+    DEATH_CAUSES.forEach(({ key, color }) => {
+      g.append('path')
+        .datum(data)
+        .attr('fill', 'none')
+        .attr('stroke', color)
+        .attr('stroke-width', 2)
+        .attr('d', d3.line().x(d => xScale(d.tick)).y(d => yScale(d[key])));
+    });
+    
+    drawInterventionMarkers(g.append('g'), interventionLog, xScale, chartHeight);
+    
+  }, [history.ticks, detailedHistory, interventionLog]);
+  
+  return <svg ref={chartRef} className="deaths-chart"></svg>;
+};
+
+// Predators of each species against the urchin population they feed on
+const PredatorChart = ({ history, detailedHistory, interventionLog }) => {
+  const chartRef = useRef(null);
+  
+  useEffect(() => {
+    if (!chartRef.current) return;
+    
+    const margin = { top: 20, right: 60, bottom: 50, left: 60 };
+    const chartWidth = 700 - margin.left - margin.right;
+    const chartHeight = 220 - margin.top - margin.bottom;
+    
+    const svg = d3.select(chartRef.current);
+    svg.selectAll('*').remove();
+    
+    svg.attr('width', chartWidth + margin.left + margin.right)
+       .attr('height', chartHeight + margin.top + margin.bottom);
+    
+    const data = history.ticks
+      .map((tick, i) => ({
+        tick,
+        urchins: history.urchinPop[i],
+        triggerfish: detailedHistory.triggerfishPop[i],
+        wrasse: detailedHistory.wrassePop[i],
+        lobster: detailedHistory.lobsterPop[i]
+      }))
+      .filter(d => d.triggerfish !== null && d.triggerfish !== undefined);
+    if (data.length === 0) return;
+    
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+    
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(data, d => d.tick))
+      .range([0, chartWidth]);
+    
+    const predatorScale = d3.scaleLinear()
+      .domain([0, Math.max(1, d3.max(data, d => Math.max(...PREDATOR_SPECIES.map(species => d[species]))))])
+      .nice()
+      .range([chartHeight, 0]);
+    
+    const urchinScale = d3.scaleLinear()
+      .domain([0, Math.max(1, d3.max(data, d => d.urchins))])
+      .nice()
+      .range([chartHeight, 0]);
+    
+    g.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).ticks(6))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.append('g')
+      .call(d3.axisLeft(predatorScale).ticks(5).tickFormat(d3.format('d')))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.append('g')
+      .attr('transform', `translate(${chartWidth},0)`)
+      .call(d3.axisRight(urchinScale).ticks(5))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.selectAll('.domain').style('stroke', '#475569');
+    g.selectAll('.tick line').style('stroke', '#475569');
+    
+    g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('y', 0 - margin.left)
+      .attr('x', 0 - (chartHeight / 2))
+      .attr('dy', '1em')
+      .style('text-anchor', 'middle')
+      .style('fill', '#38bdf8')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Predators');
+    
+    g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('y', chartWidth + 45)
+      .attr('x', 0 - (chartHeight / 2))
+      .attr('dy', '1em')
+      .style('text-anchor', 'middle')
+      .style('fill', '#00ffcc')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Urchins');
+    
+    g.append('text')
+      .attr('y', chartHeight + 40)
+      .attr('x', chartWidth / 2)
+      .style('text-anchor', 'middle')
+      .style('fill', '#94a3b8')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Time (ticks)');
+    
+    g.append('path')
+      .datum(data)
+      .attr('fill', 'none')
+      .attr('stroke', '#00ffcc')
+      .attr('stroke-width', 1.5)
+      .attr('stroke-dasharray', '5 4')
+      .attr('d', d3.line().x(d => xScale(d.tick)).y(d => urchinScale(d.urchins)));
+    
+    PREDATOR_SPECIES.forEach(species => {
+      g.append('path')
+        .datum(data)
+        .attr('fill', 'none')
+        .attr('stroke', PREDATOR_COLORS[species])
+        .attr('stroke-width', 2)
+        .attr('d', d3.line().x(d => xScale(d.tick)).y(d => predatorScale(d[species])).curve(d3.curveStepAfter));
+    });
+    
+    drawInterventionMarkers(g.append('g'), interventionLog, xScale, chartHeight);
+    
+  }, [history.ticks, history.urchinPop, detailedHistory, interventionLog]);
+  
+  return <svg ref={chartRef} className="predator-chart"></svg>;
+};
+
+// Cumulative revenue, costs and profit of the harvester fleet with its size
+const EconomicsChart = ({ history, detailedHistory, interventionLog }) => {
+  const chartRef = useRef(null);
+  
+  useEffect(() => {
+    if (!chartRef.current) return;
+    
+    const margin = { top: 20, right: 60, bottom: 50, left: 60 };
+    const chartWidth = 700 - margin.left - margin.right;
+    const chartHeight = 220 - margin.top - margin.bottom;
+    
+    const svg = d3.select(chartRef.current);
+    svg.selectAll('*').remove();
+    
+    svg.attr('width', chartWidth + margin.left + margin.right)
+       .attr('height', chartHeight + margin.top + margin.bottom);
+    
+    const data = history.ticks
+      .map((tick, i) => ({
+        tick,
+        revenue: detailedHistory.fleetRevenue[i],
+        costs: detailedHistory.fleetCosts[i],
+        profit: detailedHistory.fleetRevenue[i] - detailedHistory.fleetCosts[i],
+        fleet: detailedHistory.fleetSize[i]
+      }))
+      .filter(d => d.revenue !== null && d.revenue !== undefined);
+    if (data.length === 0) return;
+    
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+    
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(data, d => d.tick))
+      .range([0, chartWidth]);
+    
+    const moneyScale = d3.scaleLinear()
+      .domain([
+        Math.min(0, d3.min(data, d => d.profit)),
+        Math.max(1, d3.max(data, d => Math.max(d.revenue, d.costs)))
+      ])
+      .nice()
+      .range([chartHeight, 0]);
+    
+    const fleetScale = d3.scaleLinear()
+      .domain([0, Math.max(1, d3.max(data, d => d.fleet))])
+      .nice()
+      .range([chartHeight, 0]);
+    
+    g.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).ticks(6))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.append('g')
+      .call(d3.axisLeft(moneyScale).ticks(5))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.append('g')
+      .attr('transform', `translate(${chartWidth},0)`)
+      .call(d3.axisRight(fleetScale).ticks(5).tickFormat(d3.format('d')))
+      .selectAll('text')
+      .style('fill', '#94a3b8');
+    
+    g.selectAll('.domain').style('stroke', '#475569');
+    g.selectAll('.tick line').style('stroke', '#475569');
+    
+    g.append('line')
+      .attr('x1', 0)
+      .attr('x2', chartWidth)
+      .attr('y1', moneyScale(0))
+      .attr('y2', moneyScale(0))
+      .attr('stroke', '#475569')
+      .attr('stroke-dasharray', '2 2');
+    
+    g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('y', 0 - margin.left)
+      .attr('x', 0 - (chartHeight / 2))
+      .attr('dy', '1em')
+      .style('text-anchor', 'middle')
+      .style('fill', '#ff7f50')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Cumulative value');
+    
+    g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('y', chartWidth + 45)
+      .attr('x', 0 - (chartHeight / 2))
+      .attr('dy', '1em')
+      .style('text-anchor', 'middle')
+      .style('fill', '#00ffcc')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Harvesters');
+    
+    g.append('text')
+      .attr('y', chartHeight + 40)
+      .attr('x', chartWidth / 2)
+      .style('text-anchor', 'middle')
+      .style('fill', '#94a3b8')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .text('Time (ticks)');
+    
+    [
+      { key: 'revenue', color: '#00d474' },
+      { key: 'costs', color: '#ef4444' },
+      { key: 'profit', color: '#ff7f50' }
+    ].forEach(({ key, color }) => {
+      g.append('path')
+        .datum(data)
+        .attr('fill', 'none')
+        .attr('stroke', color)
+        .attr('stroke-width', 2)
+        .attr('d', d3.line().x(d => xScale(d.tick)).y(d => moneyScale(d[key])));
+    });
+    
+    g.append('path')
+      .datum(data)
+      .attr('fill', 'none')
+      .attr('stroke', '#00ffcc')
+      .attr('stroke-width', 1.5)
+      .attr('stroke-dasharray', '5 4')
+      .attr('d', d3.line().x(d => xScale(d.tick)).y(d => fleetScale(d.fleet)).curve(d3.curveStepAfter));
+    
+    drawInterventionMarkers(g.append('g'), interventionLog, xScale, chartHeight);
+    
+  }, [history.ticks, detailedHistory, interventionLog]);
+  
+  return <svg ref={chartRef} className="economics-chart"></svg>;
+};
 
+const SeaUrchinEcosystemModel = () => {
   // Initial states
   const [isRunning, setIsRunning] = useState(false);
   const [tick, setTick] = useState(0);
-  const [agents, setAgents] = useState({
-    seaUrchins: [],
-    harvesters: [],
-    corals: [],
-    algae: []
-  });
+  // Ticks that can be rewound to: oldest checkpoint .. end of current branch
+  const [timeline, setTimeline] = useState({ start: 0, end: 0 });
+
+  // A shared link (?seed=...&grazingRate=...) restores its scenario on load
+  const [linkScenario] = useState(() => decodeScenario(window.location.search));
 
   // Parameters state
-  const [params, setParams] = useState({
-    // Sea Urchin parameters
-    initialUrchins: 16,
-    reproductionRate: 0.02,
-    grazingRate: 0.4,
-    urchinSpeed: 0.3,
-    spawnRadius: 40,
-    
-    // Harvester parameters
-    harvesterCount: 3,
-    harvestingRate: 1.0,
-    harvesterSpeed: 1.5,
-    harvestRadius: 30,
-    
-    // Coral parameters
-    initialCoralCoverage: 23,
-    coralHealingRate: 0.015,
-    coralDegradationThreshold: 30,
-    
-    // Algae parameters
-    algaeGrowthRate: 0.13,
-    maxAlgaeDensity: 0.9,
-    
-    // Simulation parameters
-    tickRate: 100,  // milliseconds between ticks
-    speedMultiplier: 1,  // number of simulation steps per tick
-    turboMode: false,  // skip rendering for maximum speed
-    tickLimit: 1000,  // simulation stops after this many ticks (0 = unlimited)
-    enableTickLimit: false,  // whether to use tick limit
-    dataRecordingFrequency: 5  // record data every N ticks
-  });
+  const [params, setParams] = useState(() => (
+    linkScenario ? linkScenario.params : { ...DEFAULT_PARAMS, seed: randomSeed() }
+  ));
+  const [activePreset, setActivePreset] = useState(() => (linkScenario ? linkScenario.preset : null));
+  // Presets saved in this browser: [{ id, name, icon, description, params }]
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+
+  // World geometry and boundary of the running reef; follows params on reset
+  const [world, setWorld] = useState(() => getWorld(DEFAULT_PARAMS));
+  const { worldWidth: width, worldHeight: height, cellSize } = world;
 
   // Sprite styles state
-  const [spriteStyle, setSpriteStyle] = useState('default');
+  const [spriteStyle, setSpriteStyle] = useState(() => (
+    linkScenario && linkScenario.spriteStyle in spriteStyles ? linkScenario.spriteStyle : 'default'
+  ));
+  const [renderer, setRenderer] = useState('svg');
   const [customSprites, setCustomSprites] = useState({
     urchin: null,
     harvester: null,
+    predator: null,
     coral: null,
     algae: null
   });
 
   // Statistics state
-  const [stats, setStats] = useState({
-    juvenileUrchins: 0,
-    adultUrchins: 0,
-    totalUrchins: 0,
-    healthyCorals: 0,
-    degradedCorals: 0,
-    deadCorals: 0,
-    algaeCoverage: 0,
-    harvestedUrchins: 0
-  });
+  const [stats, setStats] = useState(createEmptyStats);
 
   // History for charts
-  const [history, setHistory] = useState({
-    ticks: [],
-    urchinPop: [],
-    coralHealth: [],
-    algaeCoverage: []
-  });
+  const [history, setHistory] = useState(createEmptyHistory);
 
   // Additional history tracking for new charts
-  const [detailedHistory, setDetailedHistory] = useState({
-    healthyCorals: [],
-    degradedCorals: [],
-    deadCorals: [],
-    juvenileUrchins: [],
-    adultUrchins: [],
-    harvestedTotal: []  // Changed to track cumulative total
-  });
+  const [detailedHistory, setDetailedHistory] = useState(createEmptyDetailedHistory);
 
   // UI state
   const [showInfo, setShowInfo] = useState(false);
   const [lowPerformanceMode, setLowPerformanceMode] = useState(false);
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [notice, setNotice] = useState(() => {
+    if (!linkScenario) return null; // { type: 'info' | 'error', text }
+    return linkScenario.errors.length > 0
+      ? { type: 'error', text: `Some link settings were invalid and left at their defaults: ${linkScenario.errors.join('; ')}` }
+      : { type: 'info', text: `Scenario loaded from link (seed ${linkScenario.params.seed}).` };
+  });
+  const [stepCount, setStepCount] = useState(10);
+
+  // Replicates of the current configuration, run in the background with
+  // seeds seed..seed+N-1: { count, seeds, tickLimit, recordEvery, rows, summary, done, status }
+  const [replicateCount, setReplicateCount] = useState(10);
+  const [replicates, setReplicates] = useState(null);
+  const replicateClientRef = useRef(null);
+  const replicateSummary = replicates ? replicates.summary : [];
+
+  // Imported field survey, overlaid on the charts: { name, points, series }
+  const [observed, setObserved] = useState(null);
+  const observedPoints = observed ? observed.points : [];
+
+  // Scheduled interventions that have fired this run: [{ id, tick, label, effect }]
+  const [interventionLog, setInterventionLog] = useState([]);
+
+  // Protected zone being drawn on the reef view: 'rect' | 'polygon' | null
+  const [zoneDrawMode, setZoneDrawMode] = useState(null);
 
   // Performance optimization refs
   const svgRef = useRef(null);
+  const stateFileRef = useRef(null);
+  const configFileRef = useRef(null);
   const layersRef = useRef(null);
-  const agentsRef = useRef(null);
-  const playingRef = useRef(false);
-  const tickRef = useRef(0);
-  const statsAccumRef = useRef({ harvestedCount: 0 });
-
-  // Sync refs with state
-  useEffect(() => { 
-    agentsRef.current = agents; 
-  }, [agents]);
-  
-  useEffect(() => { 
-    playingRef.current = isRunning; 
-  }, [isRunning]);
-  
-  useEffect(() => { 
-    tickRef.current = tick; 
-  }, [tick]);
+  const canvasRef = useRef(null);
+  const canvasRendererRef = useRef(null);
+  const renderFrameRef = useRef(() => {});
+  const renderRequestRef = useRef(null);
+
+  // Simulation runs in a worker; the latest frame it posted is kept here
+  const clientRef = useRef(null);
+  const frameRef = useRef({
+    tick: 0,
+    agents: { seaUrchins: [], harvesters: [], predators: [], corals: [], algae: [] }
+  });
+  const agents = frameRef.current.agents;
+
+  const sendToSimulation = useCallback((message) => {
+    if (clientRef.current) clientRef.current.send(message);
+  }, []);
+
+  // Start the simulation worker and mirror its output into React state
+  useEffect(() => {
+    const client = createSimulationClient();
+    clientRef.current = client;
+
+    client.on('frame', (frame) => {
+      frameRef.current = frame;
+      setWorld(prev => (
+        Object.keys(frame.world).every(key => prev[key] === frame.world[key]) ? prev : frame.world
+      ));
+      setTimeline(prev => (
+        prev.start === frame.timeline.start && prev.end === frame.timeline.end ? prev : frame.timeline
+      ));
+      if (frame.stats) {
+        setTick(frame.tick);
+        setStats(frame.stats);
+      }
+      if (frame.history) {
+        setHistory(frame.history);
+        setDetailedHistory(frame.detailedHistory);
+        setInterventionLog(frame.interventionLog);
+      }
+      if (!renderRequestRef.current) {
+        renderRequestRef.current = requestAnimationFrame(() => {
+          renderRequestRef.current = null;
+          renderFrameRef.current();
+        });
+      }
+    });
+    client.on('complete', ({ tick }) => {
+      setIsRunning(false);
+      console.log(`Simulation completed! Reached tick limit of ${tick}`);
+    });
+    client.on('snapshot', ({ snapshot }) => {
+      const state = { kind: 'ecosystem-state', savedAt: new Date().toISOString(), snapshot };
+      downloadText(JSON.stringify(state), `ecosystem-state-tick${snapshot.tick}-${Date.now()}.json`, 'application/json');
+    });
+    client.on('loaded', ({ params: loadedParams, migratedFrom }) => {
+      setIsRunning(false);
+      setParams(loadedParams);
+      setNotice({
+        type: 'info',
+        text: migratedFrom
+          ? `State loaded from an older save (format ${migratedFrom}): features added since start from their defaults. Press Start to resume.`
+          : 'State loaded. Press Start to resume.'
+      });
+    });
+    client.on('error', ({ message }) => {
+      setNotice({ type: 'error', text: message });
+    });
+
+    return () => {
+      if (renderRequestRef.current) cancelAnimationFrame(renderRequestRef.current);
+      renderRequestRef.current = null;
+      client.terminate();
+      clientRef.current = null;
+    };
+  }, []);
+
+  // Live parameter edits and play state are forwarded as messages
+  useEffect(() => {
+    sendToSimulation({ type: 'setParams', params });
+  }, [params, sendToSimulation]);
+
+  useEffect(() => {
+    sendToSimulation({ type: isRunning ? 'play' : 'pause' });
+  }, [isRunning, sendToSimulation]);
+
+  useEffect(() => () => {
+    if (replicateClientRef.current) replicateClientRef.current.terminate();
+  }, []);
+
+  const runReplicates = () => {
+    if (replicateClientRef.current) replicateClientRef.current.terminate();
+    const client = createExperimentClient();
+    replicateClientRef.current = client;
+
+    const count = Math.max(2, Math.min(100, Math.round(replicateCount) || 2));
+    const tickLimit = params.enableTickLimit && params.tickLimit > 0 ? params.tickLimit : DEFAULT_PARAMS.tickLimit;
+    const recordEvery = params.dataRecordingFrequency;
+    const rows = [];
+    setReplicates({
+      count,
+      seeds: Array.from({ length: count }, (_, i) => (params.seed + i) >>> 0),
+      tickLimit,
+      recordEvery,
+      rows: [],
+      summary: [],
+      done: 0,
+      status: 'running'
+    });
+
+    // The bands fill in as each replicate finishes
+    client.on('experimentRows', ({ rows: runRows, done }) => {
+      rows.push(...runRows);
+      const snapshot = [...rows];
+      setReplicates(prev => prev && { ...prev, rows: snapshot, summary: summarizeReplicates(snapshot), done });
+    });
+    client.on('experimentComplete', () => {
+      setReplicates(prev => prev && { ...prev, status: 'done' });
+      client.terminate();
+      replicateClientRef.current = null;
+    });
+
+    client.send({
+      type: 'start',
+      id: Date.now(),
+      design: { baseParams: params, factors: [], repetitions: count, tickLimit, recordEvery }
+    });
+  };
+
+  // Best-fit values from the calibration panel become the live parameters
+  const applyCalibration = (values) => {
+    setParams(prev => ({ ...prev, ...values }));
+    setNotice({ type: 'info', text: 'Best-fit parameters applied. Reset to rerun from tick 0 and compare with the survey.' });
+  };
+
+  const clearReplicates = () => {
+    if (replicateClientRef.current) replicateClientRef.current.terminate();
+    replicateClientRef.current = null;
+    setReplicates(null);
+  };
 
   // Preset configurations
   const presets = {
@@ -166,37 +916,15 @@ const SeaUrchinEcosystemModel = () => {
     }
   };
 
-  // Sprite style definitions
-  const spriteStyles = {
-    default: {
-      name: 'Default',
-      urchin: { type: 'svg', style: 'spiky' },
-      harvester: { type: 'emoji', emoji: '🎣' },
-      coral: { type: 'svg', style: 'organic' },
-      algae: { type: 'svg', style: 'wavy' }
-    },
-    emoji: {
-      name: 'Emoji',
-      urchin: { type: 'emoji', emoji: '🦔' },
-      harvester: { type: 'emoji', emoji: '👨‍🌾' },
-      coral: { type: 'emoji', emoji: '🪸' },
-      algae: { type: 'emoji', emoji: '🌿' }
-    },
-    realistic: {
-      name: 'Realistic',
-      urchin: { type: 'svg', style: 'detailed' },
-      harvester: { type: 'emoji', emoji: '🤿' },
-      coral: { type: 'svg', style: 'branching' },
-      algae: { type: 'svg', style: 'seaweed' }
-    },
-    simple: {
-      name: 'Simple',
-      urchin: { type: 'svg', style: 'circle' },
-      harvester: { type: 'svg', style: 'triangle' },
-      coral: { type: 'svg', style: 'star' },
-      algae: { type: 'svg', style: 'blob' }
-    }
-  };
+  // Built-ins by name, user presets by `user:<id>`
+  const allPresets = { ...presets };
+  userPresets.forEach(preset => {
+    allPresets[userPresetKey(preset)] = preset;
+  });
+
+  useEffect(() => {
+    saveUserPresets(userPresets);
+  }, [userPresets]);
 
   // Handle sprite image upload
   const handleSpriteUpload = (entity, file) => {
@@ -213,686 +941,144 @@ const SeaUrchinEcosystemModel = () => {
     }
   };
 
-  // Apply preset
-  const applyPreset = (preset) => {
+  // Add a zone drawn on the map and leave drawing mode
+  const addProtectedZone = (zone) => {
     setParams(prev => ({
       ...prev,
-      ...preset.params
+      protectedZones: [...prev.protectedZones, { ...zone, name: `Zone ${prev.protectedZones.length + 1}` }]
     }));
-    // If harvester count is in the preset, update harvesters immediately
-    if (preset.params.harvesterCount !== undefined) {
-      setTimeout(() => {
-        updateHarvesterCount(preset.params.harvesterCount);
-      }, 50);
-    }
-    initializeSimulation();
+    setZoneDrawMode(null);
   };
 
-  // Initialize coral reef grid
-  const initializeCorals = useCallback(() => {
-    const corals = [];
-    const coverage = params.initialCoralCoverage / 100;
-    
-    for (let x = 0; x < gridWidth; x++) {
-      for (let y = 0; y < gridHeight; y++) {
-        if (Math.random() < coverage) {
-          corals.push({
-            id: `coral-${x}-${y}`,
-            x: x * cellSize + cellSize / 2,
-            y: y * cellSize + cellSize / 2,
-            health: 100,
-            algaeLevel: 0,
-            status: 'healthy' // healthy, degraded, dead
-          });
-        }
-      }
-    }
-    return corals;
-  }, [params.initialCoralCoverage, gridWidth, gridHeight]);
-
-  // Initialize sea urchins
-  const initializeUrchins = useCallback(() => {
-    const urchins = [];
-    for (let i = 0; i < params.initialUrchins; i++) {
-      const maturityTime = Math.floor(Math.random() * (170 - 54 + 1)) + 54; // Random between 54-170
-      const age = Math.floor(Math.random() * 200); // Random initial age
-      urchins.push({
-        id: `urchin-${i}`,
-        x: Math.random() * width,
-        y: Math.random() * height,
-        vx: (Math.random() - 0.5) * params.urchinSpeed,
-        vy: (Math.random() - 0.5) * params.urchinSpeed,
-        age: age,
-        maturityTime: maturityTime,
-        isAdult: age >= maturityTime,
-        energy: 50,
-        lastSpawn: 0
-      });
-    }
-    return urchins;
-  }, [params.initialUrchins, params.urchinSpeed, width, height]);
-
-  // Initialize harvesters
-  const initializeHarvesters = useCallback(() => {
-    const harvesters = [];
-    for (let i = 0; i < params.harvesterCount; i++) {
-      harvesters.push({
-        id: `harvester-${i}`,
-        x: Math.random() * width,
-        y: Math.random() * height,
-        vx: (Math.random() - 0.5) * params.harvesterSpeed,
-        vy: (Math.random() - 0.5) * params.harvesterSpeed,
-        harvestCount: 0
-      });
-    }
-    return harvesters;
-  }, [params.harvesterCount, params.harvesterSpeed, width, height]);
-
-  // Update sea urchin count
-  const updateUrchinCount = useCallback((newCount) => {
-    setAgents(prevAgents => {
-      const currentCount = prevAgents.seaUrchins.length;
-      
-      if (newCount > currentCount) {
-        // Add new urchins
-        const newUrchins = [];
-        for (let i = currentCount; i < newCount; i++) {
-          const maturityTime = Math.floor(Math.random() * (170 - 54 + 1)) + 54; // Random between 54-170
-          const age = Math.floor(Math.random() * 200); // Random initial age
-          newUrchins.push({
-            id: `urchin-${Date.now()}-${i}`,
-            x: Math.random() * width,
-            y: Math.random() * height,
-            vx: (Math.random() - 0.5) * params.urchinSpeed,
-            vy: (Math.random() - 0.5) * params.urchinSpeed,
-            age: age,
-            maturityTime: maturityTime,
-            isAdult: age >= maturityTime,
-            energy: 50,
-            lastSpawn: 0
-          });
-        }
-        return {
-          ...prevAgents,
-          seaUrchins: [...prevAgents.seaUrchins, ...newUrchins]
-        };
-      } else if (newCount < currentCount) {
-        // Remove excess urchins randomly
-        const shuffled = [...prevAgents.seaUrchins].sort(() => Math.random() - 0.5);
-        return {
-          ...prevAgents,
-          seaUrchins: shuffled.slice(0, newCount)
-        };
-      }
-      
-      return prevAgents;
-    });
-  }, [params.urchinSpeed, width, height]);
-
-  // Update harvesters when count changes
-  const updateHarvesterCount = useCallback((newCount) => {
-    setAgents(prevAgents => {
-      const currentCount = prevAgents.harvesters.length;
-      
-      if (newCount > currentCount) {
-        // Add new harvesters
-        const newHarvesters = [];
-        for (let i = currentCount; i < newCount; i++) {
-          newHarvesters.push({
-            id: `harvester-${Date.now()}-${i}`,
-            x: Math.random() * width,
-            y: Math.random() * height,
-            vx: (Math.random() - 0.5) * params.harvesterSpeed,
-            vy: (Math.random() - 0.5) * params.harvesterSpeed,
-            harvestCount: 0
-          });
-        }
-        return {
-          ...prevAgents,
-          harvesters: [...prevAgents.harvesters, ...newHarvesters]
-        };
-      } else if (newCount < currentCount) {
-        // Remove excess harvesters
-        return {
-          ...prevAgents,
-          harvesters: prevAgents.harvesters.slice(0, newCount)
-        };
-      }
-      
-      return prevAgents;
-    });
-  }, [params.harvesterSpeed, width, height]);
+  // Apply preset
+  const applyPreset = (key) => {
+    const nextParams = { ...params, ...allPresets[key].params };
+    setActivePreset(key);
+    setParams(nextParams);
+    sendToSimulation({ type: 'setParams', params: nextParams });
+    initializeSimulation();
+  };
 
-  // Initialize simulation
-  const initializeSimulation = useCallback(() => {
-    const newAgents = {
-      seaUrchins: initializeUrchins(),
-      harvesters: initializeHarvesters(),
-      corals: initializeCorals(),
-      algae: []
-    };
-    setAgents(newAgents);
-    setTick(0);
-    tickRef.current = 0;
-    setHistory({
-      ticks: [],
-      urchinPop: [],
-      coralHealth: [],
-      algaeCoverage: []
+  // Link that reproduces the current scenario; the address bar follows along
+  const linkedPreset = allPresets[activePreset] ? activePreset : null;
+  const scenarioUrl = useCallback(() => {
+    const query = encodeScenario({
+      params,
+      spriteStyle: spriteStyle === 'custom' ? null : spriteStyle,  // uploaded images stay local
+      preset: linkedPreset
     });
-    setDetailedHistory({
-      healthyCorals: [],
-      degradedCorals: [],
-      deadCorals: [],
-      juvenileUrchins: [],
-      adultUrchins: [],
-      harvestedTotal: []
-    });
-    setStats({
-      juvenileUrchins: 0,
-      adultUrchins: 0,
-      totalUrchins: 0,
-      healthyCorals: 0,
-      degradedCorals: 0,
-      deadCorals: 0,
-      algaeCoverage: 0,
-      harvestedUrchins: 0
-    });
-    statsAccumRef.current = { harvestedCount: 0 };
-    setIsRunning(false);
-    playingRef.current = false;
-  }, [initializeUrchins, initializeHarvesters, initializeCorals]);
-
-  // Movement behavior
-  const moveAgent = (agent, speed) => {
-    // Random walk with momentum
-    agent.vx += (Math.random() - 0.5) * speed * 0.1;
-    agent.vy += (Math.random() - 0.5) * speed * 0.1;
-
-    // Speed limit
-    const maxSpeed = speed * 2;
-    const currentSpeed = Math.sqrt(agent.vx * agent.vx + agent.vy * agent.vy);
-    if (currentSpeed > maxSpeed) {
-      agent.vx = (agent.vx / currentSpeed) * maxSpeed;
-      agent.vy = (agent.vy / currentSpeed) * maxSpeed;
-    }
+    return `${window.location.origin}${window.location.pathname}?${query}`;
+  }, [params, spriteStyle, linkedPreset]);
 
-    // Update position
-    agent.x += agent.vx;
-    agent.y += agent.vy;
+  useEffect(() => {
+    // Debounced: browsers throttle rapid replaceState calls while sliders move
+    const timer = setTimeout(() => window.history.replaceState(null, '', scenarioUrl()), 300);
+    return () => clearTimeout(timer);
+  }, [scenarioUrl]);
 
-    // Bounce off walls
-    if (agent.x < 0 || agent.x > width) {
-      agent.vx *= -1;
-      agent.x = Math.max(0, Math.min(width, agent.x));
-    }
-    if (agent.y < 0 || agent.y > height) {
-      agent.vy *= -1;
-      agent.y = Math.max(0, Math.min(height, agent.y));
-    }
+  const copyLink = () => {
+    const url = scenarioUrl();
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('Clipboard unavailable'));
+    copied
+      .then(() => setNotice({ type: 'info', text: 'Link to this scenario copied to the clipboard.' }))
+      .catch(() => setNotice({ type: 'info', text: `Copy this link: ${url}` }));
   };
 
-  // Sea urchin grazing behavior
-  const grazeCorals = (urchin, corals) => {
-    corals.forEach(coral => {
-      const dx = urchin.x - coral.x;
-      const dy = urchin.y - coral.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-
-      if (distance < cellSize && coral.status !== 'dead') {
-        coral.health -= params.grazingRate;
-        urchin.energy += params.grazingRate * 0.5;
-
-        if (coral.health <= 0) {
-          coral.status = 'dead';
-          coral.health = 0;
-        } else if (coral.health < params.coralDegradationThreshold) {
-          coral.status = 'degraded';
-        }
-
-        coral.algaeLevel = Math.max(0, coral.algaeLevel - params.grazingRate * 0.3);
-      }
-    });
+  // Save the complete engine state (agents, RNG, history) to a JSON file
+  const saveState = () => {
+    sendToSimulation({ type: 'save' });
   };
 
-  // Sea urchin reproduction (proximity broadcast spawning)
-  const reproduceUrchins = (urchins, currentTick) => {
-    const newUrchins = [];
-    const adults = urchins.filter(u => u.isAdult);
-
-    adults.forEach(urchin => {
-      if (urchin.energy > 60 && currentTick - urchin.lastSpawn > 50) {
-        const nearbyAdults = adults.filter(other => {
-          if (other.id === urchin.id) return false;
-          const dx = urchin.x - other.x;
-          const dy = urchin.y - other.y;
-          return Math.sqrt(dx * dx + dy * dy) < params.spawnRadius;
-        });
-
-        if (nearbyAdults.length > 0 && Math.random() < params.reproductionRate) {
-          const maturityTime = Math.floor(Math.random() * (170 - 54 + 1)) + 54; // Random between 54-170
-          newUrchins.push({
-            id: `urchin-${Date.now()}-${Math.random()}`,
-            x: urchin.x + (Math.random() - 0.5) * 20,
-            y: urchin.y + (Math.random() - 0.5) * 20,
-            vx: (Math.random() - 0.5) * params.urchinSpeed,
-            vy: (Math.random() - 0.5) * params.urchinSpeed,
-            age: 0,
-            maturityTime: maturityTime,
-            isAdult: false,
-            energy: 30,
-            lastSpawn: currentTick
-          });
-          urchin.energy -= 20;
-          urchin.lastSpawn = currentTick;
-        }
+  const loadState = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let data;
+      try {
+        data = JSON.parse(e.target.result);
+      } catch (error) {
+        setNotice({ type: 'error', text: `Could not read ${file.name}: ${error.message}` });
+        return;
       }
-    });
-    return newUrchins;
+      // Accept a bare snapshot as well as a saved state file
+      sendToSimulation({ type: 'load', snapshot: data && data.kind === 'ecosystem-state' ? data.snapshot : data });
+    };
+    reader.readAsText(file);
   };
 
-  // Harvesting behavior
-  const harvestUrchins = (harvesters, urchins) => {
-    const remainingUrchins = [...urchins];
-    let harvestedCount = 0;
-
-    harvesters.forEach(harvester => {
-      const targets = remainingUrchins.filter(urchin => {
-        if (!urchin.isAdult) return false;
-        const dx = harvester.x - urchin.x;
-        const dy = harvester.y - urchin.y;
-        return Math.sqrt(dx * dx + dy * dy) < params.harvestRadius;
-      });
-
-      if (targets.length > 0 && Math.random() < params.harvestingRate * 0.1) {
-        targets.sort((a, b) => {
-          const da = Math.hypot(harvester.x - a.x, harvester.y - a.y);
-          const db = Math.hypot(harvester.x - b.x, harvester.y - b.y);
-          return da - db;
-        });
-
-        const idx = remainingUrchins.indexOf(targets[0]);
-        if (idx !== -1) {
-          remainingUrchins.splice(idx, 1);
-          harvester.harvestCount++;
-          harvestedCount++;
-        }
+  // Apply the parameters from an earlier export and start the scenario afresh
+  const importConfiguration = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let config;
+      try {
+        config = parseRunConfiguration(e.target.result);
+      } catch (error) {
+        setNotice({ type: 'error', text: `Could not import ${file.name}: ${error.message}` });
+        return;
       }
-    });
-    return { remainingUrchins, harvestedCount };
+      setParams(config.params);
+      sendToSimulation({ type: 'setParams', params: config.params });
+      initializeSimulation();
+      setNotice({
+        type: 'info',
+        text: `Configuration imported from ${config.source} (seed ${config.params.seed}). Press Start to run it.`
+      });
+    };
+    reader.readAsText(file);
   };
 
-  // Coral healing and algae growth
-  const updateCorals = (corals, urchinDensity) => {
-    corals.forEach(coral => {
-      if (coral.status !== 'dead') {
-        if (urchinDensity < 0.5) {
-          coral.health = Math.min(100, coral.health + params.coralHealingRate);
-          if (coral.health > params.coralDegradationThreshold) coral.status = 'healthy';
-        }
-        if (coral.status === 'degraded' || coral.status === 'dead') {
-          coral.algaeLevel = Math.min(params.maxAlgaeDensity, coral.algaeLevel + params.algaeGrowthRate);
-        }
-      }
-    });
+  // Rewind to any tick still covered by the checkpoint timeline
+  const seekTo = (targetTick) => {
+    setIsRunning(false);
+    sendToSimulation({ type: 'seek', tick: targetTick });
   };
 
-  // Optimized simulation step (no setState, pure mutation)
-  const stepSimulation = useCallback(() => {
-    if (!agentsRef.current) return;
-
-    const currentAgents = agentsRef.current;
-    const currentTick = tickRef.current;
-
-    // Move and age sea urchins
-    currentAgents.seaUrchins.forEach(u => {
-      moveAgent(u, params.urchinSpeed);
-      u.age++;
-      if (u.age >= u.maturityTime) u.isAdult = true;
-      u.energy = Math.max(0, u.energy - 0.1);
-      grazeCorals(u, currentAgents.corals);
-    });
-
-    // Remove starved urchins
-    currentAgents.seaUrchins = currentAgents.seaUrchins.filter(u => u.energy > 0);
-
-    // Reproduction
-    const newborns = reproduceUrchins(currentAgents.seaUrchins, currentTick);
-    currentAgents.seaUrchins.push(...newborns);
-
-    // Move harvesters
-    currentAgents.harvesters.forEach(h => moveAgent(h, params.harvesterSpeed));
-
-    // Harvesting
-    const { remainingUrchins, harvestedCount } = harvestUrchins(currentAgents.harvesters, currentAgents.seaUrchins);
-    currentAgents.seaUrchins = remainingUrchins;
-    statsAccumRef.current.harvestedCount += harvestedCount;
-
-    // Update corals
-    const density = currentAgents.seaUrchins.length / (gridWidth * gridHeight);
-    updateCorals(currentAgents.corals, density);
+  const stepBack = useCallback(() => {
+    setIsRunning(false);
+    sendToSimulation({ type: 'stepBack' });
+  }, [sendToSimulation]);
 
-    // Increment tick
-    tickRef.current++;
+  // Advance a paused run by hand; the frame comes back with fresh stats
+  const stepTicks = useCallback((count) => {
+    setIsRunning(false);
+    sendToSimulation({ type: 'step', count });
+  }, [sendToSimulation]);
 
-    // Check tick limit
-    if (params.enableTickLimit && params.tickLimit > 0 && tickRef.current >= params.tickLimit) {
-      setIsRunning(false);
-      playingRef.current = false;
-      
-      // Show completion message
-      if (tickRef.current === params.tickLimit) {
-        console.log(`Simulation completed! Reached tick limit of ${params.tickLimit}`);
-      }
-    }
+  // Update sea urchin count
+  const updateUrchinCount = useCallback((newCount) => {
+    sendToSimulation({ type: 'setUrchinCount', count: newCount });
+  }, [sendToSimulation]);
 
-    // Update state less frequently
-    if (tickRef.current % 5 === 0) {
-      setTick(tickRef.current);
-
-      const juveniles = currentAgents.seaUrchins.filter(u => !u.isAdult).length;
-      const adults = currentAgents.seaUrchins.filter(u => u.isAdult).length;
-      const healthy = currentAgents.corals.filter(c => c.status === 'healthy').length;
-      const degraded = currentAgents.corals.filter(c => c.status === 'degraded').length;
-      const dead = currentAgents.corals.filter(c => c.status === 'dead').length;
-      const avgAlgae = currentAgents.corals.reduce((sum, c) => sum + c.algaeLevel, 0) / currentAgents.corals.length;
-
-      setStats({
-        juvenileUrchins: juveniles,
-        adultUrchins: adults,
-        totalUrchins: juveniles + adults,
-        healthyCorals: healthy,
-        degradedCorals: degraded,
-        deadCorals: dead,
-        algaeCoverage: avgAlgae * 100,
-        harvestedUrchins: statsAccumRef.current.harvestedCount
-      });
-    }
+  // Update harvesters when count changes
+  const updateHarvesterCount = useCallback((newCount) => {
+    sendToSimulation({ type: 'setHarvesterCount', count: newCount });
+  }, [sendToSimulation]);
 
-    // Update history based on recording frequency
-    if (tickRef.current % params.dataRecordingFrequency === 0 && tickRef.current > 0) {
-      // In turbo mode, record less frequently
-      const turboMultiplier = params.turboMode ? 5 : 1;
-      const effectiveFrequency = params.dataRecordingFrequency * turboMultiplier;
-      
-      if (tickRef.current % effectiveFrequency === 0) {
-        const juveniles = currentAgents.seaUrchins.filter(u => !u.isAdult).length;
-        const adults = currentAgents.seaUrchins.filter(u => u.isAdult).length;
-        const totalUrchins = juveniles + adults;
-        const healthy = currentAgents.corals.filter(c => c.status === 'healthy').length;
-        const degraded = currentAgents.corals.filter(c => c.status === 'degraded').length;
-        const dead = currentAgents.corals.filter(c => c.status === 'dead').length;
-        const totalCorals = currentAgents.corals.length;
-        const coralHealthPercent = totalCorals > 0 ? (healthy / totalCorals) * 100 : 0;
-        const avgAlgae = currentAgents.corals.reduce((sum, c) => sum + c.algaeLevel, 0) / currentAgents.corals.length * 100;
-
-        // Determine history limit based on tick limit and recording frequency
-        const expectedPoints = params.enableTickLimit && params.tickLimit > 0 
-          ? Math.ceil(params.tickLimit / effectiveFrequency)
-          : Math.ceil(10000 / effectiveFrequency);
-        const historyLimit = Math.max(200, expectedPoints * 2); // Double as buffer
-
-        setHistory(prev => ({
-          ticks: [...prev.ticks, tickRef.current].slice(-historyLimit),
-          urchinPop: [...prev.urchinPop, totalUrchins].slice(-historyLimit),
-          coralHealth: [...prev.coralHealth, coralHealthPercent].slice(-historyLimit),
-          algaeCoverage: [...prev.algaeCoverage, avgAlgae].slice(-historyLimit)
-        }));
+  // Add or remove predators live
+  const updatePredatorCount = useCallback((newCount) => {
+    sendToSimulation({ type: 'setPredatorCount', count: newCount });
+  }, [sendToSimulation]);
 
-        // Update detailed history
-        setDetailedHistory(prev => ({
-          healthyCorals: [...prev.healthyCorals, healthy].slice(-historyLimit),
-          degradedCorals: [...prev.degradedCorals, degraded].slice(-historyLimit),
-          deadCorals: [...prev.deadCorals, dead].slice(-historyLimit),
-          juvenileUrchins: [...prev.juvenileUrchins, juveniles].slice(-historyLimit),
-          adultUrchins: [...prev.adultUrchins, adults].slice(-historyLimit),
-          harvestedTotal: [...prev.harvestedTotal, statsAccumRef.current.harvestedCount].slice(-historyLimit)
-        }));
-      }
-    }
-  }, [params, gridWidth, gridHeight]);
+  // Initialize simulation
+  const initializeSimulation = useCallback(() => {
+    sendToSimulation({ type: 'reset' });
+    setTick(0);
+    setHistory(createEmptyHistory());
+    setDetailedHistory(createEmptyDetailedHistory());
+    setInterventionLog([]);
+    setStats(createEmptyStats());
+    setIsRunning(false);
+  }, [sendToSimulation]);
 
   // Helper function to render different sprite types
   const renderSprite = (selection, entity, data) => {
-    const currentStyle = spriteStyles[spriteStyle] || spriteStyles.default;
-    const sprite = currentStyle[entity];
-    
     selection.each(function(d) {
       const g = d3.select(this);
-      g.selectAll('*').remove(); // Clear previous content
-      
-      if (spriteStyle === 'custom' && customSprites[entity]) {
-        // Render custom uploaded image
-        const size = entity === 'coral' ? cellSize * 1.6 : 
-                    entity === 'algae' ? cellSize * 1.2 :
-                    entity === 'harvester' ? 24 : 
-                    d.isAdult ? 20 : 12;
-        
-        g.append('image')
-          .attr('href', customSprites[entity])
-          .attr('x', -size/2)
-          .attr('y', -size/2)
-          .attr('width', size)
-          .attr('height', size);
-      } else if (sprite.type === 'emoji') {
-        // Render emoji
-        const size = entity === 'coral' ? '24px' : 
-                    entity === 'algae' ? '20px' :
-                    entity === 'harvester' ? '20px' : 
-                    d.isAdult ? '18px' : '12px';
-        
-        g.append('text')
-          .attr('text-anchor', 'middle')
-          .attr('dominant-baseline', 'middle')
-          .style('font-size', size)
-          .style('user-select', 'none')
-          .text(sprite.emoji);
-      } else {
-        // Render SVG shapes based on style
-        switch(entity) {
-          case 'urchin':
-            renderUrchinSprite(g, sprite.style, d);
-            break;
-          case 'harvester':
-            renderHarvesterSprite(g, sprite.style, d);
-            break;
-          case 'coral':
-            renderCoralSprite(g, sprite.style, d);
-            break;
-          case 'algae':
-            renderAlgaeSprite(g, sprite.style, d);
-            break;
-        }
-      }
-    });
-  };
-  
-  // Sprite rendering functions
-  const renderUrchinSprite = (g, style, d) => {
-    const radius = d.isAdult ? 10 : 6;
-    
-    if (style === 'spiky') {
-      // Default spiky urchin
-      g.append('circle')
-        .attr('r', radius)
-        .attr('fill', '#1a1a1a')
-        .attr('stroke', '#333')
-        .attr('stroke-width', 1);
-      
-      const spineCount = 8;
-      for (let i = 0; i < spineCount; i++) {
-        const angle = (i / spineCount) * 2 * Math.PI;
-        const spineLength = d.isAdult ? 15 : 9;
-        g.append('line')
-          .attr('x1', 0)
-          .attr('y1', 0)
-          .attr('x2', Math.cos(angle) * spineLength)
-          .attr('y2', Math.sin(angle) * spineLength)
-          .attr('stroke', '#333')
-          .attr('stroke-width', 1);
-      }
-    } else if (style === 'detailed') {
-      // Use pooled gradient
-      g.append('circle')
-        .attr('r', radius)
-        .attr('fill', 'url(#urchinGradient)');
-      
-      const spineCount = 16;
-      for (let i = 0; i < spineCount; i++) {
-        const angle = (i / spineCount) * 2 * Math.PI;
-        const spineLength = (d.isAdult ? 15 : 9) * (0.8 + Math.random() * 0.4);
-        g.append('line')
-          .attr('x1', Math.cos(angle) * radius * 0.8)
-          .attr('y1', Math.sin(angle) * radius * 0.8)
-          .attr('x2', Math.cos(angle) * spineLength)
-          .attr('y2', Math.sin(angle) * spineLength)
-          .attr('stroke', '#2a2a2a')
-          .attr('stroke-width', 1.5)
-          .attr('opacity', 0.8);
-      }
-    } else if (style === 'circle') {
-      // Simple circle
-      g.append('circle')
-        .attr('r', radius)
-        .attr('fill', d.isAdult ? '#2a2a2a' : '#4a4a4a')
-        .attr('stroke', '#666')
-        .attr('stroke-width', 2);
-    }
-  };
-  
-  const renderHarvesterSprite = (g, style, d) => {
-    if (style === 'triangle') {
-      // Simple triangle
-      g.append('polygon')
-        .attr('points', '0,-12 -10,8 10,8')
-        .attr('fill', '#e74c3c')
-        .attr('stroke', '#c0392b')
-        .attr('stroke-width', 2);
-    } else {
-      // Default circle with emoji
-      g.append('circle')
-        .attr('r', 12)
-        .attr('fill', '#e74c3c')
-        .attr('opacity', 0.8);
-      g.append('text')
-        .attr('text-anchor', 'middle')
-        .attr('y', 4)
-        .attr('font-size', '16px')
-        .text('🎣');
-    }
-  };
-  
-  const renderCoralSprite = (g, style, d) => {
-    const baseColor = d.status === 'healthy' ? '#ff6b6b' : 
-                     d.status === 'degraded' ? '#966b6b' : '#4a3333';
-    const opacity = d.status === 'healthy' ? 0.8 : 
-                   d.status === 'degraded' ? 0.6 : 0.4;
-    
-    if (style === 'organic') {
-      // Default organic shape
-      const petals = 5;
-      for (let i = 0; i < petals; i++) {
-        const angle = (i / petals) * 2 * Math.PI;
-        const petalSize = cellSize * 0.4;
-        g.append('ellipse')
-          .attr('cx', Math.cos(angle) * petalSize/2)
-          .attr('cy', Math.sin(angle) * petalSize/2)
-          .attr('rx', petalSize)
-          .attr('ry', petalSize/2)
-          .attr('fill', baseColor)
-          .attr('opacity', opacity)
-          .attr('transform', `rotate(${angle * 180 / Math.PI} ${Math.cos(angle) * petalSize/2} ${Math.sin(angle) * petalSize/2})`);
-      }
-      g.append('circle')
-        .attr('r', cellSize * 0.3)
-        .attr('fill', baseColor)
-        .attr('opacity', opacity);
-    } else if (style === 'branching') {
-      // Branching coral
-      const branches = 6;
-      for (let i = 0; i < branches; i++) {
-        const angle = (i / branches) * 2 * Math.PI + (Math.random() - 0.5) * 0.5;
-        const length = cellSize * 0.6 * (0.7 + Math.random() * 0.3);
-        
-        g.append('line')
-          .attr('x1', 0)
-          .attr('y1', 0)
-          .attr('x2', Math.cos(angle) * length)
-          .attr('y2', Math.sin(angle) * length)
-          .attr('stroke', baseColor)
-          .attr('stroke-width', 4)
-          .attr('stroke-linecap', 'round')
-          .attr('opacity', opacity);
-        
-        g.append('circle')
-          .attr('cx', Math.cos(angle) * length)
-          .attr('cy', Math.sin(angle) * length)
-          .attr('r', 3)
-          .attr('fill', baseColor)
-          .attr('opacity', opacity);
-      }
-      g.append('circle')
-        .attr('r', 5)
-        .attr('fill', baseColor)
-        .attr('opacity', opacity);
-    } else if (style === 'star') {
-      // Star shape
-      const points = 8;
-      let pathData = '';
-      for (let i = 0; i < points * 2; i++) {
-        const angle = (i / (points * 2)) * 2 * Math.PI;
-        const radius = i % 2 === 0 ? cellSize * 0.8 : cellSize * 0.4;
-        const x = Math.cos(angle) * radius;
-        const y = Math.sin(angle) * radius;
-        pathData += (i === 0 ? 'M' : 'L') + x + ',' + y;
-      }
-      pathData += 'Z';
-      
-      g.append('path')
-        .attr('d', pathData)
-        .attr('fill', baseColor)
-        .attr('opacity', opacity);
-    }
-  };
-  
-  const renderAlgaeSprite = (g, style, d) => {
-    const size = cellSize * 0.6 * d.algaeLevel;
-    
-    if (style === 'wavy') {
-      // Wavy algae
-      for (let j = 0; j < 3; j++) {
-        const offset = (j - 1) * 10;
-        const path = `M ${offset},0 Q ${offset + size/2},-${size/3} ${offset + size},0 T ${offset + size*1.5},${size/2}`;
-        g.append('path')
-          .attr('d', path)
-          .attr('fill', 'none')
-          .attr('stroke', '#2ecc71')
-          .attr('stroke-width', 2)
-          .attr('opacity', 0.6)
-          .attr('transform', `rotate(${j * 120} 0 0)`);
-      }
-    } else if (style === 'seaweed') {
-      // Seaweed style
-      for (let i = 0; i < 4; i++) {
-        const offsetX = (i - 1.5) * size/3;
-        const waveHeight = size * (0.5 + Math.random() * 0.5);
-        const path = `M ${offsetX},0 Q ${offsetX + size/4},-${waveHeight/2} ${offsetX},${-waveHeight}`;
-        
-        g.append('path')
-          .attr('d', path)
-          .attr('fill', 'none')
-          .attr('stroke', '#2ecc71')
-          .attr('stroke-width', 2)
-          .attr('opacity', 0.5)
-          .attr('transform', `rotate(${Math.random() * 30 - 15} 0 0)`);
-      }
-    } else if (style === 'blob') {
-      // Simple blob
-      g.append('circle')
-        .attr('r', size)
-        .attr('fill', '#2ecc71')
-        .attr('opacity', 0.5);
-    }
+      g.selectAll('*').remove(); // Clear previous content
+      drawSprite(g, entity, d, { spriteStyle, customSprites, cellSize });
+    });
   };
 
   // Initialize SVG and static elements ONCE
@@ -902,10 +1088,9 @@ const SeaUrchinEcosystemModel = () => {
     const svg = d3.select(svgRef.current);
     svg.selectAll('*').remove();
     
-    // Background
+    // Background (sized to the world below)
     svg.append('rect')
-      .attr('width', width)
-      .attr('height', height)
+      .attr('class', 'ocean-background')
       .attr('fill', 'url(#ocean-gradient)');
     
     // Define gradients and patterns ONCE
@@ -918,31 +1103,14 @@ const SeaUrchinEcosystemModel = () => {
       .attr('x2', '0%')
       .attr('y2', '100%');
     
-    oceanGradient.append('stop')
-      .attr('offset', '0%')
-      .attr('stop-color', '#001528');
-    
-    oceanGradient.append('stop')
-      .attr('offset', '50%')
-      .attr('stop-color', '#002951');
-    
-    oceanGradient.append('stop')
-      .attr('offset', '100%')
-      .attr('stop-color', '#003d7a');
+    OCEAN_GRADIENT_STOPS.forEach(stop => {
+      oceanGradient.append('stop')
+        .attr('offset', `${stop.offset * 100}%`)
+        .attr('stop-color', stop.color);
+    });
     
     // Pooled gradient for detailed urchins
-    const urchinGradient = defs.append('radialGradient')
-      .attr('id', 'urchinGradient')
-      .attr('cx', '30%')
-      .attr('cy', '30%');
-    
-    urchinGradient.append('stop')
-      .attr('offset', '0%')
-      .attr('stop-color', '#4a4a4a');
-    
-    urchinGradient.append('stop')
-      .attr('offset', '100%')
-      .attr('stop-color', '#1a1a1a');
+    appendUrchinGradient(defs);
     
     // Add texture filter for corals
     const filter = defs.append('filter')
@@ -963,16 +1131,24 @@ const SeaUrchinEcosystemModel = () => {
       coral: svg.append('g').attr('class', 'coral-layer'),
       algae: svg.append('g').attr('class', 'algae-layer'),
       urchin: svg.append('g').attr('class', 'urchin-layer'),
+      predator: svg.append('g').attr('class', 'predator-layer'),
       harvester: svg.append('g').attr('class', 'harvester-layer')
     };
   }, []); // Empty deps - run only once
 
-  // Render frame function
-  const renderFrame = useCallback(() => {
-    if (!layersRef.current || !agentsRef.current) return;
+  useEffect(() => {
+    if (!svgRef.current) return;
+    d3.select(svgRef.current).select('.ocean-background')
+      .attr('width', width)
+      .attr('height', height);
+  }, [width, height]);
+
+  // Render frame into the SVG layers with a data join
+  const renderSvgFrame = useCallback(() => {
+    if (!layersRef.current) return;
     
-    const { coral, algae, urchin, harvester } = layersRef.current;
-    const currentAgents = agentsRef.current;
+    const { coral, algae, urchin, predator, harvester } = layersRef.current;
+    const currentAgents = frameRef.current.agents;
     
     // Update corals
     const coralGroups = coral.selectAll('.coral-group')
@@ -1020,6 +1196,21 @@ const SeaUrchinEcosystemModel = () => {
     
     urchinGroups.exit().remove();
     
+    // Update predators
+    const predatorGroups = predator.selectAll('.predator-group')
+      .data(currentAgents.predators, d => d.id);
+    
+    predatorGroups.enter()
+      .append('g')
+      .attr('class', 'predator-group')
+      .merge(predatorGroups)
+      .attr('transform', d => `translate(${d.x}, ${d.y})`)
+      .each(function(d) {
+        renderSprite(d3.select(this), 'predator', [d]);
+      });
+    
+    predatorGroups.exit().remove();
+    
     // Update harvesters
     const harvesterGroups = harvester.selectAll('.harvester-group')
       .data(currentAgents.harvesters, d => d.id);
@@ -1036,46 +1227,70 @@ const SeaUrchinEcosystemModel = () => {
     harvesterGroups.exit().remove();
   }, [renderSprite]);
 
-  // Main animation loop with decoupled simulation/render rates
-  useEffect(() => {
-    let animationId;
-    let lastStep = performance.now();
-    let turboInterval;
-
-    function loop(now) {
-      if (playingRef.current) {
-        if (now - lastStep > params.tickRate) {
-          for (let i = 0; i < params.speedMultiplier; i++) stepSimulation();
-          lastStep = now;
-        }
-        if (!params.turboMode) renderFrame();
-        animationId = requestAnimationFrame(loop);
+  const clearSvgLayers = () => {
+    if (!layersRef.current) return;
+    Object.values(layersRef.current).forEach(layer => layer.selectAll('*').remove());
+  };
+
+  // Render frame function
+  const renderFrame = useCallback(() => {
+    if (renderer === 'canvas') {
+      if (canvasRendererRef.current) {
+        canvasRendererRef.current.render(frameRef.current.agents, { width, height });
       }
+      return;
     }
+    renderSvgFrame();
+  }, [renderer, renderSvgFrame, width, height]);
 
-    function turboLoop() {
-      if (playingRef.current && params.turboMode) {
-        for (let i = 0; i < params.speedMultiplier * 10; i++) stepSimulation();
-        if (tickRef.current % 100 === 0) renderFrame();
-      }
+  // Frames posted by the worker are drawn with the latest renderer
+  useEffect(() => {
+    renderFrameRef.current = renderFrame;
+  }, [renderFrame]);
+
+  // Switching renderers redraws the current frame; the canvas renderer
+  // rebuilds its sprite atlas whenever the sprite style changes
+  useEffect(() => {
+    if (renderer !== 'canvas') {
+      renderFrameRef.current();
+      return;
     }
+    // Drop the SVG nodes while the canvas is in charge
+    clearSvgLayers();
 
-    if (isRunning) {
-      if (params.turboMode) turboInterval = setInterval(turboLoop, 1);
-      else animationId = requestAnimationFrame(loop);
+    if (!canvasRendererRef.current && canvasRef.current) {
+      canvasRendererRef.current = createCanvasRenderer(canvasRef.current);
     }
+    if (!canvasRendererRef.current) return;
 
-    return () => {
-      if (animationId) cancelAnimationFrame(animationId);
-      if (turboInterval) clearInterval(turboInterval);
-    };
-  }, [isRunning, params.tickRate, params.speedMultiplier, params.turboMode, stepSimulation, renderFrame]);
+    canvasRendererRef.current.setSprites({ spriteStyle, customSprites, cellSize })
+      .then(applied => {
+        if (applied) renderFrameRef.current();
+      });
+  }, [renderer, spriteStyle, customSprites, cellSize]);
 
   // Initialize on mount
   useEffect(() => {
     initializeSimulation();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Keyboard shortcuts: "." steps 1 tick, ">" steps N ticks, "," steps back
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.target.closest('input, select, textarea') || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.key === '.') stepTicks(1);
+      else if (event.key === '>') stepTicks(stepCount);
+      else if (event.key === ',') stepBack();
+      else return;
+      event.preventDefault();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [stepTicks, stepBack, stepCount]);
+
   // Close export menu when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -1090,12 +1305,55 @@ const SeaUrchinEcosystemModel = () => {
     };
   }, [showExportMenu]);
 
+  // Replicate runs for the JSON exports: per-run rows plus the per-tick summary
+  const replicateExport = () => (replicates && replicates.rows.length > 0 ? {
+    count: replicates.count,
+    completed: replicates.done,
+    seeds: replicates.seeds,
+    tickLimit: replicates.tickLimit,
+    recordEvery: replicates.recordEvery,
+    confidenceLevel: 0.95,
+    summary: replicates.summary,
+    runs: replicates.rows
+  } : null);
+
+  // Replicate summary as CSV lines: tick, n, then mean/lower/upper per series
+  const replicateSummaryCSV = () => {
+    let csv = `Tick,Replicates,${REPLICATE_SERIES.map(({ key }) => `${key} Mean,${key} 95% Lower,${key} 95% Upper`).join(',')}\n`;
+    replicates.summary.forEach(point => {
+      const values = REPLICATE_SERIES.map(({ key }) => [point[key].mean, point[key].lower, point[key].upper].map(v => v.toFixed(4)).join(','));
+      csv += `${point.tick},${point.n},${values.join(',')}\n`;
+    });
+    return csv;
+  };
+
+  const exportReplicatesCSV = () => {
+    if (!replicates || replicates.rows.length === 0) return;
+    const csv = 'REPLICATE RUNS\n' + resultsToCSV([], replicates.rows) + '\nREPLICATE SUMMARY (mean and 95% confidence interval)\n' + replicateSummaryCSV();
+    downloadText(csv, `ecosystem-replicates-${Date.now()}.csv`, 'text/csv;charset=utf-8;');
+  };
+
+  // Every scheduled intervention with when it fired, plus any that fired and
+  // were removed from the schedule afterwards
+  const interventionRows = () => {
+    const rows = params.interventions.map(event => {
+      const fired = interventionLog.find(entry => entry.id === event.id);
+      return { label: event.label, schedule: describeIntervention(event), tick: fired ? fired.tick : null, effect: fired ? fired.effect : '' };
+    });
+    interventionLog
+      .filter(entry => !params.interventions.some(event => event.id === entry.id))
+      .forEach(entry => rows.push({ label: entry.label, schedule: 'removed from schedule', tick: entry.tick, effect: entry.effect }));
+    return rows.sort((a, b) => (a.tick === null) - (b.tick === null) || a.tick - b.tick);
+  };
+
   // Export data function
   const exportData = () => {
     const effectiveFrequency = params.dataRecordingFrequency * (params.turboMode ? 5 : 1);
     const dataFrequency = history.ticks.length > 1 ? history.ticks[1] - history.ticks[0] : effectiveFrequency;
     const data = {
       parameters: params,
+      seed: params.seed,
+      world: world,
       history: history,
       detailedHistory: detailedHistory,
       finalStats: stats,
@@ -1109,9 +1367,11 @@ const SeaUrchinEcosystemModel = () => {
         turboModeActive: params.turboMode
       },
       spriteStyle: spriteStyle,
+      renderer: renderer,
       customSpriteUploaded: {
         urchin: !!customSprites.urchin,
         harvester: !!customSprites.harvester,
+        predator: !!customSprites.predator,
         coral: !!customSprites.coral,
         algae: !!customSprites.algae
       },
@@ -1123,22 +1383,25 @@ const SeaUrchinEcosystemModel = () => {
         tickLimit: params.tickLimit,
         tickLimitEnabled: params.enableTickLimit
       },
+      interventionLog: interventionLog,
+      replicates: replicateExport(),
       timestamp: new Date().toISOString()
     };
     
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `ecosystem-simulation-${Date.now()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadText(JSON.stringify(data, null, 2), `ecosystem-simulation-${Date.now()}.json`, 'application/json');
+  };
+
+  const downloadPNG = (blob) => {
+    downloadBlob(blob, `ecosystem-simulation-${Date.now()}.png`);
   };
 
   // Export visualization as PNG
   const exportAsPNG = () => {
+    // The canvas renderer already holds the frame as pixels
+    if (renderer === 'canvas' && canvasRef.current) {
+      canvasRef.current.toBlob(downloadPNG, 'image/png');
+      return;
+    }
     if (!svgRef.current) return;
     
     const svg = svgRef.current;
@@ -1164,14 +1427,7 @@ const SeaUrchinEcosystemModel = () => {
       
       // Convert to PNG and download
       canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `ecosystem-simulation-${Date.now()}.png`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadPNG(blob);
         URL.revokeObjectURL(svgUrl);
       }, 'image/png');
     };
@@ -1183,7 +1439,10 @@ const SeaUrchinEcosystemModel = () => {
   const exportAsSVG = () => {
     if (!svgRef.current) return;
     
+    // The SVG layers are empty under the canvas renderer; fill them for the copy
+    if (renderer === 'canvas') renderSvgFrame();
     const svg = svgRef.current.cloneNode(true);
+    if (renderer === 'canvas') clearSvgLayers();
     
     // Add title and metadata
     const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
@@ -1196,16 +1455,7 @@ const SeaUrchinEcosystemModel = () => {
     
     // Serialize and download
     const svgData = new XMLSerializer().serializeToString(svg);
-    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(svgBlob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `ecosystem-simulation-${Date.now()}.svg`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadText(svgData, `ecosystem-simulation-${Date.now()}.svg`, 'image/svg+xml;charset=utf-8');
   };
 
   // Export chart as PNG
@@ -1237,14 +1487,7 @@ const SeaUrchinEcosystemModel = () => {
       
       // Convert to PNG and download
       canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `ecosystem-chart-${Date.now()}.png`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadBlob(blob, `ecosystem-chart-${Date.now()}.png`);
         URL.revokeObjectURL(svgUrl);
       }, 'image/png');
     };
@@ -1262,8 +1505,18 @@ const SeaUrchinEcosystemModel = () => {
         title: 'Sea Urchin-Coral Reef Ecosystem Report',
         generated: new Date().toISOString(),
         simulationTick: tick,
+        seed: params.seed,
         version: '1.0'
       },
+      world: {
+        width: width,
+        height: height,
+        cellSize: cellSize,
+        gridColumns: Math.floor(width / cellSize),
+        gridRows: Math.floor(height / cellSize),
+        boundaryMode: world.boundaryMode,
+        immigrationRate: world.boundaryMode === 'open' ? params.immigrationRate : null
+      },
       currentState: {
         urchins: {
           total: stats.totalUrchins,
@@ -1280,8 +1533,30 @@ const SeaUrchinEcosystemModel = () => {
           coveragePercentage: stats.algaeCoverage.toFixed(2)
         },
         harvesting: {
-          totalHarvested: stats.harvestedUrchins
-        }
+          totalHarvested: stats.harvestedUrchins,
+          rules: stats.harvestRules
+        },
+        deaths: {
+          starved: stats.starvedUrchins,
+          natural: stats.naturalDeaths,
+          harvested: stats.harvestedUrchins,
+          predated: stats.predatedUrchins
+        },
+        predators: {
+          total: stats.predators,
+          bySpecies: stats.predation.species,
+          juvenilesEaten: stats.predation.eatenJuveniles,
+          adultsEaten: stats.predation.eatenAdults,
+          births: stats.predation.births,
+          starved: stats.predation.starved
+        },
+        migration: {
+          immigrated: stats.immigratedUrchins,
+          emigrated: stats.emigratedUrchins
+        },
+        protectedAreas: stats.protectedAreas,
+        urchinSizes: stats.urchinSizes,
+        economics: stats.economics
       },
       parameters: {
         seaUrchins: {
@@ -1290,13 +1565,49 @@ const SeaUrchinEcosystemModel = () => {
           grazingRate: params.grazingRate,
           movementSpeed: params.urchinSpeed,
           maturityTime: '54-170 ticks (random)',
-          spawnRadius: params.spawnRadius
+          spawnRadius: params.spawnRadius,
+          maxSize: params.urchinMaxSize,
+          growthRate: params.urchinGrowthRate,
+          naturalMortality: params.naturalMortality,
+          maxLifespan: params.maxLifespan,
+          densityMortality: params.densityMortality
+        },
+        predators: {
+          count: params.predatorCount,
+          species: params.predatorSpecies,
+          speed: params.predatorSpeed,
+          sight: params.predatorSight,
+          predationRate: params.predationRate,
+          metabolism: params.predatorMetabolism,
+          reproductionRate: params.predatorReproductionRate
         },
         harvesters: {
           count: params.harvesterCount,
           harvestingRate: params.harvestingRate,
           speed: params.harvesterSpeed,
-          harvestRadius: params.harvestRadius
+          harvestRadius: params.harvestRadius,
+          strategy: params.harvesterStrategy,
+          perceptionRadius: params.perceptionRadius,
+          minLegalSize: params.minLegalSize,
+          protectedZones: params.protectedZones,
+          avoidZones: params.harvestersAvoidZones
+        },
+        management: {
+          tacLimit: params.tacLimit,
+          tacPeriod: params.tacPeriod,
+          bagLimit: params.bagLimit,
+          closedSeasons: params.closedSeasons,
+          ticksPerDay: params.ticksPerDay,
+          ticksPerYear: params.ticksPerYear
+        },
+        economics: {
+          urchinPrice: params.urchinPrice,
+          priceBasis: params.priceBasis,
+          tripCost: params.tripCost,
+          fuelCost: params.fuelCost,
+          openAccess: params.openAccess,
+          fleetReviewInterval: params.fleetReviewInterval,
+          maxFleetSize: params.maxFleetSize
         },
         corals: {
           initialCoverage: params.initialCoralCoverage,
@@ -1308,6 +1619,7 @@ const SeaUrchinEcosystemModel = () => {
           maxDensity: params.maxAlgaeDensity
         },
         simulation: {
+          seed: params.seed,
           tickRate: params.tickRate,
           speedMultiplier: params.speedMultiplier,
           turboMode: params.turboMode,
@@ -1326,7 +1638,17 @@ const SeaUrchinEcosystemModel = () => {
         healthyCorals: detailedHistory.healthyCorals,
         degradedCorals: detailedHistory.degradedCorals,
         deadCorals: detailedHistory.deadCorals,
-        cumulativeHarvested: detailedHistory.harvestedTotal
+        cumulativeHarvested: detailedHistory.harvestedTotal,
+        cumulativeStarved: detailedHistory.starvedTotal,
+        cumulativeNaturalDeaths: detailedHistory.naturalDeathsTotal,
+        cumulativePredated: detailedHistory.predatedTotal,
+        predatorPopulation: history.predatorPop,
+        triggerfish: detailedHistory.triggerfishPop,
+        wrasses: detailedHistory.wrassePop,
+        lobsters: detailedHistory.lobsterPop,
+        fleetSize: detailedHistory.fleetSize,
+        cumulativeRevenue: detailedHistory.fleetRevenue,
+        cumulativeCosts: detailedHistory.fleetCosts
       },
       analysis: {
         averageUrchins: history.urchinPop.length > 0 ? (history.urchinPop.reduce((a, b) => a + b, 0) / history.urchinPop.length).toFixed(2) : 0,
@@ -1344,7 +1666,12 @@ const SeaUrchinEcosystemModel = () => {
           urchins: history.urchinPop.length > 1 ? (history.urchinPop[history.urchinPop.length - 1] > history.urchinPop[0] ? 'increasing' : 'decreasing') : 'stable',
           coralHealth: history.coralHealth.length > 1 ? (history.coralHealth[history.coralHealth.length - 1] > history.coralHealth[0] ? 'improving' : 'degrading') : 'stable'
         }
-      }
+      },
+      interventions: {
+        schedule: params.interventions,
+        executed: interventionLog
+      },
+      replicates: replicateExport()
     };
 
     // Create a formatted text report alongside JSON
@@ -1353,6 +1680,9 @@ SEA URCHIN-CORAL REEF ECOSYSTEM REPORT
 ======================================
 Generated: ${new Date().toLocaleString()}
 Simulation Tick: ${tick}
+Random Seed: ${params.seed}
+World Size: ${width} × ${height} (cell size ${cellSize}, ${Math.floor(width / cellSize)}×${Math.floor(height / cellSize)} grid)
+Boundary: ${boundaryModeLabels[world.boundaryMode].name}${world.boundaryMode === 'open' ? ` (immigration rate ${params.immigrationRate})` : ''}
 
 CURRENT ECOSYSTEM STATE
 -----------------------
@@ -1369,6 +1699,23 @@ Coral Reef:
   
 Algae Coverage: ${stats.algaeCoverage.toFixed(1)}%
 Total Harvested: ${stats.harvestedUrchins}
+Urchin Deaths by Cause:
+  • Starved: ${stats.starvedUrchins}
+  • Natural: ${stats.naturalDeaths}
+  • Harvested: ${stats.harvestedUrchins}
+  • Predated: ${stats.predatedUrchins} (${stats.predation.eatenJuveniles} juveniles, ${stats.predation.eatenAdults} adults)
+Predators: ${stats.predators}${stats.predators > 0 ? ` (${PREDATOR_SPECIES.map(species => `${stats.predation.species[species]} ${predatorSpeciesLabels[species].name.toLowerCase()}`).join(', ')})` : ''}
+  • Born / Starved: ${stats.predation.births} / ${stats.predation.starved}
+Harvest Rules Binding:
+  • Closed Season: ${stats.harvestRules.closedSeasonTicks} ticks
+  • TAC Reached: ${stats.harvestRules.tacPeriodsClosed} periods, ${stats.harvestRules.tacClosedTicks} ticks closed
+  • Bag Limit Reached: ${stats.harvestRules.bagLimitsReached} harvester-days, ${stats.harvestRules.bagLimitedHarvesterTicks} idle harvester-ticks
+Fleet Economics:
+  • Revenue: ${stats.economics.revenue.toFixed(2)}
+  • Costs: ${(stats.economics.fuelCosts + stats.economics.tripCosts).toFixed(2)} (fuel ${stats.economics.fuelCosts.toFixed(2)}, trips ${stats.economics.tripCosts.toFixed(2)})
+  • Profit: ${stats.economics.profit.toFixed(2)}
+  • Fleet Size: ${stats.economics.fleetSize}${params.openAccess ? ` (${stats.economics.entries} joined, ${stats.economics.exits} left)` : ''}${world.boundaryMode === 'open' ? `
+Urchins Immigrated / Emigrated: ${stats.immigratedUrchins} / ${stats.emigratedUrchins}` : ''}
 
 SIMULATION PARAMETERS
 ---------------------
@@ -1378,11 +1725,37 @@ Sea Urchin Settings:
   • Grazing Rate: ${params.grazingRate}
   • Movement Speed: ${params.urchinSpeed}
   • Maturity Time: 54-170 ticks (random per urchin)
+  • Growth: von Bertalanffy to ${params.urchinMaxSize} mm, k = ${params.urchinGrowthRate} per tick
+  • Mean Size Now: ${stats.urchinSizes.meanSize.toFixed(1)} mm
+  • Natural Mortality: ${params.naturalMortality} per tick (juveniles twice that)${params.densityMortality > 0 ? `, plus ${params.densityMortality} per urchin per cell` : ''}
+  • Max Lifespan: ${params.maxLifespan > 0 ? `${params.maxLifespan} ticks` : 'Unlimited'}
+
+Predator Settings:
+  • Initial Predators: ${params.predatorCount}
+  • Species: ${predatorSpeciesLabels[params.predatorSpecies].name}
+  • Speed: ${params.predatorSpeed}, Sight Radius: ${params.predatorSight}
+  • Predation Rate: ${params.predationRate}
+  • Metabolism: ${params.predatorMetabolism} energy per tick
+  • Reproduction Rate: ${params.predatorReproductionRate}
 
 Harvester Settings:
   • Number of Harvesters: ${params.harvesterCount}
   • Harvesting Rate: ${params.harvestingRate}
   • Harvester Speed: ${params.harvesterSpeed}
+  • Search Strategy: ${harvesterStrategyLabels[params.harvesterStrategy].name}${params.harvesterStrategy === 'density' ? ` (perception radius ${params.perceptionRadius})` : ''}
+  • Minimum Legal Size: ${params.minLegalSize > 0 ? `${params.minLegalSize} mm (${stats.urchinSizes.legalSizeAdults} adults at legal size now)` : 'None'}
+  • No-take Zones: ${params.protectedZones.length}${params.protectedZones.length > 0 ? ` (harvesters ${params.harvestersAvoidZones ? 'avoid them' : 'may cross them'})` : ''}
+
+Harvest Rules:
+  • Total Allowable Catch: ${params.tacLimit > 0 ? `${params.tacLimit} per ${params.tacPeriod} ticks` : 'None'}
+  • Daily Bag Limit: ${params.bagLimit > 0 ? `${params.bagLimit} per harvester per ${params.ticksPerDay} ticks` : 'None'}
+  • Closed Seasons: ${params.closedSeasons.length > 0 ? params.closedSeasons.map(({ start, end }) => `ticks ${start}-${end}`).join(', ') + ` of every ${params.ticksPerYear}` : 'None'}
+
+Harvester Economics:
+  • Price: ${params.urchinPrice} per ${params.priceBasis === 'roe' ? 'gram of roe' : 'urchin'}
+  • Trip Cost: ${params.tripCost} per harvester per day
+  • Fuel Cost: ${params.fuelCost} per unit moved
+  • Open Access: ${params.openAccess ? `Yes (review every ${params.fleetReviewInterval} ticks, at most ${params.maxFleetSize} harvesters)` : 'No'}
 
 Coral & Algae Settings:
   • Initial Coverage: ${params.initialCoralCoverage}%
@@ -1390,6 +1763,7 @@ Coral & Algae Settings:
   • Algae Growth Rate: ${(params.algaeGrowthRate * 100).toFixed(0)}%
 
 Simulation Speed:
+  • Random Seed: ${params.seed}
   • Tick Rate: ${params.tickRate}ms
   • Speed Multiplier: ${params.speedMultiplier}x
   • Turbo Mode: ${params.turboMode ? 'Enabled' : 'Disabled'}
@@ -1404,7 +1778,17 @@ ANALYSIS SUMMARY
 • Population Range: ${report.analysis.minUrchins} - ${report.analysis.maxUrchins}
 • Urchin Trend: ${report.analysis.trend.urchins}
 • Coral Health Trend: ${report.analysis.trend.coralHealth}
-
+${params.interventions.length > 0 || interventionLog.length > 0 ? `
+INTERVENTIONS
+-------------
+${interventionRows().map(row => `• ${row.tick === null ? 'Pending' : `Tick ${row.tick}`}: ${row.label}${row.effect ? ` (${row.effect})` : ''}`).join('\n')}
+` : ''}${stats.protectedAreas ? `
+PROTECTED AREAS
+---------------
+${[...stats.protectedAreas.zones.map(zone => [zone.name, zone]), ['All zones', stats.protectedAreas.inside], ['Outside zones', stats.protectedAreas.outside]]
+  .map(([name, area]) => `• ${name}: ${area.cells} cells, ${area.urchins} urchins (${area.urchinDensity.toFixed(3)} per cell), coral health ${area.coralHealth.toFixed(1)}%`)
+  .join('\n')}
+` : ''}
 DATA COLLECTION
 ---------------
 • Total Data Points: ${history.ticks.length}
@@ -1415,56 +1799,27 @@ DATA COLLECTION
 • Simulation Duration: ${tick} ticks
 `;
 
-    // Create downloadable files
-    const jsonBlob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
-    const textBlob = new Blob([textReport], { type: 'text/plain' });
-    
     // Create a zip-like approach by downloading both files
     const timestamp = Date.now();
-    
-    // Download JSON
-    const jsonUrl = URL.createObjectURL(jsonBlob);
-    const jsonLink = document.createElement('a');
-    jsonLink.href = jsonUrl;
-    jsonLink.download = `ecosystem-report-${timestamp}.json`;
-    document.body.appendChild(jsonLink);
-    jsonLink.click();
-    document.body.removeChild(jsonLink);
-    URL.revokeObjectURL(jsonUrl);
+    downloadText(JSON.stringify(report, null, 2), `ecosystem-report-${timestamp}.json`, 'application/json');
     
     // Download text report with slight delay
     setTimeout(() => {
-      const textUrl = URL.createObjectURL(textBlob);
-      const textLink = document.createElement('a');
-      textLink.href = textUrl;
-      textLink.download = `ecosystem-report-${timestamp}.txt`;
-      document.body.appendChild(textLink);
-      textLink.click();
-      document.body.removeChild(textLink);
-      URL.revokeObjectURL(textUrl);
+      downloadText(textReport, `ecosystem-report-${timestamp}.txt`);
     }, 100);
   };
 
   // Export time series data as CSV
   const exportTimeSeriesCSV = () => {
     // Create CSV header
-    let csv = 'Tick,Total Urchins,Juvenile Urchins,Adult Urchins,Coral Health %,Algae Coverage %,Healthy Corals,Degraded Corals,Dead Corals,Cumulative Harvested\n';
+    let csv = 'Tick,Total Urchins,Juvenile Urchins,Adult Urchins,Coral Health %,Algae Coverage %,Healthy Corals,Degraded Corals,Dead Corals,Cumulative Harvested,Seed\n';
     
     // Add data rows
     for (let i = 0; i < history.ticks.length; i++) {
-      csv += `${history.ticks[i]},${history.urchinPop[i]},${detailedHistory.juvenileUrchins[i] || 0},${detailedHistory.adultUrchins[i] || 0},${history.coralHealth[i].toFixed(2)},${history.algaeCoverage[i].toFixed(2)},${detailedHistory.healthyCorals[i] || 0},${detailedHistory.degradedCorals[i] || 0},${detailedHistory.deadCorals[i] || 0},${detailedHistory.harvestedTotal[i] || 0}\n`;
+      csv += `${history.ticks[i]},${history.urchinPop[i]},${detailedHistory.juvenileUrchins[i] || 0},${detailedHistory.adultUrchins[i] || 0},${history.coralHealth[i].toFixed(2)},${history.algaeCoverage[i].toFixed(2)},${detailedHistory.healthyCorals[i] || 0},${detailedHistory.degradedCorals[i] || 0},${detailedHistory.deadCorals[i] || 0},${detailedHistory.harvestedTotal[i] || 0},${params.seed}\n`;
     }
     
-    // Create blob and download
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `ecosystem-timeseries-${Date.now()}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    downloadText(csv, `ecosystem-timeseries-${Date.now()}.csv`, 'text/csv;charset=utf-8;');
   };
 
   // Export all data as comprehensive CSV
@@ -1472,7 +1827,12 @@ DATA COLLECTION
     // Parameters section
     let csv = 'ECOSYSTEM SIMULATION DATA\n';
     csv += `Generated,${new Date().toISOString()}\n`;
-    csv += `Simulation Tick,${tick}\n\n`;
+    csv += `Simulation Tick,${tick}\n`;
+    csv += `Random Seed,${params.seed}\n`;
+    csv += `World Width,${width}\n`;
+    csv += `World Height,${height}\n`;
+    csv += `Cell Size,${cellSize}\n`;
+    csv += `Boundary Mode,${world.boundaryMode}\n\n`;
     
     csv += 'CURRENT STATE\n';
     csv += 'Metric,Value\n';
@@ -1484,7 +1844,31 @@ DATA COLLECTION
     csv += `Dead Corals,${stats.deadCorals}\n`;
     csv += `Coral Health %,${((stats.healthyCorals / (stats.healthyCorals + stats.degradedCorals + stats.deadCorals)) * 100).toFixed(2)}\n`;
     csv += `Algae Coverage %,${stats.algaeCoverage.toFixed(2)}\n`;
-    csv += `Total Harvested,${stats.harvestedUrchins}\n\n`;
+    csv += `Total Harvested,${stats.harvestedUrchins}\n`;
+    csv += `Urchins Starved,${stats.starvedUrchins}\n`;
+    csv += `Urchin Natural Deaths,${stats.naturalDeaths}\n`;
+    csv += `Urchins Predated,${stats.predatedUrchins}\n`;
+    csv += `Juveniles Predated,${stats.predation.eatenJuveniles}\n`;
+    csv += `Adults Predated,${stats.predation.eatenAdults}\n`;
+    csv += `Predators,${stats.predators}\n`;
+    PREDATOR_SPECIES.forEach(species => {
+      csv += `${predatorSpeciesLabels[species].name},${stats.predation.species[species] || 0}\n`;
+    });
+    csv += `Predators Born,${stats.predation.births}\n`;
+    csv += `Predators Starved,${stats.predation.starved}\n`;
+    csv += `Urchins Immigrated,${stats.immigratedUrchins}\n`;
+    csv += `Urchins Emigrated,${stats.emigratedUrchins}\n`;
+    csv += `Closed Season Ticks,${stats.harvestRules.closedSeasonTicks}\n`;
+    csv += `TAC Periods Closed,${stats.harvestRules.tacPeriodsClosed}\n`;
+    csv += `TAC Closed Ticks,${stats.harvestRules.tacClosedTicks}\n`;
+    csv += `Bag Limits Reached (harvester-days),${stats.harvestRules.bagLimitsReached}\n`;
+    csv += `Idle at Bag Limit (harvester-ticks),${stats.harvestRules.bagLimitedHarvesterTicks}\n`;
+    csv += `Fleet Revenue,${stats.economics.revenue.toFixed(2)}\n`;
+    csv += `Fleet Fuel Costs,${stats.economics.fuelCosts.toFixed(2)}\n`;
+    csv += `Fleet Trip Costs,${stats.economics.tripCosts.toFixed(2)}\n`;
+    csv += `Fleet Profit,${stats.economics.profit.toFixed(2)}\n`;
+    csv += `Fleet Size,${stats.economics.fleetSize}\n`;
+    csv += `Harvesters Joined / Left,${stats.economics.entries} / ${stats.economics.exits}\n\n`;
     
     csv += 'PARAMETERS\n';
     csv += 'Parameter,Value\n';
@@ -1492,13 +1876,51 @@ DATA COLLECTION
     csv += `Reproduction Rate,${params.reproductionRate}\n`;
     csv += `Grazing Rate,${params.grazingRate}\n`;
     csv += `Urchin Speed,${params.urchinSpeed}\n`;
+    csv += `Spawn Radius,${params.spawnRadius}\n`;
     csv += `Maturity Time,54-170 (random)\n`;
+    csv += `Max Urchin Size,${params.urchinMaxSize}\n`;
+    csv += `Urchin Growth Rate,${params.urchinGrowthRate}\n`;
+    csv += `Natural Mortality,${params.naturalMortality}\n`;
+    csv += `Max Lifespan,${params.maxLifespan}\n`;
+    csv += `Density Mortality,${params.densityMortality}\n`;
+    csv += `Predator Count,${params.predatorCount}\n`;
+    csv += `Predator Species,${params.predatorSpecies}\n`;
+    csv += `Predator Speed,${params.predatorSpeed}\n`;
+    csv += `Predator Sight,${params.predatorSight}\n`;
+    csv += `Predation Rate,${params.predationRate}\n`;
+    csv += `Predator Metabolism,${params.predatorMetabolism}\n`;
+    csv += `Predator Reproduction Rate,${params.predatorReproductionRate}\n`;
     csv += `Harvester Count,${params.harvesterCount}\n`;
     csv += `Harvesting Rate,${params.harvestingRate}\n`;
     csv += `Harvester Speed,${params.harvesterSpeed}\n`;
+    csv += `Harvest Radius,${params.harvestRadius}\n`;
+    csv += `Harvester Strategy,${params.harvesterStrategy}\n`;
+    csv += `Perception Radius,${params.perceptionRadius}\n`;
+    csv += `Minimum Legal Size,${params.minLegalSize}\n`;
+    csv += `Harvesters Avoid Zones,${params.harvestersAvoidZones}\n`;
+    csv += `Total Allowable Catch,${params.tacLimit}\n`;
+    csv += `TAC Period,${params.tacPeriod}\n`;
+    csv += `Daily Bag Limit,${params.bagLimit}\n`;
+    csv += `Ticks per Day,${params.ticksPerDay}\n`;
+    csv += `Ticks per Year,${params.ticksPerYear}\n`;
+    csv += `Urchin Price,${params.urchinPrice}\n`;
+    csv += `Price Basis,${params.priceBasis}\n`;
+    csv += `Trip Cost,${params.tripCost}\n`;
+    csv += `Fuel Cost,${params.fuelCost}\n`;
+    csv += `Open Access,${params.openAccess}\n`;
+    csv += `Fleet Review Interval,${params.fleetReviewInterval}\n`;
+    csv += `Max Fleet Size,${params.maxFleetSize}\n`;
+    // List-valued settings as JSON cells, so importing this file reproduces them
+    csv += `Closed Seasons,${csvQuote(JSON.stringify(params.closedSeasons))}\n`;
+    csv += `Protected Zones,${csvQuote(JSON.stringify(params.protectedZones))}\n`;
+    csv += `Interventions,${csvQuote(JSON.stringify(params.interventions))}\n`;
     csv += `Initial Coral Coverage,${params.initialCoralCoverage}\n`;
     csv += `Coral Healing Rate,${params.coralHealingRate}\n`;
+    csv += `Coral Degradation Threshold,${params.coralDegradationThreshold}\n`;
     csv += `Algae Growth Rate,${params.algaeGrowthRate}\n`;
+    csv += `Max Algae Density,${params.maxAlgaeDensity}\n`;
+    csv += `Immigration Rate,${params.immigrationRate}\n`;
+    csv += `Random Seed,${params.seed}\n`;
     csv += `Tick Rate,${params.tickRate}\n`;
     csv += `Speed Multiplier,${params.speedMultiplier}\n`;
     csv += `Turbo Mode,${params.turboMode}\n`;
@@ -1515,24 +1937,59 @@ DATA COLLECTION
     csv += `Expected Data Points,${params.enableTickLimit && params.tickLimit > 0 ? Math.floor(params.tickLimit / (params.dataRecordingFrequency * (params.turboMode ? 5 : 1))) : 'N/A'}\n`;
     csv += `Simulation Duration,${tick} ticks\n\n`;
     
+    if (params.interventions.length > 0 || interventionLog.length > 0) {
+      csv += 'INTERVENTIONS\n';
+      csv += 'Fired At Tick,Event,Schedule,Effect\n';
+      interventionRows().forEach(row => {
+        csv += `${row.tick === null ? 'pending' : row.tick},${csvQuote(row.label)},${csvQuote(row.schedule)},${csvQuote(row.effect)}\n`;
+      });
+      csv += '\n';
+    }
+    
+    csv += 'URCHIN SIZE FREQUENCY\n';
+    csv += 'Size From (mm),Size To (mm),Urchins\n';
+    stats.urchinSizes.counts.forEach((count, i) => {
+      csv += `${i * stats.urchinSizes.binWidth},${(i + 1) * stats.urchinSizes.binWidth},${count}\n`;
+    });
+    csv += '\n';
+    
+    // Per-zone figures now; the inside vs outside series are in the time series
+    if (stats.protectedAreas) {
+      csv += 'PROTECTED AREAS\n';
+      csv += 'Zone,Cells,Urchins,Adult Urchins,Urchins per Cell,Corals,Healthy Corals,Coral Health %\n';
+      [...stats.protectedAreas.zones.map(zone => [zone.name, zone]), ['All zones', stats.protectedAreas.inside], ['Outside zones', stats.protectedAreas.outside]]
+        .forEach(([name, area]) => {
+          csv += `${csvQuote(name)},${area.cells},${area.urchins},${area.adults},${area.urchinDensity.toFixed(4)},${area.corals},${area.healthyCorals},${area.coralHealth.toFixed(2)}\n`;
+        });
+      csv += '\n';
+    }
+    
+    // Zone columns are blank for samples taken while no zones were set, and
+    // fleet, death-cause and predator columns for samples from a history saved
+    // before those were recorded
+    const optionalCell = (series, i, digits) => (series[i] === null || series[i] === undefined ? '' : series[i].toFixed(digits));
+    const fleetProfit = detailedHistory.fleetRevenue.map((revenue, i) => (revenue === null ? null : revenue - detailedHistory.fleetCosts[i]));
     csv += 'TIME SERIES DATA\n';
-    csv += 'Tick,Total Urchins,Juvenile Urchins,Adult Urchins,Coral Health %,Algae Coverage %,Healthy Corals,Degraded Corals,Dead Corals,Cumulative Harvested\n';
+    csv += 'Tick,Total Urchins,Juvenile Urchins,Adult Urchins,Coral Health %,Algae Coverage %,Healthy Corals,Degraded Corals,Dead Corals,Cumulative Harvested,Urchins per Cell Inside Zones,Urchins per Cell Outside Zones,Coral Health % Inside Zones,Coral Health % Outside Zones,Fleet Size,Cumulative Revenue,Cumulative Costs,Cumulative Profit,Cumulative Starved,Cumulative Natural Deaths,Cumulative Predated,Predators,Triggerfish,Wrasses,Spiny Lobsters\n';
     
     // Add time series data
     for (let i = 0; i < history.ticks.length; i++) {
-      csv += `${history.ticks[i]},${history.urchinPop[i]},${detailedHistory.juvenileUrchins[i] || 0},${detailedHistory.adultUrchins[i] || 0},${history.coralHealth[i].toFixed(2)},${history.algaeCoverage[i].toFixed(2)},${detailedHistory.healthyCorals[i] || 0},${detailedHistory.degradedCorals[i] || 0},${detailedHistory.deadCorals[i] || 0},${detailedHistory.harvestedTotal[i] || 0}\n`;
+      csv += `${history.ticks[i]},${history.urchinPop[i]},${detailedHistory.juvenileUrchins[i] || 0},${detailedHistory.adultUrchins[i] || 0},${history.coralHealth[i].toFixed(2)},${history.algaeCoverage[i].toFixed(2)},${detailedHistory.healthyCorals[i] || 0},${detailedHistory.degradedCorals[i] || 0},${detailedHistory.deadCorals[i] || 0},${detailedHistory.harvestedTotal[i] || 0},`;
+      csv += `${optionalCell(detailedHistory.protectedUrchinDensity, i, 4)},${optionalCell(detailedHistory.openUrchinDensity, i, 4)},${optionalCell(detailedHistory.protectedCoralHealth, i, 2)},${optionalCell(detailedHistory.openCoralHealth, i, 2)},`;
+      csv += `${optionalCell(detailedHistory.fleetSize, i, 0)},${optionalCell(detailedHistory.fleetRevenue, i, 2)},${optionalCell(detailedHistory.fleetCosts, i, 2)},${optionalCell(fleetProfit, i, 2)},`;
+      csv += `${optionalCell(detailedHistory.starvedTotal, i, 0)},${optionalCell(detailedHistory.naturalDeathsTotal, i, 0)},`;
+      csv += `${optionalCell(detailedHistory.predatedTotal, i, 0)},${optionalCell(history.predatorPop, i, 0)},${optionalCell(detailedHistory.triggerfishPop, i, 0)},${optionalCell(detailedHistory.wrassePop, i, 0)},${optionalCell(detailedHistory.lobsterPop, i, 0)}\n`;
+    }
+    
+    // Replicate runs of this configuration, if any were run
+    if (replicates && replicates.rows.length > 0) {
+      csv += `\nREPLICATE SUMMARY (${replicates.done} of ${replicates.count} runs, seeds ${replicates.seeds[0]}-${replicates.seeds[replicates.seeds.length - 1]})\n`;
+      csv += replicateSummaryCSV();
+      csv += '\nREPLICATE RUNS\n';
+      csv += resultsToCSV([], replicates.rows);
     }
     
-    // Create blob and download
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `ecosystem-full-data-${Date.now()}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    downloadText(csv, `ecosystem-full-data-${Date.now()}.csv`, 'text/csv;charset=utf-8;');
   };
 
   // Chart component
@@ -1541,7 +1998,7 @@ DATA COLLECTION
     const svgInitialized = useRef(false);
     
     useEffect(() => {
-      if (!chartRef.current || history.ticks.length === 0) return;
+      if (!chartRef.current || (history.ticks.length === 0 && replicateSummary.length === 0 && observedPoints.length === 0)) return;
       
       const margin = { top: 20, right: 60, bottom: 50, left: 50 };
       const chartWidth = 500 - margin.left - margin.right;
@@ -1563,10 +2020,18 @@ DATA COLLECTION
         g.append('g').attr('class', 'y-axis');
         g.append('g').attr('class', 'y-axis2').attr('transform', `translate(${chartWidth},0)`);
         
+        // Replicate bands and means sit underneath the live run
+        REPLICATE_SERIES.forEach(({ key, color }) => {
+          g.append('path').attr('class', `band-${key}`).attr('fill', color).attr('opacity', 0.2).attr('stroke', 'none');
+          g.append('path').attr('class', `mean-${key}`).attr('fill', 'none').attr('stroke', color).attr('stroke-width', 1.5).attr('stroke-dasharray', '4 3');
+        });
+        
         // Add line paths
         g.append('path').attr('class', 'line-urchin').attr('fill', 'none').attr('stroke', '#00ffcc').attr('stroke-width', 3);
         g.append('path').attr('class', 'line-coral').attr('fill', 'none').attr('stroke', '#ff6b8a').attr('stroke-width', 3);
         g.append('path').attr('class', 'line-algae').attr('fill', 'none').attr('stroke', '#00d474').attr('stroke-width', 3);
+        g.append('g').attr('class', 'observed-points');
+        g.append('g').attr('class', 'intervention-markers');
         
         // Add axis labels
         g.append('text')
@@ -1607,17 +2072,38 @@ DATA COLLECTION
       
       // Update scales
       const xScale = d3.scaleLinear()
-        .domain([Math.min(...history.ticks), Math.max(...history.ticks)])
+        .domain(d3.extent([...history.ticks, ...replicateSummary.map(d => d.tick), ...observedPoints.map(p => p.tick)]))
         .range([0, chartWidth]);
       
       const yScale = d3.scaleLinear()
-        .domain([0, Math.max(...history.urchinPop, 10)])
+        .domain([0, Math.max(
+          ...history.urchinPop,
+          ...replicateSummary.map(d => d.totalUrchins.upper),
+          ...observedPoints.map(p => p.urchins || 0),
+          10
+        )])
         .range([chartHeight, 0]);
       
       const yScale2 = d3.scaleLinear()
         .domain([0, 100])
         .range([chartHeight, 0]);
       
+      // Replicate mean and 95% band (cleared when there are no replicates)
+      REPLICATE_SERIES.forEach(({ key, axis }) => {
+        const scale = axis === 'count' ? yScale : yScale2;
+        const band = d3.area()
+          .x(d => xScale(d.tick))
+          .y0(d => scale(d[key].lower))
+          .y1(d => scale(d[key].upper))
+          .curve(d3.curveMonotoneX);
+        const mean = d3.line()
+          .x(d => xScale(d.tick))
+          .y(d => scale(d[key].mean))
+          .curve(d3.curveMonotoneX);
+        g.select(`.band-${key}`).datum(replicateSummary).attr('d', replicateSummary.length > 0 ? band : null);
+        g.select(`.mean-${key}`).datum(replicateSummary).attr('d', replicateSummary.length > 0 ? mean : null);
+      });
+      
       // Update axes
       g.select('.x-axis').call(d3.axisBottom(xScale).ticks(5))
         .selectAll('text').style('fill', '#94a3b8');
@@ -1649,8 +2135,20 @@ DATA COLLECTION
       g.select('.line-urchin').datum(history.urchinPop).attr('d', urchinLine);
       g.select('.line-coral').datum(history.coralHealth).attr('d', coralLine);
       g.select('.line-algae').datum(history.algaeCoverage).attr('d', algaeLine);
+      
+      // Observed survey points: urchins on the count axis, cover on the percent axis
+      const observedGroup = g.select('.observed-points');
+      observedGroup.selectAll('*').remove();
+      OBSERVED_MARKERS.forEach(({ key, color, symbol }) => {
+        const scale = key === 'urchins' ? yScale : yScale2;
+        drawObservedMarkers(observedGroup, observedPoints, key, color, symbol, p => xScale(p.tick), p => scale(p[key]));
+      });
+      
+      const markerGroup = g.select('.intervention-markers');
+      markerGroup.selectAll('*').remove();
+      drawInterventionMarkers(markerGroup, interventionLog, xScale, chartHeight);
         
-    }, [history.ticks, history.urchinPop, history.coralHealth, history.algaeCoverage]);
+    }, [history.ticks, history.urchinPop, history.coralHealth, history.algaeCoverage, replicateSummary, observedPoints, interventionLog]);
     
     return <svg ref={chartRef} className="chart-svg"></svg>;
   };
@@ -1684,6 +2182,8 @@ DATA COLLECTION
         g.append('path').attr('class', 'area-healthy').attr('fill', '#ff6b8a').attr('opacity', 0.8);
         g.append('path').attr('class', 'area-degraded').attr('fill', '#fbbf24').attr('opacity', 0.8);
         g.append('path').attr('class', 'area-dead').attr('fill', '#64748b').attr('opacity', 0.8);
+        g.append('g').attr('class', 'observed-points');
+        g.append('g').attr('class', 'intervention-markers');
         
         g.append('text')
           .attr('y', chartHeight + 40)
@@ -1714,12 +2214,18 @@ DATA COLLECTION
       
       const series = stack(data);
       
+      // Observed coral cover as a live coral count (healthy + degraded) on this reef
+      const reefCells = Math.floor(width / cellSize) * Math.floor(height / cellSize);
+      const observedCorals = observedPoints
+        .filter(p => p.coralCover !== undefined)
+        .map(p => ({ tick: p.tick, coralCover: (p.coralCover / 100) * reefCells }));
+      
       const xScale = d3.scaleLinear()
-        .domain([Math.min(...history.ticks), Math.max(...history.ticks)])
+        .domain(d3.extent([...history.ticks, ...observedCorals.map(p => p.tick)]))
         .range([0, chartWidth]);
       
       const yScale = d3.scaleLinear()
-        .domain([0, d3.max(series, s => d3.max(s, d => d[1]))])
+        .domain([0, Math.max(d3.max(series, s => d3.max(s, d => d[1])), ...observedCorals.map(p => p.coralCover))])
         .range([chartHeight, 0]);
       
       const area = d3.area()
@@ -1740,7 +2246,15 @@ DATA COLLECTION
       g.select('.area-degraded').datum(series[1]).attr('d', area);
       g.select('.area-dead').datum(series[2]).attr('d', area);
       
-    }, [history.ticks, detailedHistory]);
+      const observedGroup = g.select('.observed-points');
+      observedGroup.selectAll('*').remove();
+      drawObservedMarkers(observedGroup, observedCorals, 'coralCover', '#e2e8f0', d3.symbolSquare, p => xScale(p.tick), p => yScale(p.coralCover));
+      
+      const markerGroup = g.select('.intervention-markers');
+      markerGroup.selectAll('*').remove();
+      drawInterventionMarkers(markerGroup, interventionLog, xScale, chartHeight);
+      
+    }, [history.ticks, detailedHistory, observedPoints, interventionLog]);
     
     return <svg ref={chartRef} className="coral-health-chart"></svg>;
   };
@@ -2049,7 +2563,7 @@ DATA COLLECTION
       // Use the cumulative data directly
       const cumulativeData = detailedHistory.harvestedTotal.map((total, i) => ({
         tick: history.ticks[i] || i,
-        cumulative: total
+        cumulative: total || 0
       }));
       
       const xScale = d3.scaleLinear()
@@ -2098,6 +2612,8 @@ DATA COLLECTION
         .attr('stroke-width', 3)
         .attr('d', line);
       
+      drawInterventionMarkers(g.append('g'), interventionLog, xScale, chartHeight);
+      
       // Add harvest rate indicator
       const recentData = cumulativeData.slice(-10);
       if (recentData.length >= 2) {
@@ -2115,7 +2631,7 @@ DATA COLLECTION
           .text(`Rate: ${harvestRate.toFixed(2)}/tick`);
       }
       
-    }, [history.ticks, detailedHistory.harvestedTotal, stats.harvestedUrchins]);
+    }, [history.ticks, detailedHistory.harvestedTotal, stats.harvestedUrchins, interventionLog]);
     
     return <svg ref={chartRef} className="harvesting-chart"></svg>;
   };
@@ -2237,20 +2753,16 @@ DATA COLLECTION
         )}
 
         {/* Preset Scenarios */}
-        <div className="mb-6">
-          <div className="flex flex-wrap gap-3 justify-center">
-            {Object.entries(presets).map(([key, preset]) => (
-              <button
-                key={key}
-                onClick={() => applyPreset(preset)}
-                className={`px-4 py-2 ${lowPerformanceMode ? 'bg-slate-700/50' : 'bg-gradient-to-r from-slate-700/50 to-slate-600/50 backdrop-blur-lg'} rounded-full border border-slate-500/30 hover:from-slate-600/50 hover:to-slate-500/50 transition-all flex items-center gap-2 group`}
-              >
-                <span className={`text-lg ${!lowPerformanceMode && 'group-hover:scale-125'} transition-transform`}>{preset.icon}</span>
-                <span className="text-sm font-medium">{preset.name}</span>
-              </button>
-            ))}
-          </div>
-        </div>
+        <PresetBar
+          presets={presets}
+          userPresets={userPresets}
+          activePreset={activePreset}
+          onApply={applyPreset}
+          onUserPresetsChange={setUserPresets}
+          params={params}
+          lowPerformanceMode={lowPerformanceMode}
+          onNotice={setNotice}
+        />
 
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
           {/* Control Panel */}
@@ -2307,15 +2819,15 @@ DATA COLLECTION
                   )}
                 </button>
                 
-                <div className="grid grid-cols-2 gap-3">
+                <div className="flex gap-3">
                   <button
                     onClick={initializeSimulation}
-                    className="py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-slate-600 to-slate-700 hover:from-slate-700 hover:to-slate-800 transition-all flex items-center justify-center gap-1 text-sm"
+                    className="flex-1 py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-slate-600 to-slate-700 hover:from-slate-700 hover:to-slate-800 transition-all flex items-center justify-center gap-1 text-sm"
                   >
                     <RotateCcw className="w-4 h-4" />
                     Reset
                   </button>
-                  <div className="relative export-menu-container">
+                  <div className="flex-1 relative export-menu-container">
                     <button
                       onClick={() => setShowExportMenu(!showExportMenu)}
                       className="w-full py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 transition-all flex items-center justify-center gap-1 text-sm"
@@ -2353,6 +2865,16 @@ DATA COLLECTION
                         >
                           <span className="text-emerald-400">📋</span> Everything (CSV)
                         </button>
+                        <button
+                          onClick={() => {
+                            exportReplicatesCSV();
+                            setShowExportMenu(false);
+                          }}
+                          disabled={!replicates || replicates.rows.length === 0}
+                          className="w-full px-4 py-2 text-left text-sm hover:bg-slate-700 transition-colors flex items-center gap-2 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          <span className="text-cyan-400">🎲</span> Replicates (CSV)
+                        </button>
                         <button
                           onClick={() => {
                             exportComprehensiveReport();
@@ -2394,7 +2916,99 @@ DATA COLLECTION
                       </div>
                     )}
                   </div>
+                  <button
+                    onClick={copyLink}
+                    className="py-2 px-3 rounded-xl font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-all flex items-center justify-center text-sm"
+                    title="Copy link to this scenario (parameters, seed, sprite style and preset)"
+                    aria-label="Copy link"
+                  >
+                    <Link className="w-4 h-4" />
+                  </button>
+                </div>
+
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => stepTicks(1)}
+                    className="flex-1 py-2 px-3 rounded-xl font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-all flex items-center justify-center gap-1 text-sm"
+                    title="Step 1 tick (.)"
+                  >
+                    <StepForward className="w-4 h-4" />
+                    Step 1
+                  </button>
+                  <input
+                    type="number"
+                    min={1}
+                    max={10000}
+                    value={stepCount}
+                    onChange={(e) => setStepCount(Math.max(1, Math.min(10000, parseInt(e.target.value) || 1)))}
+                    className="w-16 px-2 py-2 bg-slate-800/50 border border-slate-600/50 rounded-xl text-white font-mono text-sm text-center focus:border-cyan-400/50 focus:outline-none transition-colors"
+                    title="Ticks per Step N"
+                  />
+                  <button
+                    onClick={() => stepTicks(stepCount)}
+                    className="flex-1 py-2 px-3 rounded-xl font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-all flex items-center justify-center gap-1 text-sm"
+                    title="Step N ticks (Shift + .)"
+                  >
+                    <StepForward className="w-4 h-4" />
+                    Step {stepCount}
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <button
+                    onClick={saveState}
+                    className="py-2 px-3 rounded-xl font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-all flex items-center justify-center gap-1 text-sm"
+                    title="Save agents, tick, history and random state to resume later"
+                  >
+                    <Save className="w-4 h-4" />
+                    Save State
+                  </button>
+                  <button
+                    onClick={() => stateFileRef.current && stateFileRef.current.click()}
+                    className="py-2 px-3 rounded-xl font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-all flex items-center justify-center gap-1 text-sm"
+                    title="Resume from a saved state file"
+                  >
+                    <FolderOpen className="w-4 h-4" />
+                    Load State
+                  </button>
+                  <input
+                    ref={stateFileRef}
+                    type="file"
+                    accept="application/json,.json"
+                    className="hidden"
+                    onChange={(e) => {
+                      loadState(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                  <button
+                    onClick={() => configFileRef.current && configFileRef.current.click()}
+                    className="col-span-2 py-2 px-3 rounded-xl font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-all flex items-center justify-center gap-1 text-sm"
+                    title="Apply the parameters from a JSON, Full Report or Everything CSV export and reset"
+                  >
+                    <FileUp className="w-4 h-4" />
+                    Import Run Configuration
+                  </button>
+                  <input
+                    ref={configFileRef}
+                    type="file"
+                    accept="application/json,.json,text/csv,.csv"
+                    className="hidden"
+                    onChange={(e) => {
+                      importConfiguration(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
                 </div>
+
+                {notice && (
+                  <div className={`flex items-start justify-between gap-2 rounded-lg px-3 py-2 text-xs ${
+                    notice.type === 'error' ? 'bg-red-500/10 text-red-300 border border-red-500/30' : 'bg-cyan-500/10 text-cyan-300 border border-cyan-500/30'
+                  }`}>
+                    <span>{notice.text}</span>
+                    <button onClick={() => setNotice(null)} className="text-gray-400 hover:text-white">×</button>
+                  </div>
+                )}
                 
                 {/* Speed Presets */}
                 <div className="grid grid-cols-4 gap-2 mt-3">
@@ -2647,6 +3261,28 @@ DATA COLLECTION
                 </p>
               </div>
 
+              <div className="mt-4 pt-4 border-t border-slate-700/50">
+                <label className="text-sm font-medium text-gray-300 mb-2 block">Random Seed</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min={0}
+                    max={4294967295}
+                    value={params.seed}
+                    onChange={(e) => setParams({...params, seed: Math.max(0, parseInt(e.target.value) || 0)})}
+                    className="flex-1 min-w-0 px-3 py-2 bg-slate-800/50 border border-slate-600/50 rounded-xl text-white font-mono text-sm focus:border-purple-400/50 focus:outline-none transition-colors"
+                  />
+                  <button
+                    onClick={() => setParams({...params, seed: randomSeed()})}
+                    className="p-2 rounded-xl bg-slate-700/50 hover:bg-slate-600/50 transition-colors"
+                    title="Pick a new random seed"
+                  >
+                    <Dices className="w-4 h-4 text-purple-400" />
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-2 text-center">Applied on reset; same seed + parameters = same run</p>
+              </div>
+
               <div className="mt-4 pt-4 border-t border-slate-700/50">
                 <label className="flex items-center justify-between cursor-pointer">
                   <span className="text-sm text-gray-400">Low Performance Mode</span>
@@ -2713,68 +3349,283 @@ DATA COLLECTION
                   color="cyan"
                 />
                 <CustomSlider
-                  label="Movement Speed"
-                  value={params.urchinSpeed}
-                  onChange={(e) => setParams({...params, urchinSpeed: parseFloat(e.target.value)})}
-                  min={0.1}
-                  max={2}
-                  step={0.1}
-                  unit=""
-                  color="cyan"
+                  label="Movement Speed"
+                  value={params.urchinSpeed}
+                  onChange={(e) => setParams({...params, urchinSpeed: parseFloat(e.target.value)})}
+                  min={0.1}
+                  max={2}
+                  step={0.1}
+                  unit=""
+                  color="cyan"
+                />
+                <CustomSlider
+                  label="Max Size"
+                  value={params.urchinMaxSize}
+                  onChange={(e) => setParams({...params, urchinMaxSize: parseInt(e.target.value)})}
+                  min={20}
+                  max={150}
+                  step={5}
+                  unit=" mm"
+                  color="cyan"
+                />
+                <CustomSlider
+                  label="Growth Rate"
+                  value={params.urchinGrowthRate}
+                  onChange={(e) => setParams({...params, urchinGrowthRate: parseFloat(e.target.value)})}
+                  min={0}
+                  max={0.05}
+                  step={0.001}
+                  unit=""
+                  color="cyan"
+                />
+                <CustomSlider
+                  label="Natural Mortality"
+                  value={params.naturalMortality}
+                  onChange={(e) => setParams({...params, naturalMortality: parseFloat(e.target.value)})}
+                  min={0}
+                  max={0.01}
+                  step={0.0001}
+                  unit=""
+                  color="cyan"
+                />
+                <CustomSlider
+                  label="Max Lifespan (0 = none)"
+                  value={params.maxLifespan}
+                  onChange={(e) => setParams({...params, maxLifespan: parseInt(e.target.value)})}
+                  min={0}
+                  max={20000}
+                  step={100}
+                  unit=" ticks"
+                  color="cyan"
+                />
+                <CustomSlider
+                  label="Density Mortality"
+                  value={params.densityMortality}
+                  onChange={(e) => setParams({...params, densityMortality: parseFloat(e.target.value)})}
+                  min={0}
+                  max={0.05}
+                  step={0.001}
+                  unit=""
+                  color="cyan"
+                />
+                <div className="p-3 bg-slate-900/30 rounded-lg">
+                  <p className="text-xs text-gray-400 flex items-center gap-2">
+                    <Info className="w-3 h-3" />
+                    Maturity Time: 54-170 ticks (randomly assigned per urchin)
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Harvester Parameters */}
+            <div className={`${lowPerformanceMode ? 'bg-slate-800/50' : 'bg-gradient-to-br from-slate-800/50 to-slate-900/50 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
+              <h3 className="text-lg font-bold mb-4 text-orange-400 flex items-center gap-2">
+                <span>🎣</span> Harvester Parameters
+              </h3>
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <CustomSlider
+                    label="Number of Harvesters"
+                    value={params.harvesterCount}
+                    onChange={(e) => {
+                      const newCount = parseInt(e.target.value);
+                      setParams({...params, harvesterCount: newCount});
+                      updateHarvesterCount(newCount);
+                    }}
+                    min={0}
+                    max={10}
+                    unit=""
+                    color="orange"
+                  />
+                  <div className="text-xs text-gray-400 bg-slate-900/50 rounded px-2 py-1">
+                    Current: {agents.harvesters.length} harvesters
+                  </div>
+                </div>
+                <CustomSlider
+                  label="Harvesting Rate"
+                  value={params.harvestingRate}
+                  onChange={(e) => setParams({...params, harvestingRate: parseFloat(e.target.value)})}
+                  min={0}
+                  max={5}
+                  step={0.1}
+                  unit=""
+                  color="orange"
+                />
+                <CustomSlider
+                  label="Harvester Speed"
+                  value={params.harvesterSpeed}
+                  onChange={(e) => setParams({...params, harvesterSpeed: parseFloat(e.target.value)})}
+                  min={0.5}
+                  max={3}
+                  step={0.1}
+                  unit=""
+                  color="orange"
+                />
+                <div>
+                  <label className="text-sm font-medium text-gray-300 mb-2 block">Search Strategy</label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {HARVESTER_STRATEGIES.map(strategy => (
+                      <button
+                        key={strategy}
+                        onClick={() => setParams({...params, harvesterStrategy: strategy})}
+                        className={`py-2 px-2 rounded-lg text-xs font-medium transition-all ${
+                          params.harvesterStrategy === strategy
+                            ? 'bg-orange-600 text-white'
+                            : 'bg-slate-700/50 hover:bg-slate-600/50 text-gray-300'
+                        }`}
+                        title={harvesterStrategyLabels[strategy].description}
+                      >
+                        {harvesterStrategyLabels[strategy].name}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">{harvesterStrategyLabels[params.harvesterStrategy].description}</p>
+                </div>
+                {params.harvesterStrategy === 'density' && (
+                  <CustomSlider
+                    label="Perception Radius"
+                    value={params.perceptionRadius}
+                    onChange={(e) => setParams({...params, perceptionRadius: parseInt(e.target.value)})}
+                    min={10}
+                    max={400}
+                    step={10}
+                    unit=""
+                    color="orange"
+                  />
+                )}
+                <CustomSlider
+                  label="Minimum Legal Size"
+                  value={params.minLegalSize}
+                  onChange={(e) => setParams({...params, minLegalSize: parseInt(e.target.value)})}
+                  min={0}
+                  max={150}
+                  step={5}
+                  unit=" mm"
+                  color="orange"
                 />
-                <div className="p-3 bg-slate-900/30 rounded-lg">
-                  <p className="text-xs text-gray-400 flex items-center gap-2">
-                    <Info className="w-3 h-3" />
-                    Maturity Time: 54-170 ticks (randomly assigned per urchin)
-                  </p>
-                </div>
               </div>
             </div>
 
-            {/* Harvester Parameters */}
+            <HarvestRules
+              params={params}
+              rules={stats.harvestRules}
+              tick={tick}
+              onChange={(patch) => setParams(prev => ({ ...prev, ...patch }))}
+              lowPerformanceMode={lowPerformanceMode}
+            />
+
+            <HarvesterEconomics
+              params={params}
+              economics={stats.economics}
+              onChange={(patch) => setParams(prev => ({ ...prev, ...patch }))}
+              lowPerformanceMode={lowPerformanceMode}
+            />
+
+            {/* Predator Parameters */}
             <div className={`${lowPerformanceMode ? 'bg-slate-800/50' : 'bg-gradient-to-br from-slate-800/50 to-slate-900/50 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
-              <h3 className="text-lg font-bold mb-4 text-orange-400 flex items-center gap-2">
-                <span>🎣</span> Harvester Parameters
+              <h3 className="text-lg font-bold mb-4 text-purple-400 flex items-center gap-2">
+                <span>🐠</span> Predator Parameters
               </h3>
               <div className="space-y-4">
                 <div className="space-y-2">
                   <CustomSlider
-                    label="Number of Harvesters"
-                    value={params.harvesterCount}
+                    label="Number of Predators"
+                    value={params.predatorCount}
                     onChange={(e) => {
                       const newCount = parseInt(e.target.value);
-                      setParams({...params, harvesterCount: newCount});
-                      updateHarvesterCount(newCount);
+                      setParams({...params, predatorCount: newCount});
+                      updatePredatorCount(newCount);
                     }}
                     min={0}
-                    max={10}
+                    max={50}
                     unit=""
-                    color="orange"
+                    color="purple"
                   />
                   <div className="text-xs text-gray-400 bg-slate-900/50 rounded px-2 py-1">
-                    Current: {agents.harvesters.length} harvesters
+                    Current: {agents.predators.length} predators
+                    {agents.predators.length > 0 && ` (${PREDATOR_SPECIES.map(species => `${stats.predation.species[species] || 0} ${predatorSpeciesLabels[species].name.toLowerCase()}`).join(', ')})`}
+                  </div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-300 mb-2 block">Species</label>
+                  <div className="grid grid-cols-2 gap-2">
+                    {PREDATOR_MIXES.map(species => (
+                      <button
+                        key={species}
+                        onClick={() => setParams({...params, predatorSpecies: species})}
+                        className={`py-2 px-2 rounded-lg text-xs font-medium transition-all ${
+                          params.predatorSpecies === species
+                            ? 'bg-purple-600 text-white'
+                            : 'bg-slate-700/50 hover:bg-slate-600/50 text-gray-300'
+                        }`}
+                        title={predatorSpeciesLabels[species].description}
+                      >
+                        {predatorSpeciesLabels[species].name}
+                      </button>
+                    ))}
                   </div>
+                  <p className="text-xs text-gray-400 mt-2">{predatorSpeciesLabels[params.predatorSpecies].description}. Applies to predators added from now on.</p>
                 </div>
                 <CustomSlider
-                  label="Harvesting Rate"
-                  value={params.harvestingRate}
-                  onChange={(e) => setParams({...params, harvestingRate: parseFloat(e.target.value)})}
-                  min={0}
-                  max={5}
+                  label="Predator Speed"
+                  value={params.predatorSpeed}
+                  onChange={(e) => setParams({...params, predatorSpeed: parseFloat(e.target.value)})}
+                  min={0.1}
+                  max={3}
                   step={0.1}
                   unit=""
-                  color="orange"
+                  color="purple"
                 />
                 <CustomSlider
-                  label="Harvester Speed"
-                  value={params.harvesterSpeed}
-                  onChange={(e) => setParams({...params, harvesterSpeed: parseFloat(e.target.value)})}
-                  min={0.5}
-                  max={3}
-                  step={0.1}
+                  label="Sight Radius"
+                  value={params.predatorSight}
+                  onChange={(e) => setParams({...params, predatorSight: parseInt(e.target.value)})}
+                  min={10}
+                  max={400}
+                  step={10}
                   unit=""
-                  color="orange"
+                  color="purple"
+                />
+                <CustomSlider
+                  label="Predation Rate"
+                  value={params.predationRate}
+                  onChange={(e) => setParams({...params, predationRate: parseFloat(e.target.value)})}
+                  min={0}
+                  max={1}
+                  step={0.01}
+                  unit=""
+                  color="purple"
+                />
+                <CustomSlider
+                  label="Metabolism"
+                  value={params.predatorMetabolism}
+                  onChange={(e) => setParams({...params, predatorMetabolism: parseFloat(e.target.value)})}
+                  min={0}
+                  max={1}
+                  step={0.01}
+                  unit=""
+                  color="purple"
+                />
+                <CustomSlider
+                  label="Reproduction Rate"
+                  value={params.predatorReproductionRate}
+                  onChange={(e) => setParams({...params, predatorReproductionRate: parseFloat(e.target.value)})}
+                  min={0}
+                  max={0.2}
+                  step={0.005}
+                  unit=""
+                  color="purple"
                 />
+                <div className="bg-slate-900/50 rounded-lg p-3 space-y-1 text-xs text-gray-400">
+                  <div className="flex justify-between">
+                    <span>Juveniles / adults eaten</span>
+                    <span className="font-mono text-white">{stats.predation.eatenJuveniles} / {stats.predation.eatenAdults}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Predators born / starved</span>
+                    <span className="font-mono text-white">{stats.predation.births} / {stats.predation.starved}</span>
+                  </div>
+                </div>
               </div>
             </div>
 
@@ -2816,6 +3667,79 @@ DATA COLLECTION
               </div>
             </div>
 
+            {/* World Parameters */}
+            <div className={`${lowPerformanceMode ? 'bg-slate-800/50' : 'bg-gradient-to-br from-slate-800/50 to-slate-900/50 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
+              <h3 className="text-lg font-bold mb-4 text-purple-400 flex items-center gap-2">
+                <span>🗺️</span> Reef Extent
+              </h3>
+              <div className="space-y-4">
+                <CustomSlider
+                  label="World Width"
+                  value={params.worldWidth}
+                  onChange={(e) => setParams({...params, worldWidth: parseInt(e.target.value)})}
+                  min={WORLD_LIMITS.worldWidth.min}
+                  max={WORLD_LIMITS.worldWidth.max}
+                  step={40}
+                  unit=""
+                  color="purple"
+                />
+                <CustomSlider
+                  label="World Height"
+                  value={params.worldHeight}
+                  onChange={(e) => setParams({...params, worldHeight: parseInt(e.target.value)})}
+                  min={WORLD_LIMITS.worldHeight.min}
+                  max={WORLD_LIMITS.worldHeight.max}
+                  step={40}
+                  unit=""
+                  color="purple"
+                />
+                <CustomSlider
+                  label="Cell Size"
+                  value={params.cellSize}
+                  onChange={(e) => setParams({...params, cellSize: parseInt(e.target.value)})}
+                  min={WORLD_LIMITS.cellSize.min}
+                  max={WORLD_LIMITS.cellSize.max}
+                  step={5}
+                  unit=""
+                  color="purple"
+                />
+                <div>
+                  <label className="text-sm font-medium text-gray-300 mb-2 block">Boundary</label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {BOUNDARY_MODES.map(mode => (
+                      <button
+                        key={mode}
+                        onClick={() => setParams({...params, boundaryMode: mode})}
+                        className={`py-2 px-2 rounded-lg text-xs font-medium transition-all ${
+                          params.boundaryMode === mode
+                            ? 'bg-purple-600 text-white'
+                            : 'bg-slate-700/50 hover:bg-slate-600/50 text-gray-300'
+                        }`}
+                        title={boundaryModeLabels[mode].description}
+                      >
+                        {boundaryModeLabels[mode].name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {params.boundaryMode === 'open' && (
+                  <CustomSlider
+                    label="Immigration Rate"
+                    value={params.immigrationRate}
+                    onChange={(e) => setParams({...params, immigrationRate: parseFloat(e.target.value)})}
+                    min={0}
+                    max={1}
+                    step={0.01}
+                    unit=""
+                    color="purple"
+                  />
+                )}
+                <p className="text-xs text-gray-500 text-center">
+                  {Math.floor(params.worldWidth / params.cellSize)}×{Math.floor(params.worldHeight / params.cellSize)} grid · size and boundary applied on reset
+                </p>
+              </div>
+            </div>
+
             {/* Visual Settings */}
             <div className={`${lowPerformanceMode ? 'bg-slate-800/50' : 'bg-gradient-to-br from-slate-800/50 to-slate-900/50 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
               <h3 className="text-lg font-bold mb-4 text-yellow-400 flex items-center gap-2">
@@ -2836,11 +3760,23 @@ DATA COLLECTION
                     <option value="custom">Custom</option>
                   </select>
                 </div>
+
+                <div>
+                  <label className="text-sm font-medium text-gray-300 mb-2 block">Renderer</label>
+                  <select
+                    value={renderer}
+                    onChange={(e) => setRenderer(e.target.value)}
+                    className="w-full p-3 bg-slate-800/50 border border-slate-600/50 rounded-xl text-white focus:border-yellow-400/50 focus:outline-none transition-colors"
+                  >
+                    <option value="svg">SVG</option>
+                    <option value="canvas">Canvas (faster with many agents)</option>
+                  </select>
+                </div>
                 
                 {spriteStyle === 'custom' && (
                   <div className="space-y-3 pt-3 border-t border-slate-700/50">
                     <p className="text-xs text-gray-400">Upload custom sprites (PNG/JPG):</p>
-                    {['urchin', 'harvester', 'coral', 'algae'].map(entity => (
+                    {['urchin', 'harvester', 'predator', 'coral', 'algae'].map(entity => (
                       <div key={entity} className="flex items-center justify-between">
                         <label className="text-xs text-gray-400 capitalize">{entity}:</label>
                         <input
@@ -2870,10 +3806,25 @@ DATA COLLECTION
                   ref={svgRef}
                   width={width}
                   height={height}
-                  className="w-full h-auto"
+                  className={`w-full h-auto ${renderer === 'canvas' ? 'hidden' : ''}`}
                   style={{ maxWidth: '100%', height: 'auto' }}
                   viewBox={`0 0 ${width} ${height}`}
                 />
+                <canvas
+                  ref={canvasRef}
+                  width={width}
+                  height={height}
+                  className={`w-full h-auto ${renderer === 'canvas' ? '' : 'hidden'}`}
+                  style={{ maxWidth: '100%', height: 'auto' }}
+                />
+                <ZoneOverlay
+                  zones={params.protectedZones}
+                  width={width}
+                  height={height}
+                  drawMode={zoneDrawMode}
+                  onAdd={addProtectedZone}
+                  onCancel={() => setZoneDrawMode(null)}
+                />
                 {/* Overlay stats */}
                 <div className={`absolute top-4 right-4 ${lowPerformanceMode ? 'bg-slate-900/80' : 'bg-slate-900/80 backdrop-blur-lg'} rounded-xl p-3 border border-slate-700/50`}>
                   <div className="flex items-center gap-2 text-sm">
@@ -2911,6 +3862,46 @@ DATA COLLECTION
                   </div>
                 )}
               </div>
+
+              {/* Rewind timeline */}
+              <div className="mt-4 flex items-center gap-3">
+                <button
+                  onClick={stepBack}
+                  disabled={tick <= timeline.start}
+                  className="p-2 rounded-lg bg-slate-700/50 hover:bg-slate-600/50 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                  title="Step back one tick (,)"
+                >
+                  <StepBack className="w-4 h-4" />
+                </button>
+                <History className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                <input
+                  type="range"
+                  min={timeline.start}
+                  max={Math.max(timeline.end, timeline.start)}
+                  step={1}
+                  value={Math.max(timeline.start, Math.min(tick, timeline.end))}
+                  onChange={(e) => seekTo(parseInt(e.target.value))}
+                  disabled={timeline.end <= timeline.start}
+                  className="flex-1 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+                />
+                <span className="text-xs font-mono text-gray-400 whitespace-nowrap">
+                  {tick} / {timeline.end}
+                </span>
+              </div>
+              {!isRunning && tick < timeline.end && (
+                <p className="text-xs text-gray-500 mt-2 text-center">
+                  Rewound to tick {tick}. Start, step or change parameters to branch a new run from here; later ticks are then discarded.
+                </p>
+              )}
+              <ProtectedZonesBar
+                zones={params.protectedZones}
+                avoid={params.harvestersAvoidZones}
+                drawMode={zoneDrawMode}
+                protectedAreas={stats.protectedAreas}
+                onDrawModeChange={setZoneDrawMode}
+                onZonesChange={(protectedZones) => setParams(prev => ({ ...prev, protectedZones }))}
+                onAvoidChange={(harvestersAvoidZones) => setParams(prev => ({ ...prev, harvestersAvoidZones }))}
+              />
             </div>
             
             {/* Detailed Statistics */}
@@ -2940,7 +3931,34 @@ DATA COLLECTION
                   <Heart className="w-5 h-5 text-red-400" />
                   Population Dynamics
                 </h3>
-                <div className="flex gap-2">
+                <div className="flex gap-2 items-center">
+                  <input
+                    type="number"
+                    min="2"
+                    max="100"
+                    value={replicateCount}
+                    onChange={(e) => setReplicateCount(parseInt(e.target.value) || 2)}
+                    className="w-14 px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white font-mono text-xs focus:border-cyan-400/50 focus:outline-none"
+                    title="Number of replicate runs"
+                  />
+                  <button
+                    onClick={runReplicates}
+                    disabled={replicates && replicates.status === 'running'}
+                    className="px-3 py-2 rounded-lg bg-slate-700/50 hover:bg-slate-600/50 transition-colors text-sm font-medium flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Run replicates of the current configuration with seeds seed, seed+1, ... and show their mean and 95% confidence band"
+                  >
+                    <Dices className="w-4 h-4" />
+                    {replicates && replicates.status === 'running' ? `${replicates.done}/${replicates.count}` : 'Replicates'}
+                  </button>
+                  {replicates && (
+                    <button
+                      onClick={clearReplicates}
+                      className="p-2 rounded-lg bg-slate-700/50 hover:bg-slate-600/50 transition-colors"
+                      title={replicates.status === 'running' ? 'Cancel replicates' : 'Clear replicate bands'}
+                    >
+                      <RotateCcw className="w-3 h-3" />
+                    </button>
+                  )}
                   <button
                     onClick={exportChartAsPNG}
                     className="p-2 rounded-lg bg-slate-700/50 hover:bg-slate-600/50 transition-colors"
@@ -2975,6 +3993,22 @@ DATA COLLECTION
                   <span className="text-sm text-gray-300">Algae Coverage %</span>
                 </div>
               </div>
+              {observed && (
+                <p className="text-xs text-gray-400 text-center mt-3">
+                  Hollow markers: observed survey ({observed.name}) — circles urchins, squares coral cover %, triangles algae cover %
+                </p>
+              )}
+              {interventionLog.length > 0 && (
+                <p className="text-xs text-gray-400 text-center mt-3">
+                  <span className="text-amber-400">Amber flags</span>: executed interventions (hover for details)
+                </p>
+              )}
+              {replicates && replicates.done > 0 && (
+                <p className="text-xs text-gray-400 text-center mt-3">
+                  Dashed lines and shaded bands: mean and 95% confidence interval across {replicates.done} of {replicates.count} replicates
+                  (seeds {replicates.seeds[0]}–{replicates.seeds[replicates.seeds.length - 1]}, {replicates.tickLimit} ticks)
+                </p>
+              )}
             </div>
 
             {/* Advanced Analytics Section */}
@@ -3006,6 +4040,12 @@ DATA COLLECTION
                       <div className="w-3 h-3 bg-gray-500 rounded"></div>
                       <span className="text-gray-400">Dead</span>
                     </div>
+                    {observedPoints.some(p => p.coralCover !== undefined) && (
+                      <div className="flex items-center gap-1">
+                        <div className="w-3 h-3 border border-slate-200"></div>
+                        <span className="text-gray-400">Observed live coral</span>
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -3029,6 +4069,43 @@ DATA COLLECTION
                   </div>
                 </div>
 
+                {/* Urchin Size Frequency */}
+                <div className={`${lowPerformanceMode ? 'bg-slate-900/30' : 'bg-slate-900/30 backdrop-blur'} rounded-xl p-4 border border-slate-700/30`}>
+                  <h4 className="text-sm font-semibold text-gray-300 mb-3 flex items-center gap-2">
+                    <span className="text-cyan-400">📏</span> Urchin Size Frequency
+                  </h4>
+                  <div className="flex justify-center">
+                    <SizeFrequencyChart sizes={stats.urchinSizes} minLegalSize={params.minLegalSize} />
+                  </div>
+                  <div className="flex flex-wrap gap-4 mt-3 justify-center text-xs">
+                    <span className="text-gray-400">Mean {stats.urchinSizes.meanSize.toFixed(1)} mm</span>
+                    {params.minLegalSize > 0 && (
+                      <div className="flex items-center gap-1">
+                        <div className="w-4 h-0.5 bg-orange-400"></div>
+                        <span className="text-gray-400">Legal size {params.minLegalSize} mm · {stats.urchinSizes.legalSizeAdults} adults harvestable</span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+
+                {/* Urchin deaths by cause */}
+                <div className={`${lowPerformanceMode ? 'bg-slate-900/30' : 'bg-slate-900/30 backdrop-blur'} rounded-xl p-4 border border-slate-700/30`}>
+                  <h4 className="text-sm font-semibold text-gray-300 mb-3 flex items-center gap-2">
+                    <span className="text-violet-400">🪦</span> Urchin Deaths by Cause
+                  </h4>
+                  <div className="flex justify-center">
+                    <DeathsChart history={history} detailedHistory={detailedHistory} interventionLog={interventionLog} />
+                  </div>
+                  <div className="flex flex-wrap gap-4 mt-3 justify-center text-xs">
+                    {DEATH_CAUSES.map(cause => (
+                      <div key={cause.key} className="flex items-center gap-1">
+                        <div className="w-4 h-0.5" style={{ backgroundColor: cause.color }}></div>
+                        <span className="text-gray-400">{cause.label}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
                 {/* Phase Space Diagram */}
                 <div className={`${lowPerformanceMode ? 'bg-slate-900/30' : 'bg-slate-900/30 backdrop-blur'} rounded-xl p-4 border border-slate-700/30`}>
                   <h4 className="text-sm font-semibold text-gray-300 mb-3 flex items-center gap-2">
@@ -3054,6 +4131,81 @@ DATA COLLECTION
                     Cumulative harvest over time
                   </p>
                 </div>
+
+                {/* Fleet economics */}
+                <div className={`md:col-span-2 ${lowPerformanceMode ? 'bg-slate-900/30' : 'bg-slate-900/30 backdrop-blur'} rounded-xl p-4 border border-slate-700/30`}>
+                  <h4 className="text-sm font-semibold text-gray-300 mb-3 flex items-center gap-2">
+                    <span className="text-orange-400">💰</span> Fleet Economics
+                  </h4>
+                  <div className="flex justify-center">
+                    <EconomicsChart history={history} detailedHistory={detailedHistory} interventionLog={interventionLog} />
+                  </div>
+                  <div className="flex flex-wrap gap-4 mt-3 justify-center text-xs">
+                    <div className="flex items-center gap-1">
+                      <div className="w-4 h-0.5 bg-green-500"></div>
+                      <span className="text-gray-400">Revenue</span>
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <div className="w-4 h-0.5 bg-red-500"></div>
+                      <span className="text-gray-400">Costs</span>
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <div className="w-4 h-0.5 bg-orange-400"></div>
+                      <span className="text-gray-400">Profit</span>
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <div className="w-4 border-t border-dashed border-cyan-400"></div>
+                      <span className="text-gray-400">Fleet size</span>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Predators and their prey */}
+                {history.predatorPop.some(v => v > 0) && (
+                  <div className={`md:col-span-2 ${lowPerformanceMode ? 'bg-slate-900/30' : 'bg-slate-900/30 backdrop-blur'} rounded-xl p-4 border border-slate-700/30`}>
+                    <h4 className="text-sm font-semibold text-gray-300 mb-3 flex items-center gap-2">
+                      <span className="text-purple-400">🐠</span> Predators and Urchins
+                    </h4>
+                    <div className="flex justify-center">
+                      <PredatorChart history={history} detailedHistory={detailedHistory} interventionLog={interventionLog} />
+                    </div>
+                    <div className="flex flex-wrap gap-4 mt-3 justify-center text-xs">
+                      {PREDATOR_SPECIES.map(species => (
+                        <div key={species} className="flex items-center gap-1">
+                          <div className="w-4 h-0.5" style={{ backgroundColor: PREDATOR_COLORS[species] }}></div>
+                          <span className="text-gray-400">{predatorSpeciesLabels[species].name}</span>
+                        </div>
+                      ))}
+                      <div className="flex items-center gap-1">
+                        <div className="w-4 border-t border-dashed border-cyan-400"></div>
+                        <span className="text-gray-400">Urchins</span>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
+                {/* Protected vs open reef */}
+                {detailedHistory.protectedCoralHealth.some(v => v !== null) && (
+                  <div className={`md:col-span-2 ${lowPerformanceMode ? 'bg-slate-900/30' : 'bg-slate-900/30 backdrop-blur'} rounded-xl p-4 border border-slate-700/30`}>
+                    <h4 className="text-sm font-semibold text-gray-300 mb-3 flex items-center gap-2">
+                      <span className="text-sky-400">🛟</span> No-take Zones vs Open Reef
+                    </h4>
+                    <div className="flex justify-center">
+                      <ProtectedAreaChart history={history} detailedHistory={detailedHistory} interventionLog={interventionLog} />
+                    </div>
+                    <div className="flex flex-wrap gap-4 mt-3 justify-center text-xs">
+                      <div className="flex items-center gap-1">
+                        <div className="w-4 h-0.5 bg-cyan-400"></div>
+                        <span className="text-gray-400">Urchins per cell</span>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <div className="w-4 h-0.5 bg-pink-400"></div>
+                        <span className="text-gray-400">Coral health %</span>
+                      </div>
+                      <span className="text-gray-400">Solid: inside zones · Dashed: outside</span>
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Ecosystem Composition at bottom */}
@@ -3087,6 +4239,23 @@ DATA COLLECTION
           </div>
         </div>
 
+        {/* Scenario timeline and batch experiments */}
+        <InterventionTimeline
+          interventions={params.interventions}
+          log={interventionLog}
+          onChange={(interventions) => setParams(prev => ({ ...prev, interventions }))}
+          lowPerformanceMode={lowPerformanceMode}
+        />
+        <ExperimentDesigner params={params} lowPerformanceMode={lowPerformanceMode} />
+        <SensitivityAnalysis params={params} lowPerformanceMode={lowPerformanceMode} />
+        <CalibrationPanel
+          params={params}
+          observed={observed}
+          onObservedChange={setObserved}
+          onApply={applyCalibration}
+          lowPerformanceMode={lowPerformanceMode}
+        />
+
         {/* Info Modal */}
         {showInfo && (
           <div className={`fixed inset-0 ${lowPerformanceMode ? 'bg-black/50' : 'bg-black/50 backdrop-blur-sm'} flex items-center justify-center z-50 p-6`}>
@@ -3182,11 +4351,89 @@ DATA COLLECTION
                     💡 Tip: For detailed analysis, set frequency to 1-5. For long simulations, use 10-25.
                   </p>
                 </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Reproducibility:</h4>
+                  <p>
+                    Every random decision is drawn from a seeded generator. Resetting with the same Random Seed and parameters replays the run exactly; the seed is included in every data export.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Rewind:</h4>
+                  <p>
+                    A checkpoint is kept every 25 ticks (the last 200 are retained). Drag the timeline under the reef or use step back to return to an earlier tick, then start again, optionally with new parameters, to branch a different run from that moment.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Stepping:</h4>
+                  <p>
+                    Step 1 and Step N advance a paused run by hand and refresh the statistics immediately. Shortcuts: <kbd>.</kbd> steps one tick, <kbd>Shift</kbd> + <kbd>.</kbd> steps N ticks and <kbd>,</kbd> steps back.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Replicates:</h4>
+                  <p>
+                    Replicates re-runs the current configuration N times in the background with seeds seed, seed+1, … to the tick limit (1000 ticks if none is set). The Population Dynamics chart then shows each series' mean as a dashed line with a shaded 95% confidence interval of the mean; per-run data are in the exports.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Urchin Growth:</h4>
+                  <p>
+                    Each urchin's test diameter grows towards the maximum size following von Bertalanffy growth, at the full rate while it is well fed and more slowly as its energy runs low. Harvesters only take adults at or above the minimum legal size. The size-frequency chart shows the current population with the legal size marked, and urchin sprites are drawn to scale.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Urchin Mortality:</h4>
+                  <p>
+                    Besides starving and being harvested, urchins can die of natural causes: a base chance each tick (twice as high for juveniles), rising steadily once they pass three quarters of the maximum lifespan until none outlive it, plus an optional crowding term that grows with urchin density. Deaths are counted by cause and charted over time.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Predators:</h4>
+                  <p>
+                    Triggerfish, wrasses and spiny lobsters hunt the urchins they can see, steering for the nearest one they can handle: triggerfish favour adults and crack the largest tests, wrasses take juveniles and only small adults, and lobsters take both up to mid size. Predators gain energy from each urchin eaten, burn it as they move, breed when well fed and starve when prey runs out, and they hunt inside no-take zones too. Adding them alongside harvesting lets you test whether restoring predators keeps urchins down and the coral healthy.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Harvester Search:</h4>
+                  <p>
+                    Harvesters either wander at random, head for the densest patch of legal-size urchins they can see, return to where they last made a catch, share recent catch sites across the fleet, or patrol lanes across the reef. The strategy is part of the exported parameters and can be varied in experiments to compare how each depletes the reef.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Harvester Economics:</h4>
+                  <p>
+                    Harvesters are paid per urchin landed, or per gram of roe (which grows with the cube of test diameter), and pay a trip cost each day plus fuel for the distance they move. With open access the fleet reviews its accounts periodically: harvesters that lost money since the last review leave and a new one joins if the fleet was profitable, so effort settles where fishing stops paying instead of staying fixed.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Harvest Rules:</h4>
+                  <p>
+                    A total allowable catch stops all harvesting for the rest of its period once reached, closed seasons suspend harvesting for the same tick ranges every year, and the daily bag limit idles each harvester once it has taken its limit for the day. The panel counts how often each rule was binding; the counts are also in the exports.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">No-take Zones:</h4>
+                  <p>
+                    Draw rectangles or polygons on the reef with the tools under the view. Harvesters never take urchins inside a zone and, with "Harvesters avoid zones", turn back at its edge. The table and the No-take Zones chart compare urchin density (per coral cell) and coral health inside the zones with the open reef; both are in the CSV and report exports.
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-white mb-2">Scenario Timeline:</h4>
+                  <p>
+                    Schedule management interventions — changing a parameter, culling urchins or restocking coral — at a tick or the first time a condition holds. Each fires once per run, is flagged on the history charts and is listed in the exports; the schedule is saved with presets, state files and shared links, and experiment runs apply it too.
+                  </p>
+                </div>
                 <div>
                   <h4 className="font-semibold text-white mb-2">Performance Mode:</h4>
                   <p>
                     Enable "Low Performance Mode" if you experience lag. This disables visual effects while maintaining full simulation functionality.
                   </p>
+                  <p className="mt-2">
+                    The model itself steps in a background Web Worker, so sliders and exports stay responsive even during long turbo runs.
+                  </p>
+                  <p className="mt-2">
+                    With thousands of agents, switch the Renderer (Visual Settings) to Canvas. It draws every sprite style from pre-rendered images instead of rebuilding SVG elements each frame.
+                  </p>
                 </div>
               </div>
               <button
@@ -0,0 +1,413 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { Sliders, Plus, Trash2, Play, Square, Download } from 'lucide-react';
+import {
+  PARAM_SPECS,
+  SENSITIVITY_OUTPUTS,
+  createSensitivityPlan,
+  sensitivityRuns,
+  runOutputs,
+  analyzeSensitivity,
+  sensitivityToCSV
+} from './simulation';
+import { createExperimentClient } from './simulation/client';
+import { downloadText } from './download';
+
+// Only numeric parameters can be sampled
+const NUMERIC_SPECS = PARAM_SPECS.filter(spec => !spec.options);
+const specFor = (key) => NUMERIC_SPECS.find(spec => spec.key === key);
+
+const newFactorRow = (key) => {
+  const spec = specFor(key);
+  return { key, min: spec.min, max: spec.max };
+};
+
+const methodLabels = {
+  oat: { name: 'One-at-a-time', samples: 'Levels per factor', defaultSamples: 5 },
+  lhs: { name: 'Latin hypercube', samples: 'Sample points', defaultSamples: 64 },
+  saltelli: { name: 'Saltelli (Sobol)', samples: 'Base samples N', defaultSamples: 32 }
+};
+
+const runCount = (method, samples, k) => {
+  if (method === 'oat') return 1 + k * Math.max(2, samples);
+  if (method === 'saltelli') return samples * (k + 2);
+  return samples;
+};
+
+// Tornado for one-at-a-time (output at each factor's min and max around the
+// baseline) or ranked index bars for the sampling methods
+const drawSensitivityChart = (svgElement, plan, analysis, outputKey) => {
+  const svg = d3.select(svgElement);
+  svg.selectAll('*').remove();
+  const entries = analysis[outputKey];
+  const measure = plan.method === 'oat' ? (e => e.swing) : plan.method === 'saltelli' ? (e => e.total) : (e => e.first);
+  const sorted = [...entries].sort((a, b) => measure(b) - measure(a));
+
+  const margin = { top: 24, right: 30, bottom: 36, left: 150 };
+  const barBand = 28;
+  const chartWidth = 560 - margin.left - margin.right;
+  const chartHeight = sorted.length * barBand;
+  svg.attr('width', chartWidth + margin.left + margin.right)
+     .attr('height', chartHeight + margin.top + margin.bottom);
+  const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+  const yScale = d3.scaleBand()
+    .domain(sorted.map(e => e.key))
+    .range([0, chartHeight])
+    .padding(0.25);
+
+  let xScale;
+  if (plan.method === 'oat') {
+    const baseline = sorted.length > 0 ? sorted[0].baseline : 0;
+    const values = sorted.flatMap(e => [e.low, e.high]);
+    xScale = d3.scaleLinear()
+      .domain(d3.extent([baseline, ...values]))
+      .nice()
+      .range([0, chartWidth]);
+
+    // Bar from baseline to the output at the factor's min (amber) and max (cyan)
+    [['low', '#fbbf24'], ['high', '#00ffcc']].forEach(([side, color], i) => {
+      g.selectAll(`.bar-${side}`)
+        .data(sorted)
+        .enter()
+        .append('rect')
+        .attr('x', e => xScale(Math.min(baseline, e[side])))
+        .attr('y', e => yScale(e.key) + (i * yScale.bandwidth()) / 2)
+        .attr('width', e => Math.max(1, Math.abs(xScale(e[side]) - xScale(baseline))))
+        .attr('height', yScale.bandwidth() / 2)
+        .attr('fill', color)
+        .attr('opacity', 0.85);
+    });
+    g.append('line')
+      .attr('x1', xScale(baseline))
+      .attr('x2', xScale(baseline))
+      .attr('y1', -6)
+      .attr('y2', chartHeight)
+      .attr('stroke', '#e2e8f0')
+      .attr('stroke-dasharray', '3 3');
+  } else {
+    const series = plan.method === 'saltelli'
+      ? [['first', 'firstConf', '#a855f7'], ['total', 'totalConf', '#00ffcc']]
+      : [['first', null, '#a855f7']];
+    const upper = d3.max(sorted, e => d3.max(series, ([key, conf]) => e[key] + (conf ? e[conf] : 0)));
+    xScale = d3.scaleLinear()
+      .domain([Math.min(0, d3.min(sorted, e => d3.min(series, ([key]) => e[key]))), Math.max(1, upper || 0)])
+      .range([0, chartWidth]);
+    const slot = yScale.bandwidth() / series.length;
+
+    series.forEach(([key, conf, color], i) => {
+      g.selectAll(`.bar-${key}`)
+        .data(sorted)
+        .enter()
+        .append('rect')
+        .attr('x', e => xScale(Math.min(0, e[key])))
+        .attr('y', e => yScale(e.key) + i * slot)
+        .attr('width', e => Math.abs(xScale(e[key]) - xScale(0)))
+        .attr('height', slot)
+        .attr('fill', color)
+        .attr('opacity', 0.85);
+      if (conf) {
+        g.selectAll(`.whisker-${key}`)
+          .data(sorted)
+          .enter()
+          .append('line')
+          .attr('x1', e => xScale(e[key] - e[conf]))
+          .attr('x2', e => xScale(e[key] + e[conf]))
+          .attr('y1', e => yScale(e.key) + i * slot + slot / 2)
+          .attr('y2', e => yScale(e.key) + i * slot + slot / 2)
+          .attr('stroke', '#e2e8f0')
+          .attr('stroke-width', 1);
+      }
+    });
+  }
+
+  g.append('g')
+    .attr('transform', `translate(0,${chartHeight})`)
+    .call(d3.axisBottom(xScale).ticks(6))
+    .selectAll('text').style('fill', '#94a3b8');
+  g.append('g')
+    .call(d3.axisLeft(yScale).tickFormat(key => specFor(key).label))
+    .selectAll('text').style('fill', '#cbd5e1').style('font-size', '11px');
+  g.selectAll('.domain').style('stroke', '#475569');
+  g.selectAll('.tick line').style('stroke', '#475569');
+
+  const axisLabel = plan.method === 'oat'
+    ? SENSITIVITY_OUTPUTS.find(o => o.key === outputKey).label
+    : plan.method === 'saltelli' ? 'Sobol index (first-order purple, total cyan; bars ±95%)' : 'First-order index (binned estimate)';
+  g.append('text')
+    .attr('x', chartWidth / 2)
+    .attr('y', chartHeight + 32)
+    .style('text-anchor', 'middle')
+    .style('fill', '#94a3b8')
+    .style('font-size', '11px')
+    .text(axisLabel);
+};
+
+// Global sensitivity analysis: sample the chosen parameter ranges, run the
+// model headlessly for each point (same seed throughout) in a background
+// worker and attribute output variation to the parameters.
+const SensitivityAnalysis = ({ params, lowPerformanceMode }) => {
+  const [factorRows, setFactorRows] = useState(() => [
+    newFactorRow('reproductionRate'),
+    newFactorRow('grazingRate'),
+    newFactorRow('harvestingRate'),
+    newFactorRow('coralHealingRate')
+  ]);
+  const [method, setMethod] = useState('saltelli');
+  const [samples, setSamples] = useState(methodLabels.saltelli.defaultSamples);
+  const [tickLimit, setTickLimit] = useState(500);
+  const [recordEvery, setRecordEvery] = useState(10);
+  const [outputKey, setOutputKey] = useState('finalCoralHealth');
+  const [status, setStatus] = useState('idle'); // idle | running | done | cancelled
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState(null); // { plan, outputs, analysis }
+
+  const clientRef = useRef(null);
+  const chartRef = useRef(null);
+
+  useEffect(() => () => {
+    if (clientRef.current) clientRef.current.terminate();
+  }, []);
+
+  useEffect(() => {
+    if (chartRef.current && result) drawSensitivityChart(chartRef.current, result.plan, result.analysis, outputKey);
+  }, [result, outputKey]);
+
+  const errors = [];
+  factorRows.forEach(row => {
+    const spec = specFor(row.key);
+    if (Number.isNaN(Number(row.min)) || Number.isNaN(Number(row.max))) errors.push(`${spec.label}: bounds must be numbers`);
+    else if (Number(row.max) <= Number(row.min)) errors.push(`${spec.label}: max must be above min`);
+  });
+  const duplicate = factorRows.find((row, i) => factorRows.findIndex(r => r.key === row.key) !== i);
+  if (duplicate) errors.push(`${specFor(duplicate.key).label} is listed twice`);
+  if (factorRows.length === 0) errors.push('Add at least one parameter');
+  const totalRuns = runCount(method, samples, factorRows.length);
+
+  const updateRow = (index, patch) => {
+    setFactorRows(rows => rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+  };
+
+  const addFactor = () => {
+    const unused = NUMERIC_SPECS.find(spec => !factorRows.some(row => row.key === spec.key));
+    if (unused) setFactorRows(rows => [...rows, newFactorRow(unused.key)]);
+  };
+
+  const changeMethod = (next) => {
+    setMethod(next);
+    setSamples(methodLabels[next].defaultSamples);
+  };
+
+  const startAnalysis = () => {
+    if (clientRef.current) clientRef.current.terminate();
+    const factors = factorRows.map(row => ({
+      key: row.key,
+      min: Number(row.min),
+      max: Number(row.max),
+      integer: Number.isInteger(specFor(row.key).step)
+    }));
+    const plan = createSensitivityPlan({ method, factors, samples, baseParams: params, seed: params.seed });
+    const runs = sensitivityRuns(plan, params.seed);
+    const outputs = new Array(runs.length);
+
+    const client = createExperimentClient();
+    clientRef.current = client;
+    setResult(null);
+    setProgress({ done: 0, total: runs.length });
+    setStatus('running');
+
+    client.on('experimentRows', ({ rows, done, total }) => {
+      outputs[rows[0].run - 1] = runOutputs(rows);
+      setProgress({ done, total });
+    });
+    client.on('experimentComplete', () => {
+      setResult({ plan, outputs, analysis: analyzeSensitivity(plan, outputs) });
+      setStatus('done');
+      client.terminate();
+      clientRef.current = null;
+    });
+
+    client.send({
+      type: 'start',
+      id: Date.now(),
+      design: { baseParams: params, runs, tickLimit, recordEvery }
+    });
+  };
+
+  const cancelAnalysis = () => {
+    if (clientRef.current) clientRef.current.terminate();
+    clientRef.current = null;
+    setStatus('cancelled');
+  };
+
+  const downloadResults = () => {
+    downloadText(
+      sensitivityToCSV(result.plan, result.outputs, result.analysis),
+      `ecosystem-sensitivity-${result.plan.method}-${Date.now()}.csv`,
+      'text/csv;charset=utf-8;'
+    );
+  };
+
+  const inputClass = 'w-full px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white font-mono text-xs focus:border-cyan-400/50 focus:outline-none transition-colors';
+  const running = status === 'running';
+
+  return (
+    <div className={`mt-6 ${lowPerformanceMode ? 'bg-slate-800/30' : 'bg-gradient-to-br from-slate-800/30 to-slate-900/30 backdrop-blur-lg'} rounded-2xl p-6 border border-slate-700/50 ${!lowPerformanceMode && 'shadow-2xl'}`}>
+      <h3 className="text-xl font-bold mb-2 flex items-center gap-2">
+        <Sliders className="w-5 h-5 text-cyan-400" />
+        Sensitivity Analysis
+      </h3>
+      <p className="text-xs text-gray-400 mb-4">
+        Samples the parameter ranges below and runs the model once per point with the current seed and other parameters.
+        One-at-a-time gives a tornado of output swings; Latin hypercube estimates first-order indices; Saltelli sampling gives first-order and total Sobol indices.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Parameters and ranges */}
+        <div className="lg:col-span-2 space-y-2">
+          {factorRows.map((row, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2 p-2 bg-slate-900/30 rounded-lg">
+              <select
+                value={row.key}
+                onChange={(e) => updateRow(index, newFactorRow(e.target.value))}
+                disabled={running}
+                className="px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white text-xs focus:outline-none"
+              >
+                {NUMERIC_SPECS.map(s => (
+                  <option key={s.key} value={s.key}>{s.label}</option>
+                ))}
+              </select>
+              <div className="flex items-center gap-1 text-xs text-gray-400">
+                <span>min</span>
+                <input type="number" value={row.min} step={specFor(row.key).step} disabled={running} onChange={(e) => updateRow(index, { min: e.target.value })} className={`${inputClass} w-20`} />
+                <span>max</span>
+                <input type="number" value={row.max} step={specFor(row.key).step} disabled={running} onChange={(e) => updateRow(index, { max: e.target.value })} className={`${inputClass} w-20`} />
+              </div>
+              <span className="text-xs text-gray-500 ml-auto">now {params[row.key]}</span>
+              <button
+                onClick={() => setFactorRows(rows => rows.filter((_, i) => i !== index))}
+                disabled={running}
+                className="p-1 rounded text-gray-400 hover:text-red-400 transition-colors"
+                title="Remove parameter"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={addFactor}
+            disabled={running || factorRows.length >= NUMERIC_SPECS.length}
+            className="px-3 py-1 rounded-lg text-xs font-medium bg-slate-700/50 hover:bg-slate-600/50 transition-colors flex items-center gap-1 disabled:opacity-40"
+          >
+            <Plus className="w-3 h-3" /> Add parameter
+          </button>
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-300 space-y-1">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+
+        {/* Method and run settings */}
+        <div className="space-y-3">
+          <label className="block text-xs text-gray-400 space-y-1">
+            <span className="block">Method</span>
+            <select
+              value={method}
+              onChange={(e) => changeMethod(e.target.value)}
+              disabled={running}
+              className="w-full px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white text-xs focus:outline-none"
+            >
+              {Object.entries(methodLabels).map(([key, { name }]) => (
+                <option key={key} value={key}>{name}</option>
+              ))}
+            </select>
+          </label>
+          <div className="grid grid-cols-3 gap-2 text-xs text-gray-400">
+            <label className="space-y-1">
+              <span className="block">{methodLabels[method].samples}</span>
+              <input type="number" min={2} max={4096} value={samples} disabled={running} onChange={(e) => setSamples(Math.max(2, Math.min(4096, parseInt(e.target.value) || 2)))} className={inputClass} />
+            </label>
+            <label className="space-y-1">
+              <span className="block">Ticks</span>
+              <input type="number" min={1} max={100000} value={tickLimit} disabled={running} onChange={(e) => setTickLimit(Math.max(1, parseInt(e.target.value) || 1))} className={inputClass} />
+            </label>
+            <label className="space-y-1">
+              <span className="block">Record every</span>
+              <input type="number" min={1} value={recordEvery} disabled={running} onChange={(e) => setRecordEvery(Math.max(1, parseInt(e.target.value) || 1))} className={inputClass} />
+            </label>
+          </div>
+          <p className="text-xs text-gray-400">
+            <span className="text-white font-semibold">{totalRuns} runs</span> of {tickLimit} ticks
+          </p>
+          <div className="flex gap-2">
+            {running ? (
+              <button
+                onClick={cancelAnalysis}
+                className="flex-1 py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 transition-all flex items-center justify-center gap-1 text-sm"
+              >
+                <Square className="w-4 h-4" /> Cancel
+              </button>
+            ) : (
+              <button
+                onClick={startAnalysis}
+                disabled={errors.length > 0}
+                className="flex-1 py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-cyan-500 to-cyan-600 hover:from-cyan-600 hover:to-cyan-700 transition-all flex items-center justify-center gap-1 text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                <Play className="w-4 h-4" /> Run Analysis
+              </button>
+            )}
+            <button
+              onClick={downloadResults}
+              disabled={!result}
+              className="py-2 px-3 rounded-xl font-medium bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 transition-all flex items-center justify-center gap-1 text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Download indices and sampled runs (CSV)"
+            >
+              <Download className="w-4 h-4" /> CSV
+            </button>
+          </div>
+          {status !== 'idle' && (
+            <div>
+              <div className="flex justify-between text-xs text-gray-400 mb-1">
+                <span>{running ? 'Running…' : status === 'done' ? 'Complete' : 'Cancelled'}</span>
+                <span>{progress.done} / {progress.total} runs</span>
+              </div>
+              <div className="w-full bg-slate-700/50 rounded-full h-2 overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-cyan-500 to-cyan-600 transition-all duration-300 ease-out"
+                  style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Results */}
+      {result && (
+        <div className="mt-4">
+          <div className="flex items-center gap-2 mb-2 text-xs text-gray-400">
+            <span>Output</span>
+            <select
+              value={outputKey}
+              onChange={(e) => setOutputKey(e.target.value)}
+              className="px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white text-xs focus:outline-none"
+            >
+              {SENSITIVITY_OUTPUTS.map(o => (
+                <option key={o.key} value={o.key}>{o.label}</option>
+              ))}
+            </select>
+            {result.plan.method === 'oat' && (
+              <span>Amber: parameter at its min, cyan: at its max; dashed line is the baseline.</span>
+            )}
+          </div>
+          <div className="flex justify-center">
+            <svg ref={chartRef} className="chart-svg"></svg>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityAnalysis;
@@ -0,0 +1,16 @@
+// Save a Blob as a file through a temporary link
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// Save text content (CSV, JSON, ...) as a file
+export const downloadText = (text, filename, type = 'text/plain;charset=utf-8') => {
+  downloadBlob(new Blob([text], { type }), filename);
+};
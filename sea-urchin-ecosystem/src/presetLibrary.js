@@ -0,0 +1,78 @@
+import { DEFAULT_PARAMS, validateConfig } from './simulation';
+
+// User presets live in localStorage as [{ id, name, icon, description, params }]
+const STORAGE_KEY = 'sea-urchin-ecosystem.presets';
+const COLLECTION_KIND = 'ecosystem-presets';
+
+export const newPresetId = () => `${Date.now().toString(36)}${Math.floor(Math.random() * 1e6).toString(36)}`;
+
+// Check one stored or imported preset; throws with the preset's name on bad fields
+const validatePreset = (preset, index) => {
+  if (!preset || typeof preset !== 'object' || typeof preset.name !== 'string' || preset.name.trim() === '') {
+    throw new Error(`Preset ${index + 1} has no name`);
+  }
+  if (!preset.params || typeof preset.params !== 'object') {
+    throw new Error(`"${preset.name}" has no parameters`);
+  }
+  const { params, errors } = validateConfig(preset.params);
+  if (errors.length > 0) throw new Error(`"${preset.name}": ${errors.join('; ')}`);
+  return {
+    id: typeof preset.id === 'string' ? preset.id : newPresetId(),
+    name: preset.name.trim(),
+    icon: typeof preset.icon === 'string' && preset.icon ? preset.icon : '⭐',
+    description: typeof preset.description === 'string' ? preset.description : '',
+    params: { ...DEFAULT_PARAMS, ...params }
+  };
+};
+
+export const loadUserPresets = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map(validatePreset) : [];
+  } catch (error) {
+    console.warn(`Ignoring stored presets: ${error.message}`);
+    return [];
+  }
+};
+
+export const saveUserPresets = (presets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.warn(`Could not store presets: ${error.message}`);
+  }
+};
+
+export const presetsToJSON = (presets) => JSON.stringify({
+  kind: COLLECTION_KIND,
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  presets
+}, null, 2);
+
+// Read an exported collection (or a bare array of presets); throws if any
+// preset is malformed so a bad file never half-imports
+export const parsePresetCollection = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  const presets = Array.isArray(data) ? data : data && data.kind === COLLECTION_KIND ? data.presets : null;
+  if (!Array.isArray(presets)) throw new Error('Not a preset collection');
+  return presets.map(validatePreset);
+};
+
+// Imported presets replace stored ones with the same name and are otherwise
+// appended; each gets a fresh id so collections from others never collide
+export const mergePresets = (existing, imported) => {
+  const merged = [...existing];
+  imported.forEach(preset => {
+    const index = merged.findIndex(p => p.name === preset.name);
+    const entry = { ...preset, id: index === -1 ? newPresetId() : merged[index].id };
+    if (index === -1) merged.push(entry);
+    else merged[index] = entry;
+  });
+  return merged;
+};
@@ -0,0 +1,138 @@
+import * as d3 from 'd3';
+import { drawSprite, appendUrchinGradient, urchinRadius, URCHIN_MM_PER_UNIT, OCEAN_GRADIENT_STOPS } from './sprites.js';
+import { hashString } from '../simulation/random.js';
+import { PARAM_SPECS, PREDATOR_SPECIES } from '../simulation/params.js';
+
+// Jittered styles (detailed urchins, branching coral, seaweed) get a few
+// pre-rasterised variants; agents pick one from a hash of their id
+const JITTER_VARIANTS = 4;
+// Algae sprites scale with density, bucketed into this many levels
+const ALGAE_LEVELS = 10;
+// Urchin sprites scale with body size, bucketed to radii in these steps
+// (world units) up to the largest urchin the size spec allows
+const URCHIN_RADIUS_STEP = 2;
+const URCHIN_RADIUS_LEVELS = Math.ceil(PARAM_SPECS.find(spec => spec.key === 'urchinMaxSize').max / URCHIN_MM_PER_UNIT / URCHIN_RADIUS_STEP);
+// Sprites are rasterised at this multiple of world units for crisp scaling
+const RASTER_SCALE = 2;
+
+// Side of the square box each sprite is rasterised into (world units)
+const spriteBox = (cellSize) => Math.max(64, cellSize * 4);
+
+const variantOf = (id) => hashString(id) % JITTER_VARIANTS;
+
+const algaeLevelOf = (algaeLevel) => Math.min(ALGAE_LEVELS, Math.max(1, Math.ceil(algaeLevel * ALGAE_LEVELS)));
+
+const urchinLevelOf = (d) => Math.min(URCHIN_RADIUS_LEVELS, Math.max(1, Math.round(urchinRadius(d) / URCHIN_RADIUS_STEP)));
+
+const spriteKey = (entity, d) => {
+  switch (entity) {
+    case 'urchin':
+      return `urchin|${d.isAdult ? 1 : 0}|${urchinLevelOf(d)}|${variantOf(d.id)}`;
+    case 'predator':
+      return `predator|${d.species}`;
+    case 'coral':
+      return `coral|${d.status}|${variantOf(d.id)}`;
+    case 'algae':
+      return `algae|${algaeLevelOf(d.algaeLevel)}|${variantOf(d.id)}`;
+    default:
+      return entity;
+  }
+};
+
+// Every sprite the atlas needs, as [key, entity, representative datum]
+const atlasEntries = () => {
+  const entries = [['harvester', 'harvester', { id: 'harvester' }]];
+  PREDATOR_SPECIES.forEach(species => {
+    entries.push([`predator|${species}`, 'predator', { id: 'predator', species }]);
+  });
+  for (let v = 0; v < JITTER_VARIANTS; v++) {
+    // Representative ids hash to the variant they stand for
+    let id = `variant-${v}`;
+    for (let n = 0; variantOf(id) !== v; n++) id = `variant-${v}-${n}`;
+
+    [false, true].forEach(isAdult => {
+      for (let level = 1; level <= URCHIN_RADIUS_LEVELS; level++) {
+        const size = level * URCHIN_RADIUS_STEP * URCHIN_MM_PER_UNIT;
+        entries.push([`urchin|${isAdult ? 1 : 0}|${level}|${v}`, 'urchin', { id, isAdult, size }]);
+      }
+    });
+    ['healthy', 'degraded', 'dead'].forEach(status => {
+      entries.push([`coral|${status}|${v}`, 'coral', { id, status }]);
+    });
+    for (let level = 1; level <= ALGAE_LEVELS; level++) {
+      entries.push([`algae|${level}|${v}`, 'algae', { id, algaeLevel: level / ALGAE_LEVELS }]);
+    }
+  }
+  return entries;
+};
+
+// Draw the sprite into a detached SVG with the same code the SVG renderer
+// uses, then load the markup as an image
+const rasterizeSprite = (entity, datum, options, box) => new Promise(resolve => {
+  const svg = d3.create('svg')
+    .attr('xmlns', 'http://www.w3.org/2000/svg')
+    .attr('width', box * RASTER_SCALE)
+    .attr('height', box * RASTER_SCALE)
+    .attr('viewBox', `${-box / 2} ${-box / 2} ${box} ${box}`);
+  appendUrchinGradient(svg.append('defs'));
+  drawSprite(svg.append('g'), entity, datum, options);
+
+  const markup = new XMLSerializer().serializeToString(svg.node());
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => resolve(null);
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+});
+
+// Canvas 2D alternative to the SVG data-join renderer. setSprites() builds a
+// sprite atlas for the current style (async); render() blits one frame.
+export const createCanvasRenderer = (canvas) => {
+  const ctx = canvas.getContext('2d');
+  let atlas = new Map();
+  let box = spriteBox(20);
+  let buildId = 0;
+
+  const setSprites = (options) => {
+    const id = ++buildId;
+    const nextBox = spriteBox(options.cellSize);
+    const entries = atlasEntries();
+
+    return Promise.all(entries.map(([, entity, datum]) => rasterizeSprite(entity, datum, options, nextBox)))
+      .then(images => {
+        // A newer style change superseded this build
+        if (id !== buildId) return false;
+        atlas = new Map();
+        entries.forEach(([key], i) => {
+          if (images[i]) atlas.set(key, images[i]);
+        });
+        box = nextBox;
+        return true;
+      });
+  };
+
+  const drawLayer = (entity, items) => {
+    items.forEach(d => {
+      const image = atlas.get(spriteKey(entity, d));
+      if (image) ctx.drawImage(image, d.x - box / 2, d.y - box / 2, box, box);
+    });
+  };
+
+  const render = (agents, { width, height }) => {
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+
+    // Background
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    OCEAN_GRADIENT_STOPS.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    drawLayer('coral', agents.corals);
+    drawLayer('algae', agents.corals.filter(c => c.algaeLevel > 0.1));
+    drawLayer('urchin', agents.seaUrchins);
+    drawLayer('predator', agents.predators);
+    drawLayer('harvester', agents.harvesters);
+  };
+
+  return { setSprites, render };
+};
@@ -0,0 +1,389 @@
+import { createRandom, hashString } from '../simulation/random.js';
+
+// Sprite style definitions
+export const spriteStyles = {
+  default: {
+    name: 'Default',
+    urchin: { type: 'svg', style: 'spiky' },
+    harvester: { type: 'emoji', emoji: '🎣' },
+    predator: { type: 'svg', style: 'fish' },
+    coral: { type: 'svg', style: 'organic' },
+    algae: { type: 'svg', style: 'wavy' }
+  },
+  emoji: {
+    name: 'Emoji',
+    urchin: { type: 'emoji', emoji: '🦔' },
+    harvester: { type: 'emoji', emoji: '👨‍🌾' },
+    // Emoji can differ by predator species
+    predator: { type: 'emoji', emoji: { triggerfish: '🐠', wrasse: '🐟', lobster: '🦞' } },
+    coral: { type: 'emoji', emoji: '🪸' },
+    algae: { type: 'emoji', emoji: '🌿' }
+  },
+  realistic: {
+    name: 'Realistic',
+    urchin: { type: 'svg', style: 'detailed' },
+    harvester: { type: 'emoji', emoji: '🤿' },
+    predator: { type: 'svg', style: 'detailed' },
+    coral: { type: 'svg', style: 'branching' },
+    algae: { type: 'svg', style: 'seaweed' }
+  },
+  simple: {
+    name: 'Simple',
+    urchin: { type: 'svg', style: 'circle' },
+    harvester: { type: 'svg', style: 'triangle' },
+    predator: { type: 'svg', style: 'diamond' },
+    coral: { type: 'svg', style: 'star' },
+    algae: { type: 'svg', style: 'blob' }
+  }
+};
+
+// Urchins are drawn to scale: body radius in world units from the test
+// diameter in mm, or the old fixed sizes for data without one
+export const URCHIN_MM_PER_UNIT = 8;
+export const urchinRadius = (d) => (d.size === undefined ? (d.isAdult ? 10 : 6) : Math.max(2, d.size / URCHIN_MM_PER_UNIT));
+
+// Predator colours by species
+export const PREDATOR_COLORS = {
+  triggerfish: '#f59e0b',
+  wrasse: '#a3e635',
+  lobster: '#b91c1c'
+};
+
+// Draw one entity's sprite into an (empty) d3 group for the active style.
+// Shared by the SVG renderer and the canvas sprite atlas.
+export const drawSprite = (g, entity, d, { spriteStyle, customSprites, cellSize }) => {
+  const currentStyle = spriteStyles[spriteStyle] || spriteStyles.default;
+  const sprite = currentStyle[entity];
+
+  if (spriteStyle === 'custom' && customSprites[entity]) {
+    // Render custom uploaded image
+    const size = entity === 'coral' ? cellSize * 1.6 : 
+                entity === 'algae' ? cellSize * 1.2 :
+                entity === 'harvester' ? 24 : 
+                entity === 'predator' ? 20 :
+                urchinRadius(d) * 2;
+    
+    g.append('image')
+      .attr('href', customSprites[entity])
+      .attr('x', -size/2)
+      .attr('y', -size/2)
+      .attr('width', size)
+      .attr('height', size);
+  } else if (sprite.type === 'emoji') {
+    // Render emoji
+    const size = entity === 'coral' ? '24px' : 
+                entity === 'algae' ? '20px' :
+                entity === 'harvester' ? '20px' : 
+                entity === 'predator' ? '18px' :
+                `${urchinRadius(d) * 1.8}px`;
+    
+    g.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'middle')
+      .style('font-size', size)
+      .style('user-select', 'none')
+      .text(typeof sprite.emoji === 'object' ? sprite.emoji[d.species] : sprite.emoji);
+  } else {
+    // Render SVG shapes based on style
+    switch(entity) {
+      case 'urchin':
+        renderUrchinSprite(g, sprite.style, d);
+        break;
+      case 'harvester':
+        renderHarvesterSprite(g, sprite.style, d);
+        break;
+      case 'predator':
+        renderPredatorSprite(g, sprite.style, d);
+        break;
+      case 'coral':
+        renderCoralSprite(g, sprite.style, d, cellSize);
+        break;
+      case 'algae':
+        renderAlgaeSprite(g, sprite.style, d, cellSize);
+        break;
+      default:
+        break;
+    }
+  }
+};
+
+// Sprite rendering functions
+export const renderUrchinSprite = (g, style, d) => {
+  const radius = urchinRadius(d);
+  
+  if (style === 'spiky') {
+    // Default spiky urchin
+    g.append('circle')
+      .attr('r', radius)
+      .attr('fill', '#1a1a1a')
+      .attr('stroke', '#333')
+      .attr('stroke-width', 1);
+    
+    const spineCount = 8;
+    for (let i = 0; i < spineCount; i++) {
+      const angle = (i / spineCount) * 2 * Math.PI;
+      const spineLength = radius * 1.5;
+      g.append('line')
+        .attr('x1', 0)
+        .attr('y1', 0)
+        .attr('x2', Math.cos(angle) * spineLength)
+        .attr('y2', Math.sin(angle) * spineLength)
+        .attr('stroke', '#333')
+        .attr('stroke-width', 1);
+    }
+  } else if (style === 'detailed') {
+    // Use pooled gradient
+    g.append('circle')
+      .attr('r', radius)
+      .attr('fill', 'url(#urchinGradient)');
+    
+    // Per-urchin jitter so spines stay put between frames
+    const jitter = createRandom(hashString(d.id));
+    const spineCount = 16;
+    for (let i = 0; i < spineCount; i++) {
+      const angle = (i / spineCount) * 2 * Math.PI;
+      const spineLength = radius * 1.5 * (0.8 + jitter() * 0.4);
+      g.append('line')
+        .attr('x1', Math.cos(angle) * radius * 0.8)
+        .attr('y1', Math.sin(angle) * radius * 0.8)
+        .attr('x2', Math.cos(angle) * spineLength)
+        .attr('y2', Math.sin(angle) * spineLength)
+        .attr('stroke', '#2a2a2a')
+        .attr('stroke-width', 1.5)
+        .attr('opacity', 0.8);
+    }
+  } else if (style === 'circle') {
+    // Simple circle
+    g.append('circle')
+      .attr('r', radius)
+      .attr('fill', d.isAdult ? '#2a2a2a' : '#4a4a4a')
+      .attr('stroke', '#666')
+      .attr('stroke-width', 2);
+  }
+};
+
+export const renderHarvesterSprite = (g, style, d) => {
+  if (style === 'triangle') {
+    // Simple triangle
+    g.append('polygon')
+      .attr('points', '0,-12 -10,8 10,8')
+      .attr('fill', '#e74c3c')
+      .attr('stroke', '#c0392b')
+      .attr('stroke-width', 2);
+  } else {
+    // Default circle with emoji
+    g.append('circle')
+      .attr('r', 12)
+      .attr('fill', '#e74c3c')
+      .attr('opacity', 0.8);
+    g.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('y', 4)
+      .attr('font-size', '16px')
+      .text('🎣');
+  }
+};
+
+// Fish are drawn facing right; lobsters as a long body with antennae
+export const renderPredatorSprite = (g, style, d) => {
+  const color = PREDATOR_COLORS[d.species] || PREDATOR_COLORS.triggerfish;
+  
+  if (style === 'diamond') {
+    // Simple diamond
+    g.append('polygon')
+      .attr('points', '0,-8 8,0 0,8 -8,0')
+      .attr('fill', color)
+      .attr('stroke', '#1e293b')
+      .attr('stroke-width', 1.5);
+    return;
+  }
+  
+  if (d.species === 'lobster') {
+    g.append('ellipse')
+      .attr('rx', 9)
+      .attr('ry', 3.5)
+      .attr('fill', color);
+    [-1, 1].forEach(side => {
+      g.append('path')
+        .attr('d', `M 8,${side * 1.5} Q 16,${side * 4} 20,${side * 10}`)
+        .attr('fill', 'none')
+        .attr('stroke', color)
+        .attr('stroke-width', 1);
+    });
+    if (style === 'detailed') {
+      // Tail segments
+      for (let i = 1; i <= 3; i++) {
+        g.append('line')
+          .attr('x1', -i * 2.5)
+          .attr('y1', -3)
+          .attr('x2', -i * 2.5)
+          .attr('y2', 3)
+          .attr('stroke', '#450a0a')
+          .attr('stroke-width', 0.8);
+      }
+    }
+    return;
+  }
+  
+  // Fish body and tail
+  g.append('polygon')
+    .attr('points', '-6,0 -12,-5 -12,5')
+    .attr('fill', color);
+  g.append('ellipse')
+    .attr('rx', 9)
+    .attr('ry', d.species === 'wrasse' ? 3.5 : 5.5)
+    .attr('fill', color);
+  
+  if (style === 'detailed') {
+    // Dorsal stripe and eye
+    g.append('path')
+      .attr('d', 'M -6,-2 Q 0,-5 6,-2')
+      .attr('fill', 'none')
+      .attr('stroke', '#1e293b')
+      .attr('stroke-width', 1)
+      .attr('opacity', 0.6);
+    g.append('circle')
+      .attr('cx', 5)
+      .attr('cy', -1)
+      .attr('r', 1.2)
+      .attr('fill', '#0f172a');
+  }
+};
+
+export const renderCoralSprite = (g, style, d, cellSize) => {
+  const baseColor = d.status === 'healthy' ? '#ff6b6b' : 
+                   d.status === 'degraded' ? '#966b6b' : '#4a3333';
+  const opacity = d.status === 'healthy' ? 0.8 : 
+                 d.status === 'degraded' ? 0.6 : 0.4;
+  
+  if (style === 'organic') {
+    // Default organic shape
+    const petals = 5;
+    for (let i = 0; i < petals; i++) {
+      const angle = (i / petals) * 2 * Math.PI;
+      const petalSize = cellSize * 0.4;
+      g.append('ellipse')
+        .attr('cx', Math.cos(angle) * petalSize/2)
+        .attr('cy', Math.sin(angle) * petalSize/2)
+        .attr('rx', petalSize)
+        .attr('ry', petalSize/2)
+        .attr('fill', baseColor)
+        .attr('opacity', opacity)
+        .attr('transform', `rotate(${angle * 180 / Math.PI} ${Math.cos(angle) * petalSize/2} ${Math.sin(angle) * petalSize/2})`);
+    }
+    g.append('circle')
+      .attr('r', cellSize * 0.3)
+      .attr('fill', baseColor)
+      .attr('opacity', opacity);
+  } else if (style === 'branching') {
+    // Branching coral
+    const jitter = createRandom(hashString(d.id));
+    const branches = 6;
+    for (let i = 0; i < branches; i++) {
+      const angle = (i / branches) * 2 * Math.PI + (jitter() - 0.5) * 0.5;
+      const length = cellSize * 0.6 * (0.7 + jitter() * 0.3);
+      
+      g.append('line')
+        .attr('x1', 0)
+        .attr('y1', 0)
+        .attr('x2', Math.cos(angle) * length)
+        .attr('y2', Math.sin(angle) * length)
+        .attr('stroke', baseColor)
+        .attr('stroke-width', 4)
+        .attr('stroke-linecap', 'round')
+        .attr('opacity', opacity);
+      
+      g.append('circle')
+        .attr('cx', Math.cos(angle) * length)
+        .attr('cy', Math.sin(angle) * length)
+        .attr('r', 3)
+        .attr('fill', baseColor)
+        .attr('opacity', opacity);
+    }
+    g.append('circle')
+      .attr('r', 5)
+      .attr('fill', baseColor)
+      .attr('opacity', opacity);
+  } else if (style === 'star') {
+    // Star shape
+    const points = 8;
+    let pathData = '';
+    for (let i = 0; i < points * 2; i++) {
+      const angle = (i / (points * 2)) * 2 * Math.PI;
+      const radius = i % 2 === 0 ? cellSize * 0.8 : cellSize * 0.4;
+      const x = Math.cos(angle) * radius;
+      const y = Math.sin(angle) * radius;
+      pathData += (i === 0 ? 'M' : 'L') + x + ',' + y;
+    }
+    pathData += 'Z';
+    
+    g.append('path')
+      .attr('d', pathData)
+      .attr('fill', baseColor)
+      .attr('opacity', opacity);
+  }
+};
+
+export const renderAlgaeSprite = (g, style, d, cellSize) => {
+  const size = cellSize * 0.6 * d.algaeLevel;
+  
+  if (style === 'wavy') {
+    // Wavy algae
+    for (let j = 0; j < 3; j++) {
+      const offset = (j - 1) * 10;
+      const path = `M ${offset},0 Q ${offset + size/2},-${size/3} ${offset + size},0 T ${offset + size*1.5},${size/2}`;
+      g.append('path')
+        .attr('d', path)
+        .attr('fill', 'none')
+        .attr('stroke', '#2ecc71')
+        .attr('stroke-width', 2)
+        .attr('opacity', 0.6)
+        .attr('transform', `rotate(${j * 120} 0 0)`);
+    }
+  } else if (style === 'seaweed') {
+    // Seaweed style
+    const jitter = createRandom(hashString(d.id));
+    for (let i = 0; i < 4; i++) {
+      const offsetX = (i - 1.5) * size/3;
+      const waveHeight = size * (0.5 + jitter() * 0.5);
+      const path = `M ${offsetX},0 Q ${offsetX + size/4},-${waveHeight/2} ${offsetX},${-waveHeight}`;
+      
+      g.append('path')
+        .attr('d', path)
+        .attr('fill', 'none')
+        .attr('stroke', '#2ecc71')
+        .attr('stroke-width', 2)
+        .attr('opacity', 0.5)
+        .attr('transform', `rotate(${jitter() * 30 - 15} 0 0)`);
+    }
+  } else if (style === 'blob') {
+    // Simple blob
+    g.append('circle')
+      .attr('r', size)
+      .attr('fill', '#2ecc71')
+      .attr('opacity', 0.5);
+  }
+};
+
+// Pooled gradient for detailed urchins; every SVG that draws sprites needs it
+export const appendUrchinGradient = (defs) => {
+  const urchinGradient = defs.append('radialGradient')
+    .attr('id', 'urchinGradient')
+    .attr('cx', '30%')
+    .attr('cy', '30%');
+
+  urchinGradient.append('stop')
+    .attr('offset', '0%')
+    .attr('stop-color', '#4a4a4a');
+
+  urchinGradient.append('stop')
+    .attr('offset', '100%')
+    .attr('stop-color', '#1a1a1a');
+};
+
+// Ocean background gradient stops, top to bottom
+export const OCEAN_GRADIENT_STOPS = [
+  { offset: 0, color: '#001528' },
+  { offset: 0.5, color: '#002951' },
+  { offset: 1, color: '#003d7a' }
+];
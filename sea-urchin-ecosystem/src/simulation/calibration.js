@@ -0,0 +1,291 @@
+import { createSimulation } from './engine.js';
+import { gridWidth, gridHeight } from './model.js';
+
+// Observed series that can be fitted, and the model quantity each is
+// compared with. Coral cover is live coral (healthy + degraded) as a share of
+// all reef cells; algae cover is the model's mean algae level.
+export const OBSERVED_SERIES = [
+  { key: 'urchins', label: 'Urchins', pattern: /urchin/i },
+  { key: 'coralCover', label: 'Coral Cover %', pattern: /coral/i },
+  { key: 'algaeCover', label: 'Algae Cover %', pattern: /alga/i }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const splitLine = (line) => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+// Read a survey CSV with a header row: a tick or date column plus any of
+// urchins, coral cover % and algae cover %. Dates become ticks counted from
+// the earliest survey at ticksPerDay; urchin values are multiplied by urchinScale
+// (model urchins per observed unit, e.g. reef area over quadrat area).
+// Returns { points: [{ tick, urchins?, coralCover?, algaeCover? }], series, errors }.
+export const parseObservedCSV = (text, { ticksPerDay = 1, urchinScale = 1 } = {}) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) return { points: [], series: [], errors: ['Expected a header row and at least one data row'] };
+
+  const header = splitLine(lines[0]);
+  const tickColumn = header.findIndex(name => /tick/i.test(name));
+  const dateColumn = tickColumn === -1 ? header.findIndex(name => /date|time/i.test(name)) : -1;
+  if (tickColumn === -1 && dateColumn === -1) {
+    return { points: [], series: [], errors: ['No "tick" or "date" column in the header'] };
+  }
+  const columns = OBSERVED_SERIES
+    .map(series => ({ ...series, index: header.findIndex(name => series.pattern.test(name)) }))
+    .filter(series => series.index !== -1);
+  if (columns.length === 0) {
+    return { points: [], series: [], errors: ['No urchin, coral or algae column in the header'] };
+  }
+
+  const errors = [];
+  const rows = lines.slice(1).map((line, i) => ({ row: i + 2, cells: splitLine(line) }));
+  // Dates count from the earliest survey, whatever order the rows are in
+  const times = dateColumn === -1 ? [] : rows.map(({ cells }) => Date.parse(cells[dateColumn]));
+  const firstDate = Math.min(...times.filter(time => !Number.isNaN(time)));
+
+  const points = [];
+  rows.forEach(({ row, cells }, i) => {
+    let tick;
+    if (tickColumn !== -1) {
+      tick = Number(cells[tickColumn]);
+    } else {
+      if (Number.isNaN(times[i])) {
+        errors.push(`Row ${row}: "${cells[dateColumn]}" is not a date`);
+        return;
+      }
+      tick = Math.round(((times[i] - firstDate) / DAY_MS) * ticksPerDay);
+    }
+    if (!Number.isInteger(tick) || tick < 0) {
+      errors.push(`Row ${row}: tick must be a non-negative whole number`);
+      return;
+    }
+
+    const point = { tick };
+    columns.forEach(({ key, index }) => {
+      const cell = cells[index];
+      if (cell === undefined || cell === '') return;
+      const value = Number(cell);
+      if (Number.isNaN(value)) errors.push(`Row ${row}: "${cell}" is not a number`);
+      else point[key] = key === 'urchins' ? value * urchinScale : value;
+    });
+    points.push(point);
+  });
+
+  points.sort((a, b) => a.tick - b.tick);
+  return { points, series: columns.map(c => c.key), errors };
+};
+
+const modelValues = (sim) => {
+  const stats = sim.getStats();
+  const world = sim.getWorld();
+  const cells = gridWidth(world) * gridHeight(world);
+  return {
+    urchins: stats.totalUrchins,
+    coralCover: cells > 0 ? ((stats.healthyCorals + stats.degradedCorals) / cells) * 100 : 0,
+    algaeCover: stats.algaeCoverage
+  };
+};
+
+// Model values at every observed tick, averaged over `replicates` seeds
+// (seed, seed + 1, ...). Returns [{ tick, urchins, coralCover, algaeCover }].
+export const simulateAtTicks = (params, ticks, replicates = 1) => {
+  const sums = ticks.map(tick => ({ tick, urchins: 0, coralCover: 0, algaeCover: 0 }));
+  const lastTick = ticks.length > 0 ? ticks[ticks.length - 1] : 0;
+
+  for (let r = 0; r < replicates; r++) {
+    const sim = createSimulation({ ...params, seed: (params.seed + r) >>> 0, enableTickLimit: false });
+    sim.init();
+    let next = 0;
+    while (next < ticks.length) {
+      // Record every observed tick reached so far, so the loop always ends
+      while (next < ticks.length && ticks[next] <= sim.getState().tick) {
+        const values = modelValues(sim);
+        const sum = sums[next];
+        OBSERVED_SERIES.forEach(({ key }) => {
+          sum[key] += values[key] / replicates;
+        });
+        next++;
+      }
+      if (sim.getState().tick < lastTick) sim.step();
+    }
+  }
+  return sums;
+};
+
+// RMSE per observed series, plus the Gaussian log-likelihood with each
+// series' error variance at its maximum-likelihood value (RMSE^2)
+export const goodnessOfFit = (observed, modelled) => {
+  const series = {};
+  let logLikelihood = 0;
+
+  OBSERVED_SERIES.forEach(({ key }) => {
+    const residuals = [];
+    observed.forEach((point, i) => {
+      if (point[key] !== undefined) residuals.push(point[key] - modelled[i][key]);
+    });
+    if (residuals.length === 0) return;
+    const n = residuals.length;
+    const rmse = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / n);
+    const sigma = Math.max(rmse, 1e-6);
+    const ll = -(n / 2) * (Math.log(2 * Math.PI * sigma * sigma) + 1);
+    series[key] = { n, rmse, logLikelihood: ll };
+    logLikelihood += ll;
+  });
+
+  return { series, logLikelihood };
+};
+
+// Nelder–Mead simplex minimiser over the unit cube. A generator: it yields
+// each point to evaluate and expects the objective value back via next(value),
+// so the caller decides how (and whether) to keep going. Returns the best
+// { point, value } found within maxEvaluations.
+export function* nelderMead(start, { maxEvaluations = 100, initialStep = 0.15, tolerance = 1e-4 } = {}) {
+  const clamp = (point) => point.map(u => Math.min(1, Math.max(0, u)));
+  const n = start.length;
+  let evaluations = 0;
+
+  const evaluate = function* (point) {
+    evaluations++;
+    const value = yield point;
+    return { point, value };
+  };
+
+  let simplex = [yield* evaluate(clamp(start))];
+  for (let i = 0; i < n && evaluations < maxEvaluations; i++) {
+    const vertex = [...start];
+    vertex[i] = vertex[i] + initialStep <= 1 ? vertex[i] + initialStep : vertex[i] - initialStep;
+    simplex.push(yield* evaluate(clamp(vertex)));
+  }
+
+  const combine = (a, b, t) => clamp(a.map((x, i) => x + t * (b[i] - x)));
+
+  while (evaluations < maxEvaluations && simplex.length === n + 1) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+    const kept = simplex.slice(0, n);
+    const centroid = Array.from({ length: n }, (_, i) => kept.reduce((sum, v) => sum + v.point[i], 0) / n);
+    const reflected = yield* evaluate(combine(centroid, worst.point, -1));
+    // Out of evaluations: keep the reflection if it improves on the worst vertex
+    if (evaluations >= maxEvaluations) {
+      if (reflected.value < worst.value) simplex[n] = reflected;
+      break;
+    }
+
+    if (reflected.value < best.value) {
+      const expanded = yield* evaluate(combine(centroid, worst.point, -2));
+      simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[n - 1].value) {
+      simplex[n] = reflected;
+    } else {
+      const contracted = reflected.value < worst.value
+        ? yield* evaluate(combine(centroid, reflected.point, 0.5))
+        : yield* evaluate(combine(centroid, worst.point, 0.5));
+      if (contracted.value < Math.min(reflected.value, worst.value)) {
+        simplex[n] = contracted;
+      } else {
+        // Shrink towards the best vertex
+        const shrunk = [best];
+        for (let i = 1; i <= n && evaluations < maxEvaluations; i++) {
+          shrunk.push(yield* evaluate(combine(best.point, simplex[i].point, 0.5)));
+        }
+        simplex = shrunk;
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return simplex[0];
+}
+
+// Factor ({ key, min, max, integer }) values <-> unit-cube coordinates
+const toUnit = (factors, values) => factors.map(f => (f.max > f.min ? (values[f.key] - f.min) / (f.max - f.min) : 0));
+const fromUnit = (factors, point) => {
+  const values = {};
+  factors.forEach((f, i) => {
+    const value = f.min + point[i] * (f.max - f.min);
+    values[f.key] = f.integer ? Math.round(value) : parseFloat(value.toPrecision(6));
+  });
+  return values;
+};
+
+// Fits the chosen parameters to an observed series by maximising the
+// log-likelihood, one model evaluation per timer tick so a cancel can get in.
+// Same message protocol in a worker or in-thread.
+//
+// Incoming: start { id, job: { baseParams, observed, factors, replicates, maxEvaluations } }
+//           | evaluate { id, job: { baseParams, observed, replicates } } | cancel
+// Outgoing: calibrationProgress { id, evaluations, values, fit, best: { values, fit } }
+//           | calibrationComplete { id, evaluations, best: { values, fit, modelled } }
+//           | calibrationEvaluated { id, fit, modelled }
+export const createCalibrationRunner = (post) => {
+  let job = null;
+  let timer = null;
+
+  const evaluate = (values, { baseParams, observed, replicates } = job) => {
+    const modelled = simulateAtTicks({ ...baseParams, ...values }, observed.map(p => p.tick), replicates);
+    return { modelled, fit: goodnessOfFit(observed, modelled) };
+  };
+
+  // The search ends on the best point it evaluated, kept in job.best
+  const finish = () => {
+    post({ type: 'calibrationComplete', id: job.id, evaluations: job.evaluations, best: job.best });
+    job = null;
+  };
+
+  const runNext = (value) => {
+    timer = null;
+    if (!job) return;
+
+    const { done, value: yielded } = job.search.next(value);
+    if (done) {
+      finish();
+      return;
+    }
+
+    const values = fromUnit(job.factors, yielded);
+    const { modelled, fit } = evaluate(values);
+    job.evaluations++;
+    if (!job.best || fit.logLikelihood > job.best.fit.logLikelihood) job.best = { values, fit, modelled };
+    post({ type: 'calibrationProgress', id: job.id, evaluations: job.evaluations, values, fit, best: { values: job.best.values, fit: job.best.fit } });
+
+    timer = setTimeout(() => runNext(-fit.logLikelihood), 0);
+  };
+
+  const cancel = () => {
+    job = null;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  };
+
+  const handle = (message) => {
+    switch (message.type) {
+      case 'start': {
+        cancel();
+        const { factors, baseParams, maxEvaluations } = message.job;
+        job = {
+          ...message.job,
+          id: message.id,
+          evaluations: 0,
+          best: null,
+          search: nelderMead(toUnit(factors, baseParams).map(u => Math.min(1, Math.max(0, u))), { maxEvaluations })
+        };
+        timer = setTimeout(() => runNext(undefined), 0);
+        break;
+      }
+      case 'evaluate': {
+        const { modelled, fit } = evaluate({}, message.job);
+        post({ type: 'calibrationEvaluated', id: message.id, fit, modelled });
+        break;
+      }
+      case 'cancel':
+        cancel();
+        break;
+      default:
+        console.warn(`Unknown calibration message: ${message.type}`);
+    }
+  };
+
+  return { handle };
+};
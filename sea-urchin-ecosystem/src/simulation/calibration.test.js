@@ -0,0 +1,121 @@
+import { parseObservedCSV, goodnessOfFit, simulateAtTicks, nelderMead, createCalibrationRunner } from './calibration.js';
+
+// Run the generator to completion against an objective
+const minimise = (objective, start, options) => {
+  const search = nelderMead(start, options);
+  let evaluations = 0;
+  let step = search.next();
+  while (!step.done) {
+    evaluations++;
+    step = search.next(objective(step.value));
+  }
+  return { ...step.value, evaluations };
+};
+
+describe('nelderMead', () => {
+  test('finds the minimum of a quadratic in the unit square', () => {
+    const { point, value } = minimise(([x, y]) => (x - 0.3) ** 2 + 2 * (y - 0.7) ** 2, [0.5, 0.5], { maxEvaluations: 200 });
+    expect(point[0]).toBeCloseTo(0.3, 2);
+    expect(point[1]).toBeCloseTo(0.7, 2);
+    expect(value).toBeLessThan(1e-4);
+  });
+
+  test('keeps to the unit cube', () => {
+    const { point } = minimise(([x]) => -x, [0.5], { maxEvaluations: 50 });
+    expect(point[0]).toBeLessThanOrEqual(1);
+    expect(point[0]).toBeGreaterThan(0.99);
+  });
+
+  test('stops at maxEvaluations', () => {
+    const { evaluations } = minimise(([x, y, z]) => Math.sin(10 * x) + Math.cos(7 * y) + z, [0.2, 0.4, 0.6], { maxEvaluations: 12, tolerance: 0 });
+    expect(evaluations).toBe(12);
+  });
+});
+
+describe('parseObservedCSV', () => {
+  test('reads a tick column and any fitted series', () => {
+    const { points, series, errors } = parseObservedCSV('Tick,Urchins,Coral Cover %\n50,20,40\n0,16,\n', { urchinScale: 2 });
+    expect(errors).toEqual([]);
+    expect(series).toEqual(['urchins', 'coralCover']);
+    expect(points).toEqual([{ tick: 0, urchins: 32 }, { tick: 50, urchins: 40, coralCover: 40 }]);
+  });
+
+  test('turns dates into ticks from the first survey', () => {
+    const { points } = parseObservedCSV('date;algae\n2024-01-01;10\n2024-01-11;12\n', { ticksPerDay: 3 });
+    expect(points.map(p => p.tick)).toEqual([0, 30]);
+  });
+
+  test('counts dates from the earliest survey whatever the row order', () => {
+    const { points, errors } = parseObservedCSV('date,urchins\n2024-01-11,12\n2024-01-01,10\nsoon,3\n2024-01-06,11\n');
+    expect(errors).toEqual(['Row 4: "soon" is not a date']);
+    expect(points).toEqual([{ tick: 0, urchins: 10 }, { tick: 5, urchins: 11 }, { tick: 10, urchins: 12 }]);
+  });
+
+  test('rejects fractional and negative ticks', () => {
+    const { points, errors } = parseObservedCSV('tick,urchins\n0,16\n12.5,20\n-1,3\n');
+    expect(points).toEqual([{ tick: 0, urchins: 16 }]);
+    expect(errors).toEqual([
+      'Row 3: tick must be a non-negative whole number',
+      'Row 4: tick must be a non-negative whole number'
+    ]);
+  });
+
+  test('reports unreadable values and headers', () => {
+    expect(parseObservedCSV('tick,urchins\n0,many\n').errors).toEqual(['Row 2: "many" is not a number']);
+    expect(parseObservedCSV('site,urchins\nA,1\n').errors).toEqual(['No "tick" or "date" column in the header']);
+    expect(parseObservedCSV('tick,fish\n0,1\n').errors).toEqual(['No urchin, coral or algae column in the header']);
+    expect(parseObservedCSV('tick,urchins\n').errors).toEqual(['Expected a header row and at least one data row']);
+  });
+});
+
+describe('goodnessOfFit', () => {
+  test('scores only the observed series', () => {
+    const observed = [{ tick: 0, urchins: 10 }, { tick: 5, urchins: 14 }];
+    const modelled = [{ tick: 0, urchins: 11, coralCover: 0 }, { tick: 5, urchins: 13, coralCover: 0 }];
+    const fit = goodnessOfFit(observed, modelled);
+    expect(Object.keys(fit.series)).toEqual(['urchins']);
+    expect(fit.series.urchins.rmse).toBe(1);
+    expect(fit.logLikelihood).toBeCloseTo(-(Math.log(2 * Math.PI) + 1), 10);
+  });
+});
+
+describe('simulateAtTicks', () => {
+  test('returns a value at every observed tick, repeated ones included', () => {
+    const modelled = simulateAtTicks({ seed: 1 }, [0, 3, 3, 10]);
+    expect(modelled.map(p => p.tick)).toEqual([0, 3, 3, 10]);
+    expect(modelled[2]).toEqual(modelled[1]);
+  });
+
+  test('ends for ticks between whole steps', () => {
+    expect(simulateAtTicks({ seed: 1 }, [0, 2.5, 4]).map(p => p.tick)).toEqual([0, 2.5, 4]);
+  });
+});
+
+describe('createCalibrationRunner', () => {
+  test('completes with the best fit evaluated and its model values', async () => {
+    const messages = [];
+    const complete = new Promise(resolve => {
+      const runner = createCalibrationRunner(message => {
+        messages.push(message);
+        if (message.type === 'calibrationComplete') resolve(message);
+      });
+      runner.handle({
+        type: 'start',
+        id: 1,
+        job: {
+          baseParams: { seed: 1, reproductionRate: 0.02, grazingRate: 0.4 },
+          observed: [{ tick: 0, urchins: 16 }, { tick: 20, urchins: 30 }],
+          factors: [{ key: 'reproductionRate', min: 0, max: 0.2 }, { key: 'grazingRate', min: 0.1, max: 0.9 }],
+          replicates: 1,
+          maxEvaluations: 6
+        }
+      });
+    });
+    const { best, evaluations } = await complete;
+    const progress = messages.filter(m => m.type === 'calibrationProgress');
+    expect(progress).toHaveLength(evaluations);
+    expect(best.fit.logLikelihood).toBe(Math.max(...progress.map(m => m.fit.logLikelihood)));
+    expect(best.modelled.map(p => p.tick)).toEqual([0, 20]);
+    expect(progress.every(m => m.best.modelled === undefined)).toBe(true);
+  });
+});
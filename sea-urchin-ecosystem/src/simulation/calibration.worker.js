@@ -0,0 +1,6 @@
+/* eslint-disable no-restricted-globals */
+import { createCalibrationRunner } from './calibration.js';
+
+const runner = createCalibrationRunner(message => self.postMessage(message));
+
+self.onmessage = (event) => runner.handle(event.data);
@@ -0,0 +1,55 @@
+import { createRunner } from './runner.js';
+import { createExperimentRunner } from './experiments.js';
+import { createCalibrationRunner } from './calibration.js';
+
+// Main-thread handle on a message-driven runner. Uses a dedicated Web Worker
+// where available and falls back to running in-thread otherwise (e.g. jsdom).
+// on(type, listener) subscribes to runner messages and returns an unsubscribe.
+const createClient = (createWorker, createInThreadRunner, stopMessage) => {
+  const listeners = {};
+  let send;
+  let terminate;
+
+  const dispatch = (message) => {
+    if (listeners[message.type]) listeners[message.type].forEach(listener => listener(message));
+  };
+
+  if (typeof Worker !== 'undefined') {
+    const worker = createWorker();
+    worker.onmessage = (event) => dispatch(event.data);
+    send = (message) => worker.postMessage(message);
+    terminate = () => worker.terminate();
+  } else {
+    const runner = createInThreadRunner(dispatch);
+    send = (message) => runner.handle(message);
+    terminate = () => runner.handle(stopMessage);
+  }
+
+  const on = (type, listener) => {
+    (listeners[type] = listeners[type] || new Set()).add(listener);
+    return () => listeners[type].delete(listener);
+  };
+
+  return { send, on, terminate };
+};
+
+// The interactive run
+export const createSimulationClient = () => createClient(
+  () => new Worker(new URL('./simulation.worker.js', import.meta.url)),
+  createRunner,
+  { type: 'pause' }
+);
+
+// Batch experiments, kept off the interactive run's worker
+export const createExperimentClient = () => createClient(
+  () => new Worker(new URL('./experiment.worker.js', import.meta.url)),
+  createExperimentRunner,
+  { type: 'cancel' }
+);
+
+// Fitting parameters to observed data
+export const createCalibrationClient = () => createClient(
+  () => new Worker(new URL('./calibration.worker.js', import.meta.url)),
+  createCalibrationRunner,
+  { type: 'cancel' }
+);
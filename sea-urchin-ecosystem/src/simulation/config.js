@@ -0,0 +1,367 @@
+import { DEFAULT_PARAMS, PARAM_SPECS } from './params.js';
+import { validateInterventions } from './interventions.js';
+import { validateZones } from './zones.js';
+import { validateSeasons } from './management.js';
+
+// Run settings that are not model parameters, with the ranges the controls allow
+const RUN_SETTING_SPECS = [
+  { key: 'seed', label: 'Random Seed', min: 0, max: 4294967295, integer: true },
+  { key: 'tickRate', label: 'Tick Rate', min: 1, max: 500 },
+  { key: 'speedMultiplier', label: 'Speed Multiplier', min: 1, max: 100 },
+  { key: 'tickLimit', label: 'Tick Limit', min: 1, max: 100000, integer: true },
+  { key: 'dataRecordingFrequency', label: 'Data Recording Frequency', min: 1, max: 50, integer: true },
+  { key: 'turboMode', label: 'Turbo Mode', boolean: true },
+  { key: 'enableTickLimit', label: 'Tick Limit Enabled', boolean: true }
+];
+
+// Model switches that are not swept by experiments
+const SWITCH_SPECS = [
+  { key: 'harvestersAvoidZones', label: 'Harvesters Avoid Zones', boolean: true },
+  { key: 'openAccess', label: 'Open Access', boolean: true }
+];
+
+const CONFIG_SPECS = [...PARAM_SPECS, ...SWITCH_SPECS, ...RUN_SETTING_SPECS];
+
+// List-valued fields, each with its validator returning { value, errors }
+const LIST_FIELDS = {
+  interventions: (raw) => {
+    const { interventions, errors } = validateInterventions(raw);
+    return { value: interventions, errors };
+  },
+  protectedZones: (raw) => {
+    const { zones, errors } = validateZones(raw);
+    return { value: zones, errors };
+  },
+  closedSeasons: (raw) => {
+    const { seasons, errors } = validateSeasons(raw);
+    return { value: seasons, errors };
+  }
+};
+
+// Row labels written by exportComprehensiveCSV (header and PARAMETERS section)
+const CSV_LABELS = {
+  'Initial Urchins': 'initialUrchins',
+  'Reproduction Rate': 'reproductionRate',
+  'Grazing Rate': 'grazingRate',
+  'Urchin Speed': 'urchinSpeed',
+  'Spawn Radius': 'spawnRadius',
+  'Max Urchin Size': 'urchinMaxSize',
+  'Urchin Growth Rate': 'urchinGrowthRate',
+  'Natural Mortality': 'naturalMortality',
+  'Max Lifespan': 'maxLifespan',
+  'Density Mortality': 'densityMortality',
+  'Predator Count': 'predatorCount',
+  'Predator Species': 'predatorSpecies',
+  'Predator Speed': 'predatorSpeed',
+  'Predator Sight': 'predatorSight',
+  'Predation Rate': 'predationRate',
+  'Predator Metabolism': 'predatorMetabolism',
+  'Predator Reproduction Rate': 'predatorReproductionRate',
+  'Harvester Count': 'harvesterCount',
+  'Harvesting Rate': 'harvestingRate',
+  'Harvester Speed': 'harvesterSpeed',
+  'Harvest Radius': 'harvestRadius',
+  'Harvester Strategy': 'harvesterStrategy',
+  'Perception Radius': 'perceptionRadius',
+  'Minimum Legal Size': 'minLegalSize',
+  'Harvesters Avoid Zones': 'harvestersAvoidZones',
+  'Total Allowable Catch': 'tacLimit',
+  'TAC Period': 'tacPeriod',
+  'Daily Bag Limit': 'bagLimit',
+  'Ticks per Day': 'ticksPerDay',
+  'Ticks per Year': 'ticksPerYear',
+  'Urchin Price': 'urchinPrice',
+  'Price Basis': 'priceBasis',
+  'Trip Cost': 'tripCost',
+  'Fuel Cost': 'fuelCost',
+  'Open Access': 'openAccess',
+  'Fleet Review Interval': 'fleetReviewInterval',
+  'Max Fleet Size': 'maxFleetSize',
+  'Initial Coral Coverage': 'initialCoralCoverage',
+  'Coral Healing Rate': 'coralHealingRate',
+  'Coral Degradation Threshold': 'coralDegradationThreshold',
+  'Algae Growth Rate': 'algaeGrowthRate',
+  'Max Algae Density': 'maxAlgaeDensity',
+  'Immigration Rate': 'immigrationRate',
+  'Random Seed': 'seed',
+  'Tick Rate': 'tickRate',
+  'Speed Multiplier': 'speedMultiplier',
+  'Turbo Mode': 'turboMode',
+  'Tick Limit Enabled': 'enableTickLimit',
+  'Tick Limit': 'tickLimit',
+  'Data Recording Frequency': 'dataRecordingFrequency',
+  'World Width': 'worldWidth',
+  'World Height': 'worldHeight',
+  'Cell Size': 'cellSize',
+  'Boundary Mode': 'boundaryMode',
+  // JSON cells (see CSV_JSON_FIELDS)
+  'Closed Seasons': 'closedSeasons',
+  'Protected Zones': 'protectedZones',
+  'Interventions': 'interventions'
+};
+
+// CSV rows whose value is a JSON-encoded list
+const CSV_JSON_FIELDS = ['closedSeasons', 'protectedZones', 'interventions'];
+
+// Split one CSV line, honouring double-quoted cells with "" escapes
+const splitCSVLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Older exports wrote closed seasons as "start-end; start-end" and left
+// empty lists blank. Anything else unreadable is passed on as text, so its
+// validator rejects it.
+const parseJSONCell = (key, text) => {
+  if (text === '') return [];
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    if (key === 'closedSeasons' && /^\d+-\d+(\s*;\s*\d+-\d+)*$/.test(text)) {
+      return text.split(';').map(range => {
+        const [start, end] = range.trim().split('-').map(Number);
+        return { start, end };
+      });
+    }
+    return text;
+  }
+};
+
+// Check each known field against its spec. Returns { params, errors, ignored }
+// where params holds only the valid fields and ignored lists unknown keys.
+export const validateConfig = (fields) => {
+  const params = {};
+  const errors = [];
+  const ignored = [];
+
+  Object.entries(fields).forEach(([key, raw]) => {
+    if (LIST_FIELDS[key]) {
+      const result = LIST_FIELDS[key](raw);
+      if (result.errors.length > 0) errors.push(...result.errors);
+      else params[key] = result.value;
+      return;
+    }
+    const spec = CONFIG_SPECS.find(s => s.key === key);
+    if (!spec) {
+      ignored.push(key);
+      return;
+    }
+    if (spec.options) {
+      if (spec.options.includes(raw)) params[key] = raw;
+      else errors.push(`${spec.label}: "${raw}" is not one of ${spec.options.join(', ')}`);
+      return;
+    }
+    if (spec.boolean) {
+      if (typeof raw === 'boolean') params[key] = raw;
+      else if (raw === 'true' || raw === 'false') params[key] = raw === 'true';
+      else errors.push(`${spec.label}: expected true or false`);
+      return;
+    }
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${spec.label}: "${raw}" is not a number`);
+    } else if (value < spec.min || value > spec.max) {
+      errors.push(`${spec.label}: ${value} is outside ${spec.min}–${spec.max}`);
+    } else if ((spec.integer || Number.isInteger(spec.step)) && !Number.isInteger(value)) {
+      errors.push(`${spec.label}: ${value} must be a whole number`);
+    } else {
+      params[key] = value;
+    }
+  });
+
+  return { params, errors, ignored };
+};
+
+// Flatten the grouped `parameters` and `world` blocks of exportComprehensiveReport
+const fromReport = (report) => {
+  const { seaUrchins = {}, predators = {}, harvesters = {}, management = {}, economics = {}, corals = {}, algae = {}, simulation = {} } = report.parameters;
+  const world = report.world || {};
+  const fields = {
+    initialUrchins: seaUrchins.initialPopulation,
+    reproductionRate: seaUrchins.reproductionRate,
+    grazingRate: seaUrchins.grazingRate,
+    urchinSpeed: seaUrchins.movementSpeed,
+    spawnRadius: seaUrchins.spawnRadius,
+    urchinMaxSize: seaUrchins.maxSize,
+    urchinGrowthRate: seaUrchins.growthRate,
+    naturalMortality: seaUrchins.naturalMortality,
+    maxLifespan: seaUrchins.maxLifespan,
+    densityMortality: seaUrchins.densityMortality,
+    predatorCount: predators.count,
+    predatorSpecies: predators.species,
+    predatorSpeed: predators.speed,
+    predatorSight: predators.sight,
+    predationRate: predators.predationRate,
+    predatorMetabolism: predators.metabolism,
+    predatorReproductionRate: predators.reproductionRate,
+    harvesterCount: harvesters.count,
+    harvestingRate: harvesters.harvestingRate,
+    harvesterSpeed: harvesters.speed,
+    harvestRadius: harvesters.harvestRadius,
+    harvesterStrategy: harvesters.strategy,
+    perceptionRadius: harvesters.perceptionRadius,
+    minLegalSize: harvesters.minLegalSize,
+    protectedZones: harvesters.protectedZones,
+    harvestersAvoidZones: harvesters.avoidZones,
+    tacLimit: management.tacLimit,
+    tacPeriod: management.tacPeriod,
+    bagLimit: management.bagLimit,
+    closedSeasons: management.closedSeasons,
+    ticksPerDay: management.ticksPerDay,
+    ticksPerYear: management.ticksPerYear,
+    urchinPrice: economics.urchinPrice,
+    priceBasis: economics.priceBasis,
+    tripCost: economics.tripCost,
+    fuelCost: economics.fuelCost,
+    openAccess: economics.openAccess,
+    fleetReviewInterval: economics.fleetReviewInterval,
+    maxFleetSize: economics.maxFleetSize,
+    initialCoralCoverage: corals.initialCoverage,
+    coralHealingRate: corals.healingRate,
+    coralDegradationThreshold: corals.degradationThreshold,
+    algaeGrowthRate: algae.growthRate,
+    maxAlgaeDensity: algae.maxDensity,
+    seed: simulation.seed,
+    tickRate: simulation.tickRate,
+    speedMultiplier: simulation.speedMultiplier,
+    turboMode: simulation.turboMode,
+    tickLimit: simulation.tickLimit,
+    enableTickLimit: simulation.tickLimitEnabled,
+    dataRecordingFrequency: simulation.dataRecordingFrequency,
+    worldWidth: world.width,
+    worldHeight: world.height,
+    cellSize: world.cellSize,
+    boundaryMode: world.boundaryMode,
+    immigrationRate: world.immigrationRate === null ? undefined : world.immigrationRate,
+    interventions: report.interventions ? report.interventions.schedule : undefined
+  };
+  Object.keys(fields).forEach(key => {
+    if (fields[key] === undefined) delete fields[key];
+  });
+  return fields;
+};
+
+// "Label,Value" rows from the header block and PARAMETERS section
+const fromCSV = (text) => {
+  const fields = {};
+  let section = 'header';
+  text.split(/\r?\n/).forEach(line => {
+    const cells = splitCSVLine(line);
+    if (cells.length === 1 && cells[0] !== '' && cells[0] !== 'ECOSYSTEM SIMULATION DATA') {
+      section = cells[0] === 'PARAMETERS' ? 'parameters' : 'other';
+      return;
+    }
+    if (section === 'other' || cells.length < 2) return;
+    const key = CSV_LABELS[cells[0]];
+    if (key) fields[key] = CSV_JSON_FIELDS.includes(key) ? parseJSONCell(key, cells[1]) : cells[1];
+  });
+  return fields;
+};
+
+// Read a run configuration from any export that carries parameters:
+// exportData JSON, the Full Report JSON, a saved state file or the
+// Everything CSV. Throws if the file holds none or any field is invalid;
+// fields it does not mention come from DEFAULT_PARAMS.
+// Returns { params, source, ignored }.
+export const parseRunConfiguration = (text) => {
+  let fields;
+  let source;
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    if (data.kind === 'ecosystem-state' && data.snapshot) {
+      fields = data.snapshot.params;
+      source = 'saved state';
+    } else if (data.parameters && data.parameters.seaUrchins) {
+      fields = fromReport(data);
+      source = 'full report';
+    } else if (data.parameters) {
+      fields = { ...data.parameters, ...(data.world || {}) };
+      source = 'data export';
+    }
+  } else if (/^ECOSYSTEM SIMULATION DATA/.test(trimmed)) {
+    fields = fromCSV(trimmed);
+    source = 'CSV export';
+  }
+
+  if (!fields || Object.keys(fields).length === 0) {
+    throw new Error('No simulation parameters found in this file');
+  }
+
+  const { params, errors, ignored } = validateConfig(fields);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return { params: { ...DEFAULT_PARAMS, ...params }, source, ignored };
+};
+
+// Shareable links: the seed and every field that differs from DEFAULT_PARAMS
+// as query-string fields, with sprite style and preset alongside and any
+// intervention schedule, protected zones or closed seasons as JSON
+export const encodeScenario = ({ params, spriteStyle, preset }) => {
+  const query = new URLSearchParams();
+  if (preset) query.set('preset', preset);
+  if (spriteStyle) query.set('sprite', spriteStyle);
+  CONFIG_SPECS.forEach(({ key }) => {
+    if (key === 'seed' || params[key] !== DEFAULT_PARAMS[key]) query.set(key, String(params[key]));
+  });
+  Object.keys(LIST_FIELDS).forEach(key => {
+    if (params[key] && params[key].length > 0) query.set(key, JSON.stringify(params[key]));
+  });
+  return query.toString();
+};
+
+// Inverse of encodeScenario. Returns null if the query describes no scenario,
+// else { params, spriteStyle, preset, errors }; invalid fields are reported
+// and left at their defaults.
+export const decodeScenario = (search) => {
+  const query = new URLSearchParams(search);
+  const fields = {};
+  CONFIG_SPECS.forEach(({ key }) => {
+    if (query.has(key)) fields[key] = query.get(key);
+  });
+  Object.keys(LIST_FIELDS).forEach(key => {
+    if (!query.has(key)) return;
+    try {
+      fields[key] = JSON.parse(query.get(key));
+    } catch (error) {
+      fields[key] = null;
+    }
+  });
+  if (Object.keys(fields).length === 0 && !query.has('preset')) return null;
+
+  const { params, errors } = validateConfig(fields);
+  return {
+    params: { ...DEFAULT_PARAMS, ...params },
+    spriteStyle: query.get('sprite'),
+    preset: query.get('preset'),
+    errors
+  };
+};
@@ -0,0 +1,122 @@
+import { validateConfig, encodeScenario, decodeScenario, parseRunConfiguration } from './config.js';
+import { DEFAULT_PARAMS } from './params.js';
+
+const ZONES = [{ id: 'north', name: 'North, inner', shape: 'rect', x: 0, y: 0, width: 100, height: 80 }];
+const SEASONS = [{ start: 10, end: 50 }];
+const INTERVENTIONS = [{
+  id: 'cull',
+  label: 'Cull "adults", 50%',
+  trigger: { type: 'tick', tick: 100 },
+  action: { type: 'removeUrchins', stage: 'adult', fraction: 0.5 }
+}];
+
+describe('validateConfig', () => {
+  test('accepts valid fields, converting strings', () => {
+    const { params, errors, ignored } = validateConfig({
+      reproductionRate: '0.05',
+      harvesterCount: 3,
+      boundaryMode: 'torus',
+      turboMode: 'true',
+      favouriteColour: 'blue'
+    });
+    expect(errors).toEqual([]);
+    expect(params).toEqual({ reproductionRate: 0.05, harvesterCount: 3, boundaryMode: 'torus', turboMode: true });
+    expect(ignored).toEqual(['favouriteColour']);
+  });
+
+  test('reports each invalid field and leaves it out', () => {
+    const { params, errors } = validateConfig({
+      reproductionRate: 0.5,
+      harvesterCount: 2.5,
+      grazingRate: 'lots',
+      boundaryMode: 'sideways',
+      turboMode: 'yes'
+    });
+    expect(params).toEqual({});
+    expect(errors).toEqual([
+      'Reproduction Rate: 0.5 is outside 0–0.2',
+      'Harvesters: 2.5 must be a whole number',
+      expect.stringMatching(/"lots" is not a number$/),
+      expect.stringMatching(/"sideways" is not one of/),
+      'Turbo Mode: expected true or false'
+    ]);
+  });
+
+  test('checks the list fields', () => {
+    expect(validateConfig({ protectedZones: ZONES, closedSeasons: SEASONS, interventions: INTERVENTIONS }))
+      .toEqual({ params: { protectedZones: ZONES, closedSeasons: SEASONS, interventions: INTERVENTIONS }, errors: [], ignored: [] });
+    expect(validateConfig({ protectedZones: 'garbage' }).errors).toEqual(['Protected zones: expected a list']);
+  });
+});
+
+describe('parseRunConfiguration', () => {
+  const csvCell = (value) => `"${JSON.stringify(value).replace(/"/g, '""')}"`;
+
+  test('reads the list fields back from the CSV export', () => {
+    const csv = [
+      'ECOSYSTEM SIMULATION DATA',
+      'Random Seed,7',
+      '',
+      'PARAMETERS',
+      'Parameter,Value',
+      'Reproduction Rate,0.03',
+      `Closed Seasons,${csvCell(SEASONS)}`,
+      `Protected Zones,${csvCell(ZONES)}`,
+      `Interventions,${csvCell(INTERVENTIONS)}`,
+      '',
+      'TIME SERIES DATA',
+      'Tick,Total Urchins'
+    ].join('\n');
+    const { params, source } = parseRunConfiguration(csv);
+    expect(source).toBe('CSV export');
+    expect(params).toMatchObject({ seed: 7, reproductionRate: 0.03, closedSeasons: SEASONS, protectedZones: ZONES, interventions: INTERVENTIONS });
+  });
+
+  test('reads closed seasons in the older "start-end; ..." form', () => {
+    const { params } = parseRunConfiguration('ECOSYSTEM SIMULATION DATA\nPARAMETERS\nClosed Seasons,"10-50; 100-200"\nProtected Zones,\n');
+    expect(params.closedSeasons).toEqual([{ start: 10, end: 50 }, { start: 100, end: 200 }]);
+    expect(params.protectedZones).toEqual([]);
+  });
+
+  test('reads a saved state file', () => {
+    const state = JSON.stringify({ kind: 'ecosystem-state', snapshot: { params: { ...DEFAULT_PARAMS, seed: 3 } } });
+    expect(parseRunConfiguration(state)).toMatchObject({ source: 'saved state', params: { seed: 3 } });
+  });
+
+  test('throws for files without parameters or with invalid ones', () => {
+    expect(() => parseRunConfiguration('hello')).toThrow('No simulation parameters found in this file');
+    expect(() => parseRunConfiguration('{"parameters":{"harvesterCount":99}}')).toThrow('Harvesters: 99 is outside 0–10');
+  });
+});
+
+describe('scenario links', () => {
+  test('round-trip the changed parameters, lists, sprite style and preset', () => {
+    const params = {
+      ...DEFAULT_PARAMS,
+      seed: 42,
+      reproductionRate: 0.07,
+      boundaryMode: 'torus',
+      protectedZones: ZONES,
+      closedSeasons: SEASONS,
+      interventions: INTERVENTIONS
+    };
+    const query = encodeScenario({ params, spriteStyle: 'realistic', preset: 'overfished' });
+    expect(decodeScenario(query)).toEqual({ params, spriteStyle: 'realistic', preset: 'overfished', errors: [] });
+  });
+
+  test('leave out parameters at their defaults', () => {
+    const query = new URLSearchParams(encodeScenario({ params: { ...DEFAULT_PARAMS, seed: 9 } }));
+    expect([...query.keys()]).toEqual(['seed']);
+  });
+
+  test('describe no scenario without any known field', () => {
+    expect(decodeScenario('?utm_source=mail')).toBeNull();
+  });
+
+  test('keep the defaults for invalid fields and report them', () => {
+    const { params, errors } = decodeScenario('?reproductionRate=9&protectedZones=%7Bnot-json');
+    expect(params.reproductionRate).toBe(DEFAULT_PARAMS.reproductionRate);
+    expect(params.protectedZones).toEqual([]);
+    expect(errors).toHaveLength(2);
+  });
+});
@@ -0,0 +1,78 @@
+// Harvester economics and open-access fleet dynamics:
+//   urchinPrice  - paid per urchin landed, or per gram of roe when
+//                  priceBasis is 'roe' (roe yield grows with test volume)
+//   tripCost     - per harvester per fishing day of ticksPerDay ticks
+//   fuelCost     - per world unit a harvester moves
+//   openAccess   - every fleetReviewInterval ticks harvesters that lost money
+//                  since the last review leave, and one joins (up to
+//                  maxFleetSize) if the fleet as a whole made a profit
+
+// Roe (gonad) grams per cubic centimetre of test diameter cubed
+const ROE_GRAMS_PER_CM3 = 0.03;
+
+export const roeYield = (size) => ROE_GRAMS_PER_CM3 * Math.pow(size / 10, 3);
+
+export const landingValue = (urchin, params) =>
+  (params.priceBasis === 'roe' ? params.urchinPrice * roeYield(urchin.size) : params.urchinPrice);
+
+// Fleet-wide running totals, also reported in the stats as economics
+export const createEconomy = () => ({
+  revenue: 0,
+  fuelCosts: 0,
+  tripCosts: 0,
+  entries: 0,           // harvesters that joined at fleet reviews
+  exits: 0,             // harvesters that left at fleet reviews
+  lastReviewTick: null,
+  lastReviewProfit: 0   // mean profit per harvester over the last review period
+});
+
+const charge = (harvester, amount) => {
+  harvester.costs += amount;
+  harvester.periodProfit -= amount;
+};
+
+// Fuel for the distance a harvester moved this tick
+export const chargeFuel = (harvester, distance, economy, params) => {
+  const cost = distance * params.fuelCost;
+  charge(harvester, cost);
+  economy.fuelCosts += cost;
+};
+
+// Trip costs for every harvester on the first tick of each day
+export const chargeTrips = (tick, harvesters, economy, params) => {
+  if (tick % params.ticksPerDay !== 0) return;
+  harvesters.forEach(harvester => {
+    charge(harvester, params.tripCost);
+    economy.tripCosts += params.tripCost;
+  });
+};
+
+// Sell this tick's catch; landed[i] was caught by catchers[i]
+export const sellCatch = (catchers, landed, economy, params) => {
+  catchers.forEach((harvester, i) => {
+    const value = landingValue(landed[i], params);
+    harvester.revenue += value;
+    harvester.periodProfit += value;
+    economy.revenue += value;
+  });
+};
+
+// Open-access entry and exit. Returns the new fleet; `recruit` creates a
+// harvester. An empty fleet always lets one prospector try.
+export const reviewFleet = (tick, harvesters, economy, params, recruit) => {
+  const meanProfit = harvesters.length > 0
+    ? harvesters.reduce((sum, h) => sum + h.periodProfit, 0) / harvesters.length
+    : 0;
+  const staying = harvesters.filter(h => h.periodProfit >= 0);
+  economy.exits += harvesters.length - staying.length;
+  if ((harvesters.length === 0 || meanProfit > 0) && staying.length < params.maxFleetSize) {
+    staying.push(recruit());
+    economy.entries++;
+  }
+  staying.forEach(h => {
+    h.periodProfit = 0;
+  });
+  economy.lastReviewTick = tick;
+  economy.lastReviewProfit = meanProfit;
+  return staying;
+};
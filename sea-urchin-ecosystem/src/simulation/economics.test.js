@@ -0,0 +1,76 @@
+import { roeYield, landingValue, createEconomy, chargeFuel, chargeTrips, sellCatch, reviewFleet } from './economics.js';
+import { createSimulation } from './engine.js';
+
+const PRICES = { urchinPrice: 10, priceBasis: 'urchin', tripCost: 2, fuelCost: 0.5, ticksPerDay: 10, maxFleetSize: 3 };
+
+const harvester = (id, periodProfit = 0) => ({ id, costs: 0, revenue: 0, periodProfit });
+
+describe('landing value', () => {
+  test('pays per urchin, or per gram of roe growing with test volume', () => {
+    expect(landingValue({ size: 40 }, PRICES)).toBe(10);
+    expect(landingValue({ size: 40 }, { ...PRICES, priceBasis: 'roe' })).toBeCloseTo(10 * roeYield(40), 10);
+    expect(roeYield(80) / roeYield(40)).toBeCloseTo(8, 10);
+  });
+});
+
+describe('harvester accounts', () => {
+  test('charge fuel by distance and trips on the first tick of each day', () => {
+    const economy = createEconomy();
+    const fleet = [harvester('a'), harvester('b')];
+    chargeFuel(fleet[0], 4, economy, PRICES);
+    chargeTrips(10, fleet, economy, PRICES);
+    chargeTrips(11, fleet, economy, PRICES);
+    expect(fleet[0]).toMatchObject({ costs: 4, periodProfit: -4 });
+    expect(fleet[1]).toMatchObject({ costs: 2, periodProfit: -2 });
+    expect(economy).toMatchObject({ fuelCosts: 2, tripCosts: 4 });
+  });
+
+  test('credit each catch to the harvester that landed it', () => {
+    const economy = createEconomy();
+    const fleet = [harvester('a'), harvester('b')];
+    sellCatch([fleet[1], fleet[1]], [{ size: 30 }, { size: 50 }], economy, PRICES);
+    expect(fleet[1]).toMatchObject({ revenue: 20, periodProfit: 20 });
+    expect(fleet[0].revenue).toBe(0);
+    expect(economy.revenue).toBe(20);
+  });
+});
+
+describe('reviewFleet', () => {
+  const recruit = () => harvester('new');
+
+  test('lets loss-makers leave and one harvester join while the fleet profits', () => {
+    const economy = createEconomy();
+    const fleet = reviewFleet(50, [harvester('a', 30), harvester('b', -5)], economy, PRICES, recruit);
+    expect(fleet.map(h => h.id)).toEqual(['a', 'new']);
+    expect(fleet.every(h => h.periodProfit === 0)).toBe(true);
+    expect(economy).toMatchObject({ exits: 1, entries: 1, lastReviewTick: 50, lastReviewProfit: 12.5 });
+  });
+
+  test('keeps the fleet within maxFleetSize and closed while it loses money', () => {
+    const full = reviewFleet(50, ['a', 'b', 'c'].map(id => harvester(id, 5)), createEconomy(), PRICES, recruit);
+    expect(full).toHaveLength(3);
+    const losing = reviewFleet(50, [harvester('a', 1), harvester('b', -9)], createEconomy(), PRICES, recruit);
+    expect(losing.map(h => h.id)).toEqual(['a']);
+  });
+
+  test('always lets a prospector into an empty fleet', () => {
+    expect(reviewFleet(50, [], createEconomy(), PRICES, recruit).map(h => h.id)).toEqual(['new']);
+  });
+});
+
+describe('fuel in a run', () => {
+  test('is charged for every move, including those leaving an open reef', () => {
+    const sim = createSimulation({
+      seed: 3, boundaryMode: 'open', worldWidth: 200, worldHeight: 200,
+      harvesterCount: 6, harvesterSpeed: 3, fuelCost: 1, tripCost: 0
+    });
+    sim.init();
+    let moved = 0;
+    for (let i = 0; i < 200; i++) {
+      sim.step();
+      // Edge placement keeps each harvester's speed, so it is the distance moved
+      moved += sim.getState().agents.harvesters.reduce((sum, h) => sum + Math.hypot(h.vx, h.vy), 0);
+    }
+    expect(sim.getStats().economics.fuelCosts).toBeCloseTo(moved, 6);
+  });
+});
@@ -0,0 +1,649 @@
+import { DEFAULT_PARAMS, getWorld } from './params.js';
+import { createRandom } from './random.js';
+import { createSpatialIndex } from './spatialIndex.js';
+import {
+  createUrchin,
+  createHarvester,
+  sizeAtAge,
+  growUrchin,
+  initializeCorals,
+  initializeUrchins,
+  initializeHarvesters,
+  moveAgent,
+  isOutside,
+  placeOnEdge,
+  immigrateUrchins,
+  grazeCorals,
+  reproduceUrchins,
+  harvestUrchins,
+  updateCorals,
+  urchinDensity,
+  avoidZones,
+  diesNaturally,
+  isHarvestable,
+  computeSizeStats,
+  computeStats
+} from './model.js';
+import { computeZoneStats } from './zones.js';
+import { createRuleCounters, openHarvesters, recordCatch } from './management.js';
+import { createEconomy, chargeFuel, chargeTrips, sellCatch, reviewFleet } from './economics.js';
+import { createSearchState, chooseHeading, steerToward, rememberCatches } from './search.js';
+import {
+  createPredation,
+  speciesFor,
+  createPredator,
+  initializePredators,
+  movePredator,
+  feedPredators,
+  breedPredators,
+  countPredators
+} from './predators.js';
+import { dueInterventions, applyIntervention } from './interventions.js';
+
+// Stats are pushed to observers every STATS_INTERVAL ticks
+const STATS_INTERVAL = 5;
+
+// Bumped whenever the serialize() layout changes, with a migration from the
+// previous version added to SNAPSHOT_MIGRATIONS
+export const SNAPSHOT_VERSION = 10;
+
+// Series added to a saved history: padded with null, as for ticks before the
+// series was recorded, so every series stays aligned with history.ticks
+const padSeries = (snapshot, key, names) => {
+  const length = snapshot.history.ticks.length;
+  const series = { ...snapshot[key] };
+  names.forEach(name => {
+    series[name] = new Array(length).fill(null);
+  });
+  return { ...snapshot, [key]: series };
+};
+
+// SNAPSHOT_MIGRATIONS[v] upgrades a version v snapshot to v + 1. What was
+// not recorded before then starts from its empty or default value.
+const SNAPSHOT_MIGRATIONS = {
+  // 2: log of fired scheduled interventions
+  1: snapshot => ({ ...snapshot, interventionLog: [] }),
+  // 3: cumulative harvest and the inside/outside protected zone series
+  2: snapshot => padSeries(snapshot, 'detailedHistory', [
+    'harvestedTotal', 'protectedUrchinDensity', 'openUrchinDensity', 'protectedCoralHealth', 'openCoralHealth'
+  ]),
+  // 4: harvest rule counters
+  3: snapshot => ({ ...snapshot, ruleCounters: createRuleCounters() }),
+  // 5: urchin test diameter, taken as the expected size at its age
+  4: snapshot => {
+    const params = { ...DEFAULT_PARAMS, ...snapshot.params };
+    const seaUrchins = snapshot.agents.seaUrchins.map(u => ({ ...u, size: sizeAtAge(u.age, params) }));
+    return { ...snapshot, agents: { ...snapshot.agents, seaUrchins } };
+  },
+  // 6: fleet economy, harvester accounts and the fleet series
+  5: snapshot => {
+    const harvesters = snapshot.agents.harvesters.map(h => ({ ...h, revenue: 0, costs: 0, periodProfit: 0 }));
+    return padSeries({
+      ...snapshot,
+      agents: { ...snapshot.agents, harvesters },
+      economy: createEconomy()
+    }, 'detailedHistory', ['fleetSize', 'fleetRevenue', 'fleetCosts']);
+  },
+  // 7: harvester search memory
+  6: snapshot => ({ ...snapshot, search: createSearchState() }),
+  // 8: deaths by cause
+  7: snapshot => padSeries({
+    ...snapshot,
+    starvedCount: 0,
+    naturalDeathCount: 0
+  }, 'detailedHistory', ['starvedTotal', 'naturalDeathsTotal']),
+  // 9: predators
+  8: snapshot => padSeries(padSeries({
+    ...snapshot,
+    agents: { ...snapshot.agents, predators: [] },
+    predation: createPredation()
+  }, 'history', ['predatorPop']), 'detailedHistory', ['predatedTotal', 'triggerfishPop', 'wrassePop', 'lobsterPop']),
+  // 10: intervention overrides, kept apart from the base params
+  9: snapshot => ({ ...snapshot, overrides: {} })
+};
+
+// What is wrong with a snapshot at SNAPSHOT_VERSION, or null
+const snapshotError = (snapshot) => {
+  const notNumber = ['tick', 'nextIdCounter', 'rngState', 'harvestedCount', 'immigratedCount', 'emigratedCount', 'starvedCount', 'naturalDeathCount']
+    .find(key => !Number.isFinite(snapshot[key]));
+  if (notNumber) return `${notNumber} is not a number`;
+  const notObject = ['params', 'world', 'overrides', 'history', 'detailedHistory', 'ruleCounters', 'economy', 'search', 'predation']
+    .find(key => !snapshot[key] || typeof snapshot[key] !== 'object');
+  if (notObject) return `${notObject} is missing`;
+  const notAgents = ['seaUrchins', 'harvesters', 'predators', 'corals'].find(key => !Array.isArray(snapshot.agents[key]));
+  if (notAgents) return `agents.${notAgents} is not a list`;
+  const notSeries = ['history', 'detailedHistory'].find(key => !Object.values(snapshot[key]).every(Array.isArray));
+  if (notSeries) return `${notSeries} holds a series that is not a list`;
+  if (!snapshot.history.ticks) return 'history.ticks is missing';
+  if (!Array.isArray(snapshot.interventionLog)) return 'interventionLog is not a list';
+  if (!Array.isArray(snapshot.search.spots)) return 'search.spots is not a list';
+  return null;
+};
+
+// Upgrade a snapshot to SNAPSHOT_VERSION; throws for unknown versions
+export const migrateSnapshot = (snapshot) => {
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1 || snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version} (this build reads 1 to ${SNAPSHOT_VERSION})`);
+  }
+  let migrated = snapshot;
+  while (migrated.version < SNAPSHOT_VERSION) {
+    migrated = { ...SNAPSHOT_MIGRATIONS[migrated.version](migrated), version: migrated.version + 1 };
+  }
+  return migrated;
+};
+
+// Copy of a set of history series, detached from the live arrays that
+// recordHistory() appends to
+const copySeries = (series) =>
+  Object.fromEntries(Object.entries(series).map(([key, values]) => [key, [...values]]));
+
+// Copy of the first `count` points of each series
+const sliceSeries = (series, count) =>
+  Object.fromEntries(Object.entries(series).map(([key, values]) => [key, values.slice(0, count)]));
+
+const copyAgents = (agents) => ({
+  seaUrchins: agents.seaUrchins.map(u => ({ ...u })),
+  harvesters: agents.harvesters.map(h => ({ ...h })),
+  predators: agents.predators.map(p => ({ ...p })),
+  corals: agents.corals.map(c => ({ ...c })),
+  algae: []
+});
+
+export const createEmptyStats = () => ({
+  juvenileUrchins: 0,
+  adultUrchins: 0,
+  totalUrchins: 0,
+  healthyCorals: 0,
+  degradedCorals: 0,
+  deadCorals: 0,
+  algaeCoverage: 0,
+  harvestedUrchins: 0,
+  immigratedUrchins: 0,  // cumulative, open boundary only
+  starvedUrchins: 0,  // cumulative deaths by cause, with harvestedUrchins
+  naturalDeaths: 0,
+  predatedUrchins: 0,
+  emigratedUrchins: 0,
+  predators: 0,
+  predation: { ...createPredation(), species: {} },  // running totals and predators alive per species
+  protectedAreas: null,  // computeZoneStats() while protected zones are set
+  harvestRules: createRuleCounters(),
+  economics: { ...createEconomy(), profit: 0, fleetSize: 0 },
+  urchinSizes: { binWidth: 0, counts: [], meanSize: 0, legalSizeAdults: 0 }  // computeSizeStats()
+});
+
+export const createEmptyHistory = () => ({
+  ticks: [],
+  urchinPop: [],
+  predatorPop: [],
+  coralHealth: [],
+  algaeCoverage: []
+});
+
+export const createEmptyDetailedHistory = () => ({
+  healthyCorals: [],
+  degradedCorals: [],
+  deadCorals: [],
+  juvenileUrchins: [],
+  adultUrchins: [],
+  harvestedTotal: [],  // cumulative total
+  starvedTotal: [],  // cumulative
+  naturalDeathsTotal: [],  // cumulative
+  predatedTotal: [],  // cumulative
+  // Predators alive of each species
+  triggerfishPop: [],
+  wrassePop: [],
+  lobsterPop: [],
+  // Inside all protected zones vs outside them; null while there are none
+  protectedUrchinDensity: [],
+  openUrchinDensity: [],
+  protectedCoralHealth: [],
+  openCoralHealth: [],
+  // Harvester fleet size and its cumulative revenue and costs
+  fleetSize: [],
+  fleetRevenue: [],
+  fleetCosts: []
+});
+
+// Framework-free simulation engine. Agents are mutated in place each step;
+// observers subscribe with on(event, listener) and receive:
+//   'init'     -> { tick, agents } (also after restore)
+//   'step'     -> { tick }
+//   'stats'    -> stats object (every STATS_INTERVAL ticks)
+//   'record'   -> { history, detailedHistory } (every recording interval, and on recordNow();
+//                 the live series, copy them to keep them)
+//   'complete' -> { tick } (tick limit reached)
+//   'intervention' -> { id, tick, label, effect } (a scheduled event fired)
+//
+// getParams() is the base configuration set through setParams(); parameter
+// changes made by interventions apply on top of it until the next init().
+//
+// World geometry and topology (worldWidth, worldHeight, cellSize,
+// boundaryMode) are fixed between resets: edits through setParams() take effect on the next init().
+export const createSimulation = (initialParams = {}) => {
+  let params = { ...DEFAULT_PARAMS, ...initialParams };
+  let world = getWorld(params);
+  // What the model functions see: the latest parameters over the active world
+  let modelParams = { ...params, ...world };
+  // Parameter changes made by scheduled interventions, layered over params
+  // until the next init() so a reset starts again from the base configuration
+  let overrides = {};
+  let rng = createRandom(params.seed);
+  let nextIdCounter = 0;
+  let tick = 0;
+  let agents = { seaUrchins: [], harvesters: [], predators: [], corals: [], algae: [] };
+  let harvestedCount = 0;
+  let immigratedCount = 0;
+  let emigratedCount = 0;
+  let starvedCount = 0;
+  let naturalDeathCount = 0;
+  let history = createEmptyHistory();
+  let detailedHistory = createEmptyDetailedHistory();
+  let interventionLog = [];  // executed params.interventions, in firing order
+  let ruleCounters = createRuleCounters();
+  let economy = createEconomy();
+  let search = createSearchState();
+  let predation = createPredation();
+  const listeners = {};
+
+  // Neighbour lookups: corals never move, urchins are re-bucketed per query
+  const createIndex = (geometry = world) => createSpatialIndex(geometry.cellSize, geometry.worldWidth, geometry.worldHeight, {
+    wrap: geometry.boundaryMode === 'torus'
+  });
+  let coralIndex = createIndex();
+  let urchinIndex = createIndex();
+  let preyIndex = createIndex();  // harvestable urchins, for the search strategies
+
+  const on = (event, listener) => {
+    (listeners[event] = listeners[event] || new Set()).add(listener);
+    return () => listeners[event].delete(listener);
+  };
+
+  const emit = (event, payload) => {
+    if (listeners[event]) listeners[event].forEach(listener => listener(payload));
+  };
+
+  const setParams = (patch) => {
+    // Editing a parameter replaces any intervention override of it
+    overrides = Object.fromEntries(Object.entries(overrides).filter(([key]) => !(key in patch) || patch[key] === params[key]));
+    params = { ...params, ...patch };
+    modelParams = { ...params, ...overrides, ...world };
+  };
+
+  const overrideParams = (patch) => {
+    overrides = { ...overrides, ...patch };
+    modelParams = { ...params, ...overrides, ...world };
+  };
+
+  // Sequential agent ids keep runs with the same seed identical
+  const nextId = (prefix) => `${prefix}-${nextIdCounter++}`;
+
+  // Reseed from params.seed and build a fresh reef at the current world size
+  const init = () => {
+    world = getWorld(params);
+    overrides = {};
+    modelParams = { ...params, ...world };
+    coralIndex = createIndex();
+    urchinIndex = createIndex();
+    preyIndex = createIndex();
+
+    rng = createRandom(params.seed);
+    nextIdCounter = 0;
+    agents = {
+      seaUrchins: initializeUrchins(modelParams, rng, nextId),
+      harvesters: initializeHarvesters(modelParams, rng, nextId),
+      corals: initializeCorals(modelParams, rng),
+      predators: initializePredators(modelParams, rng, nextId),
+      algae: []
+    };
+    coralIndex.build(agents.corals);
+    tick = 0;
+    harvestedCount = 0;
+    immigratedCount = 0;
+    emigratedCount = 0;
+    starvedCount = 0;
+    naturalDeathCount = 0;
+    history = createEmptyHistory();
+    detailedHistory = createEmptyDetailedHistory();
+    interventionLog = [];
+    ruleCounters = createRuleCounters();
+    economy = createEconomy();
+    search = createSearchState();
+    predation = createPredation();
+    emit('init', { tick, agents });
+  };
+
+  const currentStats = () => ({
+    ...computeStats(agents, harvestedCount),
+    immigratedUrchins: immigratedCount,
+    emigratedUrchins: emigratedCount,
+    starvedUrchins: starvedCount,
+    naturalDeaths: naturalDeathCount,
+    predatedUrchins: predation.eatenJuveniles + predation.eatenAdults,
+    predators: agents.predators.length,
+    predation: { ...predation, species: countPredators(agents.predators) },
+    protectedAreas: params.protectedZones.length > 0 ? computeZoneStats(agents, params.protectedZones, modelParams) : null,
+    harvestRules: { ...ruleCounters },
+    economics: fleetEconomics(),
+    urchinSizes: computeSizeStats(agents.seaUrchins, modelParams)
+  });
+
+  const fleetEconomics = () => ({
+    ...economy,
+    profit: economy.revenue - economy.fuelCosts - economy.tripCosts,
+    fleetSize: agents.harvesters.length
+  });
+
+  // Everything needed to resume the run exactly, as JSON-safe plain data
+  // Rewind checkpoints pass shareHistory to hand out the live series instead
+  // of copies; restore() keeps only the points recorded by the snapshot's
+  // tick, so anything appended later is left out (points trimmed off the
+  // front in the meantime are gone, as they are from the live charts).
+  const serialize = ({ shareHistory = false } = {}) => ({
+    version: SNAPSHOT_VERSION,
+    params: { ...params },
+    overrides: { ...overrides },
+    world: { ...world },
+    tick,
+    rngState: rng.getState(),
+    nextIdCounter,
+    harvestedCount,
+    immigratedCount,
+    emigratedCount,
+    starvedCount,
+    naturalDeathCount,
+    agents: copyAgents(agents),
+    history: shareHistory ? history : copySeries(history),
+    detailedHistory: shareHistory ? detailedHistory : copySeries(detailedHistory),
+    interventionLog,
+    ruleCounters: { ...ruleCounters },
+    economy: { ...economy },
+    search: { spots: search.spots.map(spot => [...spot]) },
+    predation: { ...predation }
+  });
+
+  // Resume from a serialize() snapshot, migrating older layouts first.
+  // Throws if it is not one, leaving the current run as it was; returns the
+  // version it was saved with.
+  const restore = (saved) => {
+    if (!saved || typeof saved !== 'object' || !saved.agents) {
+      throw new Error('Not a simulation snapshot');
+    }
+    const snapshot = migrateSnapshot(saved);
+    const error = snapshotError(snapshot);
+    if (error) throw new Error(`Invalid simulation snapshot: ${error}`);
+
+    // Build the restored state first and swap it in only once nothing can throw
+    const restoredWorld = getWorld(snapshot.world);
+    const restoredAgents = copyAgents(snapshot.agents);
+    const restoredCorals = createIndex(restoredWorld);
+    restoredCorals.build(restoredAgents.corals);
+    const restoredRng = createRandom();
+    restoredRng.setState(snapshot.rngState);
+    const recorded = snapshot.history.ticks.filter(t => t <= snapshot.tick).length;
+    const restoredHistory = sliceSeries(snapshot.history, recorded);
+    const restoredDetailedHistory = sliceSeries(snapshot.detailedHistory, recorded);
+    const restoredSpots = snapshot.search.spots.map(spot => [...spot]);
+
+    params = { ...DEFAULT_PARAMS, ...snapshot.params };
+    world = restoredWorld;
+    overrides = { ...snapshot.overrides };
+    modelParams = { ...params, ...overrides, ...world };
+    coralIndex = restoredCorals;
+    urchinIndex = createIndex();
+    preyIndex = createIndex();
+    rng = restoredRng;
+    nextIdCounter = snapshot.nextIdCounter;
+    tick = snapshot.tick;
+    harvestedCount = snapshot.harvestedCount;
+    immigratedCount = snapshot.immigratedCount;
+    emigratedCount = snapshot.emigratedCount;
+    starvedCount = snapshot.starvedCount;
+    naturalDeathCount = snapshot.naturalDeathCount;
+    agents = restoredAgents;
+    history = restoredHistory;
+    detailedHistory = restoredDetailedHistory;
+    interventionLog = [...snapshot.interventionLog];
+    ruleCounters = { ...snapshot.ruleCounters };
+    economy = { ...snapshot.economy };
+    search = { spots: restoredSpots };
+    predation = { ...snapshot.predation };
+    emit('init', { tick, agents });
+    return saved.version;
+  };
+
+  const hasReachedTickLimit = () =>
+    params.enableTickLimit && params.tickLimit > 0 && tick >= params.tickLimit;
+
+  // Ticks between history points; turbo mode records less often
+  const recordingFrequency = () => params.dataRecordingFrequency * (params.turboMode ? 5 : 1);
+
+  // Append the current state to the bounded history series
+  const recordHistory = (effectiveFrequency) => {
+    const stats = currentStats();
+    const totalCorals = agents.corals.length;
+    const coralHealthPercent = totalCorals > 0 ? (stats.healthyCorals / totalCorals) * 100 : 0;
+
+    // Determine history limit based on tick limit and recording frequency
+    const expectedPoints = params.enableTickLimit && params.tickLimit > 0
+      ? Math.ceil(params.tickLimit / effectiveFrequency)
+      : Math.ceil(10000 / effectiveFrequency);
+    const historyLimit = Math.max(200, expectedPoints * 2); // Double as buffer
+    const zoneValue = (area, key) => (stats.protectedAreas ? stats.protectedAreas[area][key] : null);
+
+    // Appended in place: the series are only copied when handed out
+    const append = (series, value) => {
+      series.push(value);
+      if (series.length > historyLimit) series.splice(0, series.length - historyLimit);
+    };
+    append(history.ticks, tick);
+    append(history.urchinPop, stats.totalUrchins);
+    append(history.predatorPop, stats.predators);
+    append(history.coralHealth, coralHealthPercent);
+    append(history.algaeCoverage, stats.algaeCoverage);
+
+    append(detailedHistory.healthyCorals, stats.healthyCorals);
+    append(detailedHistory.degradedCorals, stats.degradedCorals);
+    append(detailedHistory.deadCorals, stats.deadCorals);
+    append(detailedHistory.juvenileUrchins, stats.juvenileUrchins);
+    append(detailedHistory.adultUrchins, stats.adultUrchins);
+    append(detailedHistory.harvestedTotal, harvestedCount);
+    append(detailedHistory.starvedTotal, starvedCount);
+    append(detailedHistory.naturalDeathsTotal, naturalDeathCount);
+    append(detailedHistory.predatedTotal, stats.predatedUrchins);
+    append(detailedHistory.triggerfishPop, stats.predation.species.triggerfish);
+    append(detailedHistory.wrassePop, stats.predation.species.wrasse);
+    append(detailedHistory.lobsterPop, stats.predation.species.lobster);
+    append(detailedHistory.protectedUrchinDensity, zoneValue('inside', 'urchinDensity'));
+    append(detailedHistory.openUrchinDensity, zoneValue('outside', 'urchinDensity'));
+    append(detailedHistory.protectedCoralHealth, zoneValue('inside', 'coralHealth'));
+    append(detailedHistory.openCoralHealth, zoneValue('outside', 'coralHealth'));
+    append(detailedHistory.fleetSize, agents.harvesters.length);
+    append(detailedHistory.fleetRevenue, economy.revenue);
+    append(detailedHistory.fleetCosts, economy.fuelCosts + economy.tripCosts);
+
+    emit('record', { history, detailedHistory });
+  };
+
+  const step = () => {
+    const currentTick = tick;
+
+    // Move sea urchins; across an open boundary they leave the reef
+    agents.seaUrchins.forEach(u => moveAgent(u, modelParams.urchinSpeed, modelParams, rng));
+    if (world.boundaryMode === 'open') {
+      const staying = agents.seaUrchins.filter(u => !isOutside(u, modelParams));
+      emigratedCount += agents.seaUrchins.length - staying.length;
+      agents.seaUrchins = staying;
+    }
+
+    // Age, grow and graze sea urchins
+    agents.seaUrchins.forEach(u => {
+      u.age++;
+      if (u.age >= u.maturityTime) u.isAdult = true;
+      u.energy = Math.max(0, u.energy - 0.1);
+      growUrchin(u, modelParams);
+      grazeCorals(u, coralIndex, modelParams);
+    });
+
+    // Remove starved urchins, then those dying of age, senescence or crowding
+    const fed = agents.seaUrchins.filter(u => u.energy > 0);
+    starvedCount += agents.seaUrchins.length - fed.length;
+    const density = urchinDensity(fed, modelParams);
+    agents.seaUrchins = fed.filter(u => !diesNaturally(u, density, modelParams, rng));
+    naturalDeathCount += fed.length - agents.seaUrchins.length;
+
+    // Reproduction
+    const newborns = reproduceUrchins(agents.seaUrchins, urchinIndex, currentTick, modelParams, rng, nextId);
+    agents.seaUrchins.push(...newborns);
+
+    // Immigration across an open boundary
+    const immigrants = immigrateUrchins(modelParams, rng, nextId);
+    immigratedCount += immigrants.length;
+    agents.seaUrchins.push(...immigrants);
+
+    // Move harvesters by their search strategy, paying for fuel; one leaving
+    // an open reef is replaced by one arriving elsewhere
+    if (params.harvesterStrategy !== 'random') {
+      preyIndex.build(agents.seaUrchins.filter(u => isHarvestable(u, modelParams)));
+    }
+    agents.harvesters.forEach(h => {
+      const { x, y } = h;
+      const heading = chooseHeading(h, preyIndex, search, modelParams);
+      if (heading) steerToward(h, heading, modelParams.harvesterSpeed);
+      moveAgent(h, modelParams.harvesterSpeed, modelParams, rng);
+      // Charged for the move out too, before coming back in on an edge
+      if (world.boundaryMode === 'open' && isOutside(h, modelParams)) {
+        chargeFuel(h, Math.hypot(h.x - x, h.y - y), economy, modelParams);
+        placeOnEdge(h, modelParams, rng);
+        return;
+      }
+      avoidZones(h, x, y, modelParams);
+      chargeFuel(h, Math.hypot(h.x - x, h.y - y), economy, modelParams);
+    });
+    chargeTrips(currentTick, agents.harvesters, economy, modelParams);
+
+    // Harvesting, within the season, quota and bag limits, and selling the catch
+    const { fishing, quota } = openHarvesters(currentTick, agents.harvesters, ruleCounters, modelParams);
+    const harvest = harvestUrchins(fishing, agents.seaUrchins, urchinIndex, modelParams, rng, quota);
+    recordCatch(harvest.catchers, ruleCounters, modelParams);
+    sellCatch(harvest.catchers, harvest.landed, economy, modelParams);
+    rememberCatches(harvest.catchers, search, modelParams);
+    agents.seaUrchins = harvest.remainingUrchins;
+    harvestedCount += harvest.harvestedCount;
+
+    // Predators hunt, eat, breed and starve; one leaving an open reef is
+    // replaced by one arriving elsewhere
+    if (agents.predators.length > 0) {
+      urchinIndex.build(agents.seaUrchins);
+      agents.predators.forEach(p => {
+        movePredator(p, urchinIndex, modelParams, rng);
+        if (world.boundaryMode === 'open' && isOutside(p, modelParams)) placeOnEdge(p, modelParams, rng);
+      });
+      agents.seaUrchins = feedPredators(agents.predators, agents.seaUrchins, urchinIndex, predation, modelParams, rng);
+      agents.predators = breedPredators(agents.predators, predation, modelParams, rng, nextId);
+    }
+
+    // Update corals
+    updateCorals(agents.corals, urchinDensity(agents.seaUrchins, modelParams), modelParams);
+
+    tick++;
+    if (params.openAccess && tick % modelParams.fleetReviewInterval === 0) {
+      agents.harvesters = reviewFleet(tick, agents.harvesters, economy, modelParams, () => createHarvester(nextId('harvester'), modelParams, rng));
+    }
+    runInterventions();
+    emit('step', { tick });
+
+    if (hasReachedTickLimit()) {
+      emit('complete', { tick });
+    }
+
+    if (tick % STATS_INTERVAL === 0) {
+      emit('stats', currentStats());
+    }
+
+    // Update history based on recording frequency
+    const effectiveFrequency = recordingFrequency();
+    if (tick % effectiveFrequency === 0) {
+      recordHistory(effectiveFrequency);
+    }
+  };
+
+  // Record the current tick whatever the recording frequency (after a
+  // manual step), unless it is already the latest point
+  const recordNow = () => {
+    if (history.ticks[history.ticks.length - 1] !== tick) recordHistory(recordingFrequency());
+  };
+
+  // Fire the scheduled events that are due at the end of this step
+  const runInterventions = () => {
+    if (params.interventions.length === 0) return;
+    const fired = new Set(interventionLog.map(entry => entry.id));
+    // Stats are only needed while a condition trigger has yet to fire
+    const watching = params.interventions.some(event => event.trigger.type === 'condition' && !fired.has(event.id));
+    const due = dueInterventions(params.interventions, fired, tick, watching ? currentStats() : null, agents.corals);
+    due.forEach(event => {
+      const effect = applyIntervention(event.action, { params: modelParams, agents, rng, overrideParams, setHarvesterCount, setPredatorCount });
+      const entry = { id: event.id, tick, label: event.label, effect };
+      interventionLog = [...interventionLog, entry];
+      emit('intervention', entry);
+    });
+  };
+
+  // Add or remove urchins to reach the requested population
+  const setUrchinCount = (newCount) => {
+    const currentCount = agents.seaUrchins.length;
+
+    if (newCount > currentCount) {
+      for (let i = currentCount; i < newCount; i++) {
+        agents.seaUrchins.push(createUrchin(nextId('urchin'), modelParams, rng));
+      }
+    } else if (newCount < currentCount) {
+      // Remove excess urchins randomly
+      const shuffled = [...agents.seaUrchins].sort(() => rng() - 0.5);
+      agents.seaUrchins = shuffled.slice(0, newCount);
+    }
+  };
+
+  const setHarvesterCount = (newCount) => {
+    const currentCount = agents.harvesters.length;
+
+    if (newCount > currentCount) {
+      for (let i = currentCount; i < newCount; i++) {
+        agents.harvesters.push(createHarvester(nextId('harvester'), modelParams, rng));
+      }
+    } else if (newCount < currentCount) {
+      agents.harvesters = agents.harvesters.slice(0, newCount);
+    }
+  };
+
+  // New predators follow predatorSpecies; removal drops the most recent
+  const setPredatorCount = (newCount) => {
+    const currentCount = agents.predators.length;
+
+    if (newCount > currentCount) {
+      for (let i = currentCount; i < newCount; i++) {
+        agents.predators.push(createPredator(nextId('predator'), speciesFor(i, modelParams), modelParams, rng));
+      }
+    } else if (newCount < currentCount) {
+      agents.predators = agents.predators.slice(0, newCount);
+    }
+  };
+
+  return {
+    on,
+    init,
+    step,
+    recordNow,
+    serialize,
+    restore,
+    setParams,
+    setUrchinCount,
+    setHarvesterCount,
+    setPredatorCount,
+    hasReachedTickLimit,
+    getParams: () => params,
+    getWorld: () => world,
+    getState: () => ({ tick, agents }),
+    getStats: currentStats,
+    getHistory: () => ({ history: copySeries(history), detailedHistory: copySeries(detailedHistory), interventionLog })
+  };
+};
@@ -0,0 +1,182 @@
+import { createSimulation, migrateSnapshot, SNAPSHOT_VERSION } from './engine.js';
+
+const PARAMS = { seed: 11, predatorCount: 2, harvesterCount: 2, dataRecordingFrequency: 5 };
+
+const run = (sim, ticks) => {
+  for (let i = 0; i < ticks; i++) sim.step();
+  return sim;
+};
+
+// What the renderer and exports see of a run
+const observe = (sim) => ({ state: sim.getState(), stats: sim.getStats(), history: sim.getHistory() });
+
+describe('serialize / restore', () => {
+  test('resumes the run exactly, through JSON', () => {
+    const original = createSimulation(PARAMS);
+    original.init();
+    run(original, 60);
+    const snapshot = JSON.parse(JSON.stringify(original.serialize()));
+
+    const resumed = createSimulation();
+    expect(resumed.restore(snapshot)).toBe(SNAPSHOT_VERSION);
+    run(resumed, 60);
+    run(original, 60);
+    expect(observe(resumed)).toEqual(observe(original));
+  });
+
+  test('leaves the snapshot untouched as the run goes on', () => {
+    const sim = createSimulation(PARAMS);
+    sim.init();
+    run(sim, 20);
+    const snapshot = sim.serialize();
+    const saved = JSON.stringify(snapshot);
+    run(sim, 40);
+    sim.restore(snapshot);
+    run(sim, 40);
+    expect(JSON.stringify(snapshot)).toBe(saved);
+  });
+
+  test('rejects what is not a snapshot or a version it cannot read', () => {
+    const sim = createSimulation();
+    expect(() => sim.restore({ params: {} })).toThrow('Not a simulation snapshot');
+    sim.init();
+    const snapshot = sim.serialize();
+    expect(() => sim.restore({ ...snapshot, version: SNAPSHOT_VERSION + 1 })).toThrow(`Unsupported snapshot version ${SNAPSHOT_VERSION + 1}`);
+    expect(() => sim.restore({ ...snapshot, version: '2' })).toThrow('Unsupported snapshot version 2');
+  });
+
+  test('restores a checkpoint sharing the live history without what was recorded after it', () => {
+    const sim = createSimulation(PARAMS);
+    sim.init();
+    run(sim, 20);
+    const checkpoint = sim.serialize({ shareHistory: true });
+    const before = JSON.parse(JSON.stringify(observe(sim)));
+    run(sim, 30);
+    expect(checkpoint.history.ticks).toContain(50);
+
+    sim.restore(checkpoint);
+    expect(JSON.parse(JSON.stringify(observe(sim)))).toEqual(before);
+    // The new branch records into its own series
+    run(sim, 5);
+    expect(sim.getHistory().history.ticks).toEqual([5, 10, 15, 20, 25]);
+    expect(checkpoint.history.ticks).toHaveLength(10);
+  });
+
+  test('leaves the current run untouched when a snapshot is malformed', () => {
+    const sim = createSimulation(PARAMS);
+    sim.init();
+    run(sim, 20);
+    const before = JSON.stringify(sim.serialize());
+    const snapshot = sim.serialize();
+    expect(() => sim.restore({ ...snapshot, tick: 'soon' })).toThrow('Invalid simulation snapshot: tick is not a number');
+    expect(() => sim.restore({ ...snapshot, agents: { ...snapshot.agents, corals: null } })).toThrow('agents.corals is not a list');
+    expect(() => sim.restore({ ...snapshot, search: { spots: [7] } })).toThrow();
+    expect(JSON.stringify(sim.serialize())).toBe(before);
+  });
+});
+
+describe('migrateSnapshot', () => {
+  // The layout of the first snapshot version
+  const versionOne = (snapshot) => ({
+    version: 1,
+    params: snapshot.params,
+    world: snapshot.world,
+    tick: snapshot.tick,
+    rngState: snapshot.rngState,
+    nextIdCounter: snapshot.nextIdCounter,
+    harvestedCount: snapshot.harvestedCount,
+    immigratedCount: snapshot.immigratedCount,
+    emigratedCount: snapshot.emigratedCount,
+    agents: {
+      seaUrchins: snapshot.agents.seaUrchins.map(({ size, ...urchin }) => urchin),
+      harvesters: snapshot.agents.harvesters.map(({ revenue, costs, periodProfit, ...harvester }) => harvester),
+      corals: snapshot.agents.corals,
+      algae: []
+    },
+    history: {
+      ticks: snapshot.history.ticks,
+      urchinPop: snapshot.history.urchinPop,
+      coralHealth: snapshot.history.coralHealth,
+      algaeCoverage: snapshot.history.algaeCoverage
+    },
+    detailedHistory: {
+      healthyCorals: snapshot.detailedHistory.healthyCorals,
+      degradedCorals: snapshot.detailedHistory.degradedCorals,
+      deadCorals: snapshot.detailedHistory.deadCorals,
+      juvenileUrchins: snapshot.detailedHistory.juvenileUrchins,
+      adultUrchins: snapshot.detailedHistory.adultUrchins
+    }
+  });
+
+  const current = () => {
+    const sim = createSimulation({ ...PARAMS, predatorCount: 0 });
+    sim.init();
+    run(sim, 30);
+    return sim.serialize();
+  };
+
+  test('upgrades a version 1 snapshot to the current layout', () => {
+    const snapshot = current();
+    const migrated = migrateSnapshot(versionOne(snapshot));
+    expect(migrated.version).toBe(SNAPSHOT_VERSION);
+    expect(Object.keys(migrated).sort()).toEqual(Object.keys(snapshot).sort());
+    expect(Object.keys(migrated.detailedHistory).sort()).toEqual(Object.keys(snapshot.detailedHistory).sort());
+    // New series are padded to stay aligned with the recorded ticks
+    expect(migrated.history.predatorPop).toEqual(snapshot.history.ticks.map(() => null));
+    expect(migrated.agents.predators).toEqual([]);
+    migrated.agents.seaUrchins.forEach(urchin => expect(urchin.size).toBeGreaterThan(0));
+    migrated.agents.harvesters.forEach(harvester => expect(harvester).toMatchObject({ revenue: 0, costs: 0, periodProfit: 0 }));
+  });
+
+  test('lets a version 1 snapshot resume and keep recording', () => {
+    const snapshot = current();
+    const sim = createSimulation();
+    expect(sim.restore(versionOne(snapshot))).toBe(1);
+    run(sim, 10);
+    const { history, detailedHistory } = sim.getHistory();
+    expect(sim.getState().tick).toBe(snapshot.tick + 10);
+    expect(detailedHistory.starvedTotal).toHaveLength(history.ticks.length);
+    expect(detailedHistory.starvedTotal[detailedHistory.starvedTotal.length - 1]).toEqual(expect.any(Number));
+  });
+
+  test('passes a current snapshot through unchanged', () => {
+    const snapshot = current();
+    expect(migrateSnapshot(snapshot)).toBe(snapshot);
+  });
+});
+
+describe('recordNow', () => {
+  test('records the current tick once, between recording intervals', () => {
+    const sim = createSimulation({ ...PARAMS, dataRecordingFrequency: 10 });
+    sim.init();
+    run(sim, 3);
+    sim.recordNow();
+    sim.recordNow();
+    run(sim, 7);
+    expect(sim.getHistory().history.ticks).toEqual([3, 10]);
+  });
+});
+
+describe('history', () => {
+  test('hands out copies that later steps leave alone', () => {
+    const sim = createSimulation({ ...PARAMS, dataRecordingFrequency: 1 });
+    sim.init();
+    run(sim, 5);
+    const { history } = sim.getHistory();
+    run(sim, 5);
+    expect(history.ticks).toEqual([1, 2, 3, 4, 5]);
+    expect(sim.getHistory().history.ticks).toHaveLength(10);
+  });
+
+  test('keeps the latest points once over its limit', () => {
+    // Tick limit 50 at every tick: the series keep the minimum of 200 points
+    const sim = createSimulation({ ...PARAMS, dataRecordingFrequency: 1, enableTickLimit: true, tickLimit: 50 });
+    sim.init();
+    run(sim, 250);
+    const { history, detailedHistory } = sim.getHistory();
+    expect(history.ticks).toHaveLength(200);
+    expect(history.ticks[0]).toBe(51);
+    expect(history.ticks[199]).toBe(250);
+    expect(detailedHistory.fleetCosts).toHaveLength(200);
+  });
+});
@@ -0,0 +1,6 @@
+/* eslint-disable no-restricted-globals */
+import { createExperimentRunner } from './experiments.js';
+
+const runner = createExperimentRunner(message => self.postMessage(message));
+
+self.onmessage = (event) => runner.handle(event.data);
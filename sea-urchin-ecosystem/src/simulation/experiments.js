@@ -0,0 +1,209 @@
+import { createSimulation } from './engine.js';
+
+// Columns recorded for every run at every recording tick
+export const RESULT_METRICS = [
+  { key: 'totalUrchins', label: 'Total Urchins' },
+  { key: 'juvenileUrchins', label: 'Juvenile Urchins' },
+  { key: 'adultUrchins', label: 'Adult Urchins' },
+  { key: 'coralHealth', label: 'Coral Health %' },
+  { key: 'algaeCoverage', label: 'Algae Coverage %' },
+  { key: 'healthyCorals', label: 'Healthy Corals' },
+  { key: 'degradedCorals', label: 'Degraded Corals' },
+  { key: 'deadCorals', label: 'Dead Corals' },
+  { key: 'harvestedUrchins', label: 'Cumulative Harvested' },
+  { key: 'predators', label: 'Predators' }
+];
+
+// Trim float noise from stepped ranges (0.1 + 0.2 -> 0.3)
+const tidy = (value) => parseFloat(value.toPrecision(12));
+
+// Values a factor takes: either an explicit list ({ key, values }) or an
+// inclusive range ({ key, from, to, step })
+export const factorValues = (factor) => {
+  if (Array.isArray(factor.values)) return factor.values;
+
+  const { from, to, step } = factor;
+  if (!(step > 0) || to <= from) return [from];
+  const count = Math.floor((to - from) / step + 1e-9);
+  const values = [];
+  for (let i = 0; i <= count; i++) values.push(tidy(from + i * step));
+  return values;
+};
+
+// Full-factorial design: every combination of factor values, each repeated
+// `repetitions` times. Repetition r uses seed + r in every combination, so
+// combinations are compared under common random numbers.
+export const expandDesign = ({ factors, repetitions, seed }) => {
+  const combinations = factors.reduce(
+    (combos, factor) => combos.flatMap(combo => factorValues(factor).map(value => ({ ...combo, [factor.key]: value }))),
+    [{}]
+  );
+
+  const runs = [];
+  combinations.forEach((patch, i) => {
+    for (let rep = 0; rep < repetitions; rep++) {
+      runs.push({
+        run: runs.length + 1,
+        combination: i + 1,
+        repetition: rep + 1,
+        seed: (seed + rep) >>> 0,
+        patch
+      });
+    }
+  });
+  return runs;
+};
+
+const metricsOf = (stats) => {
+  const totalCorals = stats.healthyCorals + stats.degradedCorals + stats.deadCorals;
+  return {
+    ...stats,
+    coralHealth: totalCorals > 0 ? (stats.healthyCorals / totalCorals) * 100 : 0
+  };
+};
+
+// Run one design point headlessly to tickLimit, sampling every recordEvery
+// ticks (and at tick 0 and the final tick). Returns one row per sample.
+export const runExperimentRun = (baseParams, run, { tickLimit, recordEvery }) => {
+  const sim = createSimulation({
+    ...baseParams,
+    ...run.patch,
+    seed: run.seed,
+    enableTickLimit: true,
+    tickLimit
+  });
+  sim.init();
+
+  const rows = [];
+  const sample = () => {
+    const metrics = metricsOf(sim.getStats());
+    const row = {
+      run: run.run,
+      combination: run.combination,
+      repetition: run.repetition,
+      seed: run.seed,
+      ...run.patch,
+      tick: sim.getState().tick
+    };
+    RESULT_METRICS.forEach(({ key }) => {
+      row[key] = metrics[key];
+    });
+    rows.push(row);
+  };
+
+  sample();
+  while (sim.getState().tick < tickLimit) {
+    sim.step();
+    const { tick } = sim.getState();
+    if (tick % recordEvery === 0 || tick === tickLimit) sample();
+  }
+  return rows;
+};
+
+// Two-sided 95% Student t critical values for 1..30 degrees of freedom
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+const t95 = (df) => (df <= 30 ? T_95[df - 1] : 1.96);
+
+// Mean and 95% confidence interval of the mean at each recording tick,
+// across replicate rows (metrics are counts/percentages, so bands stop at 0)
+export const summarizeReplicates = (rows, keys = RESULT_METRICS.map(m => m.key)) => {
+  const byTick = new Map();
+  rows.forEach(row => {
+    if (!byTick.has(row.tick)) byTick.set(row.tick, []);
+    byTick.get(row.tick).push(row);
+  });
+
+  return [...byTick.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([tick, group]) => {
+      const n = group.length;
+      const point = { tick, n };
+      keys.forEach(key => {
+        const values = group.map(row => row[key]);
+        const mean = values.reduce((sum, v) => sum + v, 0) / n;
+        const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+        const halfWidth = n > 1 ? t95(n - 1) * Math.sqrt(variance / n) : 0;
+        point[key] = { mean, lower: Math.max(0, mean - halfWidth), upper: mean + halfWidth };
+      });
+      return point;
+    });
+};
+
+const csvValue = (value) => {
+  if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(4);
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Combined results table: one row per run per recording tick
+export const resultsToCSV = (factorKeys, rows) => {
+  const columns = ['run', 'combination', 'repetition', 'seed', ...factorKeys, 'tick', ...RESULT_METRICS.map(m => m.key)];
+  const header = ['Run', 'Combination', 'Repetition', 'Seed', ...factorKeys, 'Tick', ...RESULT_METRICS.map(m => m.label)];
+  const lines = [header.map(csvValue).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(key => csvValue(row[key])).join(','));
+  });
+  return lines.join('\n') + '\n';
+};
+
+// Works through an experiment one run at a time, yielding between runs so
+// a cancel message can get in. Same message protocol in a worker or in-thread.
+//
+// Incoming: start { id, design: { baseParams, factors, repetitions, tickLimit, recordEvery } } | cancel
+//   (design.runs, if given, replaces the factorial expansion, e.g. sampled points)
+// Outgoing: experimentRows { id, rows, done, total } | experimentComplete { id }
+export const createExperimentRunner = (post) => {
+  let job = null;
+  let timer = null;
+
+  const runNext = () => {
+    timer = null;
+    if (!job) return;
+
+    const { id, design, runs } = job;
+    const rows = runExperimentRun(design.baseParams, runs[job.next], design);
+    job.next++;
+    post({ type: 'experimentRows', id, rows, done: job.next, total: runs.length });
+
+    if (job.next >= runs.length) {
+      job = null;
+      post({ type: 'experimentComplete', id });
+    } else {
+      timer = setTimeout(runNext, 0);
+    }
+  };
+
+  const cancel = () => {
+    job = null;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  };
+
+  const handle = (message) => {
+    switch (message.type) {
+      case 'start': {
+        cancel();
+        const runs = message.design.runs || expandDesign({ ...message.design, seed: message.design.baseParams.seed });
+        // A design with no runs (e.g. zero repetitions) is complete straight away
+        if (runs.length === 0) {
+          post({ type: 'experimentComplete', id: message.id });
+          break;
+        }
+        job = { id: message.id, design: message.design, runs, next: 0 };
+        timer = setTimeout(runNext, 0);
+        break;
+      }
+      case 'cancel':
+        cancel();
+        break;
+      default:
+        console.warn(`Unknown experiment message: ${message.type}`);
+    }
+  };
+
+  return { handle };
+};
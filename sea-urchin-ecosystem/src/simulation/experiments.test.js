@@ -0,0 +1,55 @@
+import { summarizeReplicates, expandDesign, createExperimentRunner } from './experiments.js';
+
+describe('summarizeReplicates', () => {
+  test('gives the mean and Student t 95% interval at each tick', () => {
+    const rows = [1, 2, 3].map(value => ({ tick: 10, totalUrchins: value + 10 }));
+    const [point] = summarizeReplicates(rows, ['totalUrchins']);
+    // sd 1, n 3: half-width t(2) / sqrt(3)
+    const halfWidth = 4.303 / Math.sqrt(3);
+    expect(point.tick).toBe(10);
+    expect(point.n).toBe(3);
+    expect(point.totalUrchins.mean).toBe(12);
+    expect(point.totalUrchins.lower).toBeCloseTo(12 - halfWidth, 10);
+    expect(point.totalUrchins.upper).toBeCloseTo(12 + halfWidth, 10);
+  });
+
+  test('uses the normal critical value beyond 30 degrees of freedom', () => {
+    const rows = Array.from({ length: 40 }, (_, i) => ({ tick: 0, totalUrchins: 100 + (i % 2 === 0 ? 1 : -1) }));
+    const [{ totalUrchins }] = summarizeReplicates(rows, ['totalUrchins']);
+    const sd = Math.sqrt(40 / 39);
+    expect(totalUrchins.upper - totalUrchins.mean).toBeCloseTo((1.96 * sd) / Math.sqrt(40), 10);
+  });
+
+  test('stops the band at zero', () => {
+    const rows = [0, 0, 9].map(value => ({ tick: 0, totalUrchins: value }));
+    expect(summarizeReplicates(rows, ['totalUrchins'])[0].totalUrchins.lower).toBe(0);
+  });
+
+  test('gives a single replicate a zero-width interval', () => {
+    const [{ totalUrchins }] = summarizeReplicates([{ tick: 0, totalUrchins: 5 }], ['totalUrchins']);
+    expect(totalUrchins).toEqual({ mean: 5, lower: 5, upper: 5 });
+  });
+
+  test('orders the summary by tick', () => {
+    const rows = [20, 0, 10, 0].map(tick => ({ tick, totalUrchins: 1 }));
+    expect(summarizeReplicates(rows, ['totalUrchins']).map(p => [p.tick, p.n])).toEqual([[0, 2], [10, 1], [20, 1]]);
+  });
+});
+
+describe('expandDesign', () => {
+  test('crosses every factor value and repeats each combination with seed + r', () => {
+    const runs = expandDesign({ factors: [{ key: 'a', values: [1, 2] }, { key: 'b', from: 0, to: 0.2, step: 0.1 }], repetitions: 2, seed: 10 });
+    expect(runs).toHaveLength(12);
+    expect(runs[0]).toEqual({ run: 1, combination: 1, repetition: 1, seed: 10, patch: { a: 1, b: 0 } });
+    expect(runs[11]).toEqual({ run: 12, combination: 6, repetition: 2, seed: 11, patch: { a: 2, b: 0.2 } });
+  });
+});
+
+describe('createExperimentRunner', () => {
+  test('completes a design without runs straight away', () => {
+    const messages = [];
+    const runner = createExperimentRunner(message => messages.push(message));
+    runner.handle({ type: 'start', id: 7, design: { baseParams: { seed: 1 }, factors: [], repetitions: 0, tickLimit: 10, recordEvery: 5 } });
+    expect(messages).toEqual([{ type: 'experimentComplete', id: 7 }]);
+  });
+});
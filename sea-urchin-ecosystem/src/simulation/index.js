@@ -0,0 +1,53 @@
+export {
+  createSimulation,
+  SNAPSHOT_VERSION,
+  migrateSnapshot,
+  createEmptyStats,
+  createEmptyHistory,
+  createEmptyDetailedHistory
+} from './engine.js';
+export { DEFAULT_PARAMS, WORLD_LIMITS, BOUNDARY_MODES, PRICE_BASES, HARVESTER_STRATEGIES, PREDATOR_SPECIES, PREDATOR_MIXES, PARAM_SPECS, getWorld, MATURITY_MIN, MATURITY_MAX } from './params.js';
+export { createRandom, randomSeed, hashString } from './random.js';
+export { createSpatialIndex } from './spatialIndex.js';
+export { createRunner, snapshotAgents } from './runner.js';
+export {
+  RESULT_METRICS,
+  factorValues,
+  expandDesign,
+  runExperimentRun,
+  resultsToCSV,
+  summarizeReplicates,
+  createExperimentRunner
+} from './experiments.js';
+export {
+  SENSITIVITY_OUTPUTS,
+  SENSITIVITY_METHODS,
+  runOutputs,
+  createSensitivityPlan,
+  sensitivityRuns,
+  analyzeSensitivity,
+  sensitivityToCSV
+} from './sensitivity.js';
+export {
+  OBSERVED_SERIES,
+  parseObservedCSV,
+  simulateAtTicks,
+  goodnessOfFit,
+  nelderMead,
+  createCalibrationRunner
+} from './calibration.js';
+export {
+  INTERVENTION_METRICS,
+  INTERVENTION_ACTIONS,
+  INTERVENTION_PARAMS,
+  URCHIN_STAGES,
+  validateInterventions,
+  describeTrigger,
+  describeAction,
+  describeIntervention
+} from './interventions.js';
+export { ZONE_SHAPES, zoneContains, insideAnyZone, validateZones, computeZoneStats } from './zones.js';
+export { createRuleCounters, validateSeasons, isClosedSeason } from './management.js';
+export { createEconomy, roeYield, landingValue } from './economics.js';
+export { createPredation, countPredators } from './predators.js';
+export { validateConfig, parseRunConfiguration, encodeScenario, decodeScenario } from './config.js';
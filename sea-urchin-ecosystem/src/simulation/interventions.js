@@ -0,0 +1,184 @@
+import { PARAM_SPECS } from './params.js';
+
+// Stats a condition trigger can watch (coral health is % healthy of all corals)
+export const INTERVENTION_METRICS = [
+  { key: 'totalUrchins', label: 'Total urchins' },
+  { key: 'adultUrchins', label: 'Adult urchins' },
+  { key: 'juvenileUrchins', label: 'Juvenile urchins' },
+  { key: 'coralHealth', label: 'Coral health %' },
+  { key: 'algaeCoverage', label: 'Algae coverage %' },
+  { key: 'harvestedUrchins', label: 'Total harvested' },
+  { key: 'predators', label: 'Predators' }
+];
+
+export const INTERVENTION_ACTIONS = [
+  { type: 'setParam', label: 'Set parameter' },
+  { type: 'multiplyParam', label: 'Multiply parameter' },
+  { type: 'removeUrchins', label: 'Remove urchins' },
+  { type: 'restockCoral', label: 'Restock coral' }
+];
+
+export const URCHIN_STAGES = ['adult', 'juvenile', 'all'];
+
+// Parameters an intervention may change mid-run; world geometry only applies
+// on reset and initial counts only at init, so they are left out
+export const INTERVENTION_PARAMS = PARAM_SPECS.filter(spec =>
+  !spec.options && !['worldWidth', 'worldHeight', 'cellSize', 'initialUrchins', 'initialCoralCoverage'].includes(spec.key)
+);
+
+const paramSpec = (key) => INTERVENTION_PARAMS.find(spec => spec.key === key);
+
+const clampToSpec = (spec, value) => {
+  const clamped = Math.min(spec.max, Math.max(spec.min, value));
+  return Number.isInteger(spec.step) ? Math.round(clamped) : clamped;
+};
+
+const finite = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Check one scheduled event; returns an error message or null
+const interventionError = (event) => {
+  if (!event || typeof event !== 'object') return 'not an object';
+  const { trigger, action } = event;
+  if (!trigger || !action) return 'needs a trigger and an action';
+
+  if (trigger.type === 'tick') {
+    if (!Number.isInteger(trigger.tick) || trigger.tick < 1) return 'tick must be a whole number of at least 1';
+  } else if (trigger.type === 'condition') {
+    if (!INTERVENTION_METRICS.some(m => m.key === trigger.metric)) return `unknown metric "${trigger.metric}"`;
+    if (trigger.op !== '<' && trigger.op !== '>') return 'condition must use < or >';
+    if (!finite(trigger.value)) return 'condition value must be a number';
+  } else {
+    return `unknown trigger "${trigger.type}"`;
+  }
+
+  switch (action.type) {
+    case 'setParam': {
+      const spec = paramSpec(action.key);
+      if (!spec) return `"${action.key}" cannot be changed by an intervention`;
+      if (!finite(action.value) || action.value < spec.min || action.value > spec.max) {
+        return `${spec.label} must be between ${spec.min} and ${spec.max}`;
+      }
+      return null;
+    }
+    case 'multiplyParam':
+      if (!paramSpec(action.key)) return `"${action.key}" cannot be changed by an intervention`;
+      if (!finite(action.factor) || action.factor < 0) return 'factor must be a number of at least 0';
+      return null;
+    case 'removeUrchins':
+      if (!URCHIN_STAGES.includes(action.stage)) return `unknown urchin stage "${action.stage}"`;
+      if (!finite(action.fraction) || action.fraction < 0 || action.fraction > 1) return 'fraction must be between 0 and 1';
+      return null;
+    case 'restockCoral':
+      if (!Number.isInteger(action.count) || action.count < 1) return 'coral count must be a whole number of at least 1';
+      return null;
+    default:
+      return `unknown action "${action.type}"`;
+  }
+};
+
+// Validate a schedule from the UI or an imported file. Returns
+// { interventions, errors }; events missing an id or label get one.
+export const validateInterventions = (list) => {
+  if (!Array.isArray(list)) return { interventions: [], errors: ['Interventions: expected a list'] };
+  const interventions = [];
+  const errors = [];
+  list.forEach((event, index) => {
+    const error = interventionError(event);
+    if (error) {
+      errors.push(`Intervention ${index + 1}: ${error}`);
+      return;
+    }
+    interventions.push({
+      id: typeof event.id === 'string' && event.id ? event.id : `intervention-${index + 1}`,
+      label: typeof event.label === 'string' && event.label.trim() ? event.label.trim() : describeIntervention(event),
+      trigger: { ...event.trigger },
+      action: { ...event.action }
+    });
+  });
+  return { interventions, errors };
+};
+
+const metricLabel = (key) => (INTERVENTION_METRICS.find(m => m.key === key) || { label: key }).label;
+const paramLabel = (key) => (paramSpec(key) || { label: key }).label;
+
+export const describeTrigger = (trigger) => (trigger.type === 'tick'
+  ? `at tick ${trigger.tick}`
+  : `when ${metricLabel(trigger.metric).toLowerCase()} ${trigger.op} ${trigger.value}`);
+
+export const describeAction = (action) => {
+  switch (action.type) {
+    case 'setParam':
+      return `Set ${paramLabel(action.key).toLowerCase()} to ${action.value}`;
+    case 'multiplyParam':
+      return `Multiply ${paramLabel(action.key).toLowerCase()} by ${action.factor}`;
+    case 'removeUrchins':
+      return `Remove ${Math.round(action.fraction * 100)}% of ${action.stage === 'all' ? '' : `${action.stage} `}urchins`;
+    case 'restockCoral':
+      return `Restock ${action.count} corals`;
+    default:
+      return action.type;
+  }
+};
+
+export const describeIntervention = (event) => `${describeAction(event.action)} ${describeTrigger(event.trigger)}`;
+
+// The value a condition trigger compares against
+const metricValue = (metric, stats, corals) => {
+  if (metric === 'coralHealth') return corals.length > 0 ? (stats.healthyCorals / corals.length) * 100 : 0;
+  return stats[metric];
+};
+
+// Events due after the step that ended on `tick`: tick triggers fire on that
+// exact tick, condition triggers the first time they hold. Each event fires
+// at most once per run; `fired` is the set of ids already executed. `stats`
+// may be null when no condition trigger is pending.
+export const dueInterventions = (interventions, fired, tick, stats, corals) => interventions.filter(event => {
+  if (fired.has(event.id)) return false;
+  const { trigger } = event;
+  if (trigger.type === 'tick') return trigger.tick === tick;
+  const value = metricValue(trigger.metric, stats, corals);
+  return trigger.op === '<' ? value < trigger.value : value > trigger.value;
+});
+
+// Apply an action to the engine state. `engine` exposes the pieces an action
+// may touch: { params, overrideParams, agents, setHarvesterCount, setPredatorCount, rng };
+// parameter changes go through overrideParams, so they last until the next reset.
+// Returns a short description of what changed, for the intervention log.
+export const applyIntervention = (action, engine) => {
+  const { params, agents, rng } = engine;
+  switch (action.type) {
+    case 'setParam':
+    case 'multiplyParam': {
+      const spec = paramSpec(action.key);
+      const before = params[action.key];
+      const after = clampToSpec(spec, action.type === 'setParam' ? action.value : before * action.factor);
+      engine.overrideParams({ [action.key]: after });
+      // The harvester fleet and predators only follow their counts at init, so resize them now
+      if (action.key === 'harvesterCount') engine.setHarvesterCount(after);
+      if (action.key === 'predatorCount') engine.setPredatorCount(after);
+      return `${spec.label} ${before} → ${after}`;
+    }
+    case 'removeUrchins': {
+      const eligible = agents.seaUrchins.filter(u => action.stage === 'all' || u.isAdult === (action.stage === 'adult'));
+      const count = Math.round(eligible.length * action.fraction);
+      const removed = new Set([...eligible].sort(() => rng() - 0.5).slice(0, count));
+      agents.seaUrchins = agents.seaUrchins.filter(u => !removed.has(u));
+      return `Removed ${count} of ${eligible.length} ${action.stage === 'all' ? '' : `${action.stage} `}urchins`;
+    }
+    case 'restockCoral': {
+      // Dead corals are replanted first, then degraded ones
+      const candidates = [
+        ...agents.corals.filter(c => c.status === 'dead').sort(() => rng() - 0.5),
+        ...agents.corals.filter(c => c.status === 'degraded').sort(() => rng() - 0.5)
+      ].slice(0, action.count);
+      candidates.forEach(coral => {
+        coral.status = 'healthy';
+        coral.health = 100;
+        coral.algaeLevel = 0;
+      });
+      return `Restocked ${candidates.length} corals`;
+    }
+    default:
+      return '';
+  }
+};
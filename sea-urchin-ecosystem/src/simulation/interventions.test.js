@@ -0,0 +1,113 @@
+import { validateInterventions, describeIntervention, dueInterventions, applyIntervention } from './interventions.js';
+import { createSimulation } from './engine.js';
+import { createRandom } from './random.js';
+
+const halveHarvest = (tick) => ({
+  id: 'halve',
+  label: 'Halve harvest',
+  trigger: { type: 'tick', tick },
+  action: { type: 'multiplyParam', key: 'harvestingRate', factor: 0.5 }
+});
+
+describe('validateInterventions', () => {
+  test('labels events that lack one and reports invalid ones', () => {
+    const { interventions, errors } = validateInterventions([
+      { trigger: { type: 'condition', metric: 'coralHealth', op: '<', value: 40 }, action: { type: 'restockCoral', count: 10 } },
+      { trigger: { type: 'tick', tick: 0 }, action: { type: 'restockCoral', count: 10 } },
+      { trigger: { type: 'tick', tick: 5 }, action: { type: 'setParam', key: 'worldWidth', value: 500 } },
+      { trigger: { type: 'tick', tick: 5 }, action: { type: 'removeUrchins', stage: 'adult', fraction: 2 } }
+    ]);
+    expect(interventions).toEqual([{
+      id: 'intervention-1',
+      label: 'Restock 10 corals when coral health % < 40',
+      trigger: { type: 'condition', metric: 'coralHealth', op: '<', value: 40 },
+      action: { type: 'restockCoral', count: 10 }
+    }]);
+    expect(errors).toEqual([
+      'Intervention 2: tick must be a whole number of at least 1',
+      'Intervention 3: "worldWidth" cannot be changed by an intervention',
+      'Intervention 4: fraction must be between 0 and 1'
+    ]);
+  });
+
+  test('describes each action', () => {
+    expect(describeIntervention(halveHarvest(100))).toBe('Multiply harvesting rate by 0.5 at tick 100');
+  });
+});
+
+describe('dueInterventions', () => {
+  const byCondition = { id: 'few', trigger: { type: 'condition', metric: 'totalUrchins', op: '<', value: 10 }, action: {} };
+
+  test('fires tick triggers on their tick and conditions while they hold', () => {
+    const events = [halveHarvest(5), byCondition];
+    expect(dueInterventions(events, new Set(), 4, { totalUrchins: 20 }, [])).toEqual([]);
+    expect(dueInterventions(events, new Set(), 5, { totalUrchins: 9 }, [])).toEqual(events);
+  });
+
+  test('skips events that already fired', () => {
+    expect(dueInterventions([byCondition], new Set(['few']), 5, { totalUrchins: 0 }, [])).toEqual([]);
+  });
+});
+
+describe('applyIntervention', () => {
+  test('overrides parameters within their range', () => {
+    const overrides = [];
+    const engine = { params: { harvesterCount: 8 }, overrideParams: patch => overrides.push(patch), setHarvesterCount: () => {} };
+    const effect = applyIntervention({ type: 'multiplyParam', key: 'harvesterCount', factor: 2 }, engine);
+    expect(overrides).toEqual([{ harvesterCount: 10 }]);
+    expect(effect).toBe('Harvesters 8 → 10');
+  });
+
+  test('removes the given fraction of a stage', () => {
+    const agents = { seaUrchins: [true, true, true, true, false].map((isAdult, id) => ({ id, isAdult })) };
+    const effect = applyIntervention({ type: 'removeUrchins', stage: 'adult', fraction: 0.5 }, { agents, rng: createRandom(1) });
+    expect(effect).toBe('Removed 2 of 4 adult urchins');
+    expect(agents.seaUrchins.filter(u => u.isAdult)).toHaveLength(2);
+    expect(agents.seaUrchins.filter(u => !u.isAdult)).toHaveLength(1);
+  });
+});
+
+describe('parameter overrides in a run', () => {
+  const runTo = (sim, ticks) => {
+    for (let i = 0; i < ticks; i++) sim.step();
+  };
+
+  test('leave the base parameters alone and do not compound across resets', () => {
+    const sim = createSimulation({ seed: 1, harvestingRate: 0.8, interventions: [halveHarvest(5)] });
+    sim.init();
+    runTo(sim, 10);
+    expect(sim.getParams().harvestingRate).toBe(0.8);
+    expect(sim.serialize().overrides).toEqual({ harvestingRate: 0.4 });
+
+    sim.init();
+    expect(sim.serialize().overrides).toEqual({});
+    runTo(sim, 10);
+    expect(sim.getHistory().interventionLog.map(entry => entry.effect)).toEqual(['Harvesting Rate 0.8 → 0.4']);
+  });
+
+  test('give way to an edit of the same parameter', () => {
+    const sim = createSimulation({ seed: 1, harvestingRate: 0.8, interventions: [halveHarvest(5)] });
+    sim.init();
+    runTo(sim, 10);
+    sim.setParams({ harvestingRate: 0.8, grazingRate: 0.5 });
+    expect(sim.serialize().overrides).toEqual({ harvestingRate: 0.4 });
+    sim.setParams({ harvestingRate: 0.6 });
+    expect(sim.serialize().overrides).toEqual({});
+  });
+});
+
+describe('condition triggers', () => {
+  test('fire from the stats while tick triggers need none', () => {
+    const restock = {
+      id: 'restock',
+      label: 'Restock',
+      trigger: { type: 'condition', metric: 'totalUrchins', op: '>', value: 0 },
+      action: { type: 'restockCoral', count: 1 }
+    };
+    const sim = createSimulation({ seed: 1, interventions: [halveHarvest(2), restock] });
+    sim.init();
+    sim.step();
+    sim.step();
+    expect(sim.getHistory().interventionLog.map(entry => [entry.id, entry.tick])).toEqual([['restock', 1], ['halve', 2]]);
+  });
+});
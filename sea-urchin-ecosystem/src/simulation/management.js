@@ -0,0 +1,93 @@
+// Fisheries management rules applied before each harvest:
+//   closedSeasons - [{ start, end }] tick ranges within a year of ticksPerYear
+//                   ticks, repeating every year; start > end wraps past the
+//                   year end. No harvesting while one is in force.
+//   tacLimit      - total allowable catch per tacPeriod ticks (0 = none);
+//                   harvesting stops for the rest of the period once reached
+//   bagLimit      - catch per harvester per day of ticksPerDay ticks (0 = none)
+
+// Counters kept by the engine, also reported in the stats as harvestRules:
+// how often each rule was binding
+export const createRuleCounters = () => ({
+  tacPeriod: 0,                  // index of the current TAC period
+  periodCatch: 0,                // catch so far in the current TAC period
+  closedSeasonTicks: 0,          // ticks with harvesting closed for the season
+  tacClosedTicks: 0,             // ticks with harvesting stopped by the TAC
+  tacPeriodsClosed: 0,           // TAC periods in which the TAC was reached
+  bagLimitedHarvesterTicks: 0,   // harvester-ticks idle at their bag limit
+  bagLimitsReached: 0            // harvester-days that reached the bag limit
+});
+
+// Validate closed seasons from the UI or an imported file. Returns
+// { seasons, errors }; the year length is checked when the rules apply.
+export const validateSeasons = (list) => {
+  if (!Array.isArray(list)) return { seasons: [], errors: ['Closed seasons: expected a list'] };
+  const seasons = [];
+  const errors = [];
+  list.forEach((season, index) => {
+    if (!season || !Number.isInteger(season.start) || !Number.isInteger(season.end) || season.start < 0 || season.end < 0) {
+      errors.push(`Closed season ${index + 1}: start and end must be whole ticks of at least 0`);
+    } else if (season.start === season.end) {
+      errors.push(`Closed season ${index + 1}: start and end must differ`);
+    } else {
+      seasons.push({ start: season.start, end: season.end });
+    }
+  });
+  return { seasons, errors };
+};
+
+export const isClosedSeason = (tick, params) => {
+  if (params.closedSeasons.length === 0) return false;
+  const position = tick % params.ticksPerYear;
+  return params.closedSeasons.some(({ start, end }) => (start < end
+    ? position >= start && position < end
+    : position >= start || position < end));
+};
+
+// The harvesters allowed to fish this tick and how many urchins they may
+// take between them. Updates the binding counters.
+export const openHarvesters = (tick, harvesters, counters, params) => {
+  if (isClosedSeason(tick, params)) {
+    counters.closedSeasonTicks++;
+    return { fishing: [], quota: 0 };
+  }
+
+  const period = Math.floor(tick / params.tacPeriod);
+  if (counters.tacPeriod !== period) {
+    counters.tacPeriod = period;
+    counters.periodCatch = 0;
+  }
+  if (params.tacLimit > 0 && counters.periodCatch >= params.tacLimit) {
+    counters.tacClosedTicks++;
+    return { fishing: [], quota: 0 };
+  }
+
+  // Each harvester's day catch resets lazily on its first tick of a new day
+  const day = Math.floor(tick / params.ticksPerDay);
+  const fishing = harvesters.filter(harvester => {
+    if (harvester.catchDay !== day) {
+      harvester.catchDay = day;
+      harvester.dayCatch = 0;
+    }
+    if (params.bagLimit > 0 && harvester.dayCatch >= params.bagLimit) {
+      counters.bagLimitedHarvesterTicks++;
+      return false;
+    }
+    return true;
+  });
+
+  return { fishing, quota: params.tacLimit > 0 ? params.tacLimit - counters.periodCatch : Infinity };
+};
+
+// Book this tick's catch against the day and period limits
+export const recordCatch = (catchers, counters, params) => {
+  catchers.forEach(harvester => {
+    harvester.dayCatch++;
+    if (params.bagLimit > 0 && harvester.dayCatch === params.bagLimit) counters.bagLimitsReached++;
+  });
+  const before = counters.periodCatch;
+  counters.periodCatch += catchers.length;
+  if (params.tacLimit > 0 && before < params.tacLimit && counters.periodCatch >= params.tacLimit) {
+    counters.tacPeriodsClosed++;
+  }
+};
@@ -0,0 +1,64 @@
+import { createRuleCounters, validateSeasons, isClosedSeason, openHarvesters, recordCatch } from './management.js';
+
+const RULES = { closedSeasons: [], ticksPerYear: 100, tacLimit: 0, tacPeriod: 50, bagLimit: 0, ticksPerDay: 10 };
+
+const harvesters = (count) => Array.from({ length: count }, (_, i) => ({ id: `h${i}` }));
+
+describe('closed seasons', () => {
+  test('repeat every year and may wrap past the year end', () => {
+    const params = { ...RULES, closedSeasons: [{ start: 10, end: 20 }, { start: 90, end: 5 }] };
+    expect([9, 10, 19, 20].map(tick => isClosedSeason(tick, params))).toEqual([false, true, true, false]);
+    expect([110, 195, 203, 205].map(tick => isClosedSeason(tick, params))).toEqual([true, true, true, false]);
+  });
+
+  test('close the fishery and count the closed ticks', () => {
+    const counters = createRuleCounters();
+    const params = { ...RULES, closedSeasons: [{ start: 0, end: 10 }] };
+    expect(openHarvesters(5, harvesters(3), counters, params)).toEqual({ fishing: [], quota: 0 });
+    expect(counters.closedSeasonTicks).toBe(1);
+  });
+
+  test('are validated as whole, distinct ticks', () => {
+    expect(validateSeasons([{ start: 1, end: 2 }, { start: 3, end: 3 }, { start: -1, end: 2 }])).toEqual({
+      seasons: [{ start: 1, end: 2 }],
+      errors: [
+        'Closed season 2: start and end must differ',
+        'Closed season 3: start and end must be whole ticks of at least 0'
+      ]
+    });
+    expect(validateSeasons('10-20').errors).toEqual(['Closed seasons: expected a list']);
+  });
+});
+
+describe('total allowable catch', () => {
+  test('limits the quota and stops harvesting for the rest of the period', () => {
+    const counters = createRuleCounters();
+    const params = { ...RULES, tacLimit: 3 };
+    const fleet = harvesters(2);
+    expect(openHarvesters(0, fleet, counters, params).quota).toBe(3);
+    recordCatch(fleet, counters, params);
+    expect(openHarvesters(1, fleet, counters, params).quota).toBe(1);
+    recordCatch([fleet[0]], counters, params);
+    expect(counters.tacPeriodsClosed).toBe(1);
+    expect(openHarvesters(2, fleet, counters, params)).toEqual({ fishing: [], quota: 0 });
+    expect(counters.tacClosedTicks).toBe(1);
+    // A new period starts with a fresh catch
+    expect(openHarvesters(50, fleet, counters, params)).toEqual({ fishing: fleet, quota: 3 });
+  });
+});
+
+describe('bag limit', () => {
+  test('idles a harvester for the rest of the day once reached', () => {
+    const counters = createRuleCounters();
+    const params = { ...RULES, bagLimit: 2 };
+    const [a, b] = harvesters(2);
+    openHarvesters(0, [a, b], counters, params);
+    recordCatch([a], counters, params);
+    recordCatch([a], counters, params);
+    expect(counters.bagLimitsReached).toBe(1);
+    expect(openHarvesters(1, [a, b], counters, params).fishing).toEqual([b]);
+    expect(counters.bagLimitedHarvesterTicks).toBe(1);
+    // The next day the catch resets
+    expect(openHarvesters(10, [a, b], counters, params).fishing).toEqual([a, b]);
+  });
+});
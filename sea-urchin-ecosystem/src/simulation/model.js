@@ -0,0 +1,347 @@
+import { MATURITY_MIN, MATURITY_MAX, SETTLEMENT_SIZE } from './params.js';
+import { insideAnyZone } from './zones.js';
+
+// Number of coral lattice cells across and down the world
+export const gridWidth = (params) => Math.floor(params.worldWidth / params.cellSize);
+export const gridHeight = (params) => Math.floor(params.worldHeight / params.cellSize);
+
+// Random maturity between MATURITY_MIN and MATURITY_MAX ticks
+const drawMaturityTime = (rng) =>
+  Math.floor(rng() * (MATURITY_MAX - MATURITY_MIN + 1)) + MATURITY_MIN;
+
+// Energy at or above which an urchin grows at the full von Bertalanffy rate
+const GROWTH_ENERGY = 50;
+
+// Width of the size-frequency bins (mm)
+export const SIZE_BIN_WIDTH = 5;
+
+// Von Bertalanffy test diameter after `age` ticks of full-rate growth
+export const sizeAtAge = (age, params) =>
+  params.urchinMaxSize - (params.urchinMaxSize - SETTLEMENT_SIZE) * Math.exp(-params.urchinGrowthRate * age);
+
+// Sea urchin placed at a random position with a random initial age
+export const createUrchin = (id, params, rng) => {
+  const maturityTime = drawMaturityTime(rng);
+  const age = Math.floor(rng() * 200);
+  return {
+    id,
+    x: rng() * params.worldWidth,
+    y: rng() * params.worldHeight,
+    vx: (rng() - 0.5) * params.urchinSpeed,
+    vy: (rng() - 0.5) * params.urchinSpeed,
+    age: age,
+    maturityTime: maturityTime,
+    isAdult: age >= maturityTime,
+    size: sizeAtAge(age, params),
+    energy: 50,
+    lastSpawn: 0
+  };
+};
+
+export const createHarvester = (id, params, rng) => ({
+  id,
+  x: rng() * params.worldWidth,
+  y: rng() * params.worldHeight,
+  vx: (rng() - 0.5) * params.harvesterSpeed,
+  vy: (rng() - 0.5) * params.harvesterSpeed,
+  harvestCount: 0,
+  revenue: 0,
+  costs: 0,
+  periodProfit: 0  // since the last open-access fleet review
+});
+
+// Initialize coral reef grid
+export const initializeCorals = (params, rng) => {
+  const corals = [];
+  const coverage = params.initialCoralCoverage / 100;
+  const { cellSize } = params;
+
+  for (let x = 0; x < gridWidth(params); x++) {
+    for (let y = 0; y < gridHeight(params); y++) {
+      if (rng() < coverage) {
+        corals.push({
+          id: `coral-${x}-${y}`,
+          x: x * cellSize + cellSize / 2,
+          y: y * cellSize + cellSize / 2,
+          health: 100,
+          algaeLevel: 0,
+          status: 'healthy' // healthy, degraded, dead
+        });
+      }
+    }
+  }
+  return corals;
+};
+
+export const initializeUrchins = (params, rng, nextId) => {
+  const urchins = [];
+  for (let i = 0; i < params.initialUrchins; i++) {
+    urchins.push(createUrchin(nextId('urchin'), params, rng));
+  }
+  return urchins;
+};
+
+export const initializeHarvesters = (params, rng, nextId) => {
+  const harvesters = [];
+  for (let i = 0; i < params.harvesterCount; i++) {
+    harvesters.push(createHarvester(nextId('harvester'), params, rng));
+  }
+  return harvesters;
+};
+
+// Movement behavior
+export const moveAgent = (agent, speed, params, rng) => {
+  // Random walk with momentum
+  agent.vx += (rng() - 0.5) * speed * 0.1;
+  agent.vy += (rng() - 0.5) * speed * 0.1;
+
+  // Speed limit
+  const maxSpeed = speed * 2;
+  const currentSpeed = Math.sqrt(agent.vx * agent.vx + agent.vy * agent.vy);
+  if (currentSpeed > maxSpeed) {
+    agent.vx = (agent.vx / currentSpeed) * maxSpeed;
+    agent.vy = (agent.vy / currentSpeed) * maxSpeed;
+  }
+
+  // Update position
+  agent.x += agent.vx;
+  agent.y += agent.vy;
+
+  switch (params.boundaryMode) {
+    case 'torus':
+      // Wrap around to the opposite edge
+      agent.x = ((agent.x % params.worldWidth) + params.worldWidth) % params.worldWidth;
+      agent.y = ((agent.y % params.worldHeight) + params.worldHeight) % params.worldHeight;
+      break;
+    case 'open':
+      // Leaving agents are dealt with by the engine (see isOutside)
+      break;
+    default:
+      // Bounce off walls
+      if (agent.x < 0 || agent.x > params.worldWidth) {
+        agent.vx *= -1;
+        agent.x = Math.max(0, Math.min(params.worldWidth, agent.x));
+      }
+      if (agent.y < 0 || agent.y > params.worldHeight) {
+        agent.vy *= -1;
+        agent.y = Math.max(0, Math.min(params.worldHeight, agent.y));
+      }
+  }
+};
+
+export const isOutside = (agent, params) =>
+  agent.x < 0 || agent.x > params.worldWidth || agent.y < 0 || agent.y > params.worldHeight;
+
+// Put an agent at a random point on the world edge, heading inwards
+export const placeOnEdge = (agent, params, rng) => {
+  const { worldWidth, worldHeight } = params;
+  const d = rng() * 2 * (worldWidth + worldHeight);
+
+  if (d < worldWidth) {
+    agent.x = d;
+    agent.y = 0;
+    agent.vy = Math.abs(agent.vy);
+  } else if (d < worldWidth + worldHeight) {
+    agent.x = worldWidth;
+    agent.y = d - worldWidth;
+    agent.vx = -Math.abs(agent.vx);
+  } else if (d < 2 * worldWidth + worldHeight) {
+    agent.x = d - worldWidth - worldHeight;
+    agent.y = worldHeight;
+    agent.vy = -Math.abs(agent.vy);
+  } else {
+    agent.x = 0;
+    agent.y = d - 2 * worldWidth - worldHeight;
+    agent.vx = Math.abs(agent.vx);
+  }
+};
+
+// Urchins arriving across an open boundary this tick
+export const immigrateUrchins = (params, rng, nextId) => {
+  if (params.boundaryMode !== 'open' || rng() >= params.immigrationRate) return [];
+  const urchin = createUrchin(nextId('urchin'), params, rng);
+  placeOnEdge(urchin, params, rng);
+  return [urchin];
+};
+
+// Sea urchin grazing behavior (corals within one cell)
+export const grazeCorals = (urchin, coralIndex, params) => {
+  coralIndex.forEachWithin(urchin.x, urchin.y, params.cellSize, coral => {
+    if (coral.status === 'dead') return;
+
+    coral.health -= params.grazingRate;
+    urchin.energy += params.grazingRate * 0.5;
+
+    if (coral.health <= 0) {
+      coral.status = 'dead';
+      coral.health = 0;
+    } else if (coral.health < params.coralDegradationThreshold) {
+      coral.status = 'degraded';
+    }
+
+    coral.algaeLevel = Math.max(0, coral.algaeLevel - params.grazingRate * 0.3);
+  });
+};
+
+// One tick of von Bertalanffy growth towards urchinMaxSize, slowed in
+// proportion while energy is below GROWTH_ENERGY. Urchins never shrink.
+export const growUrchin = (urchin, params) => {
+  const condition = Math.min(1, urchin.energy / GROWTH_ENERGY);
+  urchin.size += Math.max(0, params.urchinGrowthRate * (params.urchinMaxSize - urchin.size) * condition);
+};
+
+// Juveniles die of natural causes at this multiple of the adult rate
+const JUVENILE_MORTALITY_FACTOR = 2;
+// Senescence sets in at this fraction of maxLifespan
+const SENESCENCE_ONSET = 0.75;
+
+// Chance an urchin dies of natural causes this tick: a base rate (higher
+// for juveniles), rising linearly from the onset of senescence to certain
+// death at maxLifespan, plus crowding in proportion to urchin density
+export const naturalMortality = (urchin, density, params) => {
+  let p = params.naturalMortality * (urchin.isAdult ? 1 : JUVENILE_MORTALITY_FACTOR);
+  if (params.maxLifespan > 0) {
+    const onset = params.maxLifespan * SENESCENCE_ONSET;
+    if (urchin.age >= params.maxLifespan) return 1;
+    if (urchin.age > onset) p += (1 - p) * (urchin.age - onset) / (params.maxLifespan - onset);
+  }
+  return Math.min(1, p + params.densityMortality * density);
+};
+
+// Only draws a random number when the urchin is at risk, so runs without
+// natural mortality stay identical
+export const diesNaturally = (urchin, density, params, rng) => {
+  const p = naturalMortality(urchin, density, params);
+  return p >= 1 || (p > 0 && rng() < p);
+};
+
+// Sea urchin reproduction (proximity broadcast spawning)
+export const reproduceUrchins = (urchins, adultIndex, currentTick, params, rng, nextId) => {
+  const newUrchins = [];
+  const adults = urchins.filter(u => u.isAdult);
+  adultIndex.build(adults);
+
+  adults.forEach(urchin => {
+    if (urchin.energy > 60 && currentTick - urchin.lastSpawn > 50) {
+      const mate = adultIndex.nearest(urchin.x, urchin.y, params.spawnRadius, other => other !== urchin);
+
+      if (mate && rng() < params.reproductionRate) {
+        newUrchins.push({
+          id: nextId('urchin'),
+          x: urchin.x + (rng() - 0.5) * 20,
+          y: urchin.y + (rng() - 0.5) * 20,
+          vx: (rng() - 0.5) * params.urchinSpeed,
+          vy: (rng() - 0.5) * params.urchinSpeed,
+          age: 0,
+          maturityTime: drawMaturityTime(rng),
+          isAdult: false,
+          size: SETTLEMENT_SIZE,
+          energy: 30,
+          lastSpawn: currentTick
+        });
+        urchin.energy -= 20;
+        urchin.lastSpawn = currentTick;
+      }
+    }
+  });
+  return newUrchins;
+};
+
+// Adults of legal size outside the protected (no-take) zones
+export const isHarvestable = (urchin, params) =>
+  urchin.isAdult && urchin.size >= params.minLegalSize &&
+  !(params.protectedZones.length > 0 && insideAnyZone(params.protectedZones, urchin.x, urchin.y));
+
+// Harvesting behavior: each harvester may take the nearest harvestable
+// urchin in range, up to `quota` urchins in all.
+// `catchers` lists the harvesters that took one and `landed` their catch.
+export const harvestUrchins = (harvesters, urchins, adultIndex, params, rng, quota = Infinity) => {
+  const harvested = new Set();
+  const catchers = [];
+  adultIndex.build(urchins.filter(u => isHarvestable(u, params)));
+
+  harvesters.forEach(harvester => {
+    if (harvested.size >= quota) return;
+    const target = adultIndex.nearest(harvester.x, harvester.y, params.harvestRadius, u => !harvested.has(u));
+
+    if (target && rng() < params.harvestingRate * 0.1) {
+      harvested.add(target);
+      catchers.push(harvester);
+      harvester.harvestCount++;
+    }
+  });
+
+  const remainingUrchins = harvested.size > 0 ? urchins.filter(u => !harvested.has(u)) : urchins;
+  return { remainingUrchins, harvestedCount: harvested.size, catchers, landed: [...harvested] };
+};
+
+// Coral healing and algae growth
+export const updateCorals = (corals, urchinDensity, params) => {
+  corals.forEach(coral => {
+    if (coral.status !== 'dead') {
+      if (urchinDensity < 0.5) {
+        coral.health = Math.min(100, coral.health + params.coralHealingRate);
+        if (coral.health > params.coralDegradationThreshold) coral.status = 'healthy';
+      }
+      if (coral.status === 'degraded' || coral.status === 'dead') {
+        coral.algaeLevel = Math.min(params.maxAlgaeDensity, coral.algaeLevel + params.algaeGrowthRate);
+      }
+    }
+  });
+};
+
+// With harvestersAvoidZones a harvester that would enter a protected zone
+// turns back instead; one already inside may leave freely
+export const avoidZones = (harvester, fromX, fromY, params) => {
+  const zones = params.protectedZones;
+  if (!params.harvestersAvoidZones || zones.length === 0) return;
+  if (insideAnyZone(zones, harvester.x, harvester.y) && !insideAnyZone(zones, fromX, fromY)) {
+    harvester.x = fromX;
+    harvester.y = fromY;
+    harvester.vx *= -1;
+    harvester.vy *= -1;
+  }
+};
+
+// Urchin density per grid cell, used for coral healing
+export const urchinDensity = (urchins, params) => urchins.length / (gridWidth(params) * gridHeight(params));
+
+// Size-frequency distribution in SIZE_BIN_WIDTH bins from 0 up to the
+// larger of urchinMaxSize and the biggest urchin, plus the mean size and the
+// number of adults harvesters may legally take
+export const computeSizeStats = (urchins, params) => {
+  const largest = urchins.reduce((max, u) => Math.max(max, u.size), params.urchinMaxSize);
+  const counts = new Array(Math.max(1, Math.ceil(largest / SIZE_BIN_WIDTH))).fill(0);
+  urchins.forEach(u => {
+    counts[Math.min(counts.length - 1, Math.floor(u.size / SIZE_BIN_WIDTH))]++;
+  });
+  return {
+    binWidth: SIZE_BIN_WIDTH,
+    counts,
+    meanSize: urchins.length > 0 ? urchins.reduce((sum, u) => sum + u.size, 0) / urchins.length : 0,
+    legalSizeAdults: urchins.filter(u => u.isAdult && u.size >= params.minLegalSize).length
+  };
+};
+
+// Aggregate counts for the stats panel and history
+export const computeStats = (agents, harvestedCount) => {
+  const juveniles = agents.seaUrchins.filter(u => !u.isAdult).length;
+  const adults = agents.seaUrchins.filter(u => u.isAdult).length;
+  const healthy = agents.corals.filter(c => c.status === 'healthy').length;
+  const degraded = agents.corals.filter(c => c.status === 'degraded').length;
+  const dead = agents.corals.filter(c => c.status === 'dead').length;
+  const avgAlgae = agents.corals.length > 0
+    ? agents.corals.reduce((sum, c) => sum + c.algaeLevel, 0) / agents.corals.length
+    : 0;
+
+  return {
+    juvenileUrchins: juveniles,
+    adultUrchins: adults,
+    totalUrchins: juveniles + adults,
+    healthyCorals: healthy,
+    degradedCorals: degraded,
+    deadCorals: dead,
+    algaeCoverage: avgAlgae * 100,
+    harvestedUrchins: harvestedCount
+  };
+};
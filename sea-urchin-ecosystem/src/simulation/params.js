@@ -0,0 +1,173 @@
+// Urchin maturity is drawn uniformly from this range (ticks)
+export const MATURITY_MIN = 54;
+export const MATURITY_MAX = 170;
+
+// Test diameter (mm) of a newly settled urchin
+export const SETTLEMENT_SIZE = 1;
+
+// Default parameter set shared by the UI and headless runs
+export const DEFAULT_PARAMS = {
+  // World parameters (applied on reset)
+  worldWidth: 800,  // reef extent in world units
+  worldHeight: 600,
+  cellSize: 20,  // coral lattice spacing; also the grazing radius
+  boundaryMode: 'reflect',  // 'reflect' | 'torus' | 'open' (see BOUNDARY_MODES)
+
+  // Sea Urchin parameters
+  initialUrchins: 16,
+  reproductionRate: 0.02,
+  grazingRate: 0.4,
+  urchinSpeed: 0.3,
+  spawnRadius: 40,
+  immigrationRate: 0.05,  // chance per tick that an urchin arrives (open boundary only)
+  urchinMaxSize: 90,  // asymptotic test diameter L∞ (mm)
+  urchinGrowthRate: 0.01,  // von Bertalanffy k per tick, at full energy
+  naturalMortality: 0,  // adult death probability per tick; juveniles die at twice the rate
+  maxLifespan: 0,  // ticks; mortality climbs to certain death at this age (0 = no limit)
+  densityMortality: 0,  // extra death probability per tick per urchin per coral cell
+
+  // Harvester parameters
+  harvesterCount: 3,
+  harvestingRate: 1.0,
+  harvesterSpeed: 1.5,
+  harvestRadius: 30,
+  harvesterStrategy: 'random',  // one of HARVESTER_STRATEGIES
+  perceptionRadius: 100,  // how far harvesters see urchins with the 'density' strategy
+  minLegalSize: 0,  // smallest test diameter harvesters may take (mm)
+  protectedZones: [],  // no-take zones harvesters cannot fish in (see zones.js)
+  harvestersAvoidZones: false,  // harvesters turn back at zone edges instead of crossing
+
+  // Predator parameters (see predators.js); none by default
+  predatorCount: 0,
+  predatorSpecies: 'mixed',  // one of PREDATOR_SPECIES, or 'mixed' for all of them in turn
+  predatorSpeed: 1,
+  predatorSight: 80,  // how far predators see urchins they can eat
+  predationRate: 0.3,  // chance per tick of taking an urchin within reach, before species selectivity
+  predatorMetabolism: 0.1,  // energy used per tick
+  predatorReproductionRate: 0.02,  // chance per tick that a well-fed predator breeds
+
+  // Harvest rules (see management.js); limits of 0 are off
+  tacLimit: 0,  // total allowable catch per TAC period
+  tacPeriod: 1000,  // ticks
+  bagLimit: 0,  // urchins per harvester per day
+  closedSeasons: [],  // [{ start, end }] ticks within each year
+  ticksPerDay: 10,
+  ticksPerYear: 3650,
+
+  // Harvester economics (see economics.js)
+  urchinPrice: 10,  // per urchin, or per gram of roe with priceBasis 'roe'
+  priceBasis: 'urchin',
+  tripCost: 1,  // per harvester per day
+  fuelCost: 0.01,  // per world unit moved
+  openAccess: false,  // harvesters join while fishing pays and leave when it does not
+  fleetReviewInterval: 100,  // ticks between entry and exit decisions
+  maxFleetSize: 20,
+
+  // Coral parameters
+  initialCoralCoverage: 23,
+  coralHealingRate: 0.015,
+  coralDegradationThreshold: 30,
+
+  // Algae parameters
+  algaeGrowthRate: 0.13,
+  maxAlgaeDensity: 0.9,
+
+  // Simulation parameters
+  seed: 1,  // PRNG seed; identical seed and parameters reproduce a run
+  tickRate: 100,  // milliseconds between ticks
+  speedMultiplier: 1,  // number of simulation steps per tick
+  turboMode: false,  // skip rendering for maximum speed
+  tickLimit: 1000,  // simulation stops after this many ticks (0 = unlimited)
+  enableTickLimit: false,  // whether to use tick limit
+  dataRecordingFrequency: 5,  // record data every N ticks
+
+  // Scheduled management events, [{ id, label, trigger, action }] (see interventions.js)
+  interventions: []
+};
+
+// How agents behave at the world edge:
+//   reflect - bounce back in
+//   torus   - wrap around to the opposite edge
+//   open    - urchins leave for good (immigrants arrive at immigrationRate),
+//             harvesters that leave are replaced by one entering elsewhere
+export const BOUNDARY_MODES = ['reflect', 'torus', 'open'];
+
+// What urchinPrice is paid for: each urchin landed, or each gram of roe
+export const PRICE_BASES = ['urchin', 'roe'];
+
+// How harvesters look for urchins (see search.js)
+export const HARVESTER_STRATEGIES = ['random', 'density', 'memory', 'shared', 'lanes'];
+
+// Urchin predators (traits in predators.js)
+export const PREDATOR_SPECIES = ['triggerfish', 'wrasse', 'lobster'];
+export const PREDATOR_MIXES = ['mixed', ...PREDATOR_SPECIES];
+
+// Bounds for the world parameters; the UI and engine both clamp to these
+export const WORLD_LIMITS = {
+  worldWidth: { min: 200, max: 4000 },
+  worldHeight: { min: 200, max: 4000 },
+  cellSize: { min: 5, max: 100 }
+};
+
+// The world geometry and topology part of a parameter set, clamped to
+// WORLD_LIMITS
+export const getWorld = (params) => {
+  const clamp = (key) => Math.min(WORLD_LIMITS[key].max, Math.max(WORLD_LIMITS[key].min, params[key] || DEFAULT_PARAMS[key]));
+  return {
+    worldWidth: clamp('worldWidth'),
+    worldHeight: clamp('worldHeight'),
+    cellSize: clamp('cellSize'),
+    boundaryMode: BOUNDARY_MODES.includes(params.boundaryMode) ? params.boundaryMode : 'reflect'
+  };
+};
+
+// Model parameters that experiments can vary, with the bounds and step the
+// sliders use (integer parameters have step 1). Categorical parameters list
+// their options instead.
+export const PARAM_SPECS = [
+  { key: 'initialUrchins', label: 'Initial Urchins', min: 10, max: 100, step: 1 },
+  { key: 'reproductionRate', label: 'Reproduction Rate', min: 0, max: 0.2, step: 0.01 },
+  { key: 'grazingRate', label: 'Grazing Rate', min: 0.1, max: 2, step: 0.1 },
+  { key: 'urchinSpeed', label: 'Urchin Speed', min: 0.1, max: 2, step: 0.1 },
+  { key: 'spawnRadius', label: 'Spawn Radius', min: 5, max: 100, step: 5 },
+  { key: 'immigrationRate', label: 'Immigration Rate', min: 0, max: 1, step: 0.01 },
+  { key: 'urchinMaxSize', label: 'Max Urchin Size', min: 20, max: 150, step: 5 },
+  { key: 'urchinGrowthRate', label: 'Urchin Growth Rate', min: 0, max: 0.05, step: 0.001 },
+  { key: 'naturalMortality', label: 'Natural Mortality', min: 0, max: 0.01, step: 0.0001 },
+  { key: 'maxLifespan', label: 'Max Lifespan', min: 0, max: 20000, step: 100 },
+  { key: 'densityMortality', label: 'Density Mortality', min: 0, max: 0.05, step: 0.001 },
+  { key: 'harvesterCount', label: 'Harvesters', min: 0, max: 10, step: 1 },
+  { key: 'harvestingRate', label: 'Harvesting Rate', min: 0, max: 5, step: 0.1 },
+  { key: 'harvesterSpeed', label: 'Harvester Speed', min: 0.5, max: 3, step: 0.1 },
+  { key: 'harvestRadius', label: 'Harvest Radius', min: 5, max: 100, step: 5 },
+  { key: 'harvesterStrategy', label: 'Harvester Strategy', options: HARVESTER_STRATEGIES },
+  { key: 'perceptionRadius', label: 'Perception Radius', min: 10, max: 400, step: 10 },
+  { key: 'minLegalSize', label: 'Minimum Legal Size', min: 0, max: 150, step: 5 },
+  { key: 'predatorCount', label: 'Predators', min: 0, max: 50, step: 1 },
+  { key: 'predatorSpecies', label: 'Predator Species', options: PREDATOR_MIXES },
+  { key: 'predatorSpeed', label: 'Predator Speed', min: 0.1, max: 3, step: 0.1 },
+  { key: 'predatorSight', label: 'Predator Sight', min: 10, max: 400, step: 10 },
+  { key: 'predationRate', label: 'Predation Rate', min: 0, max: 1, step: 0.01 },
+  { key: 'predatorMetabolism', label: 'Predator Metabolism', min: 0, max: 1, step: 0.01 },
+  { key: 'predatorReproductionRate', label: 'Predator Reproduction Rate', min: 0, max: 0.2, step: 0.005 },
+  { key: 'tacLimit', label: 'Total Allowable Catch', min: 0, max: 10000, step: 1 },
+  { key: 'tacPeriod', label: 'TAC Period', min: 1, max: 100000, step: 1 },
+  { key: 'bagLimit', label: 'Daily Bag Limit', min: 0, max: 100, step: 1 },
+  { key: 'ticksPerDay', label: 'Ticks per Day', min: 1, max: 1000, step: 1 },
+  { key: 'ticksPerYear', label: 'Ticks per Year', min: 1, max: 100000, step: 1 },
+  { key: 'urchinPrice', label: 'Urchin Price', min: 0, max: 100, step: 0.5 },
+  { key: 'priceBasis', label: 'Price Basis', options: PRICE_BASES },
+  { key: 'tripCost', label: 'Trip Cost', min: 0, max: 100, step: 0.5 },
+  { key: 'fuelCost', label: 'Fuel Cost', min: 0, max: 1, step: 0.01 },
+  { key: 'fleetReviewInterval', label: 'Fleet Review Interval', min: 10, max: 10000, step: 10 },
+  { key: 'maxFleetSize', label: 'Max Fleet Size', min: 1, max: 50, step: 1 },
+  { key: 'initialCoralCoverage', label: 'Initial Coral Coverage', min: 10, max: 80, step: 1 },
+  { key: 'coralHealingRate', label: 'Coral Healing Rate', min: 0, max: 0.1, step: 0.01 },
+  { key: 'coralDegradationThreshold', label: 'Degradation Threshold', min: 5, max: 95, step: 5 },
+  { key: 'algaeGrowthRate', label: 'Algae Growth Rate', min: 0, max: 1, step: 0.01 },
+  { key: 'maxAlgaeDensity', label: 'Max Algae Density', min: 0.1, max: 1, step: 0.05 },
+  { key: 'worldWidth', label: 'World Width', min: WORLD_LIMITS.worldWidth.min, max: WORLD_LIMITS.worldWidth.max, step: 40 },
+  { key: 'worldHeight', label: 'World Height', min: WORLD_LIMITS.worldHeight.min, max: WORLD_LIMITS.worldHeight.max, step: 40 },
+  { key: 'cellSize', label: 'Cell Size', min: WORLD_LIMITS.cellSize.min, max: WORLD_LIMITS.cellSize.max, step: 5 },
+  { key: 'boundaryMode', label: 'Boundary Mode', options: BOUNDARY_MODES }
+];
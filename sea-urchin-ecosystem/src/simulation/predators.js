@@ -0,0 +1,117 @@
+import { PREDATOR_SPECIES } from './params.js';
+import { moveAgent } from './model.js';
+import { steerToward } from './search.js';
+
+// Urchin predators (params.predatorCount of params.predatorSpecies). A
+// predator steers for the nearest urchin it can eat within predatorSight,
+// attacks one within reach each tick, gains energy by the size of its prey
+// and burns predatorMetabolism per tick; well-fed predators breed and
+// starving ones die. Species differ in speed and in which urchins they take:
+//   triggerfish - fast, prefer adults and can crack the largest tests
+//   wrasse      - take juveniles readily, adults only while still small
+//   lobster     - slow, take both stages up to mid-sized adults
+// `juvenile` and `adult` scale predationRate for each stage.
+const SPECIES_TRAITS = {
+  triggerfish: { speed: 1.2, maxPreySize: Infinity, juvenile: 0.4, adult: 1 },
+  wrasse: { speed: 1, maxPreySize: 30, juvenile: 1, adult: 0.5 },
+  lobster: { speed: 0.5, maxPreySize: 70, juvenile: 0.8, adult: 0.8 }
+};
+
+// World units within which a predator can attack
+const ATTACK_RANGE = 10;
+
+const START_ENERGY = 50;
+const MAX_ENERGY = 100;
+// Energy above which a predator may breed, splitting it with its offspring
+const BREEDING_ENERGY = 80;
+// Energy from one urchin: a base plus an amount per mm of test diameter
+const PREY_ENERGY_BASE = 5;
+const PREY_ENERGY_PER_MM = 0.25;
+
+// Running totals, also reported in the stats as predation
+export const createPredation = () => ({
+  eatenJuveniles: 0,
+  eatenAdults: 0,
+  births: 0,
+  starved: 0
+});
+
+// A 'mixed' population takes the species in turn
+export const speciesFor = (index, params) =>
+  (params.predatorSpecies === 'mixed' ? PREDATOR_SPECIES[index % PREDATOR_SPECIES.length] : params.predatorSpecies);
+
+export const createPredator = (id, species, params, rng) => ({
+  id,
+  species,
+  x: rng() * params.worldWidth,
+  y: rng() * params.worldHeight,
+  vx: (rng() - 0.5) * params.predatorSpeed,
+  vy: (rng() - 0.5) * params.predatorSpeed,
+  energy: START_ENERGY
+});
+
+export const initializePredators = (params, rng, nextId) => {
+  const predators = [];
+  for (let i = 0; i < params.predatorCount; i++) {
+    predators.push(createPredator(nextId('predator'), speciesFor(i, params), params, rng));
+  }
+  return predators;
+};
+
+const canEat = (predator, urchin) => urchin.size <= SPECIES_TRAITS[predator.species].maxPreySize;
+
+// Hunt, move and pay this tick's metabolism. urchinIndex holds every urchin.
+export const movePredator = (predator, urchinIndex, params, rng) => {
+  const speed = params.predatorSpeed * SPECIES_TRAITS[predator.species].speed;
+  const prey = urchinIndex.nearest(predator.x, predator.y, params.predatorSight, u => canEat(predator, u));
+  if (prey) steerToward(predator, [prey.x, prey.y], speed);
+  moveAgent(predator, speed, params, rng);
+  predator.energy -= params.predatorMetabolism;
+};
+
+// Each predator may take the nearest edible urchin within ATTACK_RANGE.
+// Returns the urchins left over.
+export const feedPredators = (predators, urchins, urchinIndex, predation, params, rng) => {
+  const eaten = new Set();
+  predators.forEach(predator => {
+    const target = urchinIndex.nearest(predator.x, predator.y, ATTACK_RANGE, u => !eaten.has(u) && canEat(predator, u));
+    const traits = SPECIES_TRAITS[predator.species];
+    if (target && rng() < params.predationRate * (target.isAdult ? traits.adult : traits.juvenile)) {
+      eaten.add(target);
+      predator.energy = Math.min(MAX_ENERGY, predator.energy + PREY_ENERGY_BASE + PREY_ENERGY_PER_MM * target.size);
+      if (target.isAdult) predation.eatenAdults++;
+      else predation.eatenJuveniles++;
+    }
+  });
+  return eaten.size > 0 ? urchins.filter(u => !eaten.has(u)) : urchins;
+};
+
+// Remove starved predators and add this tick's offspring, born next to
+// their parent with half its energy
+export const breedPredators = (predators, predation, params, rng, nextId) => {
+  const survivors = predators.filter(p => p.energy > 0);
+  predation.starved += predators.length - survivors.length;
+  const offspring = [];
+  survivors.forEach(parent => {
+    if (parent.energy > BREEDING_ENERGY && rng() < params.predatorReproductionRate) {
+      parent.energy /= 2;
+      offspring.push({
+        ...createPredator(nextId('predator'), parent.species, params, rng),
+        x: parent.x,
+        y: parent.y,
+        energy: parent.energy
+      });
+    }
+  });
+  predation.births += offspring.length;
+  return [...survivors, ...offspring];
+};
+
+// Live predators of each species
+export const countPredators = (predators) => {
+  const counts = Object.fromEntries(PREDATOR_SPECIES.map(species => [species, 0]));
+  predators.forEach(p => {
+    counts[p.species]++;
+  });
+  return counts;
+};
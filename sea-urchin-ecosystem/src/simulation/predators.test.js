@@ -0,0 +1,66 @@
+import { createPredation, speciesFor, feedPredators, breedPredators, countPredators } from './predators.js';
+import { createSpatialIndex } from './spatialIndex.js';
+import { createRandom } from './random.js';
+
+const PARAMS = { worldWidth: 200, worldHeight: 200, predatorSpeed: 1, predationRate: 1, predatorReproductionRate: 1 };
+
+const predator = (species, extra = {}) => ({ id: `p-${species}`, species, x: 100, y: 100, vx: 0, vy: 0, energy: 50, ...extra });
+const urchin = (id, size, isAdult) => ({ id, x: 102, y: 100, size, isAdult });
+
+// One predator attacking a single urchin next to it
+const attack = (species, prey) => {
+  const index = createSpatialIndex(20, 200, 200);
+  index.build([prey]);
+  const predation = createPredation();
+  const hunter = predator(species);
+  const left = feedPredators([hunter], [prey], index, predation, PARAMS, createRandom(1));
+  return { left, predation, hunter };
+};
+
+describe('speciesFor', () => {
+  test('takes the species in turn for a mixed population', () => {
+    expect([0, 1, 2, 3].map(i => speciesFor(i, { predatorSpecies: 'mixed' }))).toEqual(['triggerfish', 'wrasse', 'lobster', 'triggerfish']);
+    expect(speciesFor(5, { predatorSpecies: 'wrasse' })).toBe('wrasse');
+  });
+});
+
+describe('feedPredators', () => {
+  test('lets triggerfish take the largest adults', () => {
+    const { left, predation, hunter } = attack('triggerfish', urchin('big', 90, true));
+    expect(left).toEqual([]);
+    expect(predation.eatenAdults).toBe(1);
+    expect(hunter.energy).toBeGreaterThan(50);
+  });
+
+  test('keeps wrasse and lobsters to urchins they can handle', () => {
+    expect(attack('wrasse', urchin('big', 60, true)).left).toHaveLength(1);
+    expect(attack('lobster', urchin('big', 90, true)).left).toHaveLength(1);
+    const { left, predation } = attack('wrasse', urchin('small', 10, false));
+    expect(left).toEqual([]);
+    expect(predation.eatenJuveniles).toBe(1);
+  });
+
+  test('takes each urchin at most once', () => {
+    const prey = urchin('only', 10, false);
+    const index = createSpatialIndex(20, 200, 200);
+    index.build([prey]);
+    const predation = createPredation();
+    const left = feedPredators([predator('triggerfish'), predator('lobster')], [prey], index, predation, PARAMS, createRandom(1));
+    expect(left).toEqual([]);
+    expect(predation.eatenJuveniles).toBe(1);
+  });
+});
+
+describe('breedPredators', () => {
+  test('removes starved predators and splits energy with offspring', () => {
+    const predation = createPredation();
+    let next = 0;
+    const result = breedPredators(
+      [predator('wrasse', { id: 'fed', energy: 90 }), predator('lobster', { id: 'starved', energy: 0 })],
+      predation, PARAMS, createRandom(1), () => `new-${++next}`
+    );
+    expect(result.map(p => [p.id, p.species, p.energy])).toEqual([['fed', 'wrasse', 45], ['new-1', 'wrasse', 45]]);
+    expect(predation).toMatchObject({ starved: 1, births: 1 });
+    expect(countPredators(result)).toEqual({ triggerfish: 0, wrasse: 2, lobster: 0 });
+  });
+});
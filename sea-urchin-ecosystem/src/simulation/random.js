@@ -0,0 +1,34 @@
+// Seedable PRNG (mulberry32). The returned function is a drop-in replacement
+// for Math.random(); getState/setState expose the 32-bit internal state so a
+// run can be snapshotted and resumed.
+export const createRandom = (seed = 0) => {
+  let state = seed >>> 0;
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.getState = () => state;
+  random.setState = (nextState) => {
+    state = nextState >>> 0;
+  };
+
+  return random;
+};
+
+// Fresh 32-bit seed for a new run
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+// Stable 32-bit hash of a string (FNV-1a), e.g. to derive per-agent streams
+export const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
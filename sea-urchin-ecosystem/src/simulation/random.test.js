@@ -0,0 +1,44 @@
+import { createRandom, hashString } from './random.js';
+
+const draw = (rng, count) => Array.from({ length: count }, () => rng());
+
+describe('createRandom', () => {
+  test('repeats the same sequence for the same seed', () => {
+    expect(draw(createRandom(42), 5)).toEqual(draw(createRandom(42), 5));
+    expect(draw(createRandom(42), 5)).not.toEqual(draw(createRandom(43), 5));
+  });
+
+  test('draws uniformly from [0, 1)', () => {
+    const values = draw(createRandom(7), 10000);
+    values.forEach(v => {
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    });
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    expect(mean).toBeCloseTo(0.5, 1);
+  });
+
+  test('resumes from a saved state', () => {
+    const rng = createRandom(3);
+    draw(rng, 10);
+    const state = rng.getState();
+    const expected = draw(rng, 5);
+    const resumed = createRandom();
+    resumed.setState(state);
+    expect(draw(resumed, 5)).toEqual(expected);
+  });
+
+  test('takes seeds modulo 2^32', () => {
+    expect(draw(createRandom(2 ** 32 + 5), 3)).toEqual(draw(createRandom(5), 3));
+    expect(createRandom(-1).getState()).toBe(4294967295);
+  });
+});
+
+describe('hashString', () => {
+  test('gives the FNV-1a hash as an unsigned 32-bit integer', () => {
+    expect(hashString('')).toBe(0x811c9dc5);
+    expect(hashString('a')).toBe(0xe40c292c);
+    expect(hashString('urchin-1')).toBe(hashString('urchin-1'));
+    expect(hashString('urchin-1')).not.toBe(hashString('urchin-2'));
+  });
+});
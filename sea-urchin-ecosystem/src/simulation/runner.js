@@ -0,0 +1,234 @@
+import { createSimulation, SNAPSHOT_VERSION } from './engine.js';
+import { createTimeline } from './timeline.js';
+
+// Minimum milliseconds between frames posted to the UI
+const FRAME_INTERVAL = 1000 / 60;
+const TURBO_FRAME_INTERVAL = 250;
+
+// Rewind checkpoints: one every CHECKPOINT_INTERVAL ticks, at most MAX_CHECKPOINTS
+const CHECKPOINT_INTERVAL = 25;
+const MAX_CHECKPOINTS = 200;
+
+// Only the fields the renderers need, so frames stay cheap to clone
+export const snapshotAgents = (agents) => ({
+  seaUrchins: agents.seaUrchins.map(u => ({ id: u.id, x: u.x, y: u.y, isAdult: u.isAdult, size: u.size })),
+  harvesters: agents.harvesters.map(h => ({ id: h.id, x: h.x, y: h.y })),
+  predators: agents.predators.map(p => ({ id: p.id, x: p.x, y: p.y, species: p.species })),
+  corals: agents.corals.map(c => ({ id: c.id, x: c.x, y: c.y, status: c.status, algaeLevel: c.algaeLevel })),
+  algae: []
+});
+
+// Owns an engine and its play loop. Commands arrive through handle(message)
+// and results leave through post(message), so the same runner backs both the
+// Web Worker and the in-thread fallback.
+//
+// Incoming: init | reset | setParams | play | pause | setUrchinCount | setHarvesterCount | setPredatorCount
+//           | step { count } | save | load { snapshot } | seek { tick } | stepBack
+// Outgoing: frame { tick, world, timeline, agents, stats?, history?, detailedHistory?, interventionLog? }
+//           | complete { tick }
+//           | snapshot { snapshot } | loaded { params, migratedFrom } | error { message }
+export const createRunner = (post) => {
+  const engine = createSimulation();
+  let running = false;
+  let timer = null;
+  let lastFrame = 0;
+  let statsDirty = false;
+  let historyDirty = false;
+  let replaying = false;
+  let paramsEdited = false;
+
+  // Checkpoints share the history series with the live run rather than
+  // copying them
+  const timeline = createTimeline(CHECKPOINT_INTERVAL, MAX_CHECKPOINTS);
+  const takeCheckpoint = () => engine.serialize({ shareHistory: true });
+  const checkpoint = (force = false) => {
+    if (force) paramsEdited = false;
+    timeline.record(engine.getState().tick, takeCheckpoint, force);
+  };
+
+  // Live parameter edits (a slider drag sends many) are checkpointed once,
+  // just before the run moves on from the tick they were made at, so
+  // replays stay exact
+  const checkpointEdits = () => {
+    if (paramsEdited) checkpoint(true);
+  };
+
+  engine.on('step', () => {
+    if (!replaying) checkpoint();
+  });
+  engine.on('stats', () => {
+    statsDirty = true;
+  });
+  engine.on('record', () => {
+    historyDirty = true;
+  });
+  // Fired interventions show in the intervention log
+  engine.on('intervention', () => {
+    historyDirty = true;
+  });
+  engine.on('complete', ({ tick }) => {
+    if (replaying) return;
+    running = false;
+    post({ type: 'complete', tick });
+  });
+
+  const postFrame = (withStats = false) => {
+    const { tick, agents } = engine.getState();
+    const message = {
+      type: 'frame',
+      tick,
+      world: engine.getWorld(),
+      timeline: timeline.range(),
+      agents: snapshotAgents(agents)
+    };
+    if (statsDirty || withStats) {
+      message.stats = engine.getStats();
+      statsDirty = false;
+    }
+    if (historyDirty) {
+      Object.assign(message, engine.getHistory());
+      historyDirty = false;
+    }
+    post(message);
+    lastFrame = Date.now();
+  };
+
+  const loop = () => {
+    timer = null;
+    if (!running) return;
+
+    const params = engine.getParams();
+    const steps = params.turboMode ? params.speedMultiplier * 10 : params.speedMultiplier;
+    checkpointEdits();
+    for (let i = 0; i < steps && running; i++) engine.step();
+
+    const frameInterval = params.turboMode ? TURBO_FRAME_INTERVAL : FRAME_INTERVAL;
+    if (!running || Date.now() - lastFrame >= frameInterval) postFrame();
+
+    if (running) timer = setTimeout(loop, params.turboMode ? 0 : params.tickRate);
+  };
+
+  const play = () => {
+    if (running) return;
+    running = true;
+    loop();
+  };
+
+  const pause = () => {
+    running = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  };
+
+  const startTimeline = () => {
+    timeline.reset();
+    checkpoint(true);
+  };
+
+  // Rebuild the state at `tick` from the nearest earlier checkpoint. The gap
+  // is replayed with the checkpoint's parameters so it matches the original
+  // run; afterwards the live parameters apply again, so playing on from here
+  // branches a new run.
+  const seek = (tick) => {
+    const { start, end } = timeline.range();
+    const target = Math.max(start, Math.min(end, tick));
+    const from = timeline.checkpointAt(target);
+    if (!from) return;
+
+    const liveParams = engine.getParams();
+    replaying = true;
+    engine.restore(from);
+    while (engine.getState().tick < target) engine.step();
+    replaying = false;
+    engine.setParams(liveParams);
+
+    historyDirty = true;
+    postFrame(true);
+  };
+
+  const handle = (message) => {
+    switch (message.type) {
+      case 'init':
+        pause();
+        engine.setParams(message.params);
+        engine.init();
+        startTimeline();
+        postFrame(true);
+        break;
+      case 'reset':
+        pause();
+        engine.init();
+        startTimeline();
+        postFrame(true);
+        break;
+      case 'setParams':
+        engine.setParams(message.params);
+        paramsEdited = true;
+        break;
+      case 'play':
+        play();
+        break;
+      case 'pause':
+        pause();
+        break;
+      case 'step':
+        // Manual stepping stops at the tick limit like the play loop does
+        pause();
+        checkpointEdits();
+        for (let i = 0; i < message.count && !engine.hasReachedTickLimit(); i++) engine.step();
+        // Every manual step shows in the charts, between recording intervals too
+        engine.recordNow();
+        postFrame(true);
+        break;
+      case 'setUrchinCount':
+        engine.setUrchinCount(message.count);
+        checkpoint(true);
+        postFrame(true);
+        break;
+      case 'setHarvesterCount':
+        engine.setHarvesterCount(message.count);
+        checkpoint(true);
+        postFrame(true);
+        break;
+      case 'setPredatorCount':
+        engine.setPredatorCount(message.count);
+        checkpoint(true);
+        postFrame(true);
+        break;
+      case 'save':
+        post({ type: 'snapshot', snapshot: engine.serialize() });
+        break;
+      case 'load': {
+        pause();
+        let savedVersion;
+        try {
+          savedVersion = engine.restore(message.snapshot);
+        } catch (error) {
+          post({ type: 'error', message: error.message });
+          break;
+        }
+        post({
+          type: 'loaded',
+          params: engine.getParams(),
+          migratedFrom: savedVersion < SNAPSHOT_VERSION ? savedVersion : null
+        });
+        startTimeline();
+        historyDirty = true;
+        postFrame(true);
+        break;
+      }
+      case 'seek':
+        pause();
+        seek(message.tick);
+        break;
+      case 'stepBack':
+        pause();
+        seek(engine.getState().tick - 1);
+        break;
+      default:
+        console.warn(`Unknown simulation message: ${message.type}`);
+    }
+  };
+
+  return { handle };
+};
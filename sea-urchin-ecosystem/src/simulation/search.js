@@ -0,0 +1,104 @@
+// Harvester search strategies (params.harvesterStrategy, one of
+// HARVESTER_STRATEGIES):
+//   random  - the random walk urchins use
+//   density - head for the densest patch of harvestable urchins within
+//             perceptionRadius
+//   memory  - return to where the harvester last made a catch, forgetting the
+//             spot once it turns up empty
+//   shared  - as memory, but the whole fleet shares its recent catch sites
+//   lanes   - patrol parallel east-west lanes two harvest radii apart
+
+// Catch sites the fleet shares under the 'shared' strategy, newest last
+const SHARED_SPOTS = 10;
+
+// How strongly a harvester turns towards its heading each tick (0-1)
+const STEERING = 0.5;
+
+// Fleet-wide search state, kept by the engine
+export const createSearchState = () => ({ spots: [] });
+
+const distanceTo = (harvester, [x, y]) => Math.hypot(x - harvester.x, y - harvester.y);
+
+// Centroid of the fullest harvestRadius-sized patch of visible prey
+const densestPatch = (harvester, preyIndex, params) => {
+  const patches = new Map();
+  preyIndex.forEachWithin(harvester.x, harvester.y, params.perceptionRadius, urchin => {
+    const key = `${Math.floor(urchin.x / params.harvestRadius)},${Math.floor(urchin.y / params.harvestRadius)}`;
+    const patch = patches.get(key) || { count: 0, x: 0, y: 0 };
+    patch.count++;
+    patch.x += urchin.x;
+    patch.y += urchin.y;
+    patches.set(key, patch);
+  });
+  let best = null;
+  patches.forEach(patch => {
+    if (!best || patch.count > best.count) best = patch;
+  });
+  return best ? [best.x / best.count, best.y / best.count] : null;
+};
+
+// A remembered spot is dropped once the harvester reaches it and finds
+// nothing left to take
+const spotIsEmpty = (harvester, spot, preyIndex, params) =>
+  distanceTo(harvester, spot) < params.harvestRadius &&
+  !preyIndex.nearest(harvester.x, harvester.y, params.harvestRadius);
+
+const laneHeading = (harvester, params) => {
+  const spacing = params.harvestRadius * 2;
+  if (harvester.laneY === undefined) {
+    harvester.laneY = Math.min(params.worldHeight, Math.floor(harvester.y / spacing) * spacing + spacing / 2);
+    harvester.laneDir = harvester.vx < 0 ? -1 : 1;
+  }
+  // At the end of a lane turn round into the next one, back to the top after the last
+  const endX = harvester.laneDir > 0 ? params.worldWidth - params.harvestRadius : params.harvestRadius;
+  if ((endX - harvester.x) * harvester.laneDir <= 0) {
+    harvester.laneDir = -harvester.laneDir;
+    harvester.laneY = harvester.laneY + spacing > params.worldHeight ? spacing / 2 : harvester.laneY + spacing;
+  }
+  return [harvester.laneDir > 0 ? params.worldWidth : 0, harvester.laneY];
+};
+
+// Where the harvester wants to go this tick, or null to wander at random.
+// preyIndex holds the urchins harvesters may take.
+export const chooseHeading = (harvester, preyIndex, search, params) => {
+  switch (params.harvesterStrategy) {
+    case 'density':
+      return densestPatch(harvester, preyIndex, params);
+    case 'memory':
+      if (harvester.spot && spotIsEmpty(harvester, harvester.spot, preyIndex, params)) harvester.spot = null;
+      return harvester.spot || null;
+    case 'shared': {
+      search.spots = search.spots.filter(spot => !spotIsEmpty(harvester, spot, preyIndex, params));
+      let nearest = null;
+      search.spots.forEach(spot => {
+        if (!nearest || distanceTo(harvester, spot) < distanceTo(harvester, nearest)) nearest = spot;
+      });
+      return nearest;
+    }
+    case 'lanes':
+      return laneHeading(harvester, params);
+    default:
+      return null;
+  }
+};
+
+// Turn the harvester's velocity towards a heading at its cruising speed;
+// moveAgent then adds its usual jitter and handles the world edge
+export const steerToward = (harvester, [x, y], speed) => {
+  const distance = Math.hypot(x - harvester.x, y - harvester.y);
+  if (distance === 0) return;
+  const cruise = Math.min(speed, distance);
+  harvester.vx += ((x - harvester.x) / distance * cruise - harvester.vx) * STEERING;
+  harvester.vy += ((y - harvester.y) / distance * cruise - harvester.vy) * STEERING;
+};
+
+// Note where this tick's catches were made, for the memory strategies
+export const rememberCatches = (catchers, search, params) => {
+  if (params.harvesterStrategy === 'memory') {
+    catchers.forEach(harvester => {
+      harvester.spot = [harvester.x, harvester.y];
+    });
+  } else if (params.harvesterStrategy === 'shared' && catchers.length > 0) {
+    search.spots = [...search.spots, ...catchers.map(h => [h.x, h.y])].slice(-SHARED_SPOTS);
+  }
+};
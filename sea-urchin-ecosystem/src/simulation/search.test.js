@@ -0,0 +1,85 @@
+import { createSearchState, chooseHeading, steerToward, rememberCatches } from './search.js';
+import { createSpatialIndex } from './spatialIndex.js';
+
+const PARAMS = { worldWidth: 400, worldHeight: 300, perceptionRadius: 100, harvestRadius: 10 };
+
+const preyIndex = (urchins) => {
+  const index = createSpatialIndex(20, PARAMS.worldWidth, PARAMS.worldHeight);
+  index.build(urchins.map(([x, y], id) => ({ id, x, y })));
+  return index;
+};
+
+const harvester = (x, y) => ({ x, y, vx: 1, vy: 0 });
+
+describe('chooseHeading', () => {
+  test('wanders at random under the random strategy', () => {
+    const params = { ...PARAMS, harvesterStrategy: 'random' };
+    expect(chooseHeading(harvester(50, 50), preyIndex([[60, 50]]), createSearchState(), params)).toBeNull();
+  });
+
+  test('heads for the centre of the fullest visible patch', () => {
+    const params = { ...PARAMS, harvesterStrategy: 'density' };
+    const prey = preyIndex([[62, 52], [64, 54], [66, 56], [31, 51], [250, 250], [251, 251], [252, 252], [253, 253]]);
+    expect(chooseHeading(harvester(50, 50), prey, createSearchState(), params)).toEqual([64, 54]);
+  });
+
+  test('returns to the last catch until it turns up empty', () => {
+    const params = { ...PARAMS, harvesterStrategy: 'memory' };
+    const h = harvester(80, 80);
+    rememberCatches([h], createSearchState(), params);
+    h.x = 200;
+    h.y = 200;
+    expect(chooseHeading(h, preyIndex([[82, 80]]), createSearchState(), params)).toEqual([80, 80]);
+    h.x = 81;
+    h.y = 80;
+    expect(chooseHeading(h, preyIndex([]), createSearchState(), params)).toBeNull();
+    expect(h.spot).toBeNull();
+  });
+
+  test('heads for the nearest shared catch site, dropping empty ones', () => {
+    const params = { ...PARAMS, harvesterStrategy: 'shared' };
+    const search = { spots: [[300, 100], [55, 50], [120, 60]] };
+    expect(chooseHeading(harvester(50, 50), preyIndex([]), search, params)).toEqual([120, 60]);
+    expect(search.spots).toEqual([[300, 100], [120, 60]]);
+  });
+
+  test('patrols lanes two harvest radii apart, turning at the ends', () => {
+    const params = { ...PARAMS, harvesterStrategy: 'lanes' };
+    const h = harvester(100, 45);
+    expect(chooseHeading(h, preyIndex([]), createSearchState(), params)).toEqual([400, 50]);
+    h.x = 395;
+    expect(chooseHeading(h, preyIndex([]), createSearchState(), params)).toEqual([0, 70]);
+  });
+});
+
+describe('steerToward', () => {
+  test('turns the velocity halfway towards the heading at cruising speed', () => {
+    const h = { x: 0, y: 0, vx: 0, vy: 0 };
+    steerToward(h, [30, 40], 2);
+    expect(h.vx).toBeCloseTo(0.6, 10);
+    expect(h.vy).toBeCloseTo(0.8, 10);
+  });
+
+  test('slows down rather than overshoot a close heading', () => {
+    const h = { x: 0, y: 0, vx: 0, vy: 0 };
+    steerToward(h, [0.5, 0], 2);
+    expect(h.vx).toBeCloseTo(0.25, 10);
+  });
+});
+
+describe('rememberCatches', () => {
+  test('keeps each harvester its own last catch under memory', () => {
+    const catcher = harvester(10, 20);
+    rememberCatches([catcher], createSearchState(), { harvesterStrategy: 'memory' });
+    expect(catcher.spot).toEqual([10, 20]);
+  });
+
+  test('shares the fleet\'s most recent catch sites', () => {
+    const search = createSearchState();
+    const catchers = Array.from({ length: 12 }, (_, i) => harvester(i, i));
+    rememberCatches(catchers, search, { harvesterStrategy: 'shared' });
+    expect(search.spots).toHaveLength(10);
+    expect(search.spots[0]).toEqual([2, 2]);
+    expect(search.spots[9]).toEqual([11, 11]);
+  });
+});
@@ -0,0 +1,241 @@
+import { createRandom } from './random.js';
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const variance = (values) => {
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / values.length;
+};
+
+// Scalar outputs a sensitivity analysis attributes to its inputs, each read
+// off one run's recorded rows (see runExperimentRun)
+export const SENSITIVITY_OUTPUTS = [
+  { key: 'finalCoralHealth', label: 'Final Coral Health %', of: rows => rows[rows.length - 1].coralHealth },
+  { key: 'meanUrchins', label: 'Mean Urchin Population', of: rows => mean(rows.map(row => row.totalUrchins)) },
+  { key: 'cumulativeHarvest', label: 'Cumulative Harvest', of: rows => rows[rows.length - 1].harvestedUrchins },
+  { key: 'finalAlgaeCoverage', label: 'Final Algae Coverage %', of: rows => rows[rows.length - 1].algaeCoverage }
+];
+
+export const runOutputs = (rows) => {
+  const outputs = {};
+  SENSITIVITY_OUTPUTS.forEach(({ key, of }) => {
+    outputs[key] = of(rows);
+  });
+  return outputs;
+};
+
+// oat:      each factor swept alone over `samples` levels, the rest at baseline
+// lhs:      `samples` Latin hypercube points; first-order indices from binning
+// saltelli: two Latin hypercube matrices A, B plus A with each column taken
+//           from B, samples * (k + 2) runs; first-order and total Sobol indices
+export const SENSITIVITY_METHODS = ['oat', 'lhs', 'saltelli'];
+
+// Trim float noise so sampled values print cleanly
+const tidy = (value) => parseFloat(value.toPrecision(6));
+
+// Map a unit-interval coordinate onto a factor ({ key, min, max, integer })
+const scaleTo = (factor, u) => {
+  const value = factor.min + u * (factor.max - factor.min);
+  return factor.integer ? Math.round(value) : tidy(value);
+};
+
+// n points in [0, 1)^k with exactly one point in each of n strata per axis
+const latinHypercube = (n, k, rng) => {
+  const columns = Array.from({ length: k }, () => {
+    const strata = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [strata[i], strata[j]] = [strata[j], strata[i]];
+    }
+    return strata.map(s => (s + rng()) / n);
+  });
+  return Array.from({ length: n }, (_, i) => columns.map(column => column[i]));
+};
+
+const toPatch = (factors, unitPoint) => {
+  const patch = {};
+  factors.forEach((factor, j) => {
+    patch[factor.key] = scaleTo(factor, unitPoint[j]);
+  });
+  return patch;
+};
+
+// Parameter points to run for a method. Every point is later run with the
+// same model seed, so output differences come from the parameters alone.
+export const createSensitivityPlan = ({ method, factors, samples, baseParams, seed }) => {
+  const rng = createRandom(seed);
+  const k = factors.length;
+  let points;
+
+  if (method === 'oat') {
+    const baseline = {};
+    factors.forEach(factor => {
+      baseline[factor.key] = Math.min(factor.max, Math.max(factor.min, baseParams[factor.key]));
+    });
+    const levels = Math.max(2, samples);
+    points = [{ ...baseline }];
+    factors.forEach(factor => {
+      for (let l = 0; l < levels; l++) {
+        points.push({ ...baseline, [factor.key]: scaleTo(factor, l / (levels - 1)) });
+      }
+    });
+  } else if (method === 'lhs') {
+    points = latinHypercube(samples, k, rng).map(u => toPatch(factors, u));
+  } else if (method === 'saltelli') {
+    const a = latinHypercube(samples, k, rng);
+    const b = latinHypercube(samples, k, rng);
+    points = [...a, ...b].map(u => toPatch(factors, u));
+    for (let i = 0; i < k; i++) {
+      a.forEach((row, n) => {
+        points.push(toPatch(factors, row.map((u, j) => (j === i ? b[n][j] : u))));
+      });
+    }
+  } else {
+    throw new Error(`Unknown sensitivity method: ${method}`);
+  }
+
+  return { method, factors, samples, points };
+};
+
+// Runs for the experiment runner, one per plan point
+export const sensitivityRuns = (plan, seed) => plan.points.map((patch, i) => ({
+  run: i + 1,
+  combination: i + 1,
+  repetition: 1,
+  seed: seed >>> 0,
+  patch
+}));
+
+const correlation = (xs, ys) => {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+};
+
+// Given-data estimate of Var(E[Y | X]) / Var(Y): sort by X, cut into about
+// sqrt(n) equal bins and compare the spread of bin means with the total
+const binnedFirstOrder = (xs, ys) => {
+  const total = variance(ys);
+  if (total === 0) return 0;
+  const order = xs.map((x, i) => i).sort((a, b) => xs[a] - xs[b]);
+  const bins = Math.max(2, Math.round(Math.sqrt(xs.length)));
+  const overall = mean(ys);
+  let between = 0;
+  for (let b = 0; b < bins; b++) {
+    const members = order.slice(Math.floor((b * order.length) / bins), Math.floor(((b + 1) * order.length) / bins));
+    if (members.length === 0) continue;
+    between += members.length * (mean(members.map(i => ys[i])) - overall) ** 2;
+  }
+  return between / xs.length / total;
+};
+
+// Saltelli (2010) first-order and Jansen total-effect estimators. Outputs
+// are centred first; the first-order estimator is badly conditioned when the
+// mean is large relative to the spread.
+const sobolIndices = (fA, fB, fAB) => {
+  const total = variance([...fA, ...fB]);
+  if (total === 0) return { first: 0, total: 0 };
+  const centre = mean([...fA, ...fB]);
+  return {
+    first: mean(fB.map((b, n) => (b - centre) * (fAB[n] - fA[n]))) / total,
+    total: mean(fA.map((a, n) => (a - fAB[n]) ** 2)) / 2 / total
+  };
+};
+
+const BOOTSTRAP_RESAMPLES = 200;
+
+// Half-widths of bootstrap 95% intervals for the Sobol indices
+const sobolConfidence = (fA, fB, fAB, rng) => {
+  const firsts = [];
+  const totals = [];
+  for (let r = 0; r < BOOTSTRAP_RESAMPLES; r++) {
+    const picks = fA.map(() => Math.floor(rng() * fA.length));
+    const { first, total } = sobolIndices(picks.map(n => fA[n]), picks.map(n => fB[n]), picks.map(n => fAB[n]));
+    firsts.push(first);
+    totals.push(total);
+  }
+  return { first: 1.96 * Math.sqrt(variance(firsts)), total: 1.96 * Math.sqrt(variance(totals)) };
+};
+
+// Per output, one entry per factor:
+//   oat      -> { low, high, baseline, swing }  output at the factor's min and max
+//   lhs      -> { first, correlation }
+//   saltelli -> { first, firstConf, total, totalConf }
+// `outputs` holds runOutputs() for each plan point, in plan order.
+export const analyzeSensitivity = (plan, outputs) => {
+  const { method, factors, samples } = plan;
+  const analysis = {};
+
+  SENSITIVITY_OUTPUTS.forEach(({ key }) => {
+    const ys = outputs.map(o => o[key]);
+
+    if (method === 'oat') {
+      const levels = Math.max(2, samples);
+      analysis[key] = factors.map((factor, i) => {
+        const sweep = ys.slice(1 + i * levels, 1 + (i + 1) * levels);
+        return {
+          key: factor.key,
+          baseline: ys[0],
+          low: sweep[0],
+          high: sweep[sweep.length - 1],
+          swing: Math.max(...sweep) - Math.min(...sweep)
+        };
+      });
+    } else if (method === 'lhs') {
+      analysis[key] = factors.map(factor => {
+        const xs = plan.points.map(point => point[factor.key]);
+        return { key: factor.key, first: binnedFirstOrder(xs, ys), correlation: correlation(xs, ys) };
+      });
+    } else {
+      const fA = ys.slice(0, samples);
+      const fB = ys.slice(samples, 2 * samples);
+      const rng = createRandom(samples);
+      analysis[key] = factors.map((factor, i) => {
+        const fAB = ys.slice((2 + i) * samples, (3 + i) * samples);
+        const indices = sobolIndices(fA, fB, fAB);
+        const conf = sobolConfidence(fA, fB, fAB, rng);
+        return { key: factor.key, first: indices.first, firstConf: conf.first, total: indices.total, totalConf: conf.total };
+      });
+    }
+  });
+
+  return analysis;
+};
+
+const MEASURE_COLUMNS = {
+  oat: ['baseline', 'low', 'high', 'swing'],
+  lhs: ['first', 'correlation'],
+  saltelli: ['first', 'firstConf', 'total', 'totalConf']
+};
+
+const fixed = (value) => (typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(4) : value);
+
+// Two sections: the indices per output and factor, then every sampled run
+export const sensitivityToCSV = (plan, outputs, analysis) => {
+  const measures = MEASURE_COLUMNS[plan.method];
+  const outputKeys = SENSITIVITY_OUTPUTS.map(o => o.key);
+  const lines = [
+    `SENSITIVITY ANALYSIS (${plan.method}, ${plan.points.length} runs)`,
+    ['Output', 'Parameter', 'Min', 'Max', ...measures].join(',')
+  ];
+  outputKeys.forEach(key => {
+    analysis[key].forEach((entry, i) => {
+      const factor = plan.factors[i];
+      lines.push([key, factor.key, factor.min, factor.max, ...measures.map(m => fixed(entry[m]))].join(','));
+    });
+  });
+
+  lines.push('', 'SAMPLED RUNS', ['Run', ...plan.factors.map(f => f.key), ...outputKeys].join(','));
+  outputs.forEach((output, i) => {
+    const point = plan.points[i];
+    lines.push([i + 1, ...plan.factors.map(f => point[f.key]), ...outputKeys.map(key => fixed(output[key]))].join(','));
+  });
+  return lines.join('\n') + '\n';
+};
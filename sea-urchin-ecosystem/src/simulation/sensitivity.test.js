@@ -0,0 +1,60 @@
+import { SENSITIVITY_OUTPUTS, createSensitivityPlan, analyzeSensitivity } from './sensitivity.js';
+
+const FACTORS = [
+  { key: 'x1', min: 0, max: 1 },
+  { key: 'x2', min: 0, max: 1 }
+];
+
+// The same model value for every output the analysis reads
+const outputsFor = (plan, model) => plan.points.map(point => {
+  const y = model(point);
+  return Object.fromEntries(SENSITIVITY_OUTPUTS.map(({ key }) => [key, y]));
+});
+
+describe('saltelli', () => {
+  test('plans samples * (k + 2) points', () => {
+    const plan = createSensitivityPlan({ method: 'saltelli', factors: FACTORS, samples: 10, baseParams: {}, seed: 1 });
+    expect(plan.points).toHaveLength(40);
+  });
+
+  test('estimates the Sobol indices of an additive model', () => {
+    // Y = 4 x1 + x2 with uniform inputs: S1 = 16/17, S2 = 1/17, totals equal
+    const plan = createSensitivityPlan({ method: 'saltelli', factors: FACTORS, samples: 1000, baseParams: {}, seed: 3 });
+    const [x1, x2] = analyzeSensitivity(plan, outputsFor(plan, p => 4 * p.x1 + p.x2)).meanUrchins;
+    expect(x1.first).toBeCloseTo(16 / 17, 1);
+    expect(x1.total).toBeCloseTo(16 / 17, 1);
+    expect(x2.first).toBeCloseTo(1 / 17, 1);
+    expect(x2.total).toBeCloseTo(1 / 17, 1);
+  });
+
+  test('gives a factor the output ignores a total index of zero', () => {
+    const plan = createSensitivityPlan({ method: 'saltelli', factors: FACTORS, samples: 200, baseParams: {}, seed: 5 });
+    const [x1, x2] = analyzeSensitivity(plan, outputsFor(plan, p => p.x1 ** 2)).finalCoralHealth;
+    expect(x2.total).toBe(0);
+    expect(x2.totalConf).toBe(0);
+    expect(x1.total).toBeGreaterThan(0.9);
+    expect(x1.firstConf).toBeGreaterThan(0);
+    expect(x1.firstConf).toBeLessThan(0.5);
+  });
+
+  test('reports zero indices for a constant output', () => {
+    const plan = createSensitivityPlan({ method: 'saltelli', factors: FACTORS, samples: 20, baseParams: {}, seed: 1 });
+    const [x1] = analyzeSensitivity(plan, outputsFor(plan, () => 7)).meanUrchins;
+    expect(x1).toMatchObject({ first: 0, total: 0 });
+  });
+});
+
+describe('oat', () => {
+  test('sweeps each factor from its min to its max around the baseline', () => {
+    const plan = createSensitivityPlan({ method: 'oat', factors: FACTORS, samples: 3, baseParams: { x1: 0.5, x2: 0.5 }, seed: 1 });
+    expect(plan.points).toHaveLength(7);
+    const [x1, x2] = analyzeSensitivity(plan, outputsFor(plan, p => 10 * p.x1)).meanUrchins;
+    expect(x1).toEqual({ key: 'x1', baseline: 5, low: 0, high: 10, swing: 10 });
+    expect(x2).toEqual({ key: 'x2', baseline: 5, low: 5, high: 5, swing: 0 });
+  });
+});
+
+test('rejects an unknown method', () => {
+  expect(() => createSensitivityPlan({ method: 'morris', factors: FACTORS, samples: 4, baseParams: {}, seed: 1 }))
+    .toThrow('Unknown sensitivity method: morris');
+});
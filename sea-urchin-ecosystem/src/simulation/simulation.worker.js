@@ -0,0 +1,6 @@
+/* eslint-disable no-restricted-globals */
+import { createRunner } from './runner.js';
+
+const runner = createRunner(message => self.postMessage(message));
+
+self.onmessage = (event) => runner.handle(event.data);
@@ -0,0 +1,91 @@
+// Uniform grid over the world, bucketed by cellSize. Items need x/y
+// coordinates; radius queries only visit the buckets the circle overlaps, so
+// neighbour lookups cost O(local density) instead of O(population).
+// With wrap, queries see across the edges of a toroidal world (radius is
+// capped at half the world so no item is found twice).
+export const createSpatialIndex = (cellSize, width, height, { wrap = false } = {}) => {
+  const cols = Math.max(1, Math.ceil(width / cellSize));
+  const rows = Math.max(1, Math.ceil(height / cellSize));
+  const cells = Array.from({ length: cols * rows }, () => []);
+
+  const colOf = (x) => Math.min(cols - 1, Math.max(0, Math.floor(x / cellSize)));
+  const rowOf = (y) => Math.min(rows - 1, Math.max(0, Math.floor(y / cellSize)));
+
+  const clear = () => {
+    cells.forEach(cell => {
+      cell.length = 0;
+    });
+  };
+
+  const insert = (item) => {
+    cells[rowOf(item.y) * cols + colOf(item.x)].push(item);
+  };
+
+  const build = (items) => {
+    clear();
+    items.forEach(insert);
+  };
+
+  const visitCells = (x, y, radius, visit) => {
+    const minCol = colOf(x - radius);
+    const maxCol = colOf(x + radius);
+    const minRow = rowOf(y - radius);
+    const maxRow = rowOf(y + radius);
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const cell = cells[row * cols + col];
+        for (let i = 0; i < cell.length; i++) {
+          const item = cell[i];
+          const dx = item.x - x;
+          const dy = item.y - y;
+          const distance = Math.sqrt(dx * dx + dy * dy);
+          if (distance < radius) visit(item, distance);
+        }
+      }
+    }
+  };
+
+  const offsetsX = [0, -width, width];
+  const offsetsY = [0, -height, height];
+
+  // Call visit(item, distance) for every item strictly closer than radius
+  const forEachWithin = (x, y, radius, visit) => {
+    if (!wrap) {
+      visitCells(x, y, radius, visit);
+      return;
+    }
+    // Search each periodic image of the query circle that overlaps the world
+    const r = Math.min(radius, width / 2, height / 2);
+    offsetsX.forEach(ox => {
+      const cx = x + ox;
+      if (cx + r <= 0 || cx - r >= width) return;
+      offsetsY.forEach(oy => {
+        const cy = y + oy;
+        if (cy + r <= 0 || cy - r >= height) return;
+        visitCells(cx, cy, r, visit);
+      });
+    });
+  };
+
+  const queryRadius = (x, y, radius) => {
+    const found = [];
+    forEachWithin(x, y, radius, item => found.push(item));
+    return found;
+  };
+
+  // Closest item within radius that passes the optional filter, or null
+  const nearest = (x, y, radius, filter) => {
+    let best = null;
+    let bestDistance = Infinity;
+    forEachWithin(x, y, radius, (item, distance) => {
+      if (distance < bestDistance && (!filter || filter(item))) {
+        best = item;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+
+  return { clear, insert, build, forEachWithin, queryRadius, nearest };
+};
@@ -0,0 +1,55 @@
+import { createSpatialIndex } from './spatialIndex.js';
+import { createRandom } from './random.js';
+
+const points = (count, width, height, seed) => {
+  const rng = createRandom(seed);
+  return Array.from({ length: count }, (_, id) => ({ id, x: rng() * width, y: rng() * height }));
+};
+
+const ids = (items) => items.map(item => item.id).sort((a, b) => a - b);
+
+// Distance on a torus of the given size
+const wrappedDistance = (a, b, width, height) => {
+  const dx = Math.min(Math.abs(a.x - b.x), width - Math.abs(a.x - b.x));
+  const dy = Math.min(Math.abs(a.y - b.y), height - Math.abs(a.y - b.y));
+  return Math.hypot(dx, dy);
+};
+
+describe('createSpatialIndex', () => {
+  const items = points(300, 400, 300, 1);
+
+  test('finds exactly the items strictly within the radius', () => {
+    const index = createSpatialIndex(20, 400, 300);
+    index.build(items);
+    [[0, 0, 35], [200, 150, 60], [399, 299, 15], [123, 45, 5]].forEach(([x, y, radius]) => {
+      const expected = items.filter(item => Math.hypot(item.x - x, item.y - y) < radius);
+      expect(ids(index.queryRadius(x, y, radius))).toEqual(ids(expected));
+    });
+  });
+
+  test('sees across the edges of a toroidal world', () => {
+    const index = createSpatialIndex(20, 400, 300, { wrap: true });
+    index.build(items);
+    const query = { x: 5, y: 295 };
+    const expected = items.filter(item => wrappedDistance(item, query, 400, 300) < 40);
+    expect(ids(index.queryRadius(query.x, query.y, 40))).toEqual(ids(expected));
+  });
+
+  test('finds the nearest item passing the filter', () => {
+    const index = createSpatialIndex(20, 400, 300);
+    index.build(items);
+    const even = items.filter(item => item.id % 2 === 0);
+    const closest = even.reduce((best, item) => (Math.hypot(item.x - 200, item.y - 150) < Math.hypot(best.x - 200, best.y - 150) ? item : best));
+    expect(index.nearest(200, 150, 500, item => item.id % 2 === 0)).toBe(closest);
+    expect(index.nearest(200, 150, 0.0001)).toBeNull();
+  });
+
+  test('forgets earlier items when rebuilt or cleared', () => {
+    const index = createSpatialIndex(20, 400, 300);
+    index.build(items);
+    index.build([{ id: 'only', x: 10, y: 10 }]);
+    expect(index.queryRadius(10, 10, 1000).map(item => item.id)).toEqual(['only']);
+    index.clear();
+    expect(index.queryRadius(10, 10, 1000)).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+// Bounded history of engine snapshots for rewinding. A checkpoint is kept
+// every `interval` ticks (plus forced ones, e.g. after live edits), oldest
+// dropped first once `capacity` is reached. Any tick between the oldest
+// checkpoint and the end of the current branch can be rebuilt by restoring
+// the checkpoint at or before it and stepping forward.
+export const createTimeline = (interval, capacity) => {
+  let checkpoints = [];
+  let end = 0;
+
+  const reset = () => {
+    checkpoints = [];
+    end = 0;
+  };
+
+  // Note that the run is now at `tick`. Anything recorded after it belongs to
+  // an abandoned branch and is dropped.
+  const record = (tick, takeSnapshot, force = false) => {
+    while (checkpoints.length > 0 && checkpoints[checkpoints.length - 1].tick >= tick) {
+      if (!force && checkpoints[checkpoints.length - 1].tick === tick) break;
+      checkpoints.pop();
+    }
+    end = tick;
+
+    const last = checkpoints[checkpoints.length - 1];
+    if (force || tick % interval === 0) {
+      if (!last || last.tick !== tick) {
+        checkpoints.push(takeSnapshot());
+        if (checkpoints.length > capacity) checkpoints.shift();
+      }
+    }
+  };
+
+  // Latest checkpoint at or before tick, or null if it has been dropped
+  const checkpointAt = (tick) => {
+    for (let i = checkpoints.length - 1; i >= 0; i--) {
+      if (checkpoints[i].tick <= tick) return checkpoints[i];
+    }
+    return null;
+  };
+
+  const range = () => ({
+    start: checkpoints.length > 0 ? checkpoints[0].tick : end,
+    end
+  });
+
+  return { reset, record, checkpointAt, range };
+};
@@ -0,0 +1,70 @@
+import { createTimeline } from './timeline.js';
+import { createRunner } from './runner.js';
+
+// A stand-in snapshot for tick
+const snapshotAt = (tick) => () => ({ tick });
+
+const recordTicks = (timeline, from, to) => {
+  for (let tick = from; tick <= to; tick++) timeline.record(tick, snapshotAt(tick));
+};
+
+describe('createTimeline', () => {
+  test('keeps a checkpoint every interval ticks', () => {
+    const timeline = createTimeline(10, 5);
+    recordTicks(timeline, 0, 35);
+    expect(timeline.range()).toEqual({ start: 0, end: 35 });
+    expect(timeline.checkpointAt(29)).toEqual({ tick: 20 });
+    expect(timeline.checkpointAt(30)).toEqual({ tick: 30 });
+  });
+
+  test('drops the oldest checkpoints beyond capacity', () => {
+    const timeline = createTimeline(10, 3);
+    recordTicks(timeline, 0, 50);
+    expect(timeline.range()).toEqual({ start: 30, end: 50 });
+    expect(timeline.checkpointAt(25)).toBeNull();
+  });
+
+  test('replaces a checkpoint forced at the same tick', () => {
+    const timeline = createTimeline(10, 5);
+    recordTicks(timeline, 0, 4);
+    timeline.record(4, () => ({ tick: 4, edit: 1 }), true);
+    timeline.record(4, () => ({ tick: 4, edit: 2 }), true);
+    expect(timeline.checkpointAt(9)).toEqual({ tick: 4, edit: 2 });
+    expect(timeline.checkpointAt(3)).toEqual({ tick: 0 });
+  });
+
+  test('drops the abandoned branch when the run goes on from an earlier tick', () => {
+    const timeline = createTimeline(10, 5);
+    recordTicks(timeline, 0, 40);
+    timeline.record(16, snapshotAt(16));
+    expect(timeline.range()).toEqual({ start: 0, end: 16 });
+    expect(timeline.checkpointAt(40)).toEqual({ tick: 10 });
+  });
+});
+
+describe('createRunner rewind', () => {
+  const PARAMS = { seed: 5, predatorCount: 2, harvesterCount: 2, dataRecordingFrequency: 5 };
+
+  const start = () => {
+    const frames = [];
+    const runner = createRunner(message => {
+      if (message.type === 'frame') frames.push(message);
+    });
+    runner.handle({ type: 'init', params: PARAMS });
+    return { runner, latest: () => frames[frames.length - 1] };
+  };
+
+  test('replays across a burst of live edits as they were run', () => {
+    const { runner, latest } = start();
+    runner.handle({ type: 'step', count: 10 });
+    [0.2, 0.3, 0.4].forEach(grazingRate => runner.handle({ type: 'setParams', params: { grazingRate } }));
+    runner.handle({ type: 'step', count: 20 });
+    const { agents, stats } = latest();
+
+    runner.handle({ type: 'seek', tick: 5 });
+    runner.handle({ type: 'seek', tick: 30 });
+    expect(latest().tick).toBe(30);
+    expect(latest().agents).toEqual(agents);
+    expect(latest().stats).toEqual(stats);
+  });
+});
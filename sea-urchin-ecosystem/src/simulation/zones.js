@@ -0,0 +1,128 @@
+// No-take zones in world units: { id, name, shape: 'rect', x, y, width, height }
+// or { id, name, shape: 'polygon', points: [[x, y], ...] }
+export const ZONE_SHAPES = ['rect', 'polygon'];
+
+const finite = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Ray casting; points on a rectangle's edge count as inside
+export const zoneContains = (zone, x, y) => {
+  if (zone.shape === 'rect') {
+    return x >= zone.x && x <= zone.x + zone.width && y >= zone.y && y <= zone.y + zone.height;
+  }
+  const { points } = zone;
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+export const insideAnyZone = (zones, x, y) => zones.some(zone => zoneContains(zone, x, y));
+
+// Check one zone; returns an error message or null
+const zoneError = (zone) => {
+  if (!zone || typeof zone !== 'object') return 'not an object';
+  if (zone.shape === 'rect') {
+    if (![zone.x, zone.y, zone.width, zone.height].every(finite)) return 'rectangle needs numeric x, y, width and height';
+    if (zone.width <= 0 || zone.height <= 0) return 'rectangle must have a positive width and height';
+    return null;
+  }
+  if (zone.shape === 'polygon') {
+    if (!Array.isArray(zone.points) || zone.points.length < 3) return 'polygon needs at least 3 points';
+    if (!zone.points.every(p => Array.isArray(p) && p.length === 2 && p.every(finite))) return 'polygon points must be [x, y] pairs';
+    return null;
+  }
+  return `unknown shape "${zone.shape}"`;
+};
+
+// Validate zones from the UI or an imported file. Returns { zones, errors };
+// zones missing an id or name get one.
+export const validateZones = (list) => {
+  if (!Array.isArray(list)) return { zones: [], errors: ['Protected zones: expected a list'] };
+  const zones = [];
+  const errors = [];
+  list.forEach((zone, index) => {
+    const error = zoneError(zone);
+    if (error) {
+      errors.push(`Protected zone ${index + 1}: ${error}`);
+      return;
+    }
+    const shape = zone.shape === 'rect'
+      ? { shape: 'rect', x: zone.x, y: zone.y, width: zone.width, height: zone.height }
+      : { shape: 'polygon', points: zone.points.map(([x, y]) => [x, y]) };
+    zones.push({
+      id: typeof zone.id === 'string' && zone.id ? zone.id : `zone-${index + 1}`,
+      name: typeof zone.name === 'string' && zone.name.trim() ? zone.name.trim() : `Zone ${index + 1}`,
+      ...shape
+    });
+  });
+  return { zones, errors };
+};
+
+const summarize = (urchins, adults, cells, corals, healthyCorals) => ({
+  urchins,
+  adults,
+  cells,
+  urchinDensity: cells > 0 ? urchins / cells : 0,  // per coral lattice cell, as urchinDensity in model.js
+  corals,
+  healthyCorals,
+  coralHealth: corals > 0 ? (healthyCorals / corals) * 100 : 0
+});
+
+// Urchin density and coral health in each zone, across all zones together
+// and outside them. Area is measured in coral lattice cells (a cell counts
+// if its centre lies inside), so overlapping zones are not counted twice.
+export const computeZoneStats = (agents, zones, params) => {
+  const { cellSize } = params;
+  const columns = Math.floor(params.worldWidth / cellSize);
+  const rows = Math.floor(params.worldHeight / cellSize);
+  const cellCounts = zones.map(() => 0);
+  let insideCells = 0;
+  for (let gx = 0; gx < columns; gx++) {
+    for (let gy = 0; gy < rows; gy++) {
+      const x = gx * cellSize + cellSize / 2;
+      const y = gy * cellSize + cellSize / 2;
+      let inAny = false;
+      zones.forEach((zone, i) => {
+        if (zoneContains(zone, x, y)) {
+          cellCounts[i]++;
+          inAny = true;
+        }
+      });
+      if (inAny) insideCells++;
+    }
+  }
+
+  const tally = (contains) => {
+    const urchins = agents.seaUrchins.filter(u => contains(u.x, u.y));
+    const corals = agents.corals.filter(c => contains(c.x, c.y));
+    return [
+      urchins.length,
+      urchins.filter(u => u.isAdult).length,
+      corals.length,
+      corals.filter(c => c.status === 'healthy').length
+    ];
+  };
+
+  const perZone = zones.map((zone, i) => {
+    const [urchins, adults, corals, healthy] = tally((x, y) => zoneContains(zone, x, y));
+    return { id: zone.id, name: zone.name, ...summarize(urchins, adults, cellCounts[i], corals, healthy) };
+  });
+  const [inUrchins, inAdults, inCorals, inHealthy] = tally((x, y) => insideAnyZone(zones, x, y));
+  const totalHealthy = agents.corals.filter(c => c.status === 'healthy').length;
+  const totalAdults = agents.seaUrchins.filter(u => u.isAdult).length;
+
+  return {
+    zones: perZone,
+    inside: summarize(inUrchins, inAdults, insideCells, inCorals, inHealthy),
+    outside: summarize(
+      agents.seaUrchins.length - inUrchins,
+      totalAdults - inAdults,
+      columns * rows - insideCells,
+      agents.corals.length - inCorals,
+      totalHealthy - inHealthy
+    )
+  };
+};
@@ -0,0 +1,64 @@
+import { zoneContains, insideAnyZone, validateZones, computeZoneStats } from './zones.js';
+
+const RECT = { id: 'r', name: 'Rect', shape: 'rect', x: 0, y: 0, width: 40, height: 40 };
+const TRIANGLE = { id: 't', name: 'Triangle', shape: 'polygon', points: [[100, 0], [200, 0], [100, 100]] };
+
+describe('zoneContains', () => {
+  test('counts a rectangle edge as inside', () => {
+    expect(zoneContains(RECT, 40, 40)).toBe(true);
+    expect(zoneContains(RECT, 20, 10)).toBe(true);
+    expect(zoneContains(RECT, 41, 10)).toBe(false);
+  });
+
+  test('tests polygons by ray casting', () => {
+    expect(zoneContains(TRIANGLE, 120, 20)).toBe(true);
+    expect(zoneContains(TRIANGLE, 180, 80)).toBe(false);
+    expect(insideAnyZone([RECT, TRIANGLE], 180, 80)).toBe(false);
+    expect(insideAnyZone([RECT, TRIANGLE], 10, 10)).toBe(true);
+  });
+});
+
+describe('validateZones', () => {
+  test('names and numbers zones that lack them', () => {
+    const { zones, errors } = validateZones([{ shape: 'rect', x: 1, y: 2, width: 3, height: 4, extra: true }]);
+    expect(errors).toEqual([]);
+    expect(zones).toEqual([{ id: 'zone-1', name: 'Zone 1', shape: 'rect', x: 1, y: 2, width: 3, height: 4 }]);
+  });
+
+  test('reports each malformed zone', () => {
+    const { zones, errors } = validateZones([
+      RECT,
+      { shape: 'rect', x: 0, y: 0, width: 0, height: 5 },
+      { shape: 'polygon', points: [[0, 0], [1, 1]] },
+      { shape: 'circle' }
+    ]);
+    expect(zones).toHaveLength(1);
+    expect(errors).toEqual([
+      'Protected zone 2: rectangle must have a positive width and height',
+      'Protected zone 3: polygon needs at least 3 points',
+      'Protected zone 4: unknown shape "circle"'
+    ]);
+  });
+});
+
+describe('computeZoneStats', () => {
+  test('splits urchins, corals and lattice cells inside and outside the zones', () => {
+    const agents = {
+      seaUrchins: [
+        { x: 10, y: 10, isAdult: true },
+        { x: 30, y: 30, isAdult: false },
+        { x: 70, y: 70, isAdult: true }
+      ],
+      corals: [
+        { x: 10, y: 30, status: 'healthy' },
+        { x: 70, y: 10, status: 'dead' },
+        { x: 50, y: 70, status: 'healthy' }
+      ]
+    };
+    // 80 x 80 world of 20-unit cells: the zone covers 4 of the 16 cells
+    const stats = computeZoneStats(agents, [RECT], { cellSize: 20, worldWidth: 80, worldHeight: 80 });
+    expect(stats.inside).toMatchObject({ urchins: 2, adults: 1, cells: 4, urchinDensity: 0.5, corals: 1, coralHealth: 100 });
+    expect(stats.outside).toMatchObject({ urchins: 1, adults: 1, cells: 12, corals: 2, coralHealth: 50 });
+    expect(stats.zones).toEqual([expect.objectContaining({ id: 'r', name: 'Rect', urchins: 2, cells: 4 })]);
+  });
+});